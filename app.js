@@ -63,6 +63,11 @@ const {
   getRateLimitStatus 
 } = require('./middlewares/userRateLimiting');
 const cleanupService = require('./services/cleanupService');
+const reservationService = require('./services/reservationService');
+const reminderService = require('./services/reminderService');
+const jobQueueService = require('./services/jobQueueService');
+const attendanceService = require('./services/attendanceService');
+const { updateEventStatuses } = require('./controllers/eventController');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./config/swagger');
 
@@ -234,6 +239,22 @@ app.use('/api/support', supportRoutes);
 const checkInRoutes = require('./routes/checkInRoutes');
 app.use('/api/check-in', checkInRoutes);
 
+// Waitlist routes
+const waitlistRoutes = require('./routes/waitlistRoutes');
+app.use('/api/waitlist', waitlistRoutes);
+
+// Ticket transfer routes
+const ticketRoutes = require('./routes/ticketRoutes');
+app.use('/api/tickets', ticketRoutes);
+
+// Apple Wallet pass downloads and PassKit web service
+const walletRoutes = require('./routes/walletRoutes');
+app.use('/api/wallet', walletRoutes);
+
+// Promo code routes
+const promoCodeRoutes = require('./routes/promoCodeRoutes');
+app.use('/api/promo-codes', promoCodeRoutes);
+
 // Review routes
 const reviewRoutes = require('./routes/reviewRoutes');
 app.use('/api/reviews', reviewRoutes);
@@ -311,6 +332,10 @@ const io = socketIo(server, {
 const ChatSocket = require('./socket/chatSocket');
 const chatSocket = new ChatSocket(io);
 
+// Live check-in dashboard (/check-in namespace)
+const CheckInSocket = require('./socket/checkInSocket');
+new CheckInSocket(io);
+
 server.listen(port, async () => {
   // Connect to MongoDB
   await connectToMongo();
@@ -326,9 +351,38 @@ server.listen(port, async () => {
   console.log(`Server is running on port ${port}`);
   console.log(`Socket.IO server initialized`);
   
+  // Count the seats of events sold before seats were counted
+  reservationService.backfillSeatsTaken()
+    .then(({ updatedCount }) => {
+      if (updatedCount > 0) console.log(`Backfilled seat counts of ${updatedCount} events`);
+    })
+    .catch(error => console.error('Seat count backfill error:', error));
+
   // Start cleanup service
   cleanupService.start();
   
+  // Start sending event reminders and queued messages
+  reminderService.start();
+  jobQueueService.start();
+  
+  // Event statuses, then no-shows and attendance of finished events, then reminders
+  // of upcoming events that have none scheduled
+  const runEventJobs = async () => {
+    await updateEventStatuses();
+    try {
+      await attendanceService.closeFinishedEvents();
+    } catch (error) {
+      console.error('Attendance job error:', error);
+    }
+    try {
+      await reminderService.scheduleUpcomingEvents();
+    } catch (error) {
+      console.error('Reminder scheduling error:', error);
+    }
+  };
+  runEventJobs();
+  setInterval(runEventJobs, 15 * 60 * 1000); // Every 15 minutes
+  
   // Start performance monitoring
   setInterval(() => {
     performanceMonitor.exportMetrics();
@@ -338,6 +392,8 @@ server.listen(port, async () => {
   process.on('SIGTERM', () => {
     console.log('SIGTERM received, shutting down gracefully');
     cleanupService.stop();
+    reminderService.stop();
+    jobQueueService.stop();
     server.close(() => {
       process.exit(0);
     });
@@ -346,6 +402,8 @@ server.listen(port, async () => {
   process.on('SIGINT', () => {
     console.log('SIGINT received, shutting down gracefully');
     cleanupService.stop();
+    reminderService.stop();
+    jobQueueService.stop();
     server.close(() => {
       process.exit(0);
     });
@@ -0,0 +1,63 @@
+/**
+ * Wallet Pass Configuration
+ * Apple Wallet signing certificates and Google Wallet service account credentials.
+ * PEMs are given inline (`\n` escaped) or as file paths, and are read when a pass is
+ * generated, so tests can point the paths at a local test certificate
+ * (see scripts/createWalletTestCertificate.js).
+ */
+
+const fs = require('fs');
+
+const readPem = (value, path) => {
+  if (value) return value.replace(/\\n/g, '\n');
+  if (path) return fs.readFileSync(path, 'utf8');
+  return null;
+};
+
+const readJson = (path) => (path ? JSON.parse(fs.readFileSync(path, 'utf8')) : {});
+
+const getAppleConfig = () => {
+  const config = {
+    passTypeIdentifier: process.env.APPLE_PASS_TYPE_ID,
+    teamIdentifier: process.env.APPLE_TEAM_ID,
+    organizationName: process.env.WALLET_ORGANIZATION_NAME || 'EazyEvent',
+    certificate: readPem(process.env.APPLE_PASS_CERT, process.env.APPLE_PASS_CERT_PATH),
+    privateKey: readPem(process.env.APPLE_PASS_KEY, process.env.APPLE_PASS_KEY_PATH),
+    privateKeyPassphrase: process.env.APPLE_PASS_KEY_PASSPHRASE,
+    wwdrCertificate: readPem(process.env.APPLE_WWDR_CERT, process.env.APPLE_WWDR_CERT_PATH),
+    // icon.png and logo.png (with @2x/@3x variants) added to every pass
+    imagesDir: process.env.APPLE_PASS_IMAGES_DIR,
+    // PassKit web service for pass updates, e.g. https://api.example.com/api/wallet/apple
+    webServiceURL: process.env.API_BASE_URL ? `${process.env.API_BASE_URL}/api/wallet/apple` : null,
+    apnsHost: process.env.APPLE_PASS_APNS_SANDBOX === 'true'
+      ? 'https://api.sandbox.push.apple.com'
+      : 'https://api.push.apple.com'
+  };
+
+  config.enabled = Boolean(config.passTypeIdentifier && config.teamIdentifier
+    && config.certificate && config.privateKey && config.wwdrCertificate);
+  return config;
+};
+
+const getGoogleConfig = () => {
+  const serviceAccount = readJson(process.env.GOOGLE_WALLET_SERVICE_ACCOUNT_PATH);
+
+  const config = {
+    issuerId: process.env.GOOGLE_WALLET_ISSUER_ID,
+    issuerName: process.env.WALLET_ORGANIZATION_NAME || 'EazyEvent',
+    clientEmail: process.env.GOOGLE_WALLET_CLIENT_EMAIL || serviceAccount.client_email,
+    privateKey: readPem(process.env.GOOGLE_WALLET_PRIVATE_KEY) || serviceAccount.private_key || null,
+    // Sites allowed to show the "Add to Google Wallet" button
+    origins: (process.env.GOOGLE_WALLET_ORIGINS || process.env.CLIENT_BASE_URL || '').split(',').filter(Boolean)
+  };
+
+  config.enabled = Boolean(config.issuerId && config.clientEmail && config.privateKey);
+  return config;
+};
+
+module.exports = {
+  getAppleConfig,
+  getGoogleConfig,
+  // Signs the PassKit authentication tokens and download links
+  authSecret: process.env.WALLET_AUTH_SECRET || process.env.JWT_SECRET
+};
@@ -1,83 +1,78 @@
 const CheckIn = require('../models/checkIn');
 const Order = require('../models/order');
 const Event = require('../models/event');
-const qrService = require('../services/qrService');
+const User = require('../models/user');
+const ticketService = require('../services/ticketService');
+const ticketTokenService = require('../services/ticketTokenService');
+const offlineCheckInService = require('../services/offlineCheckInService');
+const checkInStaffService = require('../services/checkInStaffService');
+const checkInSessionService = require('../services/checkInSessionService');
+const badgeService = require('../services/badgeService');
+const checkInFeedService = require('../services/checkInFeedService');
+const attendanceService = require('../services/attendanceService');
+const attendeeExportService = require('../services/attendeeExportService');
+const guestImportService = require('../services/guestImportService');
+const { pipeline } = require('stream');
 const { success, created, error, notFound, serverError } = require('../utils/responseHandler');
 
+// Check-in endpoints are called by signed-in staff or by door scanner devices
+const getActor = (req) => ({ user: req.user, scanner: req.scanner });
+
+// The check-in is saved before the badge is rendered, so a render failure is
+// reported next to the check-in instead of failing the request
+const renderBadge = async (checkInId, event, format) => {
+  try {
+    return { badge: await badgeService.renderForCheckIn(checkInId, event, format) };
+  } catch (err) {
+    console.error('Badge render error:', err);
+    return { badgeError: err.statusCode ? err.message : 'Badge could not be generated' };
+  }
+};
+
+// Tokens that fail verification carry no trusted event, so the alert goes to the
+// scanner's event or to the event the staff app says it is scanning for
+const alertInvalidScan = async (req, message) => {
+  const eventId = req.scanner ? req.scanner.event : req.body.eventId;
+  if (!eventId) return;
+
+  try {
+    await checkInStaffService.assertCanCheckIn(eventId, getActor(req));
+    checkInFeedService.publishAlert(eventId, 'invalid', { message, actor: getActor(req) });
+  } catch (err) {
+    // Not staff of that event: nothing to report
+  }
+};
+
 const generateTicketQR = async (req, res) => {
   try {
     const { orderId } = req.params;
     
-    const order = await Order.findOne({
-      _id: orderId,
-      buyer: req.user.userId,
-      status: 'completed'
-    }).populate('event', 'title startDateTime location');
+    const { order, tickets } = await ticketService.getOrderTickets(orderId, req.user._id);
     
-    if (!order) {
-      return notFound(res, 'Order not found or not completed');
-    }
-    
-    // Check if check-in record exists, create if not
-    let checkIn = await CheckIn.findOne({ order: orderId });
-    
-    if (!checkIn) {
-      const ticketData = {
-        eventId: order.event._id.toString(),
-        orderId: order._id.toString(),
-        attendeeId: req.user.userId,
-        ticketType: 'general'
-      };
-      
-      const qr = await qrService.generateQRCode(ticketData);
-      
-      checkIn = await CheckIn.create({
-        event: order.event._id,
-        order: order._id,
-        attendee: req.user.userId,
-        ticketToken: qr.token,
-        ticketType: 'general',
-        organizationId: order.event.organizationId
-      });
-    } else {
-      // Regenerate QR with existing token
-      const qr = await qrService.generateQRCode({
-        eventId: order.event._id.toString(),
-        orderId: order._id.toString(),
-        attendeeId: req.user.userId,
-        ticketType: checkIn.ticketType
-      });
-      
-      return success(res, {
-        qrCode: qr.dataUrl,
-        ticketNumber: `TKT-${order._id.toString().slice(-8).toUpperCase()}`,
-        event: {
-          title: order.event.title,
-          date: order.event.startDateTime,
-          location: order.event.location
-        },
-        status: checkIn.status
-      });
-    }
-    
-    const qr = await qrService.generateQRCode({
-      eventId: order.event._id.toString(),
-      orderId: order._id.toString(),
-      attendeeId: req.user.userId,
-      ticketType: checkIn.ticketType
-    });
+    // The buyer's own ticket, else the first one they still hold
+    const userId = req.user._id.toString();
+    const ticket = tickets.find(t => t.attendee && (t.attendee._id || t.attendee).toString() === userId)
+      || tickets.find(t => !t.assigned)
+      || tickets[0];
     
     return success(res, {
-      qrCode: qr.dataUrl,
-      ticketNumber: `TKT-${order._id.toString().slice(-8).toUpperCase()}`,
+      qrCode: ticket.qrCode,
+      ticketNumber: ticket.ticketNumber,
       event: {
         title: order.event.title,
         date: order.event.startDateTime,
         location: order.event.location
       },
-      status: checkIn.status
+      status: ticket.status,
+      tickets
     });
   } catch (err) {
+    if (err.statusCode === 404) {
+      return notFound(res, 'Order not found or not completed');
+    }
+    if (err.statusCode) {
+      return error(res, err.message, err.statusCode);
+    }
     console.error('Generate ticket QR error:', err);
     return serverError(res, 'Failed to generate ticket QR');
   }
@@ -91,50 +86,100 @@ const scanCheckIn = async (req, res) => {
       return error(res, 'Ticket token is required', 400);
     }
     
-    // Verify token
-    const verification = qrService.verifyTicketToken(token);
+    // Verify the token and find its ticket (static QR token or rotating code)
+    const scan = await ticketTokenService.resolveScan(token);
     
-    if (!verification.valid) {
-      return error(res, verification.error, 400);
+    if (!scan.eventId) {
+      await alertInvalidScan(req, scan.error.message);
+      return error(res, scan.error.message, 400);
     }
     
-    const { eventId, orderId, attendeeId } = verification.data;
-    
-    // Find check-in record
-    const checkIn = await CheckIn.findOne({ 
-      ticketToken: token 
-    }).populate('attendee', 'firstName lastName email avatar')
-      .populate('event', 'title startDateTime');
+    const { eventId } = scan;
     
-    if (!checkIn) {
-      return notFound(res, 'Ticket not found');
-    }
+    await checkInStaffService.assertCanCheckIn(eventId, getActor(req));
     
-    if (checkIn.status === 'checked_in') {
-      return error(res, 'Attendee already checked in', 400, {
-        checkInTime: checkIn.checkInTime,
-        attendee: checkIn.attendee
+    if (scan.error) {
+      const { reason, message, ticket: current, revokedAt } = scan.error;
+      checkInFeedService.publishAlert(eventId, reason === 'not_found' ? 'invalid' : reason, {
+        message,
+        ticket: current,
+        actor: getActor(req)
       });
+      
+      if (reason === 'not_found') {
+        return notFound(res, message);
+      }
+      if (reason === 'revoked') {
+        // An older QR code of a ticket that has since changed hands or been reissued
+        return error(res, message, 409, {
+          ticketNumber: current && current.ticketNumber,
+          currentHolder: current && (current.attendeeName || current.attendeeEmail),
+          revokedAt
+        });
+      }
+      return error(res, message, 400, { reason });
     }
     
+    const checkIn = await scan.ticket.populate([
+      { path: 'attendee', select: 'firstName lastName email avatar' },
+      { path: 'event', select: 'title startDateTime checkInSessions badgeLayout ticketSecurity' }
+    ]);
+    
     if (checkIn.status === 'cancelled') {
+      checkInFeedService.publishAlert(eventId, 'cancelled', { message: 'Ticket has been cancelled', ticket: checkIn, actor: getActor(req) });
       return error(res, 'Ticket has been cancelled', 400);
     }
     
-    // Perform check-in
-    checkIn.status = 'checked_in';
-    checkIn.checkInTime = new Date();
-    checkIn.checkInBy = req.user.userId;
-    checkIn.checkInMethod = 'qr_scan';
-    checkIn.deviceInfo = req.headers['user-agent'];
+    const { sessionId, direction = 'entry' } = req.body;
     
-    await checkIn.save();
+    // Entry or exit at the main entrance, or at one of the event's sessions
+    const outcome = await checkInSessionService.recordScan(checkIn, checkIn.event, {
+      sessionId,
+      direction,
+      actor: getActor(req),
+      method: 'qr_scan',
+      deviceInfo: req.headers['user-agent']
+    });
+    
+    if (!outcome.accepted) {
+      return error(res, outcome.message, 400, {
+        reason: outcome.reason,
+        session: outcome.session,
+        checkInTime: checkIn.checkInTime,
+        lastEntryAt: outcome.state && outcome.state.lastEntryAt,
+        attendee: checkIn.attendee
+      });
+    }
+    
+    const attendeeName = checkIn.attendee
+      ? `${checkIn.attendee.firstName} ${checkIn.attendee.lastName}`
+      : checkIn.attendeeName || checkIn.attendeeEmail || 'Ticket holder';
+    
+    // The door's badge printer gets the badge with the check-in response
+    const { badge, badgeError } = req.body.printBadge && direction === 'entry'
+      ? await renderBadge(checkIn._id, checkIn.event, req.body.printBadge)
+      : {};
     
     return success(res, {
-      checkIn,
-      message: `${checkIn.attendee.firstName} ${checkIn.attendee.lastName} checked in successfully`
+      checkIn: outcome.ticket,
+      session: outcome.session,
+      direction,
+      entries: outcome.state.entries,
+      badge,
+      badgeError,
+      holder: {
+        name: attendeeName,
+        email: checkIn.attendee ? checkIn.attendee.email : checkIn.attendeeEmail,
+        transferCount: checkIn.transferCount || 0
+      },
+      message: direction === 'exit'
+        ? `${attendeeName} left ${outcome.session}`
+        : `${attendeeName} checked in to ${outcome.session}${outcome.state.entries > 1 ? ' (re-entry)' : ''}`
     });
   } catch (err) {
+    if (err.statusCode) {
+      return error(res, err.message, err.statusCode);
+    }
     console.error('Scan check-in error:', err);
     return serverError(res, 'Failed to process check-in');
   }
@@ -142,61 +187,73 @@ const scanCheckIn = async (req, res) => {
 
 const manualCheckIn = async (req, res) => {
   try {
-    const { eventId, attendeeEmail, notes } = req.body;
-    
-    // Find attendee's order for this event
-    const order = await Order.findOne({
-      event: eventId,
-      status: 'completed'
-    }).populate('buyer', 'email');
+    const { eventId, attendeeEmail, notes, sessionId, direction = 'entry', printBadge } = req.body;
     
-    if (!order || order.buyer.email !== attendeeEmail) {
-      return notFound(res, 'No valid registration found for this attendee');
+    if (!eventId || !attendeeEmail) {
+      return error(res, 'eventId and attendeeEmail are required', 400);
     }
     
+    await checkInStaffService.assertCanCheckIn(eventId, getActor(req));
+    
+    const email = attendeeEmail.toLowerCase();
+    
+    // The attendee's ticket: assigned to their account or to their email
+    const user = await User.findOne({ email }).select('_id');
+    const holder = [{ attendeeEmail: email }];
+    if (user) holder.push({ attendee: user._id });
+    
     let checkIn = await CheckIn.findOne({
       event: eventId,
-      attendee: order.buyer._id
+      status: { $ne: 'cancelled' },
+      $or: holder
     });
     
-    if (checkIn?.status === 'checked_in') {
-      return error(res, 'Attendee already checked in', 400);
+    // Tickets are issued lazily for orders completed before group orders existed
+    if (!checkIn && user) {
+      const order = await Order.findOne({ event: eventId, buyer: user._id, status: 'completed' });
+      if (order) {
+        const tickets = await ticketService.issueTickets(order);
+        checkIn = tickets.find(t => t.attendee && t.attendee.toString() === user._id.toString());
+      }
     }
     
     if (!checkIn) {
-      const ticketData = {
-        eventId,
-        orderId: order._id.toString(),
-        attendeeId: order.buyer._id.toString(),
-        ticketType: 'general'
-      };
-      
-      const qr = await qrService.generateQRCode(ticketData);
-      
-      checkIn = await CheckIn.create({
-        event: eventId,
-        order: order._id,
-        attendee: order.buyer._id,
-        ticketToken: qr.token,
-        status: 'checked_in',
-        checkInTime: new Date(),
-        checkInBy: req.user.userId,
-        checkInMethod: 'manual',
-        notes
-      });
-    } else {
-      checkIn.status = 'checked_in';
-      checkIn.checkInTime = new Date();
-      checkIn.checkInBy = req.user.userId;
-      checkIn.checkInMethod = 'manual';
+      return notFound(res, 'No valid registration found for this attendee');
+    }
+    
+    const event = await Event.findById(eventId).select('title checkInSessions badgeLayout ticketSecurity');
+    if (!event) {
+      return notFound(res, 'Event not found');
+    }
+    
+    const outcome = await checkInSessionService.recordScan(checkIn, event, {
+      sessionId,
+      direction,
+      actor: getActor(req),
+      method: 'manual'
+    });
+    
+    if (!outcome.accepted) {
+      return error(res, outcome.message, 400, { reason: outcome.reason, session: outcome.session });
+    }
+    
+    checkIn = outcome.ticket;
+    if (notes) {
       checkIn.notes = notes;
       await checkIn.save();
     }
     
     await checkIn.populate('attendee', 'firstName lastName email');
     
-    return success(res, { checkIn }, 'Manual check-in successful');
+    const { badge, badgeError } = printBadge && direction === 'entry'
+      ? await renderBadge(checkIn._id, event, printBadge)
+      : {};
+    
+    return success(res, { checkIn, session: outcome.session, direction, badge, badgeError }, 'Manual check-in successful');
   } catch (err) {
+    if (err.statusCode) {
+      return error(res, err.message, err.statusCode);
+    }
     console.error('Manual check-in error:', err);
     return serverError(res, 'Failed to process manual check-in');
   }
@@ -207,6 +264,8 @@ const getEventCheckIns = async (req, res) => {
     const { eventId } = req.params;
     const { status, page = 1, limit = 50 } = req.query;
     
+    await checkInStaffService.assertCanCheckIn(eventId, getActor(req));
+    
     const query = { event: eventId };
     if (status) query.status = status;
     
@@ -231,6 +290,9 @@ const getEventCheckIns = async (req, res) => {
       }
     });
   } catch (err) {
+    if (err.statusCode) {
+      return error(res, err.message, err.statusCode);
+    }
     console.error('Get event check-ins error:', err);
     return serverError(res, 'Failed to fetch check-ins');
   }
@@ -240,11 +302,30 @@ const getCheckInStats = async (req, res) => {
   try {
     const { eventId } = req.params;
     
+    const { session, interval } = req.query;
+    
+    await checkInStaffService.assertCanCheckIn(eventId, getActor(req));
+    
+    const event = await Event.findById(eventId).select('checkInSessions');
+    if (!event) {
+      return notFound(res, 'Event not found');
+    }
+    
     const stats = await CheckIn.getEventStats(eventId);
-    const timeline = await CheckIn.getCheckInTimeline(eventId);
     
-    return success(res, { stats, timeline });
+    // ?session=all|main|<sessionId> switches to per-session scan counts
+    const timeline = await CheckIn.getCheckInTimeline(eventId, interval, session
+      ? { session: session === 'main' ? null : session }
+      : {});
+    
+    return success(res, {
+      stats: { ...stats, sessions: checkInSessionService.describeSessions(event, stats.sessions) },
+      timeline
+    });
   } catch (err) {
+    if (err.statusCode) {
+      return error(res, err.message, err.statusCode);
+    }
     console.error('Get check-in stats error:', err);
     return serverError(res, 'Failed to fetch check-in stats');
   }
@@ -254,55 +335,266 @@ const undoCheckIn = async (req, res) => {
   try {
     const { checkInId } = req.params;
     
-    const checkIn = await CheckIn.findByIdAndUpdate(
-      checkInId,
-      {
-        status: 'pending',
-        checkInTime: null,
-        checkInBy: null,
-        notes: `Undone by ${req.user.userId} at ${new Date().toISOString()}`
-      },
-      { new: true }
-    ).populate('attendee', 'firstName lastName email');
-    
-    if (!checkIn) {
+    const existing = await CheckIn.findById(checkInId).select('event status sessions');
+    if (!existing) {
       return notFound(res, 'Check-in record not found');
     }
     
+    await checkInStaffService.assertCanCheckIn(existing.event, getActor(req));
+    
+    const undoneBy = req.scanner ? `scanner ${req.scanner._id}` : req.user._id;
+    const checkIn = await checkInSessionService.undoLastEntry(existing, {
+      notes: `Undone by ${undoneBy} at ${new Date().toISOString()}`
+    });
+    
+    checkInFeedService.publishUndo(existing.event, checkIn, getActor(req));
+    
     return success(res, { checkIn }, 'Check-in undone successfully');
   } catch (err) {
+    if (err.statusCode) {
+      return error(res, err.message, err.statusCode);
+    }
     console.error('Undo check-in error:', err);
     return serverError(res, 'Failed to undo check-in');
   }
 };
 
+const getScanManifest = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { deviceId, since } = req.query;
+    
+    const manifest = await offlineCheckInService.getManifest(eventId, getActor(req), {
+      deviceId,
+      since: since ? new Date(since) : undefined
+    });
+    
+    return success(res, manifest);
+  } catch (err) {
+    if (err.statusCode) {
+      return error(res, err.message, err.statusCode);
+    }
+    console.error('Get scan manifest error:', err);
+    return serverError(res, 'Failed to build scan manifest');
+  }
+};
+
+const syncOfflineScans = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { manifestToken, ticketsHash, deviceId, scans } = req.body;
+    
+    const result = await offlineCheckInService.syncScans(eventId, getActor(req), {
+      manifestToken,
+      ticketsHash,
+      deviceId,
+      scans
+    });
+    
+    const duplicates = result.summary.duplicate || 0;
+    return success(res, result, `Synced ${result.summary.total} scans${duplicates ? ` (${duplicates} duplicates)` : ''}`);
+  } catch (err) {
+    if (err.statusCode) {
+      return error(res, err.message, err.statusCode);
+    }
+    console.error('Sync offline scans error:', err);
+    return serverError(res, 'Failed to sync offline scans');
+  }
+};
+
+const createScanner = async (req, res) => {
+  try {
+    const { label, validFrom, expiresAt } = req.body;
+    
+    const { scanner, pin } = await checkInStaffService.createScanner(req.params.eventId, req.user, {
+      label,
+      validFrom,
+      expiresAt
+    });
+    
+    return created(res, { scanner, pin }, 'Scanner created. Share the PIN with your door staff; it is not shown again.');
+  } catch (err) {
+    if (err.statusCode) {
+      return error(res, err.message, err.statusCode);
+    }
+    console.error('Create scanner error:', err);
+    return serverError(res, 'Failed to create scanner');
+  }
+};
+
+const listScanners = async (req, res) => {
+  try {
+    const scanners = await checkInStaffService.listScanners(req.params.eventId, req.user);
+    
+    return success(res, { scanners });
+  } catch (err) {
+    if (err.statusCode) {
+      return error(res, err.message, err.statusCode);
+    }
+    console.error('List scanners error:', err);
+    return serverError(res, 'Failed to fetch scanners');
+  }
+};
+
+const revokeScanner = async (req, res) => {
+  try {
+    const { eventId, scannerId } = req.params;
+    
+    const scanner = await checkInStaffService.revokeScanner(eventId, scannerId, req.user);
+    
+    return success(res, { scanner }, 'Scanner revoked');
+  } catch (err) {
+    if (err.statusCode) {
+      return error(res, err.message, err.statusCode);
+    }
+    console.error('Revoke scanner error:', err);
+    return serverError(res, 'Failed to revoke scanner');
+  }
+};
+
+const startScannerSession = async (req, res) => {
+  try {
+    const { scannerId, pin } = req.body;
+    
+    const session = await checkInStaffService.startSession(scannerId, pin);
+    
+    return success(res, session, 'Scanner signed in');
+  } catch (err) {
+    if (err.statusCode) {
+      return error(res, err.message, err.statusCode);
+    }
+    console.error('Scanner session error:', err);
+    return serverError(res, 'Failed to start scanner session');
+  }
+};
+
+const getBadge = async (req, res) => {
+  try {
+    const badge = await badgeService.getTicketBadge(req.params.checkInId, getActor(req), req.query.format || 'pdf');
+    
+    res.set({
+      'Content-Type': badge.contentType,
+      'Content-Disposition': `attachment; filename="${badge.filename}"`
+    });
+    return res.status(200).send(badge.content);
+  } catch (err) {
+    if (err.statusCode) {
+      return error(res, err.message, err.statusCode);
+    }
+    console.error('Get badge error:', err);
+    return serverError(res, 'Failed to generate badge');
+  }
+};
+
+const getEventBadges = async (req, res) => {
+  try {
+    const { format = 'pdf', status, tier, sessionId, page = 1, limit } = req.query;
+    
+    const badges = await badgeService.getEventBadges(req.params.eventId, getActor(req), {
+      format,
+      status,
+      tier,
+      sessionId,
+      page: parseInt(page),
+      limit
+    });
+    
+    res.set({
+      'Content-Type': badges.contentType,
+      'Content-Disposition': `attachment; filename="${badges.filename}"`,
+      'X-Total-Count': badges.total,
+      'X-Badge-Count': badges.count
+    });
+    return res.status(200).send(badges.content);
+  } catch (err) {
+    if (err.statusCode) {
+      return error(res, err.message, err.statusCode);
+    }
+    console.error('Get event badges error:', err);
+    return serverError(res, 'Failed to generate badges');
+  }
+};
+
+const correctAttendance = async (req, res) => {
+  try {
+    const input = req.file
+      ? { csv: req.file.buffer.toString('utf8') }
+      : { csv: req.body.csv, records: req.body.records };
+
+    const report = await attendanceService.correctAttendance(req.params.eventId, req.user, input);
+    
+    const message = report.errors.length > 0
+      ? `Attendance corrected with ${report.errors.length} rows skipped`
+      : 'Attendance corrected';
+    return success(res, report, message);
+  } catch (err) {
+    if (err.statusCode) {
+      return error(res, err.message, err.statusCode);
+    }
+    console.error('Correct attendance error:', err);
+    return serverError(res, 'Failed to correct attendance');
+  }
+};
+
+const getExportColumns = (req, res) => success(res, { columns: attendeeExportService.getColumns() });
+
+const exportAttendees = async (req, res) => {
+  try {
+    const { format, columns, status } = req.query;
+
+    const { filename, contentType, stream } = await attendeeExportService.exportAttendees(req.params.eventId, req.user, {
+      format,
+      columns,
+      status
+    });
+
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store'
+    });
+    // Rows are streamed, so a failure halfway can only cut the download short
+    pipeline(stream, res, (err) => {
+      if (err) console.error('Export attendees stream error:', err);
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return error(res, err.message, err.statusCode);
+    }
+    console.error('Export attendees error:', err);
+    return serverError(res, 'Failed to export attendees');
+  }
+};
+
+const importGuests = async (req, res) => {
+  try {
+    const input = req.file
+      ? { csv: req.file.buffer.toString('utf8') }
+      : { csv: req.body.csv, records: req.body.records };
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const sendEmails = req.body.sendEmails !== false && req.body.sendEmails !== 'false';
+
+    const report = await guestImportService.importGuests(req.params.eventId, req.user, input, { dryRun, sendEmails });
+
+    let message = dryRun
+      ? `Dry run: ${report.valid} of ${report.total} guests can be imported`
+      : `${report.imported} guests imported`;
+    if (report.errors.length > 0) {
+      message += ` (${report.errors.length} rows with errors)`;
+    }
+    return dryRun || report.imported === 0 ? success(res, report, message) : created(res, report, message);
+  } catch (err) {
+    if (err.statusCode) {
+      return error(res, err.message, err.statusCode);
+    }
+    console.error('Import guests error:', err);
+    return serverError(res, 'Failed to import guests');
+  }
+};
+
 const getMyTickets = async (req, res) => {
   try {
-    const checkIns = await CheckIn.find({
-      attendee: req.user.userId
-    })
-      .sort({ createdAt: -1 })
-      .populate('event', 'title startDateTime endDateTime location imageUrl')
-      .populate('order', 'totalAmount');
-    
-    const tickets = await Promise.all(checkIns.map(async (checkIn) => {
-      const qr = await qrService.generateQRCode({
-        eventId: checkIn.event._id.toString(),
-        orderId: checkIn.order._id.toString(),
-        attendeeId: req.user.userId,
-        ticketType: checkIn.ticketType
-      });
-      
-      return {
-        id: checkIn._id,
-        ticketNumber: `TKT-${checkIn.order._id.toString().slice(-8).toUpperCase()}`,
-        qrCode: qr.dataUrl,
-        event: checkIn.event,
-        status: checkIn.status,
-        checkInTime: checkIn.checkInTime,
-        ticketType: checkIn.ticketType
-      };
-    }));
+    const tickets = await ticketService.getUserTickets(req.user);
     
     return success(res, { tickets });
   } catch (err) {
@@ -318,5 +610,17 @@ module.exports = {
   getEventCheckIns,
   getCheckInStats,
   undoCheckIn,
-  getMyTickets
+  getMyTickets,
+  getScanManifest,
+  syncOfflineScans,
+  createScanner,
+  listScanners,
+  revokeScanner,
+  startScannerSession,
+  getBadge,
+  getEventBadges,
+  correctAttendance,
+  getExportColumns,
+  exportAttendees,
+  importGuests
 };
@@ -1,13 +1,33 @@
 const Event = require('../models/event');
 const Order = require('../models/order');
+const CheckInScan = require('../models/checkInScan');
+const reservationService = require('../services/reservationService');
+const waitlistService = require('../services/waitlistService');
+const walletPassService = require('../services/walletPassService');
+const reminderService = require('../services/reminderService');
 const { queryOptimizer } = require('../utils/queryOptimizer');
 const { createCacheMiddleware, cacheKeyGenerators } = require('../middlewares/cacheMiddleware');
 const { tryCatch, errorResponses } = require('../utils/errorUtils');
 
+// Fields an organizer may set on a ticket tier (inventory counters stay server-side)
+const TICKET_TIER_FIELDS = [
+  'name', 'type', 'description', 'price', 'quantity', 'salesStart', 'salesEnd',
+  'minPerOrder', 'maxPerOrder', 'isActive', 'sortOrder'
+];
+
+const pickTicketTierFields = (tier = {}) => {
+  const picked = {};
+  TICKET_TIER_FIELDS.forEach((field) => {
+    if (tier[field] !== undefined) picked[field] = tier[field];
+  });
+  return picked;
+};
+
 const createEvent = tryCatch(async (req, res) => {
   const {
     title, description, location, imageUrl, startDateTime, endDateTime,
-    price, isFree, url, category, capacity, tags
+    price, isFree, url, category, capacity, tags, ticketTiers, currency,
+    refundPolicy, transferPolicy, ticketSecurity, checkInSessions, badgeLayout, reminderSettings
   } = req.body;
 
   // Get user ID from authentication
@@ -24,15 +44,26 @@ const createEvent = tryCatch(async (req, res) => {
     endDateTime,
     price,
     isFree,
+    currency,
     url,
     category,
     organizer,
     capacity,
     tags,
+    ticketTiers: (ticketTiers || []).map(pickTicketTierFields),
+    refundPolicy,
+    transferPolicy,
+    ticketSecurity,
+    checkInSessions,
+    badgeLayout,
+    reminderSettings,
   };
 
   const newEvent = await Event.create(eventData);
 
+  reminderService.scheduleEvent(newEvent._id)
+    .catch((error) => console.error(`Reminder scheduling error for event ${newEvent._id}:`, error));
+
   res.status(201).json({ success: true, eventId: newEvent._id });
 });
 
@@ -122,12 +153,59 @@ const updateEvent = async (req, res) => {
 
     if (req.body.isFree) req.body.price = '0';
 
-    const updatedEvent = await Event.findByIdAndUpdate(id, req.body, { new: true });
+    // Seat and tier counters are maintained by the server; ticket tiers are managed
+    // through the tier endpoints
+    const { ticketTiers, seatsTaken, attendees, analytics, ...updates } = req.body;
+
+    const previous = await Event.findById(id)
+      .select('capacity currency organizationId checkInSessions title startDateTime endDateTime location status reminderSettings');
+
+    // Orders and refunds are in the currency the tickets were sold in
+    if (updates.currency && previous
+      && String(updates.currency).toUpperCase() !== await previous.getCurrency()
+      && await Order.exists({ event: id })) {
+      return res.status(409).json({ success: false, message: 'Currency cannot be changed after tickets have been sold' });
+    }
+
+    // Sessions are matched by _id; one that has recorded scans cannot be dropped
+    if (updates.checkInSessions && previous) {
+      const kept = new Set(updates.checkInSessions.filter((s) => s._id).map((s) => String(s._id)));
+      const removed = previous.checkInSessions.filter((s) => !kept.has(s._id.toString())).map((s) => s._id);
+      if (removed.length > 0 && await CheckInScan.exists({ event: id, session: { $in: removed } })) {
+        return res.status(409).json({ success: false, message: 'Check-in sessions with recorded scans cannot be removed' });
+      }
+    }
+
+    const updatedEvent = await Event.findByIdAndUpdate(id, updates, { new: true });
 
     if (!updatedEvent) {
       return res.status(404).json({ success: false, message: 'Event update failed' });
     }
 
+    // Raised (or removed) capacity frees seats for the waitlist
+    const capacityRaised = previous.capacity > 0
+      && (updatedEvent.capacity === 0 || updatedEvent.capacity > previous.capacity);
+    if (capacityRaised) {
+      await waitlistService.promote(updatedEvent._id);
+    }
+
+    // Wallet passes show the event's title, time and location
+    const passChanged = ['title', 'startDateTime', 'endDateTime', 'location']
+      .some((field) => String(previous[field]) !== String(updatedEvent[field]));
+    if (passChanged) {
+      walletPassService.notifyEventChanged(updatedEvent._id)
+        .catch((error) => console.error(`Wallet pass update error for event ${id}:`, error));
+    }
+
+    // Reminders follow the start time and reminder settings
+    const remindersChanged = String(previous.startDateTime) !== String(updatedEvent.startDateTime)
+      || previous.status !== updatedEvent.status
+      || JSON.stringify(previous.reminderSettings) !== JSON.stringify(updatedEvent.reminderSettings);
+    if (remindersChanged) {
+      reminderService.scheduleEvent(updatedEvent._id)
+        .catch((error) => console.error(`Reminder scheduling error for event ${id}:`, error));
+    }
+
     res.status(200).json(updatedEvent);
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
@@ -145,6 +223,7 @@ const deleteEvent = async (req, res) => {
 
   
     await Order.deleteMany({ event: id });
+    await reminderService.cancelEvent(id);
 
     res.status(200).json({ success: true, message: 'Event deleted successfully' });
   } catch (error) {
@@ -194,24 +273,26 @@ const registerForEvent = async (req, res) => {
   try {
     const { eventId } = req.params;
     const userId = req.user?.id;
-
-    const event = await Event.findById(eventId);
-    if (!event) return res.status(404).json({ success: false, message: 'Event not found' });
-
-    if (event.attendees.includes(userId)) {
-      return res.status(400).json({ success: false, message: 'Already registered' });
-    }
-
-    if (event.capacity && event.attendees.length >= event.capacity) {
-      return res.status(400).json({ success: false, message: 'Event is full' });
+    const { ticketTierId, waitlistEntryId } = req.body || {};
+
+    if (waitlistEntryId) {
+      // The seat is already held for this user by a waitlist offer
+      await waitlistService.claim(waitlistEntryId, userId, { eventId, source: 'registration' });
+    } else {
+      // Takes the seat and adds the attendee in one atomic update
+      await reservationService.reserve({
+        eventId,
+        userId,
+        tierId: ticketTierId,
+        quantity: 1,
+        source: 'registration',
+        addAttendee: true
+      });
     }
 
-    event.attendees.push(userId);
-    await event.save();
-
     res.status(200).json({ success: true, message: 'Registered successfully' });
   } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
   }
 };
 
@@ -224,8 +305,14 @@ const unregisterFromEvent = async (req, res) => {
     const event = await Event.findById(eventId);
     if (!event) return res.status(404).json({ success: false, message: 'Event not found' });
 
-    event.attendees = event.attendees.filter((id) => id.toString() !== userId);
-    await event.save();
+    const registration = await reservationService.findRegistration(eventId, userId);
+    if (registration) {
+      // Gives the seat back and removes the attendee
+      await reservationService.release(registration._id, 'unregistered');
+    } else {
+      // Registrations made before seat tracking only live in the attendees array
+      await Event.updateOne({ _id: eventId }, { $pull: { attendees: userId } });
+    }
 
     res.status(200).json({ success: true, message: 'Unregistered successfully' });
   } catch (error) {
@@ -233,6 +320,92 @@ const unregisterFromEvent = async (req, res) => {
   }
 };
 
+// Get ticket tiers for an event with live availability
+const getTicketTiers = tryCatch(async (req, res) => {
+  const event = await Event.findById(req.params.id).select('ticketTiers');
+  if (!event) {
+    return res.status(404).json(errorResponses.notFound('Event not found'));
+  }
+
+  const now = new Date();
+  const tiers = event.ticketTiers
+    .slice()
+    .sort((a, b) => a.sortOrder - b.sortOrder)
+    .map((tier) => ({
+      ...tier.toObject(),
+      onSale: tier.checkAvailability(tier.minPerOrder, now).available
+    }));
+
+  res.status(200).json({ success: true, data: tiers });
+});
+
+// Add a ticket tier to an event (organizer only)
+const addTicketTier = tryCatch(async (req, res) => {
+  const event = req.event;
+
+  event.ticketTiers.push(pickTicketTierFields(req.body));
+  await event.save();
+
+  const tier = event.ticketTiers[event.ticketTiers.length - 1];
+  res.status(201).json({ success: true, data: tier });
+});
+
+// Update a ticket tier (organizer only)
+const updateTicketTier = tryCatch(async (req, res) => {
+  const event = req.event;
+  const tier = event.getTicketTier(req.params.tierId);
+
+  if (!tier) {
+    return res.status(404).json(errorResponses.notFound('Ticket tier not found'));
+  }
+
+  const updates = pickTicketTierFields(req.body);
+  if (updates.quantity && updates.quantity < tier.sold) {
+    return res.status(400).json(errorResponses.badRequest(
+      `Quantity cannot be lower than the ${tier.sold} tickets already sold`
+    ));
+  }
+
+  const previousQuantity = tier.quantity;
+  tier.set(updates);
+  await event.save();
+
+  // Raised (or removed) tier quantity frees seats for the tier's waitlist
+  if (previousQuantity > 0 && (tier.quantity === 0 || tier.quantity > previousQuantity)) {
+    await waitlistService.promote(event._id, tier._id);
+  }
+
+  res.status(200).json({ success: true, data: tier });
+});
+
+// Remove a ticket tier that has no sales yet (organizer only)
+const deleteTicketTier = tryCatch(async (req, res) => {
+  const event = req.event;
+  const tier = event.getTicketTier(req.params.tierId);
+
+  if (!tier) {
+    return res.status(404).json(errorResponses.notFound('Ticket tier not found'));
+  }
+
+  if (tier.sold > 0) {
+    return res.status(409).json(errorResponses.conflict(
+      'Tickets have already been sold for this tier. Deactivate it instead.'
+    ));
+  }
+
+  tier.deleteOne();
+  await event.save();
+
+  res.status(200).json({ success: true, message: 'Ticket tier removed' });
+});
+
+// Scheduled reminders of an event with their delivery counts (organizer only)
+const getEventReminders = tryCatch(async (req, res) => {
+  const reminders = await reminderService.getEventReminders(req.params.id);
+
+  res.status(200).json({ success: true, data: { reminderSettings: req.event.reminderSettings, reminders } });
+});
+
 // Automatically update event status based on current time
 const updateEventStatuses = async () => {
   try {
@@ -257,5 +430,10 @@ module.exports = {
   getRelatedEvents,
   registerForEvent,
   unregisterFromEvent,
+  getTicketTiers,
+  addTicketTier,
+  updateTicketTier,
+  deleteTicketTier,
+  getEventReminders,
   updateEventStatuses,
 };
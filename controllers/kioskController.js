@@ -0,0 +1,139 @@
+const kioskService = require('../services/kioskService');
+const { success, created, error, serverError } = require('../utils/responseHandler');
+
+const handleServiceError = (res, err, fallbackMessage) => {
+  if (err.statusCode) {
+    return error(res, err.message, err.statusCode);
+  }
+  console.error(`${fallbackMessage}:`, err);
+  return serverError(res, fallbackMessage);
+};
+
+// Request details kept in the kiosk's activity log
+const getRequestMeta = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent')
+});
+
+const registerKiosk = async (req, res) => {
+  try {
+    const { label, sessionId, expiresAt, idleLockMinutes } = req.body;
+
+    const result = await kioskService.registerKiosk(req.params.eventId, req.user, {
+      label,
+      sessionId,
+      expiresAt,
+      idleLockMinutes
+    }, getRequestMeta(req));
+
+    return created(res, result, 'Kiosk registered. Keep the unlock PIN with your staff; it is not shown again.');
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to register kiosk');
+  }
+};
+
+const listKiosks = async (req, res) => {
+  try {
+    const kiosks = await kioskService.listKiosks(req.params.eventId, req.user);
+
+    return success(res, { kiosks });
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to fetch kiosks');
+  }
+};
+
+const revokeKiosk = async (req, res) => {
+  try {
+    const { eventId, kioskId } = req.params;
+
+    const kiosk = await kioskService.revokeKiosk(eventId, kioskId, req.user, getRequestMeta(req));
+
+    return success(res, { kiosk }, 'Kiosk revoked');
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to revoke kiosk');
+  }
+};
+
+const unlockKioskRemotely = async (req, res) => {
+  try {
+    const { eventId, kioskId } = req.params;
+
+    const kiosk = await kioskService.unlockByOrganizer(eventId, kioskId, req.user, getRequestMeta(req));
+
+    return success(res, { kiosk }, 'Kiosk unlocked');
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to unlock kiosk');
+  }
+};
+
+const getKioskActivity = async (req, res) => {
+  try {
+    const { eventId, kioskId } = req.params;
+    const { page = 1, limit = 50 } = req.query;
+
+    const activity = await kioskService.getActivity(eventId, kioskId, req.user, {
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    return success(res, activity);
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to fetch kiosk activity');
+  }
+};
+
+// Endpoints below are called by the kiosk itself with its kiosk token
+
+const getKioskStatus = async (req, res) => {
+  try {
+    const status = await kioskService.getStatus(req.kiosk);
+
+    return success(res, status);
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to fetch kiosk status');
+  }
+};
+
+const kioskCheckIn = async (req, res) => {
+  try {
+    const { token, email, confirmationCode } = req.body;
+
+    const result = await kioskService.checkIn(req.kiosk, { token, email, confirmationCode }, getRequestMeta(req));
+
+    return success(res, result, result.message);
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to check in');
+  }
+};
+
+const lockKiosk = async (req, res) => {
+  try {
+    const kiosk = await kioskService.lock(req.kiosk, getRequestMeta(req));
+
+    return success(res, { kiosk }, 'Kiosk locked');
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to lock kiosk');
+  }
+};
+
+const unlockKiosk = async (req, res) => {
+  try {
+    const kiosk = await kioskService.unlock(req.kiosk, req.body.pin, getRequestMeta(req));
+
+    return success(res, { kiosk }, 'Kiosk unlocked');
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to unlock kiosk');
+  }
+};
+
+module.exports = {
+  registerKiosk,
+  listKiosks,
+  revokeKiosk,
+  unlockKioskRemotely,
+  getKioskActivity,
+  getKioskStatus,
+  kioskCheckIn,
+  lockKiosk,
+  unlockKiosk
+};
@@ -1,40 +1,142 @@
 const Stripe = require('stripe');
 const Order = require('../models/order');
 const Event = require('../models/event');
-const User = require('../models/user');
+const reservationService = require('../services/reservationService');
+const waitlistService = require('../services/waitlistService');
+const refundService = require('../services/refundService');
+const stripeWebhookService = require('../services/stripeWebhookService');
+const promoCodeService = require('../services/promoCodeService');
+const ticketService = require('../services/ticketService');
+const invoiceService = require('../services/invoiceService');
+const { toMinorUnits } = require('../utils/currency');
+const EventCollaborationService = require('../services/eventCollaborationService');
 const nodemailer = require('nodemailer');
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
 const checkoutOrder = async (req, res) => {
-  const { isFree, price, eventTitle, eventId, buyerId } = req.body;
-  const amount = isFree ? 0 : Number(price) * 100;
+  const { eventId, ticketTierId, waitlistEntryId, promoCode, billingDetails = {} } = req.body;
+  let quantity = parseInt(req.body.quantity, 10) || 1;
+  const buyerId = req.user._id.toString();
+  let reservation = null;
+  let redemption = null;
 
   try {
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    if (event.ticketTiers.length === 0 && quantity !== 1) {
+      return res.status(400).json({ success: false, message: 'Only one ticket can be purchased for this event' });
+    }
+
+    if (waitlistEntryId) {
+      // Seats offered from the waitlist are already held; keep holding them for checkout
+      ({ reservation } = await waitlistService.claim(waitlistEntryId, buyerId, {
+        eventId: event._id,
+        source: 'checkout',
+        hold: true
+      }));
+      quantity = reservation.quantity;
+    } else {
+      // Hold the seats while the buyer is in Stripe Checkout
+      reservation = await reservationService.reserve({
+        eventId: event._id,
+        userId: buyerId,
+        tierId: ticketTierId,
+        quantity,
+        source: 'checkout',
+        hold: true
+      });
+    }
+
+    // Price is always resolved server-side from the event / tier
+    const tier = event.getTicketTier(reservation.ticketTier);
+    const unitPrice = tier ? tier.price : (event.isFree ? 0 : Number(event.price) || 0);
+    const productName = tier ? `${event.title} - ${tier.name}` : event.title;
+    const subtotal = unitPrice * quantity;
+    const currency = await event.getCurrency();
+
+    let discounts;
+    if (promoCode) {
+      const { promo, discountAmount } = await promoCodeService.validate(promoCode, {
+        event,
+        tierId: reservation.ticketTier,
+        userId: buyerId,
+        subtotal,
+        currency
+      });
+
+      redemption = await promoCodeService.reserve(promo, {
+        eventId: event._id,
+        userId: buyerId,
+        discountAmount,
+        reservationId: reservation._id
+      });
+
+      // One-off coupon carrying the amount we computed, so Stripe charges exactly that
+      const coupon = await stripe.coupons.create({
+        amount_off: toMinorUnits(discountAmount, currency),
+        currency: currency.toLowerCase(),
+        duration: 'once',
+        max_redemptions: 1,
+        name: promo.code,
+        metadata: { promoCodeId: promo._id.toString(), redemptionId: redemption._id.toString() },
+      });
+      discounts = [{ coupon: coupon.id }];
+    }
+
+    const sessionExpiresAt = reservationService.getCheckoutExpiry(reservation);
     const session = await stripe.checkout.sessions.create({
       payment_method_types: ['card'],
       line_items: [
         {
           price_data: {
-            currency: 'inr',
-            unit_amount: amount,
+            currency: currency.toLowerCase(),
+            unit_amount: toMinorUnits(unitPrice, currency),
             product_data: {
-              name: eventTitle,
+              name: productName,
             },
           },
-          quantity: 1,
+          quantity,
         },
       ],
-      metadata: { eventId, buyerId },
+      metadata: {
+        eventId: event._id.toString(),
+        buyerId,
+        ticketTierId: tier ? tier._id.toString() : '',
+        quantity: String(quantity),
+        reservationId: reservation._id.toString(),
+        redemptionId: redemption ? redemption._id.toString() : '',
+        // Printed on the invoice; name and address are collected by Stripe
+        billingCompany: billingDetails.company || '',
+        billingTaxId: billingDetails.taxId || '',
+      },
+      billing_address_collection: 'required',
+      discounts,
+      // Copied onto the PaymentIntent so payment failures can be traced back to the buyer
+      payment_intent_data: {
+        metadata: { eventId: event._id.toString(), buyerId },
+      },
       mode: 'payment',
+      expires_at: Math.floor(sessionExpiresAt.getTime() / 1000),
       success_url: `${process.env.CLIENT_BASE_URL}/`,
       cancel_url: `${process.env.CLIENT_BASE_URL}/`,
     });
 
-    res.json({ url: session.url });
+    await reservationService.attachSession(reservation._id, session.id);
+
+    res.json({ url: session.url, expiresAt: reservation.expiresAt, currency });
   } catch (error) {
+    if (reservation) {
+      await reservationService.release(reservation._id, 'checkout_failed');
+    }
+    if (redemption) {
+      await promoCodeService.release(redemption._id);
+    }
     console.error('Stripe checkout session error:', error);
-    res.status(500).json({ success: false, message: error.message });
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
   }
 };
 
@@ -50,63 +152,200 @@ const createOrder = async (req, res) => {
   }
 };
 
-const communicationConfig = require('../config/communicationConfig');
-const transporter = communicationConfig.getEmailTransporter();
-
 // Handle Stripe webhook events
 const handleStripeWebhook = async (req, res) => {
   const sig = req.headers['stripe-signature'];
   const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
 
+  let event;
   try {
-    const event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
-    
+    event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
+  } catch (error) {
+    console.error('Webhook Error:', error);
+    return res.status(400).send(`Webhook Error: ${error.message}`);
+  }
+
+  try {
+    const result = await stripeWebhookService.process(event);
 
-    if (event.type === 'checkout.session.completed') {
-      const session = event.data.object;
-      const { metadata } = session;
-      
+    // Retried deliveries are acknowledged without being processed again
+    res.json({ received: true, duplicate: Boolean(result.duplicate) });
+  } catch (error) {
+    // Recorded as failed in the ledger; a 500 makes Stripe retry the delivery
+    console.error(`Webhook processing error for ${event.id}:`, error);
+    res.status(500).json({ received: false, message: error.message });
+  }
+};
 
-      const eventData = await Event.findById(metadata.eventId);
+// List Stripe webhook deliveries for reconciliation (admin only)
+const listWebhookEvents = async (req, res) => {
+  try {
+    const { status, type, objectId } = req.query;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
 
+    const { events, total } = await stripeWebhookService.list({ status, type, objectId, page, limit });
 
-      // Check if the user is already registered for the event
-    const existingOrder = await Order.findOne({ buyer: metadata.buyerId, event: metadata.eventId });
-    if (existingOrder) {
-      // User is already registered for the event
-      return res.status(400).json({ success: false, message: 'You have already registered for this event.' });
-    }
+    res.status(200).json({
+      success: true,
+      data: events,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
 
-      // Create order with stripeId
-      const newOrder = await Order.create({
-        event: metadata.eventId,
-        buyer: metadata.buyerId,
-        totalAmount: session.amount_total / 100,
-        createdAt: new Date(),
-        stripeId: session.id, // Include stripeId here
-      });
+// Replay a failed Stripe webhook delivery (admin only)
+const replayWebhookEvent = async (req, res) => {
+  try {
+    const event = await stripeWebhookService.replay(req.params.id);
+
+    res.status(200).json({
+      success: event.status === 'processed',
+      message: event.status === 'processed' ? 'Webhook event replayed' : `Replay failed: ${event.lastError}`,
+      data: event,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
 
-      // Get buyer details
-      const buyer = await User.findById(metadata.buyerId);
+// Organizer-initiated full or partial refund
+const refundOrder = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { amount, reason } = req.body;
 
-      // Send email notification
-      await transporter.sendMail({
-        from: process.env.EMAIL_USER,
-        to: buyer.email,
-        subject: 'Order Confirmation',
-        text: `Thank you for your purchase!\n\nEvent: ${eventData.title}\nAmount: ${session.amount_total / 100} INR\n\nYour order has been placed successfully.`,
-      });
+    const order = await Order.findById(orderId).select('event');
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
 
-      res.json({ received: true });
-    } else {
-      res.status(400).end(); // Unexpected event type
+    const allowed = await EventCollaborationService.hasPermission(
+      order.event.toString(),
+      req.user._id.toString(),
+      'manage_attendees'
+    );
+    if (!allowed) {
+      return res.status(403).json({ success: false, message: 'Only the event organizer can refund orders' });
     }
+
+    const refunded = await refundService.refundOrder(orderId, {
+      amount,
+      reason,
+      initiatedBy: req.user._id,
+    });
+
+    res.status(200).json({ success: true, message: 'Refund issued', order: refunded });
   } catch (error) {
-    console.error('Webhook Error:', error);
-    res.status(400).send(`Webhook Error: ${error.message}`);
+    console.error('Refund error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// Attendee self-cancellation within the event's refund policy
+const cancelOrder = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { reason } = req.body;
+
+    const { order, refundAmount } = await refundService.cancelOrder(orderId, req.user._id, reason);
+
+    res.status(200).json({
+      success: true,
+      message: refundAmount > 0 ? `Order cancelled. ${refundAmount} will be refunded.` : 'Order cancelled',
+      order,
+      refundAmount,
+    });
+  } catch (error) {
+    console.error('Cancel order error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// All tickets of an order, with their attendees (buyer only)
+const getOrderTickets = async (req, res) => {
+  try {
+    const { order, tickets } = await ticketService.getOrderTickets(req.params.orderId, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      order: { _id: order._id, event: order.event, quantity: order.quantity, status: order.status },
+      tickets,
+    });
+  } catch (error) {
+    console.error('Get order tickets error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// Assign a ticket of the order to an attendee, by user id or by email (buyer only)
+const assignTicket = async (req, res) => {
+  try {
+    const { orderId, ticketId } = req.params;
+    const { userId, email, name, organization } = req.body;
+
+    const ticket = await ticketService.assign(orderId, ticketId, req.user._id, { userId, email, name, organization });
+
+    res.status(200).json({ success: true, message: 'Ticket assigned', ticket });
+  } catch (error) {
+    console.error('Assign ticket error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
   }
 };
 
+// Take a ticket back from its attendee (buyer only)
+const unassignTicket = async (req, res) => {
+  try {
+    const { orderId, ticketId } = req.params;
+
+    const ticket = await ticketService.unassign(orderId, ticketId, req.user._id);
+
+    res.status(200).json({ success: true, message: 'Ticket unassigned', ticket });
+  } catch (error) {
+    console.error('Unassign ticket error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// Invoice and credit notes of an order (buyer or organizer)
+const listOrderInvoices = async (req, res) => {
+  try {
+    const invoices = await invoiceService.listForOrder(req.params.orderId, req.user);
+
+    res.status(200).json({ success: true, invoices });
+  } catch (error) {
+    console.error('List invoices error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// Download an invoice or credit note as PDF (default), HTML or JSON
+const getOrderInvoice = async (req, res) => {
+  try {
+    const invoice = await invoiceService.getForOrder(req.params.orderId, req.params.invoiceId, req.user);
+    const format = req.query.format || 'pdf';
+
+    if (format === 'json') {
+      return res.status(200).json({ success: true, invoice });
+    }
+
+    if (format === 'html') {
+      return res.status(200).type('html').send(invoiceService.renderHtml(invoice));
+    }
+
+    const pdf = await invoiceService.renderPdf(invoice);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${invoice.number}.pdf"`,
+    });
+    res.status(200).send(pdf);
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
 
 const getOrdersByEvent = async (req, res) => {
   try {
@@ -179,5 +418,14 @@ module.exports = {
   getOrdersByEvent,
   getOrdersByUser,
   handleStripeWebhook,
-  getRegisteredUsers
+  getRegisteredUsers,
+  refundOrder,
+  cancelOrder,
+  getOrderTickets,
+  assignTicket,
+  unassignTicket,
+  listOrderInvoices,
+  getOrderInvoice,
+  listWebhookEvents,
+  replayWebhookEvent
 };
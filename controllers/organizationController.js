@@ -112,7 +112,7 @@ const getOrganization = async (req, res) => {
 // Update organization
 const updateOrganization = async (req, res) => {
   try {
-    const { name, description, logo, website, settings } = req.body;
+    const { name, description, logo, website, settings, billing } = req.body;
     const organization = req.organization;
 
     if (name) organization.name = name;
@@ -122,6 +122,9 @@ const updateOrganization = async (req, res) => {
     if (settings) {
       organization.settings = { ...organization.settings, ...settings };
     }
+    if (billing) {
+      organization.set('billing', billing, { merge: true });
+    }
 
     await organization.save();
 
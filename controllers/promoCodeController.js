@@ -0,0 +1,78 @@
+const promoCodeService = require('../services/promoCodeService');
+const { success, created, error, serverError } = require('../utils/responseHandler');
+
+const handleServiceError = (res, err, fallbackMessage) => {
+  if (err.statusCode) {
+    return error(res, err.message, err.statusCode);
+  }
+  console.error(`${fallbackMessage}:`, err);
+  return serverError(res, fallbackMessage);
+};
+
+const createPromoCode = async (req, res) => {
+  try {
+    const promoCode = await promoCodeService.create(req.body, req.user._id);
+
+    return created(res, { promoCode }, 'Promo code created');
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to create promo code');
+  }
+};
+
+const listPromoCodes = async (req, res) => {
+  try {
+    const { eventId, organizationId } = req.query;
+
+    const promoCodes = await promoCodeService.list({ event: eventId, organizationId }, req.user._id);
+
+    return success(res, { promoCodes, total: promoCodes.length });
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to fetch promo codes');
+  }
+};
+
+const updatePromoCode = async (req, res) => {
+  try {
+    const promoCode = await promoCodeService.update(req.params.id, req.body, req.user._id);
+
+    return success(res, { promoCode }, 'Promo code updated');
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to update promo code');
+  }
+};
+
+const deactivatePromoCode = async (req, res) => {
+  try {
+    const promoCode = await promoCodeService.deactivate(req.params.id, req.user._id);
+
+    return success(res, { promoCode }, 'Promo code deactivated');
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to deactivate promo code');
+  }
+};
+
+const validatePromoCode = async (req, res) => {
+  try {
+    const { code, eventId, ticketTierId } = req.body;
+    const quantity = parseInt(req.body.quantity, 10) || 1;
+
+    const pricing = await promoCodeService.preview(code, {
+      eventId,
+      tierId: ticketTierId,
+      quantity,
+      userId: req.user._id
+    });
+
+    return success(res, pricing, 'Promo code applied');
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to validate promo code');
+  }
+};
+
+module.exports = {
+  createPromoCode,
+  listPromoCodes,
+  updatePromoCode,
+  deactivatePromoCode,
+  validatePromoCode
+};
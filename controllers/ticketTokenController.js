@@ -0,0 +1,36 @@
+const ticketTokenService = require('../services/ticketTokenService');
+const { success, error, serverError } = require('../utils/responseHandler');
+
+const handleServiceError = (res, err, fallbackMessage) => {
+  if (err.statusCode) {
+    return error(res, err.message, err.statusCode);
+  }
+  console.error(`${fallbackMessage}:`, err);
+  return serverError(res, fallbackMessage);
+};
+
+const reissueTicketToken = async (req, res) => {
+  try {
+    const ticket = await ticketTokenService.revoke(req.params.ticketId, req.user, { reason: req.body.reason });
+
+    return success(res, { ticket }, 'The old QR code was revoked and a new one issued');
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to reissue ticket QR code');
+  }
+};
+
+const getLiveQRCode = async (req, res) => {
+  try {
+    const code = await ticketTokenService.getLiveCode(req.params.ticketId, req.user);
+
+    res.set('Cache-Control', 'no-store');
+    return success(res, code);
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to generate live QR code');
+  }
+};
+
+module.exports = {
+  reissueTicketToken,
+  getLiveQRCode
+};
@@ -0,0 +1,81 @@
+const ticketTransferService = require('../services/ticketTransferService');
+const { success, created, error, serverError } = require('../utils/responseHandler');
+
+const handleServiceError = (res, err, fallbackMessage) => {
+  if (err.statusCode) {
+    return error(res, err.message, err.statusCode);
+  }
+  console.error(`${fallbackMessage}:`, err);
+  return serverError(res, fallbackMessage);
+};
+
+const initiateTransfer = async (req, res) => {
+  try {
+    const { email, name, message } = req.body;
+
+    const transfer = await ticketTransferService.initiate(req.params.ticketId, req.user, { email, name, message });
+
+    return created(res, { transfer }, `Transfer sent to ${transfer.toEmail}`);
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to start ticket transfer');
+  }
+};
+
+const getTransferHistory = async (req, res) => {
+  try {
+    const transfers = await ticketTransferService.getHistory(req.params.ticketId, req.user);
+
+    return success(res, { transfers });
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to fetch ticket history');
+  }
+};
+
+const getIncomingTransfers = async (req, res) => {
+  try {
+    const transfers = await ticketTransferService.listIncoming(req.user);
+
+    return success(res, { transfers });
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to fetch incoming transfers');
+  }
+};
+
+const acceptTransfer = async (req, res) => {
+  try {
+    const { transfer, ticket } = await ticketTransferService.accept(req.params.transferId, req.user);
+
+    return success(res, { transfer, ticket }, 'Ticket transferred to you');
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to accept ticket transfer');
+  }
+};
+
+const declineTransfer = async (req, res) => {
+  try {
+    const transfer = await ticketTransferService.decline(req.params.transferId, req.user);
+
+    return success(res, { transfer }, 'Transfer declined');
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to decline ticket transfer');
+  }
+};
+
+const cancelTransfer = async (req, res) => {
+  try {
+    const transfer = await ticketTransferService.cancel(req.params.transferId, req.user);
+
+    return success(res, { transfer }, 'Transfer cancelled');
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to cancel ticket transfer');
+  }
+};
+
+module.exports = {
+  initiateTransfer,
+  getTransferHistory,
+  getIncomingTransfers,
+  acceptTransfer,
+  declineTransfer,
+  cancelTransfer
+};
@@ -60,7 +60,7 @@ const updateUser = async (req, res) => {
       });
     }
 
-    const { email, username, firstName, lastName, avatar } = req.body;
+    const { email, username, firstName, lastName, avatar, phoneNumber } = req.body;
     
     // Check if email or username is being changed and if it's already taken
     if (email || username) {
@@ -82,7 +82,7 @@ const updateUser = async (req, res) => {
 
     const updatedUser = await User.findByIdAndUpdate(
       id, 
-      { email, username, firstName, lastName, avatar }, 
+      { email, username, firstName, lastName, avatar, phoneNumber }, 
       { new: true, runValidators: true }
     );
 
@@ -0,0 +1,82 @@
+const waitlistService = require('../services/waitlistService');
+const { success, created, error, serverError } = require('../utils/responseHandler');
+
+const handleServiceError = (res, err, fallbackMessage) => {
+  if (err.statusCode) {
+    return error(res, err.message, err.statusCode);
+  }
+  console.error(`${fallbackMessage}:`, err);
+  return serverError(res, fallbackMessage);
+};
+
+const joinWaitlist = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { ticketTierId } = req.body;
+
+    const { entry, position } = await waitlistService.join(eventId, req.user._id, ticketTierId);
+
+    return created(res, { entry, position }, `You are number ${position} on the waitlist`);
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to join waitlist');
+  }
+};
+
+const leaveWaitlist = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { ticketTierId } = req.query;
+
+    await waitlistService.leave(eventId, req.user._id, ticketTierId);
+
+    return success(res, null, 'You have left the waitlist');
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to leave waitlist');
+  }
+};
+
+const getMyWaitlistStatus = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    const entries = await waitlistService.getUserEntries(eventId, req.user._id);
+
+    return success(res, { entries });
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to fetch waitlist status');
+  }
+};
+
+const getEventWaitlist = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { ticketTierId, status } = req.query;
+
+    const entries = await waitlistService.list(eventId, { tierId: ticketTierId, status });
+
+    return success(res, { entries, total: entries.length });
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to fetch waitlist');
+  }
+};
+
+const reorderWaitlist = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { ticketTierId, entryIds } = req.body;
+
+    const entries = await waitlistService.reorder(eventId, ticketTierId, entryIds);
+
+    return success(res, { entries }, 'Waitlist reordered');
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to reorder waitlist');
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  leaveWaitlist,
+  getMyWaitlistStatus,
+  getEventWaitlist,
+  reorderWaitlist
+};
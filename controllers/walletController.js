@@ -0,0 +1,105 @@
+const walletPassService = require('../services/walletPassService');
+const { error, serverError } = require('../utils/responseHandler');
+
+const handleServiceError = (res, err, fallbackMessage) => {
+  if (err.statusCode) {
+    return error(res, err.message, err.statusCode);
+  }
+  console.error(`${fallbackMessage}:`, err);
+  return serverError(res, fallbackMessage);
+};
+
+// PassKit sends the pass's authentication token as "Authorization: ApplePass <token>"
+const getPassAuthToken = (req) => (req.headers.authorization || '').replace(/^ApplePass\s+/i, '');
+
+const sendPass = (res, { pass, lastModified, notModified }) => {
+  if (notModified) {
+    return res.status(304).end();
+  }
+
+  res.set({
+    'Content-Type': 'application/vnd.apple.pkpass',
+    'Last-Modified': lastModified.toUTCString(),
+    'Cache-Control': 'no-store'
+  });
+  return res.send(pass);
+};
+
+// Download link from the ticket and the confirmation email
+const downloadApplePass = async (req, res) => {
+  try {
+    const result = await walletPassService.getApplePass(req.params.serialNumber, req.query.auth);
+
+    res.set('Content-Disposition', `attachment; filename="ticket-${req.params.serialNumber}.pkpass"`);
+    return sendPass(res, result);
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to generate wallet pass');
+  }
+};
+
+const getLatestApplePass = async (req, res) => {
+  try {
+    const since = req.headers['if-modified-since'] ? new Date(req.headers['if-modified-since']) : undefined;
+    const result = await walletPassService.getApplePass(req.params.serialNumber, getPassAuthToken(req), {
+      modifiedSince: since && !Number.isNaN(since.getTime()) ? since : undefined
+    });
+
+    return sendPass(res, result);
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to generate wallet pass');
+  }
+};
+
+const registerDevice = async (req, res) => {
+  try {
+    const { deviceId, passTypeId, serialNumber } = req.params;
+    const created = await walletPassService.registerDevice(
+      deviceId, passTypeId, serialNumber, getPassAuthToken(req), req.body.pushToken
+    );
+
+    return res.status(created ? 201 : 200).end();
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to register device');
+  }
+};
+
+const unregisterDevice = async (req, res) => {
+  try {
+    const { deviceId, passTypeId, serialNumber } = req.params;
+    await walletPassService.unregisterDevice(deviceId, passTypeId, serialNumber, getPassAuthToken(req));
+
+    return res.status(200).end();
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to unregister device');
+  }
+};
+
+const getUpdatedPasses = async (req, res) => {
+  try {
+    const updates = await walletPassService.getUpdatedSerials(
+      req.params.deviceId, req.params.passTypeId, req.query.passesUpdatedSince
+    );
+
+    if (!updates) {
+      return res.status(204).end();
+    }
+    return res.status(200).json(updates);
+  } catch (err) {
+    return handleServiceError(res, err, 'Failed to list updated passes');
+  }
+};
+
+// Errors reported by Wallet about our web service
+const logDeviceErrors = (req, res) => {
+  (req.body.logs || []).forEach((message) => console.warn('Apple Wallet:', message));
+  return res.status(200).end();
+};
+
+module.exports = {
+  downloadApplePass,
+  getLatestApplePass,
+  registerDevice,
+  unregisterDevice,
+  getUpdatedPasses,
+  logDeviceErrors
+};
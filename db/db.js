@@ -28,6 +28,27 @@ const options = {
   writeConcern: { w: 'majority', j: true }
 };
 
+// Indexes replaced by newer ones that would otherwise still be enforced
+const LEGACY_INDEXES = [
+  // One ticket per attendee, also for unassigned tickets; group orders need several of those
+  // (replaced by event_attendee_assigned on CheckIn)
+  { collection: 'checkins', name: 'event_1_attendee_1' }
+];
+
+async function dropLegacyIndexes() {
+  for (const { collection, name } of LEGACY_INDEXES) {
+    try {
+      await mongoose.connection.collection(collection).dropIndex(name);
+      logger.info(`Dropped legacy index ${name} on ${collection}`);
+    } catch (error) {
+      // 26: no such collection, 27: no such index (already dropped)
+      if (error.code !== 26 && error.code !== 27) {
+        logger.error(`Could not drop legacy index ${name} on ${collection}:`, error);
+      }
+    }
+  }
+}
+
 async function connectToMongo() {
   if (isConnected) {
     logger.info('Already connected to MongoDB');
@@ -59,6 +80,8 @@ async function connectToMongo() {
     } catch (indexError) {
       logger.warn('Warning: Some indexes could not be created:', indexError.message);
     }
+
+    await dropLegacyIndexes();
     
     // Handle connection events
     mongoose.connection.on('error', (err) => {
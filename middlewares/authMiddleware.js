@@ -11,6 +11,17 @@ const requireAuth = (req, res, next) => {
   next();
 };
 
+// Authorization middleware for platform administrators
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Admin role required.'
+    });
+  }
+  next();
+};
+
 // Authorization middleware for event operations
 const requireEventOwnership = async (req, res, next) => {
   try {
@@ -44,9 +55,95 @@ const requireEventOwnership = async (req, res, next) => {
   }
 };
 
+// Authorization middleware for event management actions
+// Allows the organizer and co-organizers holding the given permission
+const requireEventPermission = (permission) => async (req, res, next) => {
+  try {
+    const EventCollaborationService = require('../services/eventCollaborationService');
+    const eventId = req.params.eventId || req.params.id;
+    const userId = req.user._id.toString();
+
+    const allowed = await EventCollaborationService.hasPermission(eventId, userId, permission);
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have permission to manage this event.'
+      });
+    }
+
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error checking event permissions'
+    });
+  }
+};
+
+// Authentication for check-in endpoints: a user token, or a scanner token issued
+// to a door device (sets req.scanner instead of req.user)
+const authenticateCheckInStaff = async (req, res, next) => {
+  try {
+    const checkInStaffService = require('../services/checkInStaffService');
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    const scanner = token ? await checkInStaffService.authenticateScanner(token) : null;
+    if (!scanner) {
+      return authenticateToken(req, res, next);
+    }
+
+    req.scanner = scanner;
+    req.auth = {
+      scannerId: scanner._id.toString(),
+      eventId: scanner.event.toString()
+    };
+    next();
+  } catch (error) {
+    return res.status(error.statusCode || 401).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Authentication for kiosk endpoints: only a kiosk token issued to a self-service
+// check-in device (sets req.kiosk)
+const authenticateKiosk = async (req, res, next) => {
+  try {
+    const kioskService = require('../services/kioskService');
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    const kiosk = token ? await kioskService.authenticateKiosk(token) : null;
+    if (!kiosk) {
+      return res.status(401).json({
+        success: false,
+        message: 'Kiosk token required'
+      });
+    }
+
+    req.kiosk = kiosk;
+    req.auth = {
+      kioskId: kiosk._id.toString(),
+      eventId: kiosk.event.toString()
+    };
+    next();
+  } catch (error) {
+    return res.status(error.statusCode || 401).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 module.exports = {
   authenticateToken,
+  authenticateCheckInStaff,
+  authenticateKiosk,
   requireAuth,
+  requireAdmin,
   requireEventOwnership,
+  requireEventPermission,
   optionalAuth
 };
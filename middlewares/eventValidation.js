@@ -1,5 +1,65 @@
 const { body } = require('express-validator');
 
+// Printed badge layout, the same on create and update
+const badgeLayoutValidations = [
+  body('badgeLayout.widthMm')
+    .optional()
+    .isFloat({ min: 50, max: 216 })
+    .withMessage('Badge width must be 50-216 mm'),
+  
+  body('badgeLayout.heightMm')
+    .optional()
+    .isFloat({ min: 30, max: 280 })
+    .withMessage('Badge height must be 30-280 mm'),
+  
+  body(['badgeLayout.headerText', 'badgeLayout.footerText'])
+    .optional()
+    .trim()
+    .isLength({ max: 80 })
+    .withMessage('Badge header and footer text must be at most 80 characters'),
+  
+  body('badgeLayout.accentColor')
+    .optional()
+    .matches(/^#[0-9A-Fa-f]{6}$/)
+    .withMessage('Badge accent color must be a hex color like #1F2937'),
+  
+  body(['badgeLayout.showOrganization', 'badgeLayout.showTicketTier', 'badgeLayout.showQRCode'])
+    .optional()
+    .isBoolean()
+    .withMessage('Badge show* options must be boolean values'),
+  
+  body('badgeLayout.printerDpi')
+    .optional()
+    .isIn([152, 203, 300, 600])
+    .withMessage('Badge printer resolution must be 152, 203, 300 or 600 dpi')
+];
+
+// Reminders to ticket holders, the same on create and update
+const reminderSettingsValidations = [
+  body('reminderSettings.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('reminderSettings.enabled must be a boolean value'),
+  
+  body('reminderSettings.offsetsMinutes')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Reminder offsets must be an array of at most 10 values'),
+  
+  body('reminderSettings.offsetsMinutes.*')
+    .isInt({ min: 5, max: 43200 })
+    .withMessage('Reminder offsets must be 5-43200 minutes (30 days) before the start'),
+  
+  body('reminderSettings.channels')
+    .optional()
+    .isArray({ max: 3 })
+    .withMessage('Reminder channels must be an array'),
+  
+  body('reminderSettings.channels.*')
+    .isIn(['email', 'sms', 'push'])
+    .withMessage('Reminder channels must be email, sms or push')
+];
+
 // Event-specific validations
 const eventValidations = {
   create: [
@@ -83,7 +143,104 @@ const eventValidations = {
     body('meetingLink')
       .optional()
       .isURL({ protocols: ['http', 'https'] })
-      .withMessage('Meeting link must be a valid URL')
+      .withMessage('Meeting link must be a valid URL'),
+    
+    body('ticketTiers')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('Ticket tiers must be an array with at most 20 items'),
+    
+    body('ticketTiers.*.name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Each ticket tier needs a name of 1-100 characters'),
+    
+    body('ticketTiers.*.price')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Ticket tier price must be a positive number'),
+    
+    body('ticketTiers.*.quantity')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Ticket tier quantity must be a non-negative integer'),    
+    body('refundPolicy.allowSelfCancellation')
+      .optional()
+      .isBoolean()
+      .withMessage('allowSelfCancellation must be a boolean value'),
+    
+    body('refundPolicy.cancellationDeadlineHours')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Cancellation deadline must be a non-negative number of hours'),
+    
+    body('refundPolicy.refundPercentage')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Refund percentage must be between 0 and 100'),
+    
+    body('currency')
+      .optional()
+      .isISO4217()
+      .withMessage('Currency must be a valid ISO 4217 code (e.g. INR, USD, EUR)'),
+    
+    body('transferPolicy.allowTransfers')
+      .optional()
+      .isBoolean()
+      .withMessage('allowTransfers must be a boolean value'),
+    
+    body('transferPolicy.maxTransfersPerTicket')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Transfer limit must be a non-negative integer (0 = unlimited)'),
+    
+    body('transferPolicy.transferDeadlineHours')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Transfer deadline must be a non-negative number of hours'),
+    
+    body('ticketSecurity.rotatingQr')
+      .optional()
+      .isBoolean()
+      .withMessage('rotatingQr must be a boolean value'),
+    
+    body('ticketSecurity.rotationSeconds')
+      .optional()
+      .isInt({ min: 15, max: 300 })
+      .withMessage('QR rotation must be 15-300 seconds'),
+    
+    body('checkInSessions')
+      .optional()
+      .isArray({ max: 100 })
+      .withMessage('checkInSessions must be an array of at most 100 sessions'),
+    
+    body('checkInSessions.*.name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Each check-in session needs a name of 1-100 characters'),
+    
+    body('checkInSessions.*.startsAt')
+      .optional()
+      .isISO8601()
+      .withMessage('Session start must be a valid date'),
+    
+    body('checkInSessions.*.endsAt')
+      .optional()
+      .isISO8601()
+      .withMessage('Session end must be a valid date'),
+    
+    body('checkInSessions.*.ticketTiers')
+      .optional()
+      .isArray()
+      .withMessage('Session ticketTiers must be an array of ticket tier ids'),
+    
+    body('checkInSessions.*.allowReentry')
+      .optional()
+      .isBoolean()
+      .withMessage('allowReentry must be a boolean value'),
+    
+    ...badgeLayoutValidations,
+    ...reminderSettingsValidations
   ],
 
   update: [
@@ -169,8 +326,148 @@ const eventValidations = {
     body('meetingLink')
       .optional()
       .isURL({ protocols: ['http', 'https'] })
-      .withMessage('Meeting link must be a valid URL')
-  ]
+      .withMessage('Meeting link must be a valid URL'),    
+    body('refundPolicy.allowSelfCancellation')
+      .optional()
+      .isBoolean()
+      .withMessage('allowSelfCancellation must be a boolean value'),
+    
+    body('refundPolicy.cancellationDeadlineHours')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Cancellation deadline must be a non-negative number of hours'),
+    
+    body('refundPolicy.refundPercentage')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Refund percentage must be between 0 and 100'),
+    
+    body('currency')
+      .optional()
+      .isISO4217()
+      .withMessage('Currency must be a valid ISO 4217 code (e.g. INR, USD, EUR)'),
+    
+    body('transferPolicy.allowTransfers')
+      .optional()
+      .isBoolean()
+      .withMessage('allowTransfers must be a boolean value'),
+    
+    body('transferPolicy.maxTransfersPerTicket')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Transfer limit must be a non-negative integer (0 = unlimited)'),
+    
+    body('transferPolicy.transferDeadlineHours')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Transfer deadline must be a non-negative number of hours'),
+    
+    body('ticketSecurity.rotatingQr')
+      .optional()
+      .isBoolean()
+      .withMessage('rotatingQr must be a boolean value'),
+    
+    body('ticketSecurity.rotationSeconds')
+      .optional()
+      .isInt({ min: 15, max: 300 })
+      .withMessage('QR rotation must be 15-300 seconds'),
+    
+    body('checkInSessions')
+      .optional()
+      .isArray({ max: 100 })
+      .withMessage('checkInSessions must be an array of at most 100 sessions'),
+    
+    body('checkInSessions.*.name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Each check-in session needs a name of 1-100 characters'),
+    
+    body('checkInSessions.*.startsAt')
+      .optional()
+      .isISO8601()
+      .withMessage('Session start must be a valid date'),
+    
+    body('checkInSessions.*.endsAt')
+      .optional()
+      .isISO8601()
+      .withMessage('Session end must be a valid date'),
+    
+    body('checkInSessions.*.ticketTiers')
+      .optional()
+      .isArray()
+      .withMessage('Session ticketTiers must be an array of ticket tier ids'),
+    
+    body('checkInSessions.*.allowReentry')
+      .optional()
+      .isBoolean()
+      .withMessage('allowReentry must be a boolean value'),
+    
+    ...badgeLayoutValidations,
+    ...reminderSettingsValidations
+  ],
+
+  ticketTier: (isUpdate = false) => {
+    const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+    return [
+      field('name')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Ticket tier name must be 1-100 characters long'),
+      
+      body('type')
+        .optional()
+        .isIn(['general', 'vip', 'early_bird', 'student', 'custom'])
+        .withMessage('Invalid ticket tier type'),
+      
+      body('price')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Price must be a positive number'),
+      
+      body('quantity')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Quantity must be a non-negative integer (0 = unlimited)'),
+      
+      body('salesStart')
+        .optional()
+        .isISO8601()
+        .withMessage('Sales start must be a valid date'),
+      
+      body('salesEnd')
+        .optional()
+        .isISO8601()
+        .withMessage('Sales end must be a valid date')
+        .custom((value, { req }) => {
+          if (req.body.salesStart && new Date(value) <= new Date(req.body.salesStart)) {
+            throw new Error('Sales end must be after sales start');
+          }
+          return true;
+        }),
+      
+      body('minPerOrder')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Minimum per order must be at least 1'),
+      
+      body('maxPerOrder')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Maximum per order must be between 1 and 100')
+        .custom((value, { req }) => {
+          if (req.body.minPerOrder && Number(value) < Number(req.body.minPerOrder)) {
+            throw new Error('Maximum per order must not be lower than minimum per order');
+          }
+          return true;
+        }),
+      
+      body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be a boolean value')
+    ];
+  }
 };
 
 module.exports = { eventValidations };
\ No newline at end of file
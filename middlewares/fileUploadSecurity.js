@@ -62,6 +62,35 @@ const uploadSingle = (fieldName, allowedTypes = ['image/jpeg', 'image/png', 'ima
   };
 };
 
+// CSV uploads (attendance sheets) are parsed in memory and never written to disk
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB limit
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const isCsv = path.extname(file.originalname).toLowerCase() === '.csv'
+      || ['text/csv', 'application/csv', 'application/vnd.ms-excel'].includes(file.mimetype);
+    cb(isCsv ? null : new Error('Invalid file type. Only CSV files are allowed.'), isCsv);
+  }
+});
+
+// Optional single CSV file; the file content is available as req.file.buffer
+const uploadCsv = (fieldName) => {
+  return (req, res, next) => {
+    csvUpload.single(fieldName)(req, res, (err) => {
+      if (err) {
+        return res.status(400).json({
+          success: false,
+          message: err.message || 'File upload failed'
+        });
+      }
+      next();
+    });
+  };
+};
+
 // Cleanup middleware for error handling
 const cleanupOnError = (req, res, next) => {
   // Store original send function
@@ -84,6 +113,7 @@ const cleanupOnError = (req, res, next) => {
 
 module.exports = {
   uploadSingle,
+  uploadCsv,
   cleanupOnError,
   upload
 };
\ No newline at end of file
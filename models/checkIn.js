@@ -11,10 +11,40 @@ const checkInSchema = new mongoose.Schema({
     ref: 'Order',
     required: true
   },
+  // Unset until the buyer assigns the ticket (or assigned to someone without an account yet)
   attendee: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+    ref: 'User'
+  },
+  attendeeName: {
+    type: String,
+    trim: true
+  },
+  attendeeEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Company / organization printed on the attendee's badge
+  attendeeOrganization: {
+    type: String,
+    trim: true
+  },
+  assignedAt: {
+    type: Date
+  },
+  // Position of the ticket within its order (1..quantity)
+  seq: {
+    type: Number,
+    min: 1
+  },
+  ticketNumber: {
+    type: String
+  },
+  // Accepted attendee-to-attendee transfers (see TicketTransfer)
+  transferCount: {
+    type: Number,
+    default: 0
   },
   ticketToken: {
     type: String,
@@ -33,9 +63,30 @@ const checkInSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Set instead of checkInBy when a door scanner device checked the ticket in
+  checkInScanner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScannerCredential'
+  },
+  // Set instead of checkInBy when the attendee checked in at a self-service kiosk
+  checkInKiosk: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KioskDevice'
+  },
+  // Per-session presence for multi-session events and re-entry (session null = main entrance).
+  // status / checkInTime above record the ticket's first entry anywhere.
+  sessions: [{
+    _id: false,
+    session: { type: mongoose.Schema.Types.ObjectId, default: null },
+    inside: { type: Boolean, default: false },
+    entries: { type: Number, default: 0 },
+    firstEntryAt: { type: Date },
+    lastEntryAt: { type: Date },
+    lastExitAt: { type: Date }
+  }],
   checkInMethod: {
     type: String,
-    enum: ['qr_scan', 'manual', 'self_service'],
+    enum: ['qr_scan', 'manual', 'self_service', 'reconciliation'], // reconciliation: corrected after the event
     default: 'qr_scan'
   },
   checkInLocation: {
@@ -44,10 +95,17 @@ const checkInSchema = new mongoose.Schema({
   deviceInfo: {
     type: String
   },
+  // Set when the scan was made offline and uploaded later; checkInTime is the device's scan time
+  syncedAt: {
+    type: Date
+  },
   ticketType: {
     type: String,
     default: 'general'
   },
+  ticketTier: {
+    type: mongoose.Schema.Types.ObjectId
+  },
   notes: {
     type: String
   },
@@ -58,31 +116,108 @@ const checkInSchema = new mongoose.Schema({
 }, { timestamps: true });
 
 // Indexes
-checkInSchema.index({ event: 1, attendee: 1 }, { unique: true });
+// One ticket per person per event; unassigned tickets are exempt
+checkInSchema.index(
+  { event: 1, attendee: 1 },
+  { unique: true, name: 'event_attendee_assigned', partialFilterExpression: { attendee: { $type: 'objectId' } } }
+);
+checkInSchema.index({ order: 1, seq: 1 }, { unique: true, partialFilterExpression: { seq: { $type: 'number' } } });
+checkInSchema.index({ event: 1, attendeeEmail: 1 });
 checkInSchema.index({ event: 1, status: 1 });
 checkInSchema.index({ ticketToken: 1 });
 checkInSchema.index({ order: 1 });
 
-// Static method for check-in stats
+// Static method for check-in stats; `sessions` has one row per session / check-in point
+// (session null = main entrance) with unique attendees, attendees inside now and re-entries
 checkInSchema.statics.getEventStats = async function(eventId) {
-  const stats = await this.aggregate([
-    { $match: { event: new mongoose.Types.ObjectId(eventId) } },
+  const eventObjectId = new mongoose.Types.ObjectId(eventId);
+
+  const [stats, sessions] = await Promise.all([
+    this.aggregate([
+      { $match: { event: eventObjectId } },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          checkedIn: { $sum: { $cond: [{ $eq: ['$status', 'checked_in'] }, 1, 0] } },
+          pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
+          noShow: { $sum: { $cond: [{ $eq: ['$status', 'no_show'] }, 1, 0] } }
+        }
+      }
+    ]),
+    this.aggregate([
+      { $match: { event: eventObjectId, 'sessions.0': { $exists: true } } },
+      { $unwind: '$sessions' },
+      {
+        $group: {
+          _id: '$sessions.session',
+          attended: { $sum: { $cond: [{ $gt: ['$sessions.entries', 0] }, 1, 0] } },
+          inside: { $sum: { $cond: ['$sessions.inside', 1, 0] } },
+          entries: { $sum: '$sessions.entries' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          session: '$_id',
+          attended: 1,
+          inside: 1,
+          reentries: { $subtract: ['$entries', '$attended'] }
+        }
+      }
+    ])
+  ]);
+  
+  return { ...(stats[0] || { total: 0, checkedIn: 0, pending: 0, noShow: 0 }), sessions };
+};
+
+// Static method for check-in totals per ticket tier
+checkInSchema.statics.getTierStats = function(eventId) {
+  return this.aggregate([
+    { $match: { event: new mongoose.Types.ObjectId(eventId), status: { $ne: 'cancelled' } } },
     {
       $group: {
-        _id: null,
+        _id: { ticketTier: '$ticketTier', ticketType: '$ticketType' },
         total: { $sum: 1 },
-        checkedIn: { $sum: { $cond: [{ $eq: ['$status', 'checked_in'] }, 1, 0] } },
-        pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
-        noShow: { $sum: { $cond: [{ $eq: ['$status', 'no_show'] }, 1, 0] } }
+        checkedIn: { $sum: { $cond: [{ $eq: ['$status', 'checked_in'] }, 1, 0] } }
       }
-    }
+    },
+    { $project: { _id: 0, ticketTier: '$_id.ticketTier', ticketType: '$_id.ticketType', total: 1, checkedIn: 1 } },
+    { $sort: { ticketType: 1 } }
   ]);
-  
-  return stats[0] || { total: 0, checkedIn: 0, pending: 0, noShow: 0 };
 };
 
-// Static method for check-in timeline
-checkInSchema.statics.getCheckInTimeline = async function(eventId, interval = 'hour') {
+// Static method for check-in timeline.
+// Without a session this buckets first check-ins by hour/minute of day (historical format).
+// With `session` (an id, null for the main entrance, or 'all') it counts scans from the
+// scan log per date-truncated bucket, so multi-day events do not collapse onto one day.
+checkInSchema.statics.getCheckInTimeline = async function(eventId, interval = 'hour', options = {}) {
+  const { session, direction = 'entry' } = options;
+
+  if (session !== undefined) {
+    const CheckInScan = mongoose.model('CheckInScan');
+    const unit = ['minute', 'day'].includes(interval) ? interval : 'hour';
+    const match = { event: new mongoose.Types.ObjectId(eventId), direction };
+    if (session !== 'all') {
+      match.session = session ? new mongoose.Types.ObjectId(session) : null;
+    }
+
+    return CheckInScan.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            session: '$session',
+            time: { $dateTrunc: { date: '$scannedAt', unit } }
+          },
+          count: { $sum: 1 }
+        }
+      },
+      { $project: { _id: 0, session: '$_id.session', time: '$_id.time', count: 1 } },
+      { $sort: { time: 1 } }
+    ]);
+  }
+
   const groupFormat = interval === 'hour' 
     ? { $hour: '$checkInTime' }
     : { $minute: '$checkInTime' };
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Every accepted entry or exit of a ticket; CheckIn.sessions holds the current state
+const checkInScanSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CheckIn',
+    required: true
+  },
+  // Event.checkInSessions entry; null for the main entrance
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  direction: {
+    type: String,
+    enum: ['entry', 'exit'],
+    default: 'entry'
+  },
+  scannedAt: {
+    type: Date,
+    default: Date.now
+  },
+  method: {
+    type: String,
+    enum: ['qr_scan', 'manual', 'self_service'],
+    default: 'qr_scan'
+  },
+  scannedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  scanner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScannerCredential'
+  },
+  kiosk: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KioskDevice'
+  },
+  location: {
+    type: String
+  },
+  deviceInfo: {
+    type: String
+  }
+}, { timestamps: true });
+
+// Indexes
+checkInScanSchema.index({ event: 1, session: 1, scannedAt: 1 });
+checkInScanSchema.index({ ticket: 1, scannedAt: 1 });
+
+module.exports = mongoose.model('CheckInScan', checkInScanSchema);
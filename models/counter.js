@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Named gap-free sequences (e.g. invoice numbers per organization and year)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+/**
+ * Atomically take the next value of a sequence, creating it on first use
+ * @param {String} key - Sequence name
+ * @param {Object} options - `{ session }` to take it inside a transaction
+ * @returns {Promise<Number>} The next value (starting at 1)
+ */
+counterSchema.statics.next = async function(key, { session } = {}) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
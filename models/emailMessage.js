@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// One outbound email. Opens and clicks come back through the tracking pixel and
+// links of the token; bounces and complaints through the email webhook.
+const emailMessageSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  subject: {
+    type: String
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Queued messages keep one log entry across retries
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NotificationJob'
+  },
+  // Identifies the message in tracking URLs
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Message-ID the mail server gave the message, to match webhook events
+  providerMessageId: {
+    type: String
+  },
+  // Links rewritten to go through the click redirect, by position
+  links: [{
+    type: String
+  }],
+  // Furthest the message got; a drop, bounce or complaint replaces any of the others
+  status: {
+    type: String,
+    enum: ['sending', 'sent', 'delivered', 'opened', 'clicked', 'failed', 'suppressed', 'dropped', 'bounced', 'complained'],
+    default: 'sending'
+  },
+  error: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  },
+  deliveredAt: {
+    type: Date
+  },
+  openedAt: {
+    type: Date
+  },
+  lastOpenedAt: {
+    type: Date
+  },
+  openCount: {
+    type: Number,
+    default: 0
+  },
+  clickedAt: {
+    type: Date
+  },
+  clickCount: {
+    type: Number,
+    default: 0
+  },
+  bounce: {
+    type: { type: String, enum: ['hard', 'soft'] },
+    reason: { type: String },
+    at: { type: Date }
+  },
+  complainedAt: {
+    type: Date
+  },
+  unsubscribedAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+// Indexes
+emailMessageSchema.index({ providerMessageId: 1 }, { sparse: true });
+emailMessageSchema.index({ job: 1 }, { unique: true, sparse: true });
+emailMessageSchema.index({ to: 1, createdAt: -1 });
+emailMessageSchema.index({ event: 1, status: 1 });
+emailMessageSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('EmailMessage', emailMessageSchema);
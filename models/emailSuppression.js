@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// An address no email is sent to anymore: it bounced permanently or its owner
+// reported a message as spam. An admin can lift it.
+const emailSuppressionSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  reason: {
+    type: String,
+    enum: ['hard_bounce', 'complaint'],
+    required: true
+  },
+  details: {
+    type: String
+  },
+  // The message that bounced or was reported
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailMessage'
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('EmailSuppression', emailSuppressionSchema);
@@ -1,4 +1,57 @@
 const mongoose = require('mongoose');
+const { normalizeCurrency } = require('../utils/currency');
+
+// Ticket tier (General, VIP, Early Bird, Student, ...) with its own inventory
+const TicketTierSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  type: {
+    type: String,
+    enum: ['general', 'vip', 'early_bird', 'student', 'custom'],
+    default: 'general'
+  },
+  description: { type: String, maxlength: 500 },
+  price: { type: Number, default: 0, min: 0 },
+  quantity: { type: Number, default: 0, min: 0 }, // 0 = unlimited
+  sold: { type: Number, default: 0, min: 0 }, // Seats taken, including active checkout holds
+  salesStart: { type: Date },
+  salesEnd: { type: Date },
+  minPerOrder: { type: Number, default: 1, min: 1 },
+  maxPerOrder: { type: Number, default: 10, min: 1 },
+  isActive: { type: Boolean, default: true },
+  sortOrder: { type: Number, default: 0 }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Remaining seats for this tier (null when the tier is unlimited)
+TicketTierSchema.virtual('remaining').get(function () {
+  if (!this.quantity) return null;
+  return Math.max(this.quantity - this.sold, 0);
+});
+
+// Check whether `requested` tickets of this tier can be bought right now
+TicketTierSchema.methods.checkAvailability = function (requested = 1, now = new Date()) {
+  if (!this.isActive) {
+    return { available: false, reason: 'This ticket type is not on sale' };
+  }
+  if (this.salesStart && now < this.salesStart) {
+    return { available: false, reason: 'Ticket sales for this tier have not started yet' };
+  }
+  if (this.salesEnd && now > this.salesEnd) {
+    return { available: false, reason: 'Ticket sales for this tier have ended' };
+  }
+  if (requested < this.minPerOrder) {
+    return { available: false, reason: `A minimum of ${this.minPerOrder} tickets is required for this tier` };
+  }
+  if (requested > this.maxPerOrder) {
+    return { available: false, reason: `A maximum of ${this.maxPerOrder} tickets is allowed per order for this tier` };
+  }
+  if (this.quantity && this.sold + requested > this.quantity) {
+    return { available: false, reason: 'Not enough tickets left for this tier' };
+  }
+  return { available: true };
+};
 
 const EventSchema = new mongoose.Schema({
   title: { type: String, required: true },
@@ -11,6 +64,8 @@ const EventSchema = new mongoose.Schema({
   endDateTime: { type: Date, required: true },
   price: { type: Number, default: 0 },
   isFree: { type: Boolean, default: false },
+  // ISO 4217 code for the event and all its tiers; unset = organization default (see getCurrency)
+  currency: { type: String, uppercase: true, trim: true },
   url: { type: String },
   category: { type: mongoose.Schema.ObjectId, ref: 'Category' },
   organizer: { type: mongoose.Schema.ObjectId, ref: 'User' },
@@ -27,6 +82,8 @@ const EventSchema = new mongoose.Schema({
     default: 'public'
   },
   capacity: { type: Number, default: 0 },
+  seatsTaken: { type: Number, default: 0, min: 0 }, // Maintained by reservationService
+  ticketTiers: [TicketTierSchema],
   status: { 
     type: String, 
     enum: ['upcoming', 'ongoing', 'completed', 'cancelled'], 
@@ -58,12 +115,12 @@ const EventSchema = new mongoose.Schema({
     user: { type: mongoose.Schema.ObjectId, ref: 'User' },
     role: { 
       type: String, 
-      enum: ['co-organizer', 'assistant', 'moderator'],
+      enum: ['co-organizer', 'assistant', 'moderator', 'door_staff'],
       default: 'co-organizer'
     },
     permissions: [{
       type: String,
-      enum: ['edit', 'delete', 'manage_attendees', 'send_emails', 'view_analytics']
+      enum: ['edit', 'delete', 'manage_attendees', 'send_emails', 'view_analytics', 'check_in']
     }],
     addedAt: { type: Date, default: Date.now },
     addedBy: { type: mongoose.Schema.ObjectId, ref: 'User' }
@@ -79,6 +136,63 @@ const EventSchema = new mongoose.Schema({
     engagementScore: { type: Number, default: 0 }
   },
   
+  // Attendee self-cancellation rules
+  refundPolicy: {
+    allowSelfCancellation: { type: Boolean, default: false },
+    cancellationDeadlineHours: { type: Number, default: 24, min: 0 }, // Hours before start
+    refundPercentage: { type: Number, default: 100, min: 0, max: 100 }
+  },
+  
+  // Attendee-to-attendee ticket transfers
+  transferPolicy: {
+    allowTransfers: { type: Boolean, default: true },
+    maxTransfersPerTicket: { type: Number, default: 0, min: 0 }, // 0 = unlimited
+    transferDeadlineHours: { type: Number, default: 0, min: 0 } // Hours before start
+  },
+  
+  // Rotating QR codes: the app shows a code that changes every rotationSeconds, so
+  // screenshots stop working; the static ticket QR is then refused at the door
+  ticketSecurity: {
+    rotatingQr: { type: Boolean, default: false },
+    rotationSeconds: { type: Number, default: 60, min: 15, max: 300 }
+  },
+  
+  // Sessions / check-in points of multi-day or multi-track events (Day 1, Workshop A, Lunch).
+  // Tickets are scanned per session; events without sessions only use the main entrance.
+  checkInSessions: [{
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    startsAt: { type: Date },
+    endsAt: { type: Date },
+    // Only these ticket tiers get in (empty = every ticket)
+    ticketTiers: [{ type: mongoose.Schema.ObjectId }],
+    // Whether attendees may leave and come back in
+    allowReentry: { type: Boolean, default: true }
+  }],
+  
+  // Printed name badges (PDF and ZPL label printers); defaults to a 4x3in badge
+  badgeLayout: {
+    widthMm: { type: Number, default: 102, min: 50, max: 216 },
+    heightMm: { type: Number, default: 76, min: 30, max: 280 },
+    headerText: { type: String, trim: true, maxlength: 80 }, // Defaults to the event title
+    footerText: { type: String, trim: true, maxlength: 80 },
+    accentColor: { type: String, default: '#1F2937', match: /^#[0-9A-Fa-f]{6}$/ },
+    showOrganization: { type: Boolean, default: true },
+    showTicketTier: { type: Boolean, default: true },
+    showQRCode: { type: Boolean, default: true },
+    printerDpi: { type: Number, enum: [152, 203, 300, 600], default: 203 } // ZPL output
+  },
+  
+  // Reminders sent to ticket holders before the start (see reminderService)
+  reminderSettings: {
+    enabled: { type: Boolean, default: true },
+    // Minutes before the start; by default a day before and an hour before
+    offsetsMinutes: { type: [{ type: Number, min: 5, max: 43200 }], default: [1440, 60] },
+    channels: { type: [{ type: String, enum: ['email', 'sms', 'push'] }], default: ['email', 'sms', 'push'] }
+  },
+  
+  // Set when unscanned tickets were marked as no-shows after the event (see attendanceService)
+  attendanceClosedAt: { type: Date },
+  
   // Event template reference
   templateId: { type: mongoose.Schema.ObjectId, ref: 'EventTemplate' },
   
@@ -101,6 +215,43 @@ EventSchema.pre('save', function (next) {
   next();
 });
 
+// Find a check-in session by id
+EventSchema.methods.getCheckInSession = function (sessionId) {
+  if (!sessionId) return null;
+  return this.checkInSessions.id(sessionId);
+};
+
+// When the event's tickets stop working: a few hours after it ends (late exits, session scans)
+EventSchema.methods.getTicketsValidUntil = function () {
+  const endsAt = this.endDateTime || this.startDateTime;
+  if (!endsAt) return null;
+
+  const graceHours = parseInt(process.env.TICKET_VALID_HOURS_AFTER_EVENT, 10) || 12;
+  return new Date(endsAt.getTime() + graceHours * 60 * 60 * 1000);
+};
+
+// Find a ticket tier by id
+EventSchema.methods.getTicketTier = function (tierId) {
+  if (!tierId) return null;
+  return this.ticketTiers.id(tierId);
+};
+
+// Currency the event is sold in: its own, else its organization's default, else the platform default
+EventSchema.methods.getCurrency = async function () {
+  if (this.currency) return normalizeCurrency(this.currency);
+
+  if (this.organizationId) {
+    const organization = await mongoose.model('Organization')
+      .findById(this.organizationId)
+      .select('settings.defaults.currency');
+    if (organization && organization.settings.defaults.currency) {
+      return normalizeCurrency(organization.settings.defaults.currency);
+    }
+  }
+
+  return normalizeCurrency();
+};
+
 // Indexes for better query performance
 EventSchema.index({ organizer: 1 });
 EventSchema.index({ category: 1 });
@@ -65,6 +65,9 @@ const EventAnalyticsSchema = new mongoose.Schema({
   // Revenue analytics (if applicable)
   revenue: {
     total: { type: Number, default: 0 },
+    currency: { type: String, uppercase: true },
+    orders: { type: Number, default: 0 },
+    refunded: { type: Number, default: 0 },
     byTicketType: [{
       ticketType: { type: String },
       price: { type: Number },
@@ -46,12 +46,12 @@ const EventTemplateSchema = new mongoose.Schema({
     coOrganizers: [{
       role: { 
         type: String, 
-        enum: ['co-organizer', 'assistant', 'moderator'],
+        enum: ['co-organizer', 'assistant', 'moderator', 'door_staff'],
         default: 'co-organizer'
       },
       permissions: [{
         type: String,
-        enum: ['edit', 'delete', 'manage_attendees', 'send_emails', 'view_analytics']
+        enum: ['edit', 'delete', 'manage_attendees', 'send_emails', 'view_analytics', 'check_in']
       }]
     }],
     
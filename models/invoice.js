@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+const addressSchema = new mongoose.Schema({
+  line1: String,
+  line2: String,
+  city: String,
+  state: String,
+  postalCode: String,
+  country: String
+}, { _id: false });
+
+const partySchema = new mongoose.Schema({
+  name: String,
+  company: String,
+  taxId: String,
+  email: String,
+  phone: String,
+  address: addressSchema
+}, { _id: false });
+
+// Issued invoices are immutable: seller, buyer and amounts are copied at issue time
+const invoiceSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: true
+  },
+  // credit_note: issued for a refund, amounts are what was refunded
+  type: {
+    type: String,
+    enum: ['invoice', 'credit_note'],
+    default: 'invoice'
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Credit notes point at the invoice they correct and the order refund entry
+  relatedInvoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // issuedAt numbers the document; supplyDate is when the order was placed (or the refund made)
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  supplyDate: {
+    type: Date
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    required: true
+  },
+  seller: partySchema,
+  billTo: partySchema,
+  lines: [{
+    _id: false,
+    description: { type: String, required: true },
+    quantity: { type: Number, default: 1 },
+    unitPrice: { type: Number, default: 0 },
+    amount: { type: Number, required: true }
+  }],
+  discount: {
+    code: String,
+    amount: { type: Number, default: 0 }
+  },
+  // Prices include tax: subtotal is the net amount, total = subtotal + tax lines
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  taxLines: [{
+    _id: false,
+    name: { type: String, required: true },
+    rate: { type: Number, required: true },
+    amount: { type: Number, required: true }
+  }],
+  total: {
+    type: Number,
+    required: true
+  },
+  footer: {
+    type: String
+  }
+}, { timestamps: true });
+
+// Indexes
+invoiceSchema.index({ organizationId: 1, number: 1 }, { unique: true });
+invoiceSchema.index({ order: 1, issuedAt: 1 });
+// One invoice per order, one credit note per refund
+invoiceSchema.index({ order: 1, type: 1 }, { unique: true, partialFilterExpression: { type: 'invoice' } });
+invoiceSchema.index({ refundId: 1 }, { unique: true, partialFilterExpression: { type: 'credit_note' } });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
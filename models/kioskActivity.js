@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Audit log of everything done at a self-service kiosk, successful or not
+const kioskActivitySchema = new mongoose.Schema({
+  kiosk: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KioskDevice',
+    required: true
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: [
+      'registered', 'revoked', 'check_in', 'check_in_rejected', 'lookup_failed',
+      'locked', 'unlocked', 'unlock_failed', 'rate_limited'
+    ],
+    required: true
+  },
+  // How the attendee identified: QR code or email plus confirmation code
+  method: {
+    type: String,
+    enum: ['qr', 'confirmation_code']
+  },
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CheckIn'
+  },
+  message: {
+    type: String
+  },
+  // Organizer who registered, revoked or unlocked (unlocks are by PIN, so usually empty)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, { timestamps: true });
+
+// Indexes
+kioskActivitySchema.index({ kiosk: 1, createdAt: -1 });
+kioskActivitySchema.index({ event: 1, createdAt: -1 });
+
+module.exports = mongoose.model('KioskActivity', kioskActivitySchema);
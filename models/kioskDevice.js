@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// Self-service check-in kiosk of an event. The kiosk token only works for the kiosk
+// endpoints of this event; after a period without activity the kiosk locks itself
+// and staff unlock it with the PIN given at registration.
+const kioskDeviceSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: 'Check-in kiosk'
+  },
+  unlockPinHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Check-in session the kiosk admits to; the main entrance when empty
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Locks after this many minutes without an attendee or staff action
+  idleLockMinutes: {
+    type: Number,
+    default: 10,
+    min: 1,
+    max: 240
+  },
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set when the kiosk locks: idle, by staff, or after repeated failed lookups or unlock PINs
+  lockedAt: {
+    type: Date
+  },
+  lockReason: {
+    type: String,
+    enum: ['idle', 'staff', 'failed_lookups', 'failed_unlocks']
+  },
+  // Consecutive wrong email/confirmation code attempts and unlock PINs
+  failedLookups: {
+    type: Number,
+    default: 0
+  },
+  failedUnlocks: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, { timestamps: true });
+
+// Indexes
+kioskDeviceSchema.index({ event: 1, createdAt: -1 });
+
+kioskDeviceSchema.methods.isUsable = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+// Idle kiosks count as locked before lockedAt is recorded
+kioskDeviceSchema.methods.isLocked = function(now = new Date()) {
+  return Boolean(this.lockedAt) || this.isIdle(now);
+};
+
+kioskDeviceSchema.methods.isIdle = function(now = new Date()) {
+  return now - this.lastActivityAt > this.idleLockMinutes * 60 * 1000;
+};
+
+module.exports = mongoose.model('KioskDevice', kioskDeviceSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES } = require('../utils/notificationPreferences');
 
 const notificationSchema = new mongoose.Schema({
   recipient: {
@@ -9,22 +10,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: [
-      'event_reminder',
-      'event_update',
-      'event_cancelled',
-      'task_assigned',
-      'task_updated',
-      'task_due_soon',
-      'order_confirmed',
-      'order_cancelled',
-      'organization_invite',
-      'organization_role_changed',
-      'new_message',
-      'event_registration',
-      'system_announcement',
-      'support_reply'
-    ],
+    enum: Object.keys(NOTIFICATION_TYPES),
     required: true
   },
   title: {
@@ -93,7 +79,7 @@ notificationSchema.methods.markAsRead = function() {
 
 // Static method to get unread count
 notificationSchema.statics.getUnreadCount = function(userId) {
-  return this.countDocuments({ recipient: userId, read: false });
+  return this.countDocuments({ recipient: userId, read: false, 'channels.inApp': { $ne: false } });
 };
 
 // Static method to mark all as read
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// One outbound message (an email, SMS or push notification) waiting to be sent by
+// jobQueueService. Jobs are claimed by a worker, so they survive restarts and are sent
+// by one instance only; failures are retried with backoff, then dead-lettered.
+const notificationJobSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['email', 'sms', 'push'],
+    required: true
+  },
+  // Email address, phone number or user ID, for listing and filtering
+  recipient: {
+    type: String
+  },
+  // What the channel's handler needs to send it (to, subject, html / to, body / userId, notification)
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Jobs queued by one request share a batch, e.g. an announcement to an event's attendees
+  batchId: {
+    type: String
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // In-app notification whose deliveryStatus for this channel the job reports to
+  notification: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification'
+  },
+  // queued: waiting for runAt (first try or a retry)
+  // processing: claimed by a worker until lockedUntil
+  // completed: sent; dead: out of attempts (the dead-letter list); cancelled: by an admin
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'dead', 'cancelled'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  // Provider response of the send, e.g. the message ID
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  completedAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+// Indexes
+notificationJobSchema.index({ channel: 1, status: 1, runAt: 1 });
+notificationJobSchema.index({ status: 1, lockedUntil: 1 });
+notificationJobSchema.index({ batchId: 1, status: 1 });
+notificationJobSchema.index({ status: 1, createdAt: -1 });
+// Sent messages are kept for 30 days
+notificationJobSchema.index(
+  { completedAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60, partialFilterExpression: { status: 'completed' } }
+);
+
+module.exports = mongoose.model('NotificationJob', notificationJobSchema);
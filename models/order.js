@@ -8,13 +8,20 @@ const OrderSchema = new mongoose.Schema({
     stripeId: {
       type: String,
       required: false,
-      unique: false,
+      unique: true, // One order per Stripe Checkout session
+      sparse: true,
     },
     totalAmount: {
       type: Number,
       required: true,
       default: 0,
     },
+    // ISO 4217; all amounts on the order are in major units of this currency
+    currency: {
+      type: String,
+      uppercase: true,
+      default: 'INR', // Orders placed before multi-currency support were all INR
+    },
     event: {
       type: mongoose.Schema.ObjectId,
       ref: 'Event',
@@ -31,6 +38,49 @@ const OrderSchema = new mongoose.Schema({
     quantity: {
       type: Number,
       default: 1,
+      min: 1,
+    },
+    ticketTier: {
+      type: mongoose.Schema.ObjectId,
+    },
+    ticketTierName: {
+      type: String,
+    },
+    unitPrice: {
+      type: Number,
+      default: 0,
+    },
+    // Before discounts; totalAmount is what the buyer paid
+    subtotalAmount: {
+      type: Number,
+    },
+    discount: {
+      promoCode: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'PromoCode',
+      },
+      code: {
+        type: String,
+      },
+      amount: {
+        type: Number,
+        default: 0,
+      },
+    },
+    // Collected at checkout and printed on the invoice
+    billingDetails: {
+      name: { type: String },
+      company: { type: String },
+      taxId: { type: String },
+      email: { type: String },
+      address: {
+        line1: { type: String },
+        line2: { type: String },
+        city: { type: String },
+        state: { type: String },
+        postalCode: { type: String },
+        country: { type: String },
+      },
     },
     paymentMethod: {
       type: String,
@@ -46,6 +96,41 @@ const OrderSchema = new mongoose.Schema({
       enum: ['pending', 'completed', 'cancelled', 'refunded'],
       default: 'pending',
     },
+    refundedAmount: {
+      type: Number,
+      default: 0,
+    },
+    refunds: [{
+      stripeRefundId: { type: String },
+      amount: { type: Number, required: true },
+      reason: { type: String },
+      type: {
+        type: String,
+        enum: ['organizer', 'self_cancellation', 'stripe'],
+        default: 'organizer',
+      },
+      initiatedBy: { type: mongoose.Schema.ObjectId, ref: 'User' },
+      // pending: counted in refundedAmount while the Stripe refund is being created
+      status: {
+        type: String,
+        enum: ['pending', 'succeeded'],
+        default: 'succeeded',
+      },
+      createdAt: { type: Date, default: Date.now },
+    }],
+    cancelledAt: {
+      type: Date,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    cancellationReason: {
+      type: String,
+    },
+    confirmationSentAt: {
+      type: Date,
+    },
   }, { timestamps: true });
 
 // Indexes for better query performance
@@ -47,7 +47,8 @@ const organizationSchema = new mongoose.Schema({
         default: 'organization' 
       },
       allowPublicEvents: { type: Boolean, default: true },
-      requireApproval: { type: Boolean, default: false }
+      requireApproval: { type: Boolean, default: false },
+      currency: { type: String, uppercase: true, trim: true } // ISO 4217, used by events without their own currency
     },
     limits: {
       maxEvents: { type: Number, default: 100 },
@@ -60,6 +61,30 @@ const organizationSchema = new mongoose.Schema({
       webhookUrl: { type: String }
     }
   },
+  // Seller details printed on invoices and credit notes
+  billing: {
+    legalName: { type: String, trim: true },
+    taxId: { type: String, trim: true },
+    email: { type: String, lowercase: true, trim: true },
+    phone: { type: String, trim: true },
+    address: {
+      line1: { type: String, trim: true },
+      line2: { type: String, trim: true },
+      city: { type: String, trim: true },
+      state: { type: String, trim: true },
+      postalCode: { type: String, trim: true },
+      country: { type: String, trim: true }
+    },
+    invoicePrefix: { type: String, uppercase: true, trim: true, default: 'INV' },
+    creditNotePrefix: { type: String, uppercase: true, trim: true, default: 'CN' },
+    // Taxes included in ticket prices, e.g. [{ name: 'GST', rate: 18 }]
+    taxes: [{
+      _id: false,
+      name: { type: String, required: true, trim: true },
+      rate: { type: Number, required: true, min: 0, max: 100 }
+    }],
+    invoiceFooter: { type: String, maxlength: 500 }
+  },
   plan: { 
     type: String, 
     enum: ['free', 'starter', 'pro', 'enterprise'], 
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { roundAmount } = require('../utils/currency');
+
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z0-9_-]{3,32}$/
+  },
+  description: {
+    type: String,
+    maxlength: 200
+  },
+  // Scope: a single event, or every event of an organization
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  // Percentage (0-100) or a fixed amount off the order
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Currency of a fixed discount, taken from the event / organization when the code is created
+  currency: {
+    type: String,
+    uppercase: true
+  },
+  maxRedemptions: {
+    type: Number,
+    default: 0, // 0 = unlimited
+    min: 0
+  },
+  maxRedemptionsPerUser: {
+    type: Number,
+    default: 1, // 0 = unlimited
+    min: 0
+  },
+  // Counts checkouts in progress as well as completed orders
+  redemptionCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  validFrom: {
+    type: Date
+  },
+  validUntil: {
+    type: Date
+  },
+  // Empty = valid for every tier
+  ticketTiers: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, { timestamps: true });
+
+// Indexes
+promoCodeSchema.index({ code: 1, event: 1, organizationId: 1 }, { unique: true });
+promoCodeSchema.index({ event: 1, isActive: 1 });
+promoCodeSchema.index({ organizationId: 1, isActive: 1 });
+
+promoCodeSchema.pre('validate', function(next) {
+  if (!this.event && !this.organizationId) {
+    return next(new Error('A promo code must belong to an event or an organization'));
+  }
+  if (this.discountType === 'percentage' && this.discountValue > 100) {
+    return next(new Error('Percentage discounts cannot exceed 100'));
+  }
+  next();
+});
+
+// Discount for a subtotal, never more than the subtotal itself
+promoCodeSchema.methods.calculateDiscount = function(subtotal, currency) {
+  const discount = this.discountType === 'percentage'
+    ? roundAmount(subtotal * this.discountValue / 100, currency)
+    : this.discountValue;
+  return Math.min(discount, subtotal);
+};
+
+const PromoCode = mongoose.model('PromoCode', promoCodeSchema);
+module.exports = PromoCode;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const promoRedemptionSchema = new mongoose.Schema({
+  promoCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  // Seat hold of the checkout; releasing the hold releases the redemption
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SeatReservation'
+  },
+  // Which of the user's allowed uses this is (codes with a per-user limit); removed on release
+  slot: {
+    type: Number
+  },
+  discountAmount: {
+    type: Number,
+    required: true
+  },
+  // reserved: checkout in progress, redeemed: order completed, released: checkout abandoned
+  status: {
+    type: String,
+    enum: ['reserved', 'redeemed', 'released'],
+    default: 'reserved'
+  }
+}, { timestamps: true });
+
+// Indexes
+promoRedemptionSchema.index({ promoCode: 1, user: 1, status: 1 });
+promoRedemptionSchema.index({ event: 1, status: 1 });
+promoRedemptionSchema.index({ reservation: 1 }, { sparse: true });
+// Concurrent checkouts cannot take the same use, so a user stays within the per-user limit
+promoRedemptionSchema.index(
+  { promoCode: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $type: 'number' } } }
+);
+
+const PromoRedemption = mongoose.model('PromoRedemption', promoRedemptionSchema);
+module.exports = PromoRedemption;
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// A browser or device a user enabled web push on. The endpoint identifies the push
+// subscription; subscribing again from the same browser updates it.
+const pushSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  endpoint: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keys: {
+    p256dh: { type: String, required: true },
+    auth: { type: String, required: true }
+  },
+  // Set by the user, or derived from the user agent (e.g. "Chrome on Windows")
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  // When the browser says the subscription expires, if it does
+  expirationTime: {
+    type: Date
+  },
+  // Last time the device subscribed (browsers resubscribe on every visit)
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastDeliveredAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+// Indexes
+pushSubscriptionSchema.index({ user: 1, lastSeenAt: -1 });
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
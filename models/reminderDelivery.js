@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// A reminder sent to one recipient over one channel. The unique key makes sends
+// idempotent: a retried or concurrently claimed reminder never reaches anyone twice.
+const reminderDeliverySchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  reminder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScheduledReminder',
+    required: true
+  },
+  offsetMinutes: {
+    type: Number,
+    required: true
+  },
+  // A rescheduled event gets its reminders again
+  eventStart: {
+    type: Date,
+    required: true
+  },
+  // "user:<id>", or "email:<address>" for ticket holders without an account
+  recipient: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms', 'push'],
+    required: true
+  },
+  // sending: claimed; a send interrupted by a crash stays here and is not repeated
+  status: {
+    type: String,
+    enum: ['sending', 'sent', 'failed', 'skipped'],
+    default: 'sending'
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  reason: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+// Indexes
+reminderDeliverySchema.index(
+  { event: 1, offsetMinutes: 1, eventStart: 1, recipient: 1, channel: 1 },
+  { unique: true }
+);
+reminderDeliverySchema.index({ reminder: 1, status: 1 });
+
+module.exports = mongoose.model('ReminderDelivery', reminderDeliverySchema);
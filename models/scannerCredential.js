@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Time-boxed credential for a door scanning device: the device exchanges the PIN
+// for a short-lived scanner token that only works for check-in on this event
+const scannerCredentialSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: 'Door scanner'
+  },
+  pinHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Wrong PINs lock the credential for a while
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, { timestamps: true });
+
+// Indexes
+scannerCredentialSchema.index({ event: 1, createdAt: -1 });
+
+scannerCredentialSchema.methods.isUsable = function(now = new Date()) {
+  return !this.revokedAt && this.validFrom <= now && this.expiresAt > now;
+};
+
+module.exports = mongoose.model('ScannerCredential', scannerCredentialSchema);
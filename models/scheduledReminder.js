@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// One reminder of an event, `offsetMinutes` before its start. Due reminders are
+// claimed by the scheduler, so they survive restarts and run on one instance only.
+const scheduledReminderSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  offsetMinutes: {
+    type: Number,
+    required: true
+  },
+  // Event start the reminder was scheduled for; rescheduling the event moves sendAt
+  eventStart: {
+    type: Date,
+    required: true
+  },
+  sendAt: {
+    type: Date,
+    required: true
+  },
+  // scheduled: waiting for sendAt (or a retry)
+  // processing: claimed by the scheduler until lockedUntil
+  // sent / failed: done; skipped: its time had passed; cancelled: no longer configured
+  status: {
+    type: String,
+    enum: ['scheduled', 'processing', 'sent', 'failed', 'skipped', 'cancelled'],
+    default: 'scheduled'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date
+  },
+  sentAt: {
+    type: Date
+  },
+  // Deliveries per outcome, over all channels
+  stats: {
+    recipients: { type: Number, default: 0 },
+    sent: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 }
+  },
+  lastError: {
+    type: String
+  }
+}, { timestamps: true });
+
+// Indexes
+scheduledReminderSchema.index({ event: 1, offsetMinutes: 1 }, { unique: true });
+scheduledReminderSchema.index({ status: 1, sendAt: 1 });
+
+module.exports = mongoose.model('ScheduledReminder', scheduledReminderSchema);
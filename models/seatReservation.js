@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const seatReservationSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  ticketTier: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  source: {
+    type: String,
+    enum: ['registration', 'checkout', 'waitlist', 'complimentary'],
+    required: true
+  },
+  // held: seats taken while the buyer is in Stripe Checkout or deciding on a waitlist offer
+  // confirmed: seats belong to a registration or a paid order
+  // released / expired: seats were given back to the pool
+  status: {
+    type: String,
+    enum: ['held', 'confirmed', 'released', 'expired'],
+    default: 'held'
+  },
+  expiresAt: {
+    type: Date
+  },
+  stripeSessionId: {
+    type: String
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  releasedAt: {
+    type: Date
+  },
+  releaseReason: {
+    type: String
+  }
+}, { timestamps: true });
+
+// Indexes
+seatReservationSchema.index({ status: 1, expiresAt: 1 });
+seatReservationSchema.index({ event: 1, user: 1, status: 1 });
+seatReservationSchema.index({ stripeSessionId: 1 }, { sparse: true });
+
+const SeatReservation = mongoose.model('SeatReservation', seatReservationSchema);
+module.exports = SeatReservation;
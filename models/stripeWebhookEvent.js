@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Ledger of every Stripe webhook delivery, keyed by Stripe's event id
+const stripeWebhookEventSchema = new mongoose.Schema({
+  stripeEventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  livemode: {
+    type: Boolean,
+    default: false
+  },
+  // Stripe object id the event is about (checkout session, charge, payment intent)
+  objectId: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'processed', 'ignored', 'failed'],
+    default: 'received'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String
+  },
+  // Full event as sent by Stripe, kept for replays
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  stripeCreatedAt: {
+    type: Date
+  },
+  processedAt: {
+    type: Date
+  },
+  lastAttemptAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+// Indexes
+stripeWebhookEventSchema.index({ status: 1, createdAt: -1 });
+stripeWebhookEventSchema.index({ type: 1, createdAt: -1 });
+stripeWebhookEventSchema.index({ objectId: 1 });
+
+const StripeWebhookEvent = mongoose.model('StripeWebhookEvent', stripeWebhookEventSchema);
+module.exports = StripeWebhookEvent;
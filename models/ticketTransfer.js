@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// History of who held a ticket: buyer assignments, attendee-to-attendee transfers and
+// QR code reissues (same holder, new token)
+const ticketTransferSchema = new mongoose.Schema({
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CheckIn',
+    required: true
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['transfer', 'assignment', 'reissue'],
+    default: 'transfer'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'cancelled', 'expired'],
+    default: 'pending'
+  },
+  fromUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  fromEmail: {
+    type: String,
+    lowercase: true
+  },
+  toUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  toEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  toName: {
+    type: String,
+    trim: true
+  },
+  message: {
+    type: String,
+    maxlength: 500
+  },
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the QR token that stopped working when the transfer completed
+  revokedTokenHash: {
+    type: String
+  },
+  expiresAt: {
+    type: Date
+  },
+  respondedAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+// Indexes
+ticketTransferSchema.index({ ticket: 1, createdAt: -1 });
+ticketTransferSchema.index({ toEmail: 1, status: 1 });
+ticketTransferSchema.index({ revokedTokenHash: 1 }, { sparse: true });
+// At most one open transfer per ticket
+ticketTransferSchema.index(
+  { ticket: 1 },
+  { unique: true, name: 'ticket_pending_unique', partialFilterExpression: { status: 'pending' } }
+);
+
+const TicketTransfer = mongoose.model('TicketTransfer', ticketTransferSchema);
+module.exports = TicketTransfer;
@@ -51,6 +51,12 @@ const UserSchema = new mongoose.Schema({
     default: '',
     trim: true
   },
+  // For SMS notifications, in international format (e.g. +919876543210)
+  phoneNumber: {
+    type: String,
+    trim: true,
+    match: [/^\+?[1-9]\d{6,14}$/, 'Please enter a valid phone number']
+  },
   isEmailVerified: { 
     type: Boolean, 
     default: false 
@@ -67,12 +73,17 @@ const UserSchema = new mongoose.Schema({
     type: Boolean, 
     default: true 
   },
-  notificationSettings: {
-    emailNotifications: { type: Boolean, default: true },
-    pushNotifications: { type: Boolean, default: true },
-    eventReminders: { type: Boolean, default: true },
-    taskUpdates: { type: Boolean, default: true },
-    marketingEmails: { type: Boolean, default: false }
+  // Channels per notification type, only for types the user changed; the rest use the
+  // defaults in utils/notificationPreferences
+  notificationPreferences: {
+    type: Map,
+    of: new mongoose.Schema({
+      email: { type: Boolean },
+      sms: { type: Boolean },
+      push: { type: Boolean },
+      inApp: { type: Boolean }
+    }, { _id: false }),
+    default: {}
   },
   privacySettings: {
     profileVisibility: { 
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const waitlistEntrySchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  ticketTier: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  position: {
+    type: Number,
+    required: true
+  },
+  // waiting: in the queue
+  // offered: a seat is held for the user until offerExpiresAt
+  // claimed: the user took the offered seat
+  // expired: the claim window ran out
+  // cancelled: the user left the queue
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'claimed', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SeatReservation'
+  },
+  offeredAt: {
+    type: Date
+  },
+  offerExpiresAt: {
+    type: Date
+  },
+  claimedAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+// Indexes
+waitlistEntrySchema.index({ event: 1, ticketTier: 1, status: 1, position: 1 });
+waitlistEntrySchema.index({ user: 1, event: 1 });
+waitlistEntrySchema.index({ reservation: 1 }, { sparse: true });
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+module.exports = WaitlistEntry;
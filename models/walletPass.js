@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// An Apple Wallet pass issued for a ticket. The serial number is tied to the ticket's current
+// QR token: when the token changes (transfer, reassignment, reissue) the pass is voided
+// and the holder downloads a new one, so a former holder never receives the new QR code.
+const walletPassSchema = new mongoose.Schema({
+  serialNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CheckIn',
+    required: true
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  voidedAt: {
+    type: Date
+  },
+  // Last change to what the pass shows; devices fetch passes changed after their last sync
+  lastUpdatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+// Indexes
+walletPassSchema.index({ event: 1, voidedAt: 1 });
+walletPassSchema.index({ ticket: 1 });
+
+module.exports = mongoose.model('WalletPass', walletPassSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A device that added an Apple Wallet pass and wants push notifications when it changes
+// (PassKit web service registration)
+const walletRegistrationSchema = new mongoose.Schema({
+  deviceLibraryIdentifier: {
+    type: String,
+    required: true
+  },
+  pushToken: {
+    type: String,
+    required: true
+  },
+  passTypeIdentifier: {
+    type: String,
+    required: true
+  },
+  serialNumber: {
+    type: String,
+    required: true
+  }
+}, { timestamps: true });
+
+// Indexes
+walletRegistrationSchema.index(
+  { deviceLibraryIdentifier: 1, passTypeIdentifier: 1, serialNumber: 1 },
+  { unique: true }
+);
+walletRegistrationSchema.index({ serialNumber: 1 });
+
+module.exports = mongoose.model('WalletRegistration', walletRegistrationSchema);
@@ -7,9 +7,40 @@ const {
   getEventCheckIns,
   getCheckInStats,
   undoCheckIn,
-  getMyTickets
+  getMyTickets,
+  getScanManifest,
+  syncOfflineScans,
+  createScanner,
+  listScanners,
+  revokeScanner,
+  startScannerSession,
+  getBadge,
+  getEventBadges,
+  correctAttendance,
+  getExportColumns,
+  exportAttendees,
+  importGuests
 } = require('../controllers/checkInController');
-const { authenticateToken } = require('../middlewares/authMiddleware');
+const {
+  registerKiosk,
+  listKiosks,
+  revokeKiosk,
+  unlockKioskRemotely,
+  getKioskActivity,
+  getKioskStatus,
+  kioskCheckIn,
+  lockKiosk,
+  unlockKiosk
+} = require('../controllers/kioskController');
+const kioskService = require('../services/kioskService');
+const { authenticateToken, authenticateCheckInStaff, authenticateKiosk } = require('../middlewares/authMiddleware');
+const { createCustomRateLimit } = require('../middlewares/rateLimiting');
+const { uploadCsv } = require('../middlewares/fileUploadSecurity');
+const { body, query } = require('express-validator');
+const { handleValidationErrors, commonValidations } = require('../utils/validationUtils');
+
+// Largest batch of offline scans accepted in one sync
+const MAX_SYNC_SCANS = 1000;
 
 /**
  * @swagger
@@ -18,8 +49,43 @@ const { authenticateToken } = require('../middlewares/authMiddleware');
  *   description: Event check-in and ticket management
  */
 
-// All routes require authentication
-router.use(authenticateToken);
+// Door devices exchange a scanner PIN for a scanner token
+const scannerSessionRateLimit = createCustomRateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: { success: false, message: 'Too many scanner sign-in attempts. Try again later.' }
+});
+
+// Per kiosk rather than per IP: several kiosks often share the venue's network
+const kioskRateLimit = createCustomRateLimit({
+  windowMs: 60 * 1000,
+  max: parseInt(process.env.KIOSK_REQUESTS_PER_MINUTE, 10) || 30,
+  keyGenerator: (req) => req.kiosk._id.toString(),
+  handler: (req, res, next, options) => {
+    kioskService.logActivity(req.kiosk, 'rate_limited', {
+      message: `${req.method} ${req.path}`,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    }).catch((error) => console.error('Kiosk activity log error:', error));
+    res.status(options.statusCode).json({ success: false, message: 'Too many requests from this kiosk. Please wait a moment.' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/check-in/scanner-session:
+ *   post:
+ *     summary: Sign a door scanner in with its scanner ID and PIN
+ *     description: Returns a short-lived scanner token that can be used as the Bearer token on check-in endpoints for that event only.
+ *     tags: [Check-In]
+ */
+router.post('/scanner-session',
+  scannerSessionRateLimit,
+  body('scannerId').isMongoId().withMessage('scannerId must be a valid MongoDB ObjectId'),
+  body('pin').isString().matches(/^\d{6}$/).withMessage('pin must be 6 digits'),
+  handleValidationErrors,
+  startScannerSession
+);
 
 /**
  * @swagger
@@ -30,7 +96,7 @@ router.use(authenticateToken);
  *     security:
  *       - bearerAuth: []
  */
-router.get('/my-tickets', getMyTickets);
+router.get('/my-tickets', authenticateToken, getMyTickets);
 
 /**
  * @swagger
@@ -41,18 +107,31 @@ router.get('/my-tickets', getMyTickets);
  *     security:
  *       - bearerAuth: []
  */
-router.get('/ticket/:orderId', generateTicketQR);
+router.get('/ticket/:orderId', authenticateToken, generateTicketQR);
 
 /**
  * @swagger
  * /api/check-in/scan:
  *   post:
  *     summary: Scan QR code to check in attendee
+ *     description: Optional `sessionId` scans into one of the event's check-in sessions (default is the main entrance); `direction` exit records the attendee leaving, for re-entry. `printBadge` (pdf or zpl) returns the attendee's badge with the check-in (PDF as base64). Optional `eventId` routes alerts for unreadable tokens to that event's live dashboard.
  *     tags: [Check-In]
  *     security:
  *       - bearerAuth: []
  */
-router.post('/scan', scanCheckIn);
+const sessionScanValidation = [
+  body('sessionId').optional({ values: 'falsy' }).isMongoId().withMessage('sessionId must be a valid MongoDB ObjectId'),
+  body('direction').optional().isIn(['entry', 'exit']).withMessage('direction must be entry or exit'),
+  body('printBadge').optional({ values: 'falsy' }).isIn(['pdf', 'zpl']).withMessage('printBadge must be pdf or zpl')
+];
+
+router.post('/scan',
+  authenticateCheckInStaff,
+  body('eventId').optional().isMongoId().withMessage('eventId must be a valid MongoDB ObjectId'),
+  sessionScanValidation,
+  handleValidationErrors,
+  scanCheckIn
+);
 
 /**
  * @swagger
@@ -63,7 +142,12 @@ router.post('/scan', scanCheckIn);
  *     security:
  *       - bearerAuth: []
  */
-router.post('/manual', manualCheckIn);
+router.post('/manual',
+  authenticateCheckInStaff,
+  sessionScanValidation,
+  handleValidationErrors,
+  manualCheckIn
+);
 
 /**
  * @swagger
@@ -74,28 +158,397 @@ router.post('/manual', manualCheckIn);
  *     security:
  *       - bearerAuth: []
  */
-router.get('/event/:eventId', getEventCheckIns);
+router.get('/event/:eventId', authenticateCheckInStaff, getEventCheckIns);
 
 /**
  * @swagger
  * /api/check-in/event/:eventId/stats:
  *   get:
  *     summary: Get check-in statistics for an event
+ *     description: Stats include one row per check-in session. `session=all|main|<id>` returns a scan timeline per session, bucketed by `interval` (minute, hour, day).
  *     tags: [Check-In]
  *     security:
  *       - bearerAuth: []
  */
-router.get('/event/:eventId/stats', getCheckInStats);
+router.get('/event/:eventId/stats',
+  authenticateCheckInStaff,
+  commonValidations.mongoId('eventId'),
+  query('session').optional()
+    .custom((value) => ['all', 'main'].includes(value) || /^[a-f\d]{24}$/i.test(value))
+    .withMessage('session must be all, main or a session id'),
+  query('interval').optional().isIn(['minute', 'hour', 'day']).withMessage('interval must be minute, hour or day'),
+  handleValidationErrors,
+  getCheckInStats
+);
+
+/**
+ * @swagger
+ * /api/check-in/event/:eventId/manifest:
+ *   get:
+ *     summary: Download the ticket manifest for offline scanning
+ *     description: Tickets are listed by the SHA-256 of their QR token. Pass `since` to get only tickets changed after a previous download.
+ *     tags: [Check-In]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/event/:eventId/manifest',
+  authenticateCheckInStaff,
+  commonValidations.mongoId('eventId'),
+  query('since').optional().isISO8601().withMessage('since must be an ISO 8601 date'),
+  query('deviceId').optional().trim().isLength({ min: 1, max: 100 }).withMessage('deviceId must be 1-100 characters'),
+  handleValidationErrors,
+  getScanManifest
+);
+
+/**
+ * @swagger
+ * /api/check-in/event/:eventId/sync:
+ *   post:
+ *     summary: Upload scans made offline
+ *     description: Scans are applied in device-time order. When a ticket was scanned at several doors the earliest scan is kept and the others are reported as duplicates.
+ *     tags: [Check-In]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/event/:eventId/sync',
+  authenticateCheckInStaff,
+  commonValidations.mongoId('eventId'),
+  body('manifestToken').isString().notEmpty().withMessage('manifestToken is required'),
+  body('ticketsHash').optional().isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('ticketsHash must be a SHA-256 hex digest'),
+  body('deviceId').optional().trim().isLength({ min: 1, max: 100 }).withMessage('deviceId must be 1-100 characters'),
+  body('scans').isArray({ min: 1, max: MAX_SYNC_SCANS }).withMessage(`scans must be an array of 1-${MAX_SYNC_SCANS} scans`),
+  body('scans.*.token').isString().notEmpty().withMessage('Each scan needs the scanned token'),
+  body('scans.*.scannedAt').isISO8601().withMessage('Each scan needs scannedAt as an ISO 8601 date'),
+  body('scans.*.scanId').optional().isString().isLength({ max: 100 }),
+  body('scans.*.location').optional().isString().isLength({ max: 100 }),
+  handleValidationErrors,
+  syncOfflineScans
+);
 
 /**
  * @swagger
  * /api/check-in/:checkInId/undo:
  *   put:
  *     summary: Undo a check-in
+ *     description: Takes back the ticket's most recent entry. Answers 409 when the ticket is not checked in or was scanned meanwhile.
+ *     tags: [Check-In]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:checkInId/undo', authenticateCheckInStaff, undoCheckIn);
+
+// Badges are rendered from the event's badge layout
+const badgeFormat = query('format').optional().isIn(['pdf', 'zpl']).withMessage('format must be pdf or zpl');
+
+/**
+ * @swagger
+ * /api/check-in/:checkInId/badge:
+ *   get:
+ *     summary: Print an attendee's badge
+ *     description: PDF sized to the badge (default) or ZPL for label printers.
+ *     tags: [Check-In]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:checkInId/badge',
+  authenticateCheckInStaff,
+  commonValidations.mongoId('checkInId'),
+  badgeFormat,
+  handleValidationErrors,
+  getBadge
+);
+
+/**
+ * @swagger
+ * /api/check-in/event/:eventId/attendance:
+ *   post:
+ *     summary: Correct attendance after the event (organizer)
+ *     description: Upload a sign-in sheet as a CSV `file` (multipart), a `csv` string or JSON `records`. Rows identify tickets by `ticketNumber` or `email`; `attended` (yes/no, default yes) and `checkInTime` are optional. Rows that cannot be applied are reported with their line number; the event's attendance analytics are recomputed.
+ *     tags: [Check-In]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/event/:eventId/attendance',
+  authenticateToken,
+  commonValidations.mongoId('eventId'),
+  uploadCsv('file'),
+  body('csv').optional().isString().withMessage('csv must be a string'),
+  body('records').optional().isArray({ min: 1 }).withMessage('records must be a non-empty array'),
+  body('records.*.ticketNumber').optional().isString(),
+  body('records.*.email').optional().isEmail().withMessage('records email must be valid'),
+  body('records.*.checkInTime').optional().isISO8601().withMessage('records checkInTime must be an ISO 8601 date'),
+  handleValidationErrors,
+  correctAttendance
+);
+
+/**
+ * @swagger
+ * /api/check-in/event/:eventId/attendees/export:
+ *   get:
+ *     summary: Download attendees, orders and check-in status as CSV or XLSX (organizer)
+ *     description: One row per ticket, then free registrations without a ticket. The file is streamed.
+ *     tags: [Check-In]
+ *     security:
+ *       - bearerAuth: []
+ * /api/check-in/attendees/export/columns:
+ *   get:
+ *     summary: Columns available in attendee exports, and which are exported by default
+ *     tags: [Check-In]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/attendees/export/columns',
+  authenticateToken,
+  getExportColumns
+);
+router.get('/event/:eventId/attendees/export',
+  authenticateToken,
+  commonValidations.mongoId('eventId'),
+  query('format').optional().isIn(['csv', 'xlsx']).withMessage('format must be csv or xlsx'),
+  query('columns').optional().isString().withMessage('columns must be a comma-separated list'),
+  query('status').optional().isIn(['pending', 'checked_in', 'no_show', 'cancelled']).withMessage('status must be pending, checked_in, no_show or cancelled'),
+  handleValidationErrors,
+  exportAttendees
+);
+
+/**
+ * @swagger
+ * /api/check-in/event/:eventId/guests/import:
+ *   post:
+ *     summary: Import a guest list as complimentary orders and tickets (organizer)
+ *     description: Upload a CSV `file`, or send `csv` or `records`. With `dryRun` nothing is created and the report lists the guests that would be imported and the row-level errors.
+ *     tags: [Check-In]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/event/:eventId/guests/import',
+  authenticateToken,
+  commonValidations.mongoId('eventId'),
+  uploadCsv('file'),
+  body('csv').optional().isString().withMessage('csv must be a string'),
+  body('records').optional().isArray({ min: 1 }).withMessage('records must be a non-empty array'),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean'),
+  body('sendEmails').optional().isBoolean().withMessage('sendEmails must be a boolean'),
+  handleValidationErrors,
+  importGuests
+);
+
+/**
+ * @swagger
+ * /api/check-in/event/:eventId/badges:
+ *   get:
+ *     summary: Print badges in batch
+ *     description: One badge per ticket in ticket number order, filtered by `status`, `tier` or `sessionId` (tickets admitted to that session). Paged by `page` and `limit` (max 500); the X-Total-Count header has the number of matching tickets.
+ *     tags: [Check-In]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/event/:eventId/badges',
+  authenticateCheckInStaff,
+  commonValidations.mongoId('eventId'),
+  badgeFormat,
+  query('status').optional().isIn(['pending', 'checked_in', 'no_show']).withMessage('status must be pending, checked_in or no_show'),
+  query('tier').optional().isMongoId().withMessage('tier must be a valid MongoDB ObjectId'),
+  query('sessionId').optional().isMongoId().withMessage('sessionId must be a valid MongoDB ObjectId'),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit must be 1-500'),
+  handleValidationErrors,
+  getEventBadges
+);
+
+/**
+ * @swagger
+ * /api/check-in/event/:eventId/scanners:
+ *   post:
+ *     summary: Create a time-boxed scanner credential (returns its PIN once)
+ *     tags: [Check-In]
+ *     security:
+ *       - bearerAuth: []
+ *   get:
+ *     summary: List the event's scanner credentials
+ *     tags: [Check-In]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/event/:eventId/scanners',
+  authenticateToken,
+  commonValidations.mongoId('eventId'),
+  body('label').optional().trim().isLength({ min: 1, max: 100 }).withMessage('label must be 1-100 characters'),
+  body('validFrom').optional().isISO8601().withMessage('validFrom must be an ISO 8601 date'),
+  body('expiresAt').optional().isISO8601().withMessage('expiresAt must be an ISO 8601 date'),
+  handleValidationErrors,
+  createScanner
+);
+router.get('/event/:eventId/scanners',
+  authenticateToken,
+  commonValidations.mongoId('eventId'),
+  handleValidationErrors,
+  listScanners
+);
+
+/**
+ * @swagger
+ * /api/check-in/event/:eventId/scanners/:scannerId:
+ *   delete:
+ *     summary: Revoke a scanner credential and its tokens
+ *     tags: [Check-In]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/event/:eventId/scanners/:scannerId',
+  authenticateToken,
+  commonValidations.mongoId('eventId'),
+  commonValidations.mongoId('scannerId'),
+  handleValidationErrors,
+  revokeScanner
+);
+
+/**
+ * @swagger
+ * /api/check-in/event/:eventId/kiosks:
+ *   post:
+ *     summary: Register a self-service check-in kiosk (returns its kiosk token and unlock PIN once)
+ *     description: The kiosk token only works on the /api/check-in/kiosk endpoints, for this event.
+ *     tags: [Check-In]
+ *     security:
+ *       - bearerAuth: []
+ *   get:
+ *     summary: List the event's kiosks
+ *     tags: [Check-In]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/event/:eventId/kiosks',
+  authenticateToken,
+  commonValidations.mongoId('eventId'),
+  body('label').optional().trim().isLength({ min: 1, max: 100 }).withMessage('label must be 1-100 characters'),
+  body('sessionId').optional().isMongoId().withMessage('sessionId must be a valid MongoDB ObjectId'),
+  body('expiresAt').optional().isISO8601().withMessage('expiresAt must be an ISO 8601 date'),
+  body('idleLockMinutes').optional().isInt({ min: 1, max: 240 }).withMessage('idleLockMinutes must be 1-240').toInt(),
+  handleValidationErrors,
+  registerKiosk
+);
+router.get('/event/:eventId/kiosks',
+  authenticateToken,
+  commonValidations.mongoId('eventId'),
+  handleValidationErrors,
+  listKiosks
+);
+
+/**
+ * @swagger
+ * /api/check-in/event/:eventId/kiosks/:kioskId:
+ *   delete:
+ *     summary: Revoke a kiosk and its token
+ *     tags: [Check-In]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/event/:eventId/kiosks/:kioskId',
+  authenticateToken,
+  commonValidations.mongoId('eventId'),
+  commonValidations.mongoId('kioskId'),
+  handleValidationErrors,
+  revokeKiosk
+);
+
+/**
+ * @swagger
+ * /api/check-in/event/:eventId/kiosks/:kioskId/unlock:
+ *   post:
+ *     summary: Unlock a kiosk remotely, including after too many wrong unlock PINs
+ *     tags: [Check-In]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/event/:eventId/kiosks/:kioskId/unlock',
+  authenticateToken,
+  commonValidations.mongoId('eventId'),
+  commonValidations.mongoId('kioskId'),
+  handleValidationErrors,
+  unlockKioskRemotely
+);
+
+/**
+ * @swagger
+ * /api/check-in/event/:eventId/kiosks/:kioskId/activity:
+ *   get:
+ *     summary: Activity log of a kiosk (check-ins, rejections, locks, rate limiting), newest first
+ *     tags: [Check-In]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/event/:eventId/kiosks/:kioskId/activity',
+  authenticateToken,
+  commonValidations.mongoId('eventId'),
+  commonValidations.mongoId('kioskId'),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be 1-200'),
+  handleValidationErrors,
+  getKioskActivity
+);
+
+/**
+ * @swagger
+ * /api/check-in/kiosk/status:
+ *   get:
+ *     summary: The kiosk's event and lock state (kiosk token)
+ *     tags: [Check-In]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/kiosk/status',
+  authenticateKiosk,
+  kioskRateLimit,
+  getKioskStatus
+);
+
+/**
+ * @swagger
+ * /api/check-in/kiosk/check-in:
+ *   post:
+ *     summary: Self check-in at a kiosk with a scanned ticket QR code, or an email and order confirmation code (kiosk token)
+ *     description: Answers 423 while the kiosk is locked. Five wrong email/code combinations in a row lock the kiosk.
+ *     tags: [Check-In]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/kiosk/check-in',
+  authenticateKiosk,
+  kioskRateLimit,
+  body('token').optional().isString().notEmpty().withMessage('token must be a non-empty string'),
+  body('email').if(body('token').not().exists()).isEmail().withMessage('email is required without a ticket token'),
+  body('confirmationCode').if(body('token').not().exists()).isString().trim().isLength({ min: 8, max: 12 }).withMessage('confirmationCode is required without a ticket token'),
+  handleValidationErrors,
+  kioskCheckIn
+);
+
+/**
+ * @swagger
+ * /api/check-in/kiosk/lock:
+ *   post:
+ *     summary: Lock the kiosk (kiosk token)
+ *     tags: [Check-In]
+ *     security:
+ *       - bearerAuth: []
+ * /api/check-in/kiosk/unlock:
+ *   post:
+ *     summary: Unlock the kiosk with its unlock PIN (kiosk token)
  *     tags: [Check-In]
  *     security:
  *       - bearerAuth: []
  */
-router.put('/:checkInId/undo', undoCheckIn);
+router.post('/kiosk/lock',
+  authenticateKiosk,
+  kioskRateLimit,
+  lockKiosk
+);
+router.post('/kiosk/unlock',
+  authenticateKiosk,
+  kioskRateLimit,
+  body('pin').isString().matches(/^\d{6}$/).withMessage('pin must be 6 digits'),
+  handleValidationErrors,
+  unlockKiosk
+);
 
 module.exports = router;
@@ -4,13 +4,15 @@
  */
 
 const express = require('express');
-const { authenticateToken, requireAuth } = require('../middlewares/authMiddleware');
+const { authenticateToken, requireAuth, requireAdmin } = require('../middlewares/authMiddleware');
 const { handleValidationErrors, commonValidations } = require("../utils/validationUtils");
 const notificationService = require('../services/notificationService');
+const jobQueueService = require('../services/jobQueueService');
+const { NOTIFICATION_TYPES } = require('../utils/notificationPreferences');
 const communicationConfig = require('../config/communicationConfig');
 const Event = require('../models/event');
 const { User } = require('../models/user');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 
 const router = express.Router();
 
@@ -20,6 +22,7 @@ const validateNotificationRequest = [
   body('channels.*').isIn(['email', 'sms', 'push']).withMessage('Invalid channel type'),
   body('recipients').isArray().withMessage('Recipients must be an array'),
   body('recipients.*').isEmail().withMessage('Invalid email format'),
+  body('type').optional().isIn(Object.keys(NOTIFICATION_TYPES)).withMessage('Invalid notification type'),
   body('subject').notEmpty().withMessage('Subject is required'),
   body('message').notEmpty().withMessage('Message is required'),
   handleValidationErrors
@@ -54,19 +57,22 @@ router.post('/send',
   validateNotificationRequest,
   async (req, res) => {
     try {
-      const { channels, recipients, subject, message, template, data } = req.body;
+      const { channels, recipients, type, subject, message, template, data } = req.body;
 
       const result = await notificationService.sendNotification({
         channels,
         recipients,
+        type,
         subject,
         message,
         template,
-        data
+        data,
+        createdBy: req.user._id
       });
 
-      res.json({
+      res.status(202).json({
         success: true,
+        message: 'Notification queued',
         data: result
       });
     } catch (error) {
@@ -105,10 +111,11 @@ router.post('/events/:eventId/notify',
         });
       }
 
-      const result = await notificationService.sendEventNotification(eventId, type, data);
+      const result = await notificationService.sendEventNotification(eventId, type, data, req.user._id);
 
-      res.json({
+      res.status(202).json({
         success: true,
+        message: 'Notification queued',
         data: result
       });
     } catch (error) {
@@ -127,6 +134,7 @@ router.post('/events/:eventId/attendees/notify',
   commonValidations.mongoId('eventId'),
   [
     body('channels').isArray().withMessage('Channels must be an array'),
+    body('channels.*').isIn(['email', 'sms', 'push']).withMessage('Invalid channel type'),
     body('subject').notEmpty().withMessage('Subject is required'),
     body('message').notEmpty().withMessage('Message is required'),
     handleValidationErrors
@@ -152,8 +160,8 @@ router.post('/events/:eventId/attendees/notify',
         });
       }
 
-      // Get event attendees
-      const attendees = await getEventAttendees(eventId);
+      // Buyers, ticket holders and registrants; each gets the channels they chose for announcements
+      const attendees = await notificationService.getEventAttendees(eventId);
       
       if (attendees.length === 0) {
         return res.json({
@@ -169,14 +177,18 @@ router.post('/events/:eventId/attendees/notify',
       const result = await notificationService.sendNotification({
         channels,
         recipients: attendees,
+        type: 'event_announcement',
         subject,
         message,
         template,
-        data: { ...data, event }
+        data: { ...data, event },
+        eventId,
+        createdBy: req.user._id
       });
 
-      res.json({
+      res.status(202).json({
         success: true,
+        message: `Notification queued for ${attendees.length} attendees`,
         data: result
       });
     } catch (error) {
@@ -206,11 +218,13 @@ router.post('/test',
         channels: [channel],
         recipients: [recipient],
         subject: 'Test Notification - Eazy Event',
-        message
+        message,
+        createdBy: req.user._id
       });
 
-      res.json({
+      res.status(202).json({
         success: true,
+        message: 'Test notification queued',
         data: result
       });
     } catch (error) {
@@ -222,17 +236,180 @@ router.post('/test',
   }
 );
 
-// Helper function to get event attendees
-async function getEventAttendees(eventId) {
-  try {
-    // This would query your database for event attendees
-    // Implementation depends on your data model
-    const event = await Event.findById(eventId).populate('attendees');
-    return event.attendees.map(attendee => attendee.email).filter(Boolean);
-  } catch (error) {
-    console.error('Error getting event attendees:', error);
-    return [];
+// Progress of a queued notification (its sender or an admin)
+router.get('/batches/:batchId',
+  authenticateToken,
+  requireAuth,
+  async (req, res) => {
+    try {
+      const batch = await jobQueueService.getBatch(req.params.batchId);
+
+      if (String(batch.createdBy) !== req.user._id.toString() && req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Only the sender can view this notification.'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: batch
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+);
+
+// Outbound message queue (admin only)
+router.get('/jobs',
+  authenticateToken,
+  requireAdmin,
+  [
+    query('status').optional().isIn(['queued', 'processing', 'completed', 'dead', 'cancelled']).withMessage('Invalid job status'),
+    query('channel').optional().isIn(['email', 'sms', 'push']).withMessage('Invalid channel type'),
+    query('eventId').optional().isMongoId().withMessage('Invalid event ID'),
+    handleValidationErrors
+  ],
+  async (req, res) => {
+    try {
+      const { status, channel, batchId, eventId } = req.query;
+      const page = parseInt(req.query.page, 10) || 1;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+      const { jobs, total } = await jobQueueService.list({ status, channel, batchId, eventId, page, limit });
+
+      res.json({
+        success: true,
+        data: jobs,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
   }
-}
+);
+
+router.get('/jobs/stats',
+  authenticateToken,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const stats = await jobQueueService.getStats();
+
+      res.json({
+        success: true,
+        data: stats
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+);
+
+// Requeue the dead-letter list, optionally for one channel or batch
+router.post('/jobs/dead/retry',
+  authenticateToken,
+  requireAdmin,
+  [
+    body('channel').optional().isIn(['email', 'sms', 'push']).withMessage('Invalid channel type'),
+    body('batchId').optional().isString().withMessage('Batch ID must be a string'),
+    handleValidationErrors
+  ],
+  async (req, res) => {
+    try {
+      const { channel, batchId } = req.body;
+      const requeued = await jobQueueService.retryDead({ channel, batchId });
+
+      res.json({
+        success: true,
+        message: `${requeued} jobs requeued`,
+        data: { requeued }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+);
+
+router.get('/jobs/:jobId',
+  authenticateToken,
+  requireAdmin,
+  commonValidations.mongoId('jobId'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const job = await jobQueueService.get(req.params.jobId);
+
+      res.json({
+        success: true,
+        data: job
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+);
+
+router.post('/jobs/:jobId/retry',
+  authenticateToken,
+  requireAdmin,
+  commonValidations.mongoId('jobId'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const job = await jobQueueService.retry(req.params.jobId);
+
+      res.json({
+        success: true,
+        message: 'Job requeued',
+        data: job
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+);
+
+router.post('/jobs/:jobId/cancel',
+  authenticateToken,
+  requireAdmin,
+  commonValidations.mongoId('jobId'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const job = await jobQueueService.cancel(req.params.jobId);
+
+      res.json({
+        success: true,
+        message: 'Job cancelled',
+        data: job
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+);
 
 module.exports = router;
\ No newline at end of file
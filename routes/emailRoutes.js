@@ -1,13 +1,22 @@
 const express = require('express');
-const { authenticateToken, requireAuth } = require('../middlewares/authMiddleware');
+const { authenticateToken, requireAuth, requireAdmin } = require('../middlewares/authMiddleware');
 const { handleValidationErrors, commonValidations } = require("../utils/validationUtils");
+const { query } = require('express-validator');
 const emailTemplateService = require('../services/emailTemplateService');
+const emailTrackingService = require('../services/emailTrackingService');
 const Event = require('../models/event');
 const { User } = require('../models/user');
 const { Order } = require('../models/order');
 
 const router = express.Router();
 
+// A suppressed address is not sent to: the caller gets a failure, not a success
+const sendResult = (res, result) => res.status(result.success ? 200 : 409).json({
+  success: result.success,
+  message: result.message,
+  data: result
+});
+
 // Send event registration confirmation email
 router.post('/event-registration',
   authenticateToken,
@@ -43,13 +52,11 @@ router.post('/event-registration',
       const result = await emailTemplateService.sendEmail(
         user.email,
         `Registration Confirmed - ${event.title}`,
-        html
+        html,
+        { eventId: event._id, userId: user._id }
       );
 
-      res.json({
-        success: true,
-        data: result
-      });
+      sendResult(res, result);
     } catch (error) {
       res.status(400).json({
         success: false,
@@ -93,13 +100,11 @@ router.post('/event-reminder',
       const result = await emailTemplateService.sendEmail(
         user.email,
         `Event Reminder - ${event.title}`,
-        html
+        html,
+        { eventId: event._id, userId: user._id }
       );
 
-      res.json({
-        success: true,
-        data: result
-      });
+      sendResult(res, result);
     } catch (error) {
       res.status(400).json({
         success: false,
@@ -159,9 +164,10 @@ router.post('/event-cancellation',
           const result = await emailTemplateService.sendEmail(
             order.userId.email,
             `Event Cancelled - ${event.title}`,
-            html
+            html,
+            { eventId: event._id, userId: order.userId._id }
           );
-          results.push({ userId: order.userId._id, success: true, result });
+          results.push({ userId: order.userId._id, success: result.success, result });
         } catch (error) {
           results.push({ userId: order.userId._id, success: false, error: error.message });
         }
@@ -234,9 +240,10 @@ router.post('/event-update',
           const result = await emailTemplateService.sendEmail(
             order.userId.email,
             `Event Updated - ${event.title}`,
-            html
+            html,
+            { eventId: event._id, userId: order.userId._id }
           );
-          results.push({ userId: order.userId._id, success: true, result });
+          results.push({ userId: order.userId._id, success: result.success, result });
         } catch (error) {
           results.push({ userId: order.userId._id, success: false, error: error.message });
         }
@@ -288,13 +295,11 @@ router.post('/password-reset',
       const result = await emailTemplateService.sendEmail(
         user.email,
         'Password Reset - Eazy Event',
-        html
+        html,
+        { track: false }
       );
 
-      res.json({
-        success: true,
-        data: result
-      });
+      sendResult(res, result);
     } catch (error) {
       res.status(400).json({
         success: false,
@@ -333,13 +338,11 @@ router.post('/email-verification',
       const result = await emailTemplateService.sendEmail(
         user.email,
         'Verify Your Email - Eazy Event',
-        html
+        html,
+        { track: false }
       );
 
-      res.json({
-        success: true,
-        data: result
-      });
+      sendResult(res, result);
     } catch (error) {
       res.status(400).json({
         success: false,
@@ -390,9 +393,10 @@ router.post('/chat-notification',
             const result = await emailTemplateService.sendEmail(
               recipient.email,
               `New Chat Message - ${event.title}`,
-              html
+              html,
+              { eventId: event._id, userId: recipient._id }
             );
-            results.push({ recipientId, success: true, result });
+            results.push({ recipientId, success: result.success, result });
           } catch (error) {
             results.push({ recipientId, success: false, error: error.message });
           }
@@ -433,6 +437,7 @@ router.post('/test-template',
 
       let html;
       let subject;
+      let track = true;
 
       switch (templateType) {
         case 'registration':
@@ -454,10 +459,12 @@ router.post('/test-template',
         case 'password-reset':
           html = emailTemplateService.generatePasswordResetEmail(data);
           subject = 'Test - Password Reset';
+          track = false;
           break;
         case 'email-verification':
           html = emailTemplateService.generateEmailVerificationEmail(data);
           subject = 'Test - Email Verification';
+          track = false;
           break;
         case 'chat-notification':
           html = emailTemplateService.generateChatNotificationEmail(data);
@@ -473,15 +480,138 @@ router.post('/test-template',
       const result = await emailTemplateService.sendEmail(
         req.user.email,
         subject,
-        html
+        html,
+        { track }
       );
 
+      sendResult(res, result);
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+);
+
+// Open tracking pixel; always answers with the image
+router.get('/track/open/:token.gif', async (req, res) => {
+  emailTrackingService.recordOpen(req.params.token)
+    .catch(error => console.error('Email open tracking error:', error));
+
+  res.set({
+    'Content-Type': 'image/gif',
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private'
+  });
+  res.send(emailTrackingService.pixel);
+});
+
+// Click redirect; unknown links go to the frontend
+router.get('/track/click/:token/:link', async (req, res) => {
+  let url = null;
+  try {
+    url = await emailTrackingService.recordClick(req.params.token, parseInt(req.params.link, 10));
+  } catch (error) {
+    console.error('Email click tracking error:', error);
+  }
+
+  res.redirect(302, url || process.env.FRONTEND_URL || 'http://localhost:5173');
+});
+
+// Delivery, bounce and complaint events from the email provider
+router.post('/webhook', async (req, res) => {
+  try {
+    const secret = req.get('x-webhook-secret') || req.query.secret;
+    const result = await emailTrackingService.processWebhook(req.body, secret);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Outbound email log (admin only)
+router.get('/messages',
+  authenticateToken,
+  requireAdmin,
+  [
+    query('status').optional().isIn(['sending', 'sent', 'delivered', 'opened', 'clicked', 'failed', 'suppressed', 'bounced', 'complained']).withMessage('Invalid email status'),
+    query('eventId').optional().isMongoId().withMessage('Invalid event ID'),
+    handleValidationErrors
+  ],
+  async (req, res) => {
+    try {
+      const { to, status, eventId } = req.query;
+      const page = parseInt(req.query.page, 10) || 1;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+      const { messages, total } = await emailTrackingService.listMessages({ to, status, eventId, page, limit });
+
       res.json({
         success: true,
-        data: result
+        data: messages,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
       });
     } catch (error) {
-      res.status(400).json({
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+);
+
+// Addresses no email is sent to (admin only)
+router.get('/suppressions',
+  authenticateToken,
+  requireAdmin,
+  [
+    query('reason').optional().isIn(['hard_bounce', 'complaint']).withMessage('Invalid suppression reason'),
+    handleValidationErrors
+  ],
+  async (req, res) => {
+    try {
+      const { reason, search } = req.query;
+      const page = parseInt(req.query.page, 10) || 1;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+      const { suppressions, total } = await emailTrackingService.listSuppressions({ reason, search, page, limit });
+
+      res.json({
+        success: true,
+        data: suppressions,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+);
+
+// Let a suppressed address get email again (admin only)
+router.delete('/suppressions/:email',
+  authenticateToken,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const suppression = await emailTrackingService.removeSuppression(req.params.email);
+
+      res.json({
+        success: true,
+        message: 'Address removed from the suppression list',
+        data: suppression
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message
       });
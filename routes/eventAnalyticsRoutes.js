@@ -1,6 +1,6 @@
 const express = require('express');
 const mongoose = require('mongoose');
-const { authenticateToken, requireAuth } = require('../middlewares/authMiddleware');
+const { authenticateToken, requireAuth, requireEventPermission } = require('../middlewares/authMiddleware');
 const { handleValidationErrors, commonValidations } = require("../utils/validationUtils");
 const { body, param } = require('express-validator');
 const EventAnalyticsService = require('../services/eventAnalyticsService');
@@ -12,6 +12,9 @@ const OrganizationMember = require('../models/organizationMember');
 
 const router = express.Router();
 
+// [{ _id: currency, total }] -> { INR: 1200, USD: 50 }
+const toCurrencyTotals = (rows) => rows.reduce((totals, row) => ({ ...totals, [row._id]: row.total }), {});
+
 // Track event view
 router.post('/:eventId/track-view',
   authenticateToken,
@@ -75,6 +78,7 @@ router.post('/:eventId/track-checkin',
   requireAuth,
   commonValidations.mongoId('eventId'),
   handleValidationErrors,
+  requireEventPermission('check_in'),
   async (req, res) => {
     try {
       const { eventId } = req.params;
@@ -280,7 +284,7 @@ router.get('/organization/:orgId',
         ]),
         Order.aggregate([
           { $match: { organizationId: orgObjectId, status: 'completed' } },
-          { $group: { _id: null, total: { $sum: '$totalAmount' } } }
+          { $group: { _id: { $ifNull: ['$currency', 'INR'] }, total: { $sum: '$totalAmount' } } }
         ]),
         Task.countDocuments({ organizationId: orgObjectId, isDeleted: { $ne: true } }),
         Task.countDocuments({ organizationId: orgObjectId, status: 'completed', isDeleted: { $ne: true } }),
@@ -319,11 +323,15 @@ router.get('/organization/:orgId',
         { $match: { organizationId: orgObjectId, status: 'completed', createdAt: { $gte: start, $lte: end } } },
         {
           $group: {
-            _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+            _id: {
+              date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+              currency: { $ifNull: ['$currency', 'INR'] }
+            },
             amount: { $sum: '$totalAmount' }
           }
         },
-        { $sort: { _id: 1 } }
+        { $project: { _id: '$_id.date', currency: '$_id.currency', amount: 1 } },
+        { $sort: { _id: 1, currency: 1 } }
       ]);
       
       // Top performing events
@@ -338,7 +346,9 @@ router.get('/organization/:orgId',
           overview: {
             totalEvents,
             totalAttendees: totalAttendees[0]?.total || 0,
-            totalRevenue: totalRevenue[0]?.total || 0,
+            // Revenue is only summed within a currency; totalRevenue is null for multi-currency organizations
+            totalRevenue: totalRevenue.length > 1 ? null : (totalRevenue[0]?.total || 0),
+            revenueByCurrency: toCurrencyTotals(totalRevenue),
             totalTasks,
             completedTasks,
             taskCompletionRate: totalTasks > 0 ? ((completedTasks / totalTasks) * 100).toFixed(1) : 0,
@@ -396,7 +406,7 @@ router.get('/organization/:orgId/compare',
           }),
           Order.aggregate([
             { $match: { organizationId: orgObjectId, status: 'completed', createdAt: { $gte: start, $lte: end } } },
-            { $group: { _id: null, total: { $sum: '$totalAmount' } } }
+            { $group: { _id: { $ifNull: ['$currency', 'INR'] }, total: { $sum: '$totalAmount' } } }
           ]),
           Event.aggregate([
             { $match: { organizationId: orgObjectId, isDeleted: { $ne: true }, createdAt: { $gte: start, $lte: end } } },
@@ -407,7 +417,7 @@ router.get('/organization/:orgId/compare',
         
         return {
           events,
-          revenue: revenue[0]?.total || 0,
+          revenue: toCurrencyTotals(revenue),
           attendees: attendees[0]?.total || 0
         };
       };
@@ -429,7 +439,11 @@ router.get('/organization/:orgId/compare',
           previous,
           changes: {
             events: calculateChange(current.events, previous.events),
-            revenue: calculateChange(current.revenue, previous.revenue),
+            revenue: [...new Set([...Object.keys(current.revenue), ...Object.keys(previous.revenue)])]
+              .reduce((changes, currency) => ({
+                ...changes,
+                [currency]: calculateChange(current.revenue[currency] || 0, previous.revenue[currency] || 0)
+              }), {}),
             attendees: calculateChange(current.attendees, previous.attendees)
           },
           periods: {
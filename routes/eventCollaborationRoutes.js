@@ -17,7 +17,7 @@ router.post('/:eventId/co-organizers',
       .withMessage('Valid user ID is required'),
     body('role')
       .optional()
-      .isIn(['co-organizer', 'assistant', 'moderator'])
+      .isIn(['co-organizer', 'assistant', 'moderator', 'door_staff'])
       .withMessage('Invalid role'),
     body('permissions')
       .optional()
@@ -9,6 +9,11 @@ const {
   getRelatedEvents,
   registerForEvent,
   unregisterFromEvent,
+  getTicketTiers,
+  addTicketTier,
+  updateTicketTier,
+  deleteTicketTier,
+  getEventReminders,
 } = require('../controllers/eventController');
 const { authenticateToken, requireAuth, requireEventOwnership, optionalAuth } = require('../middlewares/authMiddleware');
 const { eventValidations } = require('../middlewares/eventValidation');
@@ -90,4 +95,48 @@ router.post('/:eventId/register',
 );
 router.delete('/:eventId/unregister', authenticateToken, requireAuth, unregisterFromEvent);
 
+// Ticket tier routes
+router.get('/:id/tiers', commonValidations.mongoId('id'), handleValidationErrors, getTicketTiers);
+
+router.post('/:id/tiers', 
+  authenticateToken, 
+  requireAuth, 
+  requireEventOwnership,
+  commonValidations.mongoId('id'),
+  eventValidations.ticketTier(),
+  handleValidationErrors,
+  addTicketTier
+);
+
+router.put('/:id/tiers/:tierId', 
+  authenticateToken, 
+  requireAuth, 
+  requireEventOwnership,
+  commonValidations.mongoId('id'),
+  commonValidations.mongoId('tierId'),
+  eventValidations.ticketTier(true),
+  handleValidationErrors,
+  updateTicketTier
+);
+
+router.delete('/:id/tiers/:tierId', 
+  authenticateToken, 
+  requireAuth, 
+  requireEventOwnership,
+  commonValidations.mongoId('id'),
+  commonValidations.mongoId('tierId'),
+  handleValidationErrors,
+  deleteTicketTier
+);
+
+// Scheduled reminders (organizer only)
+router.get('/:id/reminders', 
+  authenticateToken, 
+  requireAuth, 
+  requireEventOwnership,
+  commonValidations.mongoId('id'),
+  handleValidationErrors,
+  getEventReminders
+);
+
 module.exports = router;
\ No newline at end of file
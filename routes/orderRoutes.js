@@ -5,18 +5,112 @@ const {
   getOrdersByEvent,
   getOrdersByUser,
   handleStripeWebhook,
-  getRegisteredUsers
+  getRegisteredUsers,
+  refundOrder,
+  cancelOrder,
+  getOrderTickets,
+  assignTicket,
+  unassignTicket,
+  listOrderInvoices,
+  getOrderInvoice,
+  listWebhookEvents,
+  replayWebhookEvent
 } = require('../controllers/orderController');
-const { authenticateToken } = require('../middlewares/authMiddleware');
+const { authenticateToken, requireAdmin } = require('../middlewares/authMiddleware');
+const { body, query } = require('express-validator');
+const { handleValidationErrors, commonValidations } = require('../utils/validationUtils');
 
 const router = express.Router();
 
 // Protected routes - require authentication
-router.post('/checkout', authenticateToken, checkoutOrder);
+router.post('/checkout',
+  authenticateToken,
+  body('billingDetails.company').optional().trim().isLength({ max: 200 }).withMessage('Company must be at most 200 characters'),
+  body('billingDetails.taxId').optional().trim().isLength({ max: 50 }).withMessage('Tax ID must be at most 50 characters'),
+  handleValidationErrors,
+  checkoutOrder
+);
 router.post('/', authenticateToken, createOrder);
 router.get('/event/:id', authenticateToken, getOrdersByEvent);
 router.get('/user/:id', authenticateToken, getOrdersByUser);
 router.get('/rgstduser/:id', authenticateToken, getRegisteredUsers);
+router.post('/:orderId/refund',
+  authenticateToken,
+  commonValidations.mongoId('orderId'),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Refund amount must be a positive number'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+  handleValidationErrors,
+  refundOrder
+);
+router.post('/:orderId/cancel',
+  authenticateToken,
+  commonValidations.mongoId('orderId'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+  handleValidationErrors,
+  cancelOrder
+);
+router.get('/:orderId/tickets',
+  authenticateToken,
+  commonValidations.mongoId('orderId'),
+  handleValidationErrors,
+  getOrderTickets
+);
+router.put('/:orderId/tickets/:ticketId/assignee',
+  authenticateToken,
+  commonValidations.mongoId('orderId'),
+  commonValidations.mongoId('ticketId'),
+  body('userId').optional().isMongoId().withMessage('userId must be a valid MongoDB ObjectId'),
+  body('email').optional().isEmail().normalizeEmail().withMessage('email must be a valid email address'),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('name must be 1-100 characters'),
+  body('organization').optional().trim().isLength({ max: 100 }).withMessage('organization must be at most 100 characters'),
+  body().custom((value) => Boolean(value.userId || value.email))
+    .withMessage('Either userId or email is required'),
+  handleValidationErrors,
+  assignTicket
+);
+router.delete('/:orderId/tickets/:ticketId/assignee',
+  authenticateToken,
+  commonValidations.mongoId('orderId'),
+  commonValidations.mongoId('ticketId'),
+  handleValidationErrors,
+  unassignTicket
+);
+
+// Invoices: the order's invoice plus one credit note per refund
+const invoiceFormat = query('format').optional().isIn(['pdf', 'html', 'json'])
+  .withMessage('format must be pdf, html or json');
+
+router.get('/:orderId/invoices',
+  authenticateToken,
+  commonValidations.mongoId('orderId'),
+  handleValidationErrors,
+  listOrderInvoices
+);
+router.get('/:orderId/invoice',
+  authenticateToken,
+  commonValidations.mongoId('orderId'),
+  invoiceFormat,
+  handleValidationErrors,
+  getOrderInvoice
+);
+router.get('/:orderId/invoices/:invoiceId',
+  authenticateToken,
+  commonValidations.mongoId('orderId'),
+  commonValidations.mongoId('invoiceId'),
+  invoiceFormat,
+  handleValidationErrors,
+  getOrderInvoice
+);
+
+// Stripe webhook ledger - admin only
+router.get('/webhook-events', authenticateToken, requireAdmin, listWebhookEvents);
+router.post('/webhook-events/:id/replay',
+  authenticateToken,
+  requireAdmin,
+  commonValidations.mongoId('id'),
+  handleValidationErrors,
+  replayWebhookEvent
+);
 
 // Webhook route - no auth (Stripe sends these directly)
 router.post('/webhook', express.raw({ type: 'application/json' }), handleStripeWebhook);
@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { body } = require('express-validator');
 const {
   createOrganization,
   getOrganization,
@@ -24,6 +25,23 @@ const {
   requireOrgOwner,
   requireOrgPermission
 } = require('../middlewares/organizationMiddleware');
+const { handleValidationErrors } = require('../utils/validationUtils');
+
+const settingsValidation = [
+  body('settings.defaults.currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Default currency must be a valid ISO 4217 code (e.g. INR, USD, EUR)'),
+  body('billing.email').optional().isEmail().withMessage('Billing email must be a valid email address'),
+  body('billing.invoicePrefix').optional().matches(/^[A-Za-z0-9-]{1,10}$/)
+    .withMessage('Invoice prefix must be 1-10 letters, digits or dashes'),
+  body('billing.creditNotePrefix').optional().matches(/^[A-Za-z0-9-]{1,10}$/)
+    .withMessage('Credit note prefix must be 1-10 letters, digits or dashes'),
+  body('billing.taxes').optional().isArray().withMessage('Taxes must be an array'),
+  body('billing.taxes.*.name').trim().notEmpty().withMessage('Each tax needs a name'),
+  body('billing.taxes.*.rate').isFloat({ min: 0, max: 100 }).withMessage('Tax rates must be between 0 and 100'),
+  handleValidationErrors
+];
 
 // Public routes
 router.get('/:id', getOrganization);
@@ -33,7 +51,7 @@ router.use(authenticateToken);
 
 // User's organizations
 router.get('/', getUserOrganizations);
-router.post('/', createOrganization);
+router.post('/', settingsValidation, createOrganization);
 
 // Invite routes (don't require org context since user might not be member yet)
 router.post('/invites/:token/accept', acceptInvite);
@@ -46,7 +64,7 @@ router.use('/:orgId', async (req, res, next) => {
 }, requireOrganization);
 
 // Organization management
-router.put('/:orgId', requireOrgRole(['owner', 'admin']), updateOrganization);
+router.put('/:orgId', requireOrgRole(['owner', 'admin']), settingsValidation, updateOrganization);
 router.delete('/:orgId', requireOrgOwner, deleteOrganization);
 
 // Members management
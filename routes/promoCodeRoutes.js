@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const {
+  createPromoCode,
+  listPromoCodes,
+  updatePromoCode,
+  deactivatePromoCode,
+  validatePromoCode
+} = require('../controllers/promoCodeController');
+const { authenticateToken, requireAuth } = require('../middlewares/authMiddleware');
+const { handleValidationErrors, commonValidations } = require('../utils/validationUtils');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Promo Codes
+ *   description: Discount codes for event checkout
+ */
+
+const promoCodeFields = (isUpdate) => [
+  body('description').optional().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  (isUpdate ? body('discountType').optional() : body('discountType'))
+    .isIn(['percentage', 'fixed']).withMessage('discountType must be percentage or fixed'),
+  (isUpdate ? body('discountValue').optional() : body('discountValue'))
+    .isFloat({ min: 0 }).withMessage('discountValue must be a non-negative number'),
+  body('maxRedemptions').optional().isInt({ min: 0 }).withMessage('maxRedemptions must be a non-negative integer'),
+  body('maxRedemptionsPerUser').optional().isInt({ min: 0 }).withMessage('maxRedemptionsPerUser must be a non-negative integer'),
+  body('validFrom').optional().isISO8601().withMessage('validFrom must be a valid date'),
+  body('validUntil').optional().isISO8601().withMessage('validUntil must be a valid date'),
+  body('ticketTiers').optional().isArray().withMessage('ticketTiers must be an array'),
+  body('ticketTiers.*').isMongoId().withMessage('Each ticket tier must be a valid MongoDB ObjectId'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+// All routes require authentication
+router.use(authenticateToken, requireAuth);
+
+/**
+ * @swagger
+ * /api/promo-codes/validate:
+ *   post:
+ *     summary: Check a promo code and preview the discounted price
+ *     tags: [Promo Codes]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/validate',
+  body('code').trim().notEmpty().withMessage('code is required'),
+  body('eventId').isMongoId().withMessage('eventId must be a valid MongoDB ObjectId'),
+  body('ticketTierId').optional().isMongoId().withMessage('ticketTierId must be a valid MongoDB ObjectId'),
+  body('quantity').optional().isInt({ min: 1 }).withMessage('quantity must be at least 1'),
+  handleValidationErrors,
+  validatePromoCode
+);
+
+/**
+ * @swagger
+ * /api/promo-codes:
+ *   post:
+ *     summary: Create a promo code for an event or an organization (organizer)
+ *     tags: [Promo Codes]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/',
+  body('code').trim().toUpperCase().matches(/^[A-Z0-9_-]{3,32}$/)
+    .withMessage('code must be 3-32 letters, digits, dashes or underscores'),
+  body('event').optional().isMongoId().withMessage('event must be a valid MongoDB ObjectId'),
+  body('organizationId').optional().isMongoId().withMessage('organizationId must be a valid MongoDB ObjectId'),
+  body().custom((value) => Boolean(value.event || value.organizationId))
+    .withMessage('Either event or organizationId is required'),
+  ...promoCodeFields(false),
+  handleValidationErrors,
+  createPromoCode
+);
+
+/**
+ * @swagger
+ * /api/promo-codes:
+ *   get:
+ *     summary: List promo codes of an event or an organization (organizer)
+ *     tags: [Promo Codes]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/',
+  query('eventId').optional().isMongoId().withMessage('eventId must be a valid MongoDB ObjectId'),
+  query('organizationId').optional().isMongoId().withMessage('organizationId must be a valid MongoDB ObjectId'),
+  query().custom((value) => Boolean(value.eventId || value.organizationId))
+    .withMessage('Either eventId or organizationId is required'),
+  handleValidationErrors,
+  listPromoCodes
+);
+
+/**
+ * @swagger
+ * /api/promo-codes/:id:
+ *   put:
+ *     summary: Update a promo code (organizer)
+ *     tags: [Promo Codes]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:id',
+  commonValidations.mongoId('id'),
+  ...promoCodeFields(true),
+  handleValidationErrors,
+  updatePromoCode
+);
+
+/**
+ * @swagger
+ * /api/promo-codes/:id:
+ *   delete:
+ *     summary: Deactivate a promo code (organizer)
+ *     tags: [Promo Codes]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:id',
+  commonValidations.mongoId('id'),
+  handleValidationErrors,
+  deactivatePromoCode
+);
+
+module.exports = router;
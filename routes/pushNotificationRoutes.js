@@ -12,7 +12,8 @@ router.get('/',
   requireAuth,
   async (req, res) => {
     try {
-      const notifications = await Notification.find({ recipient: req.user._id })
+      // Types the user turned in-app off for are kept only to track email, SMS and push delivery
+      const notifications = await Notification.find({ recipient: req.user._id, 'channels.inApp': { $ne: false } })
         .sort({ createdAt: -1 })
         .limit(50)
         .lean();
@@ -74,16 +75,27 @@ router.post('/subscribe',
   requireAuth,
   async (req, res) => {
     try {
-      const { subscription } = req.body;
+      const { subscription, label } = req.body;
 
-      if (!subscription || !subscription.endpoint || !subscription.keys) {
+      if (!subscription || typeof subscription.endpoint !== 'string' || !/^https:\/\//.test(subscription.endpoint)
+        || !subscription.keys || !subscription.keys.p256dh || !subscription.keys.auth) {
         return res.status(400).json({
           success: false,
           message: 'Invalid subscription object'
         });
       }
 
-      const result = await pushNotificationService.subscribeUser(req.user._id, subscription);
+      if (label !== undefined && (typeof label !== 'string' || label.trim().length === 0 || label.length > 100)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Device label must be 1-100 characters'
+        });
+      }
+
+      const result = await pushNotificationService.subscribeUser(req.user._id, subscription, {
+        label: label && label.trim(),
+        userAgent: req.get('user-agent')
+      });
 
       res.json({
         success: true,
@@ -128,6 +140,51 @@ router.post('/unsubscribe',
   }
 );
 
+// Devices the current user gets push notifications on
+router.get('/devices',
+  authenticateToken,
+  requireAuth,
+  async (req, res) => {
+    try {
+      const devices = await pushNotificationService.listDevices(req.user._id);
+
+      res.json({
+        success: true,
+        data: devices
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+);
+
+// Stop push notifications to one of the current user's devices
+router.delete('/devices/:deviceId',
+  authenticateToken,
+  requireAuth,
+  commonValidations.mongoId('deviceId'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const device = await pushNotificationService.revokeDevice(req.user._id, req.params.deviceId);
+
+      res.json({
+        success: true,
+        message: 'Device removed',
+        data: device
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+);
+
 // Get VAPID public key
 router.get('/vapid-key',
   authenticateToken,
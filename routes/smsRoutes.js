@@ -2,6 +2,7 @@ const express = require('express');
 const { authenticateToken, requireAuth } = require('../middlewares/authMiddleware');
 const { handleValidationErrors, commonValidations } = require("../utils/validationUtils");
 const smsService = require('../services/smsService');
+const notificationService = require('../services/notificationService');
 const Event = require('../models/event');
 const { User } = require('../models/user');
 const { Order } = require('../models/order');
@@ -76,10 +77,24 @@ router.post('/send-bulk',
         });
       }
 
-      const result = await smsService.sendBulkSMS(phoneNumbers, message);
+      if (!smsService.isConfigured) {
+        return res.status(503).json({
+          success: false,
+          message: 'SMS is not configured'
+        });
+      }
 
-      res.json({
+      // Queued and sent in the background; large lists would outlast the request
+      const result = await notificationService.sendNotification({
+        channels: ['sms'],
+        recipients: phoneNumbers,
+        message,
+        createdBy: req.user._id
+      });
+
+      res.status(202).json({
         success: true,
+        message: `SMS queued for ${result.queued.sms} numbers`,
         data: result
       });
     } catch (error) {
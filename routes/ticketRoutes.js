@@ -0,0 +1,148 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+  initiateTransfer,
+  getTransferHistory,
+  getIncomingTransfers,
+  acceptTransfer,
+  declineTransfer,
+  cancelTransfer
+} = require('../controllers/ticketTransferController');
+const { reissueTicketToken, getLiveQRCode } = require('../controllers/ticketTokenController');
+const { authenticateToken, requireAuth } = require('../middlewares/authMiddleware');
+const { handleValidationErrors, commonValidations } = require('../utils/validationUtils');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Tickets
+ *   description: Ticket transfers between attendees and ticket QR codes
+ */
+
+// All routes require authentication
+router.use(authenticateToken, requireAuth);
+
+/**
+ * @swagger
+ * /api/tickets/transfers/incoming:
+ *   get:
+ *     summary: Pending transfers sent to the current user's email
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/transfers/incoming', getIncomingTransfers);
+
+/**
+ * @swagger
+ * /api/tickets/transfers/:transferId/accept:
+ *   post:
+ *     summary: Accept a ticket transfer
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/transfers/:transferId/accept',
+  commonValidations.mongoId('transferId'),
+  handleValidationErrors,
+  acceptTransfer
+);
+
+/**
+ * @swagger
+ * /api/tickets/transfers/:transferId/decline:
+ *   post:
+ *     summary: Decline a ticket transfer
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/transfers/:transferId/decline',
+  commonValidations.mongoId('transferId'),
+  handleValidationErrors,
+  declineTransfer
+);
+
+/**
+ * @swagger
+ * /api/tickets/transfers/:transferId:
+ *   delete:
+ *     summary: Cancel a pending transfer (sender)
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/transfers/:transferId',
+  commonValidations.mongoId('transferId'),
+  handleValidationErrors,
+  cancelTransfer
+);
+
+/**
+ * @swagger
+ * /api/tickets/:ticketId/transfers:
+ *   post:
+ *     summary: Transfer a ticket to someone else by email (holder)
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:ticketId/transfers',
+  commonValidations.mongoId('ticketId'),
+  body('email').isEmail().normalizeEmail().withMessage('email must be a valid email address'),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('name must be 1-100 characters'),
+  body('message').optional().trim().isLength({ max: 500 }).withMessage('message must be at most 500 characters'),
+  handleValidationErrors,
+  initiateTransfer
+);
+
+/**
+ * @swagger
+ * /api/tickets/:ticketId/transfers:
+ *   get:
+ *     summary: Holder history of a ticket (holder, buyer or organizer)
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:ticketId/transfers',
+  commonValidations.mongoId('ticketId'),
+  handleValidationErrors,
+  getTransferHistory
+);
+
+/**
+ * @swagger
+ * /api/tickets/:ticketId/reissue:
+ *   post:
+ *     summary: Revoke a ticket's QR code and issue a new one (holder, buyer or organizer)
+ *     description: The old QR code is refused at the door as revoked, including in offline manifests.
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:ticketId/reissue',
+  commonValidations.mongoId('ticketId'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('reason must be at most 500 characters'),
+  handleValidationErrors,
+  reissueTicketToken
+);
+
+/**
+ * @swagger
+ * /api/tickets/:ticketId/live-qr:
+ *   get:
+ *     summary: Current rotating QR code of a ticket (holder)
+ *     description: Expires after the event's rotationSeconds; the app fetches a new one every refreshInSeconds.
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:ticketId/live-qr',
+  commonValidations.mongoId('ticketId'),
+  handleValidationErrors,
+  getLiveQRCode
+);
+
+module.exports = router;
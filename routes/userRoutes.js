@@ -18,6 +18,7 @@ const User = require('../models/user');
 const Token = require('../models/Token');
 const PasswordReset = require('../models/PasswordReset');
 const EmailService = require('../services/emailService');
+const { CHANNELS, NOTIFICATION_TYPES, getAllChannelPreferences } = require('../utils/notificationPreferences');
 const { body, validationResult } = require('express-validator');
 const { validationSets, handleValidationErrors, commonValidations } = require("../utils/validationUtils");
 // File upload middleware removed - not currently used
@@ -497,11 +498,46 @@ router.put('/:id/password',
   }
 });
 
-// Notification settings endpoint
+// Notification preferences: for each notification type, the channels the user gets it on
+router.get('/:id/notifications', authenticateToken, requireAuth, async (req, res) => {
+  try {
+    const userId = req.params.id;
+    
+    // Verify user can only view their own settings
+    if (req.auth.userId !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view your own settings.'
+      });
+    }
+    
+    const user = await User.findById(userId).select('notificationPreferences');
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: { channels: CHANNELS, preferences: getAllChannelPreferences(user) }
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notification settings'
+    });
+  }
+});
+
+// Body: `{ [type]: { email, sms, push, inApp } }`; channels left out keep their current setting
 router.put('/:id/notifications', authenticateToken, requireAuth, async (req, res) => {
   try {
     const userId = req.params.id;
-    const notificationSettings = req.body;
+    const updates = req.body || {};
     
     // Verify user can only update their own settings
     if (req.auth.userId !== userId) {
@@ -511,11 +547,17 @@ router.put('/:id/notifications', authenticateToken, requireAuth, async (req, res
       });
     }
     
-    const user = await User.findByIdAndUpdate(
-      userId,
-      { notificationSettings },
-      { new: true }
-    );
+    const invalid = Object.entries(updates).find(([type, channels]) => !NOTIFICATION_TYPES[type]
+      || !channels || typeof channels !== 'object'
+      || Object.entries(channels).some(([channel, enabled]) => !CHANNELS.includes(channel) || typeof enabled !== 'boolean'));
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid preferences for "${invalid[0]}". Use notification types as keys and { ${CHANNELS.join(', ')} } booleans as values.`
+      });
+    }
+    
+    const user = await User.findById(userId).select('notificationPreferences');
     
     if (!user) {
       return res.status(404).json({
@@ -524,10 +566,16 @@ router.put('/:id/notifications', authenticateToken, requireAuth, async (req, res
       });
     }
     
+    Object.entries(updates).forEach(([type, channels]) => {
+      const current = user.notificationPreferences.get(type);
+      user.notificationPreferences.set(type, { ...(current ? current.toObject() : {}), ...channels });
+    });
+    await user.save();
+    
     res.json({
       success: true,
       message: 'Notification settings updated successfully',
-      user
+      data: { channels: CHANNELS, preferences: getAllChannelPreferences(user) }
     });
   } catch (error) {
     console.error('Error updating notifications:', error);
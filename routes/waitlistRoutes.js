@@ -0,0 +1,106 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const {
+  joinWaitlist,
+  leaveWaitlist,
+  getMyWaitlistStatus,
+  getEventWaitlist,
+  reorderWaitlist
+} = require('../controllers/waitlistController');
+const { authenticateToken, requireAuth, requireEventPermission } = require('../middlewares/authMiddleware');
+const { handleValidationErrors, commonValidations } = require('../utils/validationUtils');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Waitlist
+ *   description: Event and ticket tier waitlists
+ */
+
+// All routes require authentication
+router.use(authenticateToken, requireAuth);
+
+/**
+ * @swagger
+ * /api/waitlist/events/:eventId/join:
+ *   post:
+ *     summary: Join the waitlist of a sold-out event or ticket tier
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/events/:eventId/join',
+  commonValidations.mongoId('eventId'),
+  body('ticketTierId').optional().isMongoId().withMessage('ticketTierId must be a valid MongoDB ObjectId'),
+  handleValidationErrors,
+  joinWaitlist
+);
+
+/**
+ * @swagger
+ * /api/waitlist/events/:eventId/leave:
+ *   delete:
+ *     summary: Leave the waitlist
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/events/:eventId/leave',
+  commonValidations.mongoId('eventId'),
+  query('ticketTierId').optional().isMongoId().withMessage('ticketTierId must be a valid MongoDB ObjectId'),
+  handleValidationErrors,
+  leaveWaitlist
+);
+
+/**
+ * @swagger
+ * /api/waitlist/events/:eventId/me:
+ *   get:
+ *     summary: Get the current user's waitlist entries and positions for an event
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/events/:eventId/me',
+  commonValidations.mongoId('eventId'),
+  handleValidationErrors,
+  getMyWaitlistStatus
+);
+
+/**
+ * @swagger
+ * /api/waitlist/events/:eventId:
+ *   get:
+ *     summary: List an event's waitlist (organizer)
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/events/:eventId',
+  commonValidations.mongoId('eventId'),
+  handleValidationErrors,
+  requireEventPermission('manage_attendees'),
+  getEventWaitlist
+);
+
+/**
+ * @swagger
+ * /api/waitlist/events/:eventId/reorder:
+ *   put:
+ *     summary: Reorder an event's waitlist (organizer)
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/events/:eventId/reorder',
+  commonValidations.mongoId('eventId'),
+  body('ticketTierId').optional().isMongoId().withMessage('ticketTierId must be a valid MongoDB ObjectId'),
+  body('entryIds').isArray({ min: 1 }).withMessage('entryIds must be a non-empty array'),
+  body('entryIds.*').isMongoId().withMessage('Each entry ID must be a valid MongoDB ObjectId'),
+  handleValidationErrors,
+  requireEventPermission('manage_attendees'),
+  reorderWaitlist
+);
+
+module.exports = router;
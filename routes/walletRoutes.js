@@ -0,0 +1,83 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+  downloadApplePass,
+  getLatestApplePass,
+  registerDevice,
+  unregisterDevice,
+  getUpdatedPasses,
+  logDeviceErrors
+} = require('../controllers/walletController');
+const { handleValidationErrors } = require('../utils/validationUtils');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Wallet
+ *   description: Apple Wallet pass downloads and the PassKit web service that keeps passes up to date
+ */
+
+/**
+ * @swagger
+ * /api/wallet/apple/passes/:serialNumber:
+ *   get:
+ *     summary: Download a ticket's Apple Wallet pass (.pkpass)
+ *     description: Signed link from `wallet.appleWalletUrl` of GET /api/check-in/my-tickets and the order confirmation email. The link carries its own `auth` token, so no login is needed.
+ *     tags: [Wallet]
+ */
+router.get('/apple/passes/:serialNumber', downloadApplePass);
+
+// PassKit web service (https://developer.apple.com/documentation/walletpasses), called by
+// Wallet on devices with the pass token as "Authorization: ApplePass <token>"
+
+/**
+ * @swagger
+ * /api/wallet/apple/v1/devices/:deviceId/registrations/:passTypeId/:serialNumber:
+ *   post:
+ *     summary: Register a device for updates of a pass (PassKit web service)
+ *     tags: [Wallet]
+ */
+router.post('/apple/v1/devices/:deviceId/registrations/:passTypeId/:serialNumber',
+  body('pushToken').isString().notEmpty().withMessage('pushToken is required'),
+  handleValidationErrors,
+  registerDevice
+);
+
+/**
+ * @swagger
+ * /api/wallet/apple/v1/devices/:deviceId/registrations/:passTypeId/:serialNumber:
+ *   delete:
+ *     summary: Unregister a device from updates of a pass (PassKit web service)
+ *     tags: [Wallet]
+ */
+router.delete('/apple/v1/devices/:deviceId/registrations/:passTypeId/:serialNumber', unregisterDevice);
+
+/**
+ * @swagger
+ * /api/wallet/apple/v1/devices/:deviceId/registrations/:passTypeId:
+ *   get:
+ *     summary: Serial numbers of a device's passes updated since `passesUpdatedSince` (PassKit web service)
+ *     tags: [Wallet]
+ */
+router.get('/apple/v1/devices/:deviceId/registrations/:passTypeId', getUpdatedPasses);
+
+/**
+ * @swagger
+ * /api/wallet/apple/v1/passes/:passTypeId/:serialNumber:
+ *   get:
+ *     summary: Latest version of a pass (PassKit web service)
+ *     tags: [Wallet]
+ */
+router.get('/apple/v1/passes/:passTypeId/:serialNumber', getLatestApplePass);
+
+/**
+ * @swagger
+ * /api/wallet/apple/v1/log:
+ *   post:
+ *     summary: Error messages from Wallet about this web service
+ *     tags: [Wallet]
+ */
+router.post('/apple/v1/log', logDeviceErrors);
+
+module.exports = router;
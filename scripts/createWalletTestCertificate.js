@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const forge = require('node-forge');
+
+// Creates a self-signed stand-in for the Apple WWDR certificate and a pass type
+// certificate issued by it, so .pkpass bundles can be generated and signed locally
+// and in tests. Wallet on a device does not accept passes signed with these.
+//
+// Usage: node scripts/createWalletTestCertificate.js [outputDir]
+
+const OUTPUT_DIR = path.resolve(process.argv[2] || 'wallet-test-certs');
+const PASS_TYPE_ID = process.env.APPLE_PASS_TYPE_ID || 'pass.com.eazyevent.test';
+const TEAM_ID = process.env.APPLE_TEAM_ID || 'TESTTEAM01';
+
+const createCertificate = ({ subject, issuer, publicKey, signingKey, serialNumber, isCA }) => {
+  const certificate = forge.pki.createCertificate();
+  certificate.publicKey = publicKey;
+  certificate.serialNumber = serialNumber;
+  certificate.validity.notBefore = new Date();
+  certificate.validity.notAfter = new Date();
+  certificate.validity.notAfter.setFullYear(certificate.validity.notBefore.getFullYear() + 1);
+  certificate.setSubject(subject);
+  certificate.setIssuer(issuer);
+  certificate.setExtensions([
+    { name: 'basicConstraints', cA: isCA },
+    { name: 'keyUsage', digitalSignature: true, keyCertSign: isCA }
+  ]);
+  certificate.sign(signingKey, forge.md.sha256.create());
+  return certificate;
+};
+
+const main = () => {
+  const caKeys = forge.pki.rsa.generateKeyPair(2048);
+  const caSubject = [
+    { name: 'commonName', value: 'Test Worldwide Developer Relations Certification Authority' },
+    { name: 'organizationName', value: 'EazyEvent Test' }
+  ];
+  const wwdr = createCertificate({
+    subject: caSubject,
+    issuer: caSubject,
+    publicKey: caKeys.publicKey,
+    signingKey: caKeys.privateKey,
+    serialNumber: '01',
+    isCA: true
+  });
+
+  const passKeys = forge.pki.rsa.generateKeyPair(2048);
+  const pass = createCertificate({
+    subject: [
+      { name: 'commonName', value: `Pass Type ID: ${PASS_TYPE_ID}` },
+      { name: 'organizationalUnitName', value: TEAM_ID },
+      { name: 'organizationName', value: 'EazyEvent Test' }
+    ],
+    issuer: caSubject,
+    publicKey: passKeys.publicKey,
+    signingKey: caKeys.privateKey,
+    serialNumber: '02',
+    isCA: false
+  });
+
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  fs.writeFileSync(path.join(OUTPUT_DIR, 'wwdr.pem'), forge.pki.certificateToPem(wwdr));
+  fs.writeFileSync(path.join(OUTPUT_DIR, 'pass.pem'), forge.pki.certificateToPem(pass));
+  fs.writeFileSync(path.join(OUTPUT_DIR, 'pass.key'), forge.pki.privateKeyToPem(passKeys.privateKey));
+
+  console.log(`Test wallet certificates written to ${OUTPUT_DIR}`);
+  console.log(`APPLE_PASS_TYPE_ID=${PASS_TYPE_ID}`);
+  console.log(`APPLE_TEAM_ID=${TEAM_ID}`);
+  console.log(`APPLE_PASS_CERT_PATH=${path.join(OUTPUT_DIR, 'pass.pem')}`);
+  console.log(`APPLE_PASS_KEY_PATH=${path.join(OUTPUT_DIR, 'pass.key')}`);
+  console.log(`APPLE_WWDR_CERT_PATH=${path.join(OUTPUT_DIR, 'wwdr.pem')}`);
+};
+
+main();
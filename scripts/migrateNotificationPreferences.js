@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { NOTIFICATION_TYPES } = require('../utils/notificationPreferences');
+
+// Converts the old on/off `notificationSettings` of each user into per-type
+// `notificationPreferences`, then removes the old settings. Only choices that differ
+// from the defaults are stored. Safe to run more than once.
+//
+// Usage: node scripts/migrateNotificationPreferences.js
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/eazy_event';
+
+const EVENT_TYPES = ['event_reminder', 'event_update', 'event_cancelled'];
+const TASK_TYPES = ['task_assigned', 'task_updated', 'task_due_soon'];
+const OFF = { email: false, sms: false, push: false, inApp: false };
+
+const toPreferences = (settings) => {
+  const preferences = {};
+  const set = (type, channels) => {
+    preferences[type] = { ...preferences[type], ...channels };
+  };
+
+  Object.keys(NOTIFICATION_TYPES).forEach((type) => {
+    if (settings.emailNotifications === false && NOTIFICATION_TYPES[type].email) set(type, { email: false });
+    if (settings.pushNotifications === false && NOTIFICATION_TYPES[type].push) set(type, { push: false });
+  });
+  if (settings.smsNotifications === true) EVENT_TYPES.forEach((type) => set(type, { sms: true }));
+  if (settings.eventReminders === false) set('event_reminder', OFF);
+  if (settings.taskUpdates === false) TASK_TYPES.forEach((type) => set(type, OFF));
+  if (settings.marketingEmails === true && settings.emailNotifications !== false) set('marketing', { email: true });
+
+  return preferences;
+};
+
+async function migrate() {
+  try {
+    await mongoose.connect(MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    // The old field is no longer in the User schema, so read the collection directly
+    const users = mongoose.connection.collection('users');
+    const cursor = users.find({ notificationSettings: { $exists: true } }, { projection: { notificationSettings: 1, notificationPreferences: 1 } });
+
+    let migrated = 0;
+    for await (const user of cursor) {
+      const preferences = { ...toPreferences(user.notificationSettings || {}), ...(user.notificationPreferences || {}) };
+      await users.updateOne(
+        { _id: user._id },
+        { $set: { notificationPreferences: preferences }, $unset: { notificationSettings: 1 } }
+      );
+      migrated += 1;
+    }
+
+    console.log(`Migrated notification settings of ${migrated} users`);
+  } catch (error) {
+    console.error('Error migrating notification settings:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+migrate();
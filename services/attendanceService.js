@@ -0,0 +1,246 @@
+/**
+ * Attendance Service
+ * Closes attendance of finished events: tickets never scanned become no-shows once
+ * the event's tickets stop working, and the event's attendance figures are computed
+ * into EventAnalytics. Organizers correct attendance afterwards in bulk, e.g. from a
+ * paper sign-in sheet uploaded as CSV.
+ */
+
+const mongoose = require('mongoose');
+const CheckIn = require('../models/checkIn');
+const Event = require('../models/event');
+const EventCollaborationService = require('./eventCollaborationService');
+const EventAnalyticsService = require('./eventAnalyticsService');
+const { AppError } = require('../middlewares/errorHandler');
+const { parseCsv } = require('../utils/csv');
+
+// Largest sign-in sheet accepted in one correction
+const MAX_CORRECTIONS = 5000;
+
+const ATTENDED_VALUES = new Set(['yes', 'y', 'true', '1', 'x', 'present', 'attended', 'checked_in']);
+const ABSENT_VALUES = new Set(['no', 'n', 'false', '0', 'absent', 'no_show']);
+
+class AttendanceService {
+  /**
+   * Mark unscanned tickets of finished events as no-shows. Scheduled with the event status job.
+   * @param {Date} now - Current time
+   * @returns {Promise<Number>} Number of events closed
+   */
+  async closeFinishedEvents(now = new Date()) {
+    const events = await Event.find({ endDateTime: { $lte: now }, attendanceClosedAt: null })
+      .select('startDateTime endDateTime');
+
+    // Late exits, session scans and offline uploads are accepted until the tickets expire
+    const due = events.filter((event) => event.getTicketsValidUntil() <= now);
+
+    let closed = 0;
+    for (const event of due) {
+      try {
+        await this.closeEvent(event._id);
+        closed += 1;
+      } catch (error) {
+        console.error(`Attendance closing error for event ${event._id}:`, error);
+      }
+    }
+
+    return closed;
+  }
+
+  /**
+   * Mark the event's unscanned tickets as no-shows and compute its attendance figures
+   * @param {String} eventId - Event ID
+   * @returns {Promise<Object>} `{ noShows, attendance }`
+   */
+  async closeEvent(eventId) {
+    const result = await CheckIn.updateMany(
+      { event: eventId, status: 'pending' },
+      { status: 'no_show' }
+    );
+
+    await Event.updateOne({ _id: eventId }, { attendanceClosedAt: new Date() });
+
+    return { noShows: result.modifiedCount, attendance: await this.refreshAnalytics(eventId) };
+  }
+
+  /**
+   * Correct the attendance of a finished event, e.g. from a paper sign-in sheet
+   * @param {String} eventId - Event ID
+   * @param {Object} user - Organizer with `manage_attendees`
+   * @param {Object} input - `{ csv }` with columns ticketNumber and/or email, and optionally
+   *   attended (yes/no, default yes) and checkInTime; or `{ records }` with the same fields
+   * @returns {Promise<Object>} `{ updated, unchanged, errors, attendance }`
+   */
+  async correctAttendance(eventId, user, { csv, records }) {
+    const event = await Event.findById(eventId).select('startDateTime endDateTime');
+    if (!event) {
+      throw new AppError('Event not found', 404);
+    }
+
+    const allowed = await EventCollaborationService.hasPermission(eventId.toString(), user._id.toString(), 'manage_attendees');
+    if (!allowed) {
+      throw new AppError('You do not have permission to manage attendees for this event', 403);
+    }
+
+    if (event.endDateTime > new Date()) {
+      throw new AppError('Attendance can be corrected once the event has ended', 400);
+    }
+
+    const rows = csv !== undefined ? parseCsv(csv) : this.normalizeRecords(records);
+    if (rows.length === 0) {
+      throw new AppError('No attendance rows found', 400);
+    }
+    if (rows.length > MAX_CORRECTIONS) {
+      throw new AppError(`At most ${MAX_CORRECTIONS} rows can be corrected at once`, 400);
+    }
+
+    const report = { updated: 0, unchanged: 0, errors: [] };
+
+    for (const row of rows) {
+      try {
+        const changed = await this.applyCorrection(event, row, user);
+        report[changed ? 'updated' : 'unchanged'] += 1;
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        report.errors.push({ line: row.line, message: error.message });
+      }
+    }
+
+    report.attendance = await this.refreshAnalytics(event._id);
+    return report;
+  }
+
+  /**
+   * Recompute the event's attendance figures from its tickets
+   * @param {String} eventId - Event ID
+   * @returns {Promise<Object>} The attendance figures
+   */
+  async refreshAnalytics(eventId) {
+    const eventObjectId = new mongoose.Types.ObjectId(eventId.toString());
+    const [counts, arrivals] = await Promise.all([
+      CheckIn.aggregate([
+        { $match: { event: eventObjectId, status: { $ne: 'cancelled' } } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      CheckIn.aggregate([
+        { $match: { event: eventObjectId, status: 'checked_in', checkInTime: { $ne: null } } },
+        { $group: { _id: { $dateToString: { format: '%Y-%m-%dT%H:00', date: '$checkInTime' } }, count: { $sum: 1 } } },
+        { $sort: { _id: 1 } }
+      ])
+    ]);
+
+    const byStatus = counts.reduce((totals, { _id, count }) => ({ ...totals, [_id]: count }), {});
+    const attendance = {
+      total: counts.reduce((sum, { count }) => sum + count, 0),
+      checkIns: byStatus.checked_in || 0,
+      noShows: byStatus.no_show || 0,
+      // Check-ins per hour (UTC)
+      byTimeSlot: arrivals.map(({ _id, count }) => ({ timeSlot: _id, count }))
+    };
+
+    const { analytics } = await EventAnalyticsService.recordAttendance(eventId, attendance);
+    return analytics.attendance;
+  }
+
+  /**
+   * Apply one row of a correction; throws AppErrors for rows that cannot be applied
+   * @private
+   * @returns {Promise<Boolean>} Whether the ticket changed
+   */
+  async applyCorrection(event, row, user) {
+    const ticketNumber = row.ticketnumber || row.ticket_number || row.ticket;
+    const email = row.email || row.attendee_email;
+    if (!ticketNumber && !email) {
+      throw new AppError('A ticket number or email is required', 400);
+    }
+
+    const filter = { event: event._id };
+    if (ticketNumber) {
+      filter.ticketNumber = String(ticketNumber).trim();
+    } else {
+      filter.attendeeEmail = String(email).trim().toLowerCase();
+    }
+
+    const ticket = await CheckIn.findOne(filter);
+    if (!ticket) {
+      throw new AppError(ticketNumber ? `Ticket ${ticketNumber} not found` : `No ticket for ${email}`, 404);
+    }
+    if (ticket.status === 'cancelled') {
+      throw new AppError(`Ticket ${ticket.ticketNumber || ticket._id} has been cancelled`, 400);
+    }
+
+    const attended = this.parseAttended(row.attended);
+    if (attended === null) {
+      throw new AppError(`Unrecognized attended value "${row.attended}"`, 400);
+    }
+
+    const targetStatus = attended ? 'checked_in' : 'no_show';
+    if (ticket.status === targetStatus) {
+      return false;
+    }
+
+    const note = `Attendance corrected to ${targetStatus} by ${user.email} at ${new Date().toISOString()}`;
+    const update = attended
+      ? {
+        status: 'checked_in',
+        checkInTime: this.parseCheckInTime(row.checkintime || row.check_in_time, event),
+        checkInMethod: 'reconciliation',
+        checkInBy: user._id,
+        checkInScanner: null,
+        checkInKiosk: null
+      }
+      : { status: 'no_show', $unset: { checkInTime: 1 } };
+
+    update.notes = ticket.notes ? `${ticket.notes}\n${note}` : note;
+
+    // Conditional on the status we read, so a concurrent scan is not overwritten
+    const result = await CheckIn.updateOne({ _id: ticket._id, status: ticket.status }, update);
+    if (result.modifiedCount === 0) {
+      throw new AppError(`Ticket ${ticket.ticketNumber || ticket._id} changed in the meantime`, 409);
+    }
+
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  parseAttended(value) {
+    if (value === undefined || value === null || value === '') return true;
+    if (typeof value === 'boolean') return value;
+
+    const normalized = String(value).trim().toLowerCase();
+    if (ATTENDED_VALUES.has(normalized)) return true;
+    if (ABSENT_VALUES.has(normalized)) return false;
+    return null;
+  }
+
+  /**
+   * Sign-in sheets rarely record a time; attendees without one count from the event start
+   * @private
+   */
+  parseCheckInTime(value, event) {
+    if (!value) return event.startDateTime;
+
+    const time = new Date(value);
+    if (Number.isNaN(time.getTime())) {
+      throw new AppError(`Invalid check-in time "${value}"`, 400);
+    }
+    return time;
+  }
+
+  /**
+   * JSON records use the same fields as the CSV columns
+   * @private
+   */
+  normalizeRecords(records = []) {
+    return records.map((record, index) => ({
+      line: index + 1,
+      ticketnumber: record.ticketNumber,
+      email: record.email,
+      attended: record.attended,
+      checkintime: record.checkInTime
+    }));
+  }
+}
+
+module.exports = new AttendanceService();
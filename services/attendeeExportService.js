@@ -0,0 +1,197 @@
+/**
+ * Attendee Export Service
+ * Spreadsheets of an event's attendees for organizers: one row per ticket with its
+ * holder, order and check-in status, plus free registrations that have no ticket.
+ * Rows are read with a cursor and streamed as CSV or XLSX, so large events never
+ * sit in memory.
+ */
+
+const { Readable } = require('stream');
+const CheckIn = require('../models/checkIn');
+const Event = require('../models/event');
+const User = require('../models/user');
+const SeatReservation = require('../models/seatReservation');
+const ticketService = require('./ticketService');
+const EventCollaborationService = require('./eventCollaborationService');
+const { AppError } = require('../middlewares/errorHandler');
+const { formatCsvRow } = require('../utils/csv');
+const { createXlsxStream } = require('../utils/xlsx');
+
+const fullName = (user) => (user ? `${user.firstName || ''} ${user.lastName || ''}`.trim() : undefined);
+
+// Each column reads from `{ ticket, order, user }`; registrations without a ticket only have `user`
+const COLUMNS = {
+  ticketNumber: { header: 'Ticket number', value: ({ ticket }) => ticket && ticket.ticketNumber },
+  attendeeName: { header: 'Attendee name', value: ({ ticket, user }) => (ticket && ticket.attendeeName) || fullName(user) },
+  attendeeEmail: { header: 'Attendee email', value: ({ ticket, user }) => (ticket && ticket.attendeeEmail) || (user && user.email) },
+  organization: { header: 'Organization', value: ({ ticket }) => ticket && ticket.attendeeOrganization },
+  ticketType: { header: 'Ticket type', value: ({ ticket }) => ticket && ticket.ticketType },
+  status: { header: 'Status', value: ({ ticket }) => (ticket ? ticket.status : 'registered') },
+  checkedIn: { header: 'Checked in', value: ({ ticket }) => (ticket && ticket.status === 'checked_in' ? 'yes' : 'no') },
+  checkInTime: { header: 'Check-in time', value: ({ ticket }) => ticket && ticket.checkInTime },
+  checkInMethod: { header: 'Check-in method', value: ({ ticket }) => ticket && ticket.status === 'checked_in' ? ticket.checkInMethod : undefined },
+  orderId: { header: 'Order ID', value: ({ order }) => order && order._id.toString() },
+  orderStatus: { header: 'Order status', value: ({ order }) => order && order.status },
+  orderDate: { header: 'Order date', value: ({ order }) => order && order.createdAt },
+  confirmationCode: { header: 'Confirmation code', value: ({ order }) => order && ticketService.getConfirmationCode(order._id) },
+  buyerName: { header: 'Buyer name', value: ({ order }) => order && ((order.billingDetails && order.billingDetails.name) || fullName(order.buyer)) },
+  buyerEmail: { header: 'Buyer email', value: ({ order }) => order && ((order.billingDetails && order.billingDetails.email) || (order.buyer && order.buyer.email)) },
+  company: { header: 'Company', value: ({ order }) => order && order.billingDetails && order.billingDetails.company },
+  paymentMethod: { header: 'Payment method', value: ({ order }) => order && order.paymentMethod },
+  amountPaid: { header: 'Amount paid', value: ({ order }) => order && order.totalAmount },
+  currency: { header: 'Currency', value: ({ order }) => order && order.currency },
+  promoCode: { header: 'Promo code', value: ({ order }) => order && order.discount && order.discount.code },
+  registeredAt: { header: 'Registered at', value: ({ ticket, registeredAt }) => (ticket ? ticket.createdAt : registeredAt) }
+};
+
+const DEFAULT_COLUMNS = [
+  'ticketNumber', 'attendeeName', 'attendeeEmail', 'organization', 'ticketType', 'status',
+  'checkInTime', 'orderId', 'orderStatus', 'buyerName', 'buyerEmail', 'amountPaid', 'currency', 'registeredAt'
+];
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const TICKET_STATUSES = ['pending', 'checked_in', 'no_show', 'cancelled'];
+
+class AttendeeExportService {
+  /**
+   * Columns that can be exported, in their default order first
+   * @returns {Array<Object>} `{ key, header, default }`
+   */
+  getColumns() {
+    return Object.entries(COLUMNS).map(([key, { header }]) => ({ key, header, default: DEFAULT_COLUMNS.includes(key) }));
+  }
+
+  /**
+   * Export an event's attendees
+   * @param {String} eventId - Event ID
+   * @param {Object} user - Organizer with `manage_attendees`
+   * @param {Object} options - `{ format, columns, status }`: 'csv' (default) or 'xlsx', column keys
+   *   (comma-separated or an array, default DEFAULT_COLUMNS), and a ticket status to filter on
+   * @returns {Promise<Object>} `{ filename, contentType, stream }`
+   */
+  async exportAttendees(eventId, user, { format = 'csv', columns, status } = {}) {
+    const output = FORMATS[format];
+    if (!output) {
+      throw new AppError(`Unsupported format "${format}". Use csv or xlsx.`, 400);
+    }
+    if (status && !TICKET_STATUSES.includes(status)) {
+      throw new AppError(`Unknown status "${status}"`, 400);
+    }
+
+    const keys = this.resolveColumns(columns);
+    const event = await this.findManagedEvent(eventId, user);
+
+    const headers = keys.map((key) => COLUMNS[key].header);
+    const rows = this.iterateRows(event, keys, { status });
+    const filename = `${this.slugify(event.title)}-attendees.${output.extension}`;
+
+    const stream = format === 'xlsx'
+      ? createXlsxStream({ sheetName: 'Attendees', headers, rows })
+      : Readable.from(this.iterateCsv(headers, rows));
+
+    return { filename, contentType: output.contentType, stream };
+  }
+
+  /**
+   * @private
+   */
+  async* iterateCsv(headers, rows) {
+    // Byte order mark, so spreadsheets open the file as UTF-8
+    yield `\uFEFF${formatCsvRow(headers)}`;
+    for await (const values of rows) {
+      yield formatCsvRow(values);
+    }
+  }
+
+  /**
+   * Tickets first, then free registrations without a ticket
+   * @private
+   */
+  async* iterateRows(event, keys, { status }) {
+    const toValues = (record) => keys.map((key) => COLUMNS[key].value(record));
+    const ticketHolders = new Set();
+
+    const filter = { event: event._id };
+    if (status) filter.status = status;
+
+    const tickets = CheckIn.find(filter)
+      .sort({ createdAt: 1 })
+      .populate('attendee', 'firstName lastName email')
+      .populate({
+        path: 'order',
+        select: 'status createdAt billingDetails paymentMethod totalAmount currency discount buyer',
+        populate: { path: 'buyer', select: 'firstName lastName email' }
+      })
+      .cursor({ batchSize: 500 });
+
+    for await (const ticket of tickets) {
+      if (ticket.attendee) ticketHolders.add(ticket.attendee._id.toString());
+      yield toValues({ ticket, order: ticket.order, user: ticket.attendee });
+    }
+
+    // Registrations without a ticket match no ticket status
+    if (status) return;
+
+    const registrations = await SeatReservation.find({ event: event._id, source: 'registration', status: 'confirmed' })
+      .select('user createdAt')
+      .lean();
+    const registeredAt = new Map(registrations.map((reservation) => [reservation.user.toString(), reservation.createdAt]));
+
+    const registrants = (event.attendees || []).filter((id) => !ticketHolders.has(id.toString()));
+    const users = User.find({ _id: { $in: registrants } })
+      .select('firstName lastName email')
+      .cursor({ batchSize: 500 });
+
+    for await (const registrant of users) {
+      yield toValues({ user: registrant, registeredAt: registeredAt.get(registrant._id.toString()) });
+    }
+  }
+
+  /**
+   * @private
+   */
+  resolveColumns(columns) {
+    if (!columns || columns.length === 0) return DEFAULT_COLUMNS;
+
+    const keys = (Array.isArray(columns) ? columns : String(columns).split(','))
+      .map((key) => key.trim())
+      .filter(Boolean);
+
+    const unknown = keys.filter((key) => !COLUMNS[key]);
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown columns: ${unknown.join(', ')}. Available: ${Object.keys(COLUMNS).join(', ')}`, 400);
+    }
+
+    return keys.length > 0 ? [...new Set(keys)] : DEFAULT_COLUMNS;
+  }
+
+  /**
+   * @private
+   */
+  async findManagedEvent(eventId, user) {
+    const event = await Event.findById(eventId).select('title attendees');
+    if (!event) {
+      throw new AppError('Event not found', 404);
+    }
+
+    const allowed = await EventCollaborationService.hasPermission(eventId.toString(), user._id.toString(), 'manage_attendees');
+    if (!allowed) {
+      throw new AppError('You do not have permission to export attendees of this event', 403);
+    }
+
+    return event;
+  }
+
+  /**
+   * @private
+   */
+  slugify(title) {
+    return String(title || 'event').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'event';
+  }
+}
+
+module.exports = new AttendeeExportService();
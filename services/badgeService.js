@@ -0,0 +1,364 @@
+/**
+ * Badge Service
+ * Renders attendee name badges from an event's badge layout: a PDF (one badge per page,
+ * sized to the badge) for desktop printers and ZPL for Zebra-compatible label printers.
+ * Badges show the attendee's name, organization, ticket tier and their ticket QR code.
+ */
+
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const Event = require('../models/event');
+const CheckIn = require('../models/checkIn');
+const qrService = require('./qrService');
+const checkInStaffService = require('./checkInStaffService');
+const { AppError } = require('../middlewares/errorHandler');
+
+const POINTS_PER_MM = 72 / 25.4;
+
+const DEFAULT_LAYOUT = {
+  widthMm: 102,
+  heightMm: 76,
+  accentColor: '#1F2937',
+  showOrganization: true,
+  showTicketTier: true,
+  showQRCode: true,
+  printerDpi: 203
+};
+
+const CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  zpl: 'text/plain; charset=utf-8'
+};
+
+// Largest batch rendered in one request
+const MAX_BATCH = 500;
+
+class BadgeService {
+  /**
+   * Badge of one ticket
+   * @param {String} checkInId - Ticket (CheckIn) ID
+   * @param {Object} actor - `{ user }` or `{ scanner }`
+   * @param {String} format - 'pdf' or 'zpl'
+   * @returns {Promise<Object>} `{ format, contentType, filename, content }`
+   */
+  async getTicketBadge(checkInId, actor, format = 'pdf') {
+    const ticket = await this.loadTickets({ _id: checkInId }).then((tickets) => tickets[0]);
+    if (!ticket) {
+      throw new AppError('Ticket not found', 404);
+    }
+    if (ticket.status === 'cancelled') {
+      throw new AppError('Ticket has been cancelled', 400);
+    }
+
+    await checkInStaffService.assertCanCheckIn(ticket.event, actor);
+
+    const event = await this.findEvent(ticket.event);
+    const badge = await this.render([ticket], event, format);
+
+    return { ...badge, filename: `badge-${ticket.ticketNumber || ticket._id}.${format}` };
+  }
+
+  /**
+   * Badges of many tickets of an event, in ticket number order
+   * @param {String} eventId - Event ID
+   * @param {Object} actor - `{ user }` or `{ scanner }`
+   * @param {Object} options - `{ format, status, tier, sessionId, page, limit }`; `sessionId`
+   *   keeps tickets whose tier admits them to that session
+   * @returns {Promise<Object>} `{ format, contentType, filename, content, count, total }`
+   */
+  async getEventBadges(eventId, actor, { format = 'pdf', status, tier, sessionId, page = 1, limit = 100 } = {}) {
+    const event = await this.findEvent(eventId);
+    await checkInStaffService.assertCanCheckIn(event._id, actor);
+
+    const query = { event: event._id, status: status || { $ne: 'cancelled' } };
+    if (tier) query.ticketTier = tier;
+
+    if (sessionId) {
+      const session = event.getCheckInSession(sessionId);
+      if (!session) {
+        throw new AppError('Check-in session not found for this event', 404);
+      }
+      if (session.ticketTiers.length > 0) {
+        query.ticketTier = tier
+          ? { $in: session.ticketTiers.filter((tierId) => tierId.toString() === tier.toString()) }
+          : { $in: session.ticketTiers };
+      }
+    }
+
+    const size = Math.min(parseInt(limit, 10) || 100, MAX_BATCH);
+    const [tickets, total] = await Promise.all([
+      this.loadTickets(query, { skip: (page - 1) * size, limit: size }),
+      CheckIn.countDocuments(query)
+    ]);
+
+    if (tickets.length === 0) {
+      throw new AppError('No tickets match these filters', 404);
+    }
+
+    const badge = await this.render(tickets, event, format);
+
+    return { ...badge, filename: `badges-${event._id}-${page}.${format}`, count: tickets.length, total };
+  }
+
+  /**
+   * Render badges for tickets loaded with loadTickets
+   * @param {Array} tickets - Tickets with attendee and order populated
+   * @param {Object} event - Event document
+   * @param {String} format - 'pdf' (Buffer) or 'zpl' (String)
+   */
+  async render(tickets, event, format = 'pdf') {
+    const layout = this.getLayout(event);
+    const badges = tickets.map((ticket) => this.toBadge(ticket));
+
+    const content = format === 'zpl'
+      ? this.renderZpl(badges, layout)
+      : await this.renderPdf(badges, layout);
+
+    return { format, contentType: CONTENT_TYPES[format], content };
+  }
+
+  /**
+   * Badge for a ticket just checked in at the door, for printing on the spot
+   * @param {String} checkInId - Ticket (CheckIn) ID
+   * @param {Object} event - Event document with its badge layout
+   * @param {String} format - 'pdf' or 'zpl'
+   * @returns {Promise<Object>} `{ format, contentType, content }`; PDF content is base64
+   */
+  async renderForCheckIn(checkInId, event, format) {
+    const tickets = await this.loadTickets({ _id: checkInId });
+    const badge = await this.render(tickets, event, format);
+
+    return { ...badge, content: format === 'pdf' ? badge.content.toString('base64') : badge.content };
+  }
+
+  /**
+   * The event's badge layout over the defaults
+   * @param {Object} event - Event document
+   */
+  getLayout(event) {
+    const layout = event.badgeLayout && event.badgeLayout.toObject
+      ? event.badgeLayout.toObject()
+      : { ...event.badgeLayout };
+
+    Object.keys(layout).forEach((key) => layout[key] === undefined && delete layout[key]);
+
+    // The ticket's static QR code is refused at the door when the event rotates codes
+    if (event.ticketSecurity && event.ticketSecurity.rotatingQr) {
+      layout.showQRCode = false;
+    }
+
+    return { ...DEFAULT_LAYOUT, headerText: event.title, ...layout };
+  }
+
+  /**
+   * One badge per page, the page being the size of the badge
+   * @param {Array} badges - Badge views from toBadge
+   * @param {Object} layout - Badge layout
+   * @returns {Promise<Buffer>}
+   */
+  async renderPdf(badges, layout) {
+    const width = layout.widthMm * POINTS_PER_MM;
+    const height = layout.heightMm * POINTS_PER_MM;
+    const margin = Math.round(Math.min(width, height) * 0.05);
+    const headerHeight = layout.headerText ? Math.round(height * 0.14) : 0;
+    const innerWidth = width - margin * 2;
+
+    const qrImages = layout.showQRCode
+      ? await Promise.all(badges.map((badge) => qrService.renderQRCode(badge.token, { width: 400 })))
+      : [];
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: [width, height], margin: 0, autoFirstPage: false });
+      const chunks = [];
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      badges.forEach((badge, index) => {
+        doc.addPage({ size: [width, height], margin: 0 });
+
+        if (headerHeight) {
+          doc.rect(0, 0, width, headerHeight).fill(layout.accentColor);
+          const size = this.fitFontSize(doc, 'Helvetica-Bold', layout.headerText, innerWidth, headerHeight * 0.5, 6);
+          doc.font('Helvetica-Bold').fontSize(size).fillColor('#FFFFFF')
+            .text(layout.headerText, margin, (headerHeight - size) / 2, { width: innerWidth, align: 'center', lineBreak: false });
+        }
+
+        let y = headerHeight + margin;
+        const nameSize = this.fitFontSize(doc, 'Helvetica-Bold', badge.name, innerWidth, height * 0.13, 10);
+        doc.font('Helvetica-Bold').fontSize(nameSize).fillColor('#000000')
+          .text(badge.name, margin, y, { width: innerWidth, align: 'center', lineBreak: false });
+        y += nameSize * 1.25;
+
+        if (layout.showOrganization && badge.organization) {
+          const size = this.fitFontSize(doc, 'Helvetica', badge.organization, innerWidth, height * 0.07, 7);
+          doc.font('Helvetica').fontSize(size).fillColor('#374151')
+            .text(badge.organization, margin, y, { width: innerWidth, align: 'center', lineBreak: false });
+          y += size * 1.3;
+        }
+
+        if (layout.showTicketTier && badge.tier) {
+          const size = this.fitFontSize(doc, 'Helvetica-Bold', badge.tier.toUpperCase(), innerWidth, height * 0.055, 6);
+          doc.font('Helvetica-Bold').fontSize(size).fillColor(layout.accentColor)
+            .text(badge.tier.toUpperCase(), margin, y, { width: innerWidth, align: 'center', lineBreak: false });
+          y += size * 1.3;
+        }
+
+        // The QR code takes the bottom right corner, the footer the bottom left
+        const qrSize = Math.min(width * 0.32, height - y - margin);
+        const footerWidth = layout.showQRCode && qrSize > 0 ? innerWidth - qrSize - margin : innerWidth;
+        if (layout.showQRCode && qrSize >= 36) {
+          doc.image(qrImages[index].buffer, width - margin - qrSize, height - margin - qrSize, { width: qrSize, height: qrSize });
+        }
+
+        const footer = [layout.footerText, badge.ticketNumber].filter(Boolean).join('\n');
+        if (footer) {
+          doc.font('Helvetica').fontSize(7).fillColor('#6B7280');
+          doc.text(footer, margin, height - margin - doc.heightOfString(footer, { width: footerWidth }), { width: footerWidth });
+        }
+      });
+
+      doc.end();
+    });
+  }
+
+  /**
+   * One label per badge in ZPL II, printed at the layout's printer resolution
+   * @param {Array} badges - Badge views from toBadge
+   * @param {Object} layout - Badge layout
+   * @returns {String}
+   */
+  renderZpl(badges, layout) {
+    const dots = (mm) => Math.round((mm * layout.printerDpi) / 25.4);
+    const width = dots(layout.widthMm);
+    const height = dots(layout.heightMm);
+    const margin = Math.round(Math.min(width, height) * 0.05);
+    const headerHeight = layout.headerText ? Math.round(height * 0.14) : 0;
+    const innerWidth = width - margin * 2;
+
+    // Scalable font 0 glyphs are roughly 0.55 of their height wide
+    const fit = (text, max) => Math.max(16, Math.min(max, Math.floor(innerWidth / (text.length * 0.55))));
+    const field = (x, y, size, text) => `^FO${x},${y}^A0N,${size},${size}^FB${innerWidth},1,0,C^FH^FD${this.escapeZpl(text)}^FS`;
+
+    return badges.map((badge) => {
+      const lines = ['^XA', '^CI28', `^PW${width}`, `^LL${height}`];
+
+      if (headerHeight) {
+        const size = fit(layout.headerText, Math.round(headerHeight * 0.55));
+        lines.push(`^FO0,0^GB${width},${headerHeight},${headerHeight}^FS`);
+        lines.push(`^FR${field(margin, Math.round((headerHeight - size) / 2), size, layout.headerText)}`);
+      }
+
+      let y = headerHeight + margin;
+      const nameSize = fit(badge.name, Math.round(height * 0.13));
+      lines.push(field(margin, y, nameSize, badge.name));
+      y += Math.round(nameSize * 1.25);
+
+      if (layout.showOrganization && badge.organization) {
+        const size = fit(badge.organization, Math.round(height * 0.07));
+        lines.push(field(margin, y, size, badge.organization));
+        y += Math.round(size * 1.3);
+      }
+
+      if (layout.showTicketTier && badge.tier) {
+        const size = fit(badge.tier, Math.round(height * 0.055));
+        lines.push(field(margin, y, size, badge.tier.toUpperCase()));
+        y += Math.round(size * 1.3);
+      }
+
+      const qrTarget = Math.min(Math.round(width * 0.32), height - y - margin);
+      const footerWidth = layout.showQRCode && qrTarget > 0 ? innerWidth - qrTarget - margin : innerWidth;
+      if (layout.showQRCode && qrTarget > 0) {
+        const modules = QRCode.create(badge.token, { errorCorrectionLevel: 'M' }).modules.size;
+        const magnification = Math.min(10, Math.floor(qrTarget / modules));
+        if (magnification >= 1) {
+          const size = modules * magnification;
+          lines.push(`^FO${width - margin - size},${height - margin - size}^BQN,2,${magnification}^FDMA,${badge.token}^FS`);
+        }
+      }
+
+      const footer = [layout.footerText, badge.ticketNumber].filter(Boolean);
+      footer.forEach((text, i) => {
+        const fromBottom = (footer.length - i) * 22;
+        lines.push(`^FO${margin},${height - margin - fromBottom}^A0N,18,18^FB${footerWidth},1,0,L^FH^FD${this.escapeZpl(text)}^FS`);
+      });
+
+      lines.push('^XZ');
+      return lines.join('\n');
+    }).join('\n');
+  }
+
+  /**
+   * Tickets with what a badge needs populated
+   * @private
+   */
+  async loadTickets(query, { skip = 0, limit } = {}) {
+    let find = CheckIn.find(query)
+      .sort({ ticketNumber: 1, _id: 1 })
+      .skip(skip)
+      .populate('attendee', 'firstName lastName')
+      .populate('order', 'buyer billingDetails');
+    if (limit) find = find.limit(limit);
+
+    return find;
+  }
+
+  /**
+   * @private
+   */
+  async findEvent(eventId) {
+    const event = await Event.findById(eventId).select('title badgeLayout checkInSessions ticketSecurity');
+    if (!event) {
+      throw new AppError('Event not found', 404);
+    }
+    return event;
+  }
+
+  /**
+   * What is printed for a ticket. The buyer's own ticket falls back to the company
+   * on the order's billing details.
+   * @private
+   */
+  toBadge(ticket) {
+    let name = ticket.attendeeName;
+    if (ticket.attendee && ticket.attendee.firstName) {
+      name = name || `${ticket.attendee.firstName} ${ticket.attendee.lastName}`.trim();
+    }
+
+    let organization = ticket.attendeeOrganization;
+    const order = ticket.order;
+    if (!organization && order && order.billingDetails && ticket.attendee && order.buyer
+      && (ticket.attendee._id || ticket.attendee).toString() === order.buyer.toString()) {
+      organization = order.billingDetails.company;
+    }
+
+    return {
+      name: name || 'Guest',
+      organization,
+      tier: ticket.ticketType && ticket.ticketType !== 'general' ? ticket.ticketType : undefined,
+      ticketNumber: ticket.ticketNumber,
+      token: ticket.ticketToken
+    };
+  }
+
+  /**
+   * Largest font size up to `max` at which the text fits on one line
+   * @private
+   */
+  fitFontSize(doc, font, text, width, max, min) {
+    doc.font(font).fontSize(max);
+    const textWidth = doc.widthOfString(text);
+    if (textWidth <= width) return max;
+    return Math.max(min, Math.floor((max * width) / textWidth));
+  }
+
+  /**
+   * Field data is sent with ^FH, so the characters ZPL treats as commands are hex-escaped
+   * @private
+   */
+  escapeZpl(text) {
+    return String(text).replace(/[_^~]/g, (char) => `_${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  }
+}
+
+module.exports = new BadgeService();
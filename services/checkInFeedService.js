@@ -0,0 +1,198 @@
+/**
+ * Check-In Feed Service
+ * Pushes live check-in activity to the `/check-in` Socket.IO namespace (see
+ * socket/checkInSocket.js): check-ins and exits, undos, alerts for rejected scans and
+ * throttled stats snapshots with totals per tier and the arrival rate.
+ * Publishing is a no-op until the namespace is attached, e.g. in scripts and tests.
+ */
+
+const CheckIn = require('../models/checkIn');
+const CheckInScan = require('../models/checkInScan');
+
+// Stats snapshots are sent at most this often per event, however busy the doors are
+const STATS_INTERVAL_MS = 2000;
+
+// Arrival rate windows, in minutes
+const RATE_WINDOWS = [5, 15];
+
+class CheckInFeedService {
+  constructor() {
+    this.namespace = null;
+    this.pendingStats = new Map();
+  }
+
+  /**
+   * Start publishing to a Socket.IO namespace
+   * @param {Object} namespace - Socket.IO namespace
+   */
+  attach(namespace) {
+    this.namespace = namespace;
+  }
+
+  /**
+   * Socket.IO room of an event's dashboard
+   * @param {String} eventId - Event ID
+   */
+  room(eventId) {
+    return `event_${eventId}`;
+  }
+
+  /**
+   * An attendee entered or left (a session of) the event
+   * @param {String} eventId - Event ID
+   * @param {Object} ticket - CheckIn document, attendee optionally populated
+   * @param {Object} details - `{ session, direction, method, entries, actor, at }`
+   */
+  publishCheckIn(eventId, ticket, { session, direction = 'entry', method, entries, actor, at } = {}) {
+    this.emit(eventId, 'checkin', {
+      eventId: eventId.toString(),
+      ticketId: ticket._id,
+      ticketNumber: ticket.ticketNumber,
+      attendeeName: this.getHolderName(ticket),
+      ticketType: ticket.ticketType,
+      ticketTier: ticket.ticketTier,
+      session,
+      direction,
+      method,
+      entries,
+      by: this.describeActor(actor),
+      at: at || ticket.checkInTime || new Date()
+    });
+    this.scheduleStats(eventId);
+  }
+
+  /**
+   * A check-in was undone
+   * @param {String} eventId - Event ID
+   * @param {Object} ticket - CheckIn document
+   * @param {Object} actor - `{ user }` or `{ scanner }`
+   */
+  publishUndo(eventId, ticket, actor) {
+    this.emit(eventId, 'undo', {
+      eventId: eventId.toString(),
+      ticketId: ticket._id,
+      ticketNumber: ticket.ticketNumber,
+      attendeeName: this.getHolderName(ticket),
+      by: this.describeActor(actor),
+      at: new Date()
+    });
+    this.scheduleStats(eventId);
+  }
+
+  /**
+   * A scan was rejected: duplicate, invalid, revoked or cancelled ticket, or not admitted
+   * @param {String} eventId - Event ID
+   * @param {String} type - Alert type, e.g. 'duplicate' or 'invalid'
+   * @param {Object} details - `{ message, ticket, session, actor, ... }`
+   */
+  publishAlert(eventId, type, { message, ticket, actor, ...details } = {}) {
+    this.emit(eventId, 'alert', {
+      eventId: eventId.toString(),
+      type,
+      message,
+      ticketId: ticket ? ticket._id : undefined,
+      ticketNumber: ticket ? ticket.ticketNumber : undefined,
+      attendeeName: ticket ? this.getHolderName(ticket) : undefined,
+      ...details,
+      by: this.describeActor(actor),
+      at: new Date()
+    });
+  }
+
+  /**
+   * Running totals, totals per tier and arrival rate of an event
+   * @param {String} eventId - Event ID
+   * @returns {Promise<Object>}
+   */
+  async getSnapshot(eventId) {
+    const now = Date.now();
+
+    const [stats, tiers, ...arrivals] = await Promise.all([
+      CheckIn.getEventStats(eventId),
+      CheckIn.getTierStats(eventId),
+      ...RATE_WINDOWS.map((minutes) => CheckInScan.countDocuments({
+        event: eventId,
+        direction: 'entry',
+        scannedAt: { $gte: new Date(now - minutes * 60 * 1000) }
+      }))
+    ]);
+
+    const arrivalRate = RATE_WINDOWS.reduce((rates, minutes, i) => {
+      rates[`last${minutes}Minutes`] = Math.round((arrivals[i] / minutes) * 10) / 10;
+      return rates;
+    }, { unit: 'entries_per_minute' });
+
+    return { eventId: eventId.toString(), stats, tiers, arrivalRate, at: new Date(now) };
+  }
+
+  /**
+   * Disconnect the dashboards of a revoked scanner
+   * @param {String} scannerId - Scanner credential ID
+   */
+  disconnectScanner(scannerId) {
+    if (!this.namespace) return;
+    this.namespace.in(`scanner_${scannerId}`).disconnectSockets(true);
+  }
+
+  /**
+   * @private
+   */
+  emit(eventId, name, payload) {
+    if (!this.namespace) return;
+    this.namespace.to(this.room(eventId)).emit(name, payload);
+  }
+
+  /**
+   * Coalesce stats refreshes of busy events into one snapshot per interval
+   * @private
+   */
+  scheduleStats(eventId) {
+    const key = eventId.toString();
+    if (!this.namespace || this.pendingStats.has(key)) return;
+
+    const timer = setTimeout(async () => {
+      this.pendingStats.delete(key);
+
+      const watchers = this.namespace.adapter.rooms.get(this.room(key));
+      if (!watchers || watchers.size === 0) return;
+
+      try {
+        this.emit(key, 'stats', await this.getSnapshot(key));
+      } catch (error) {
+        console.error('Check-in feed stats error:', error);
+      }
+    }, STATS_INTERVAL_MS);
+    timer.unref();
+
+    this.pendingStats.set(key, timer);
+  }
+
+  /**
+   * @private
+   */
+  describeActor(actor) {
+    if (!actor) return undefined;
+    if (actor.scanner) {
+      return { scannerId: actor.scanner._id, label: actor.scanner.label };
+    }
+    if (actor.kiosk) {
+      return { kioskId: actor.kiosk._id, label: actor.kiosk.label };
+    }
+    if (actor.user) {
+      return { userId: actor.user._id, name: `${actor.user.firstName || ''} ${actor.user.lastName || ''}`.trim() };
+    }
+    return undefined;
+  }
+
+  /**
+   * @private
+   */
+  getHolderName(ticket) {
+    if (ticket.attendee && ticket.attendee.firstName) {
+      return `${ticket.attendee.firstName} ${ticket.attendee.lastName}`.trim();
+    }
+    return ticket.attendeeName || ticket.attendeeEmail || 'Ticket holder';
+  }
+}
+
+module.exports = new CheckInFeedService();
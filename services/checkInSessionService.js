@@ -0,0 +1,324 @@
+/**
+ * Check-In Session Service
+ * Records entries and exits per session / check-in point of an event (Day 1, Workshop A,
+ * Lunch, or the main entrance when no session is given) and enforces re-entry rules.
+ * Every accepted scan is kept in the CheckInScan log; CheckIn.sessions holds who is inside.
+ */
+
+const CheckIn = require('../models/checkIn');
+const CheckInScan = require('../models/checkInScan');
+const checkInStaffService = require('./checkInStaffService');
+const checkInFeedService = require('./checkInFeedService');
+const { AppError } = require('../middlewares/errorHandler');
+
+// Scans are accepted this long before a session starts
+const EARLY_ENTRY_MINUTES = parseInt(process.env.CHECKIN_EARLY_ENTRY_MINUTES, 10) || 60;
+
+class CheckInSessionService {
+  /**
+   * Record an entry or exit of a ticket
+   * @param {Object} ticket - CheckIn document (not cancelled)
+   * @param {Object} event - Event document with its checkInSessions
+   * @param {Object} scan - Scan details
+   * @param {String} scan.sessionId - Session ID, omitted for the main entrance
+   * @param {String} scan.direction - 'entry' (default) or 'exit'
+   * @param {Object} scan.actor - `{ user }`, `{ scanner }` or `{ kiosk }`
+   * @param {String} scan.method - 'qr_scan', 'manual' or 'self_service'
+   * @param {Date} scan.at - Scan time (defaults to now)
+   * @returns {Promise<Object>} `{ accepted, reason, message, ticket, session, state }`
+   */
+  async recordScan(ticket, event, { sessionId, direction = 'entry', actor, method = 'qr_scan', at = new Date(), location, deviceInfo }) {
+    const session = this.resolveSession(event, sessionId);
+    const sessionKey = session ? session._id : null;
+    const sessionName = session ? session.name : 'Main entrance';
+
+    if (direction === 'entry') {
+      const denied = this.checkAdmission(ticket, session, at);
+      if (denied) {
+        checkInFeedService.publishAlert(event._id, 'not_admitted', { ...denied, ticket, session: sessionName, actor });
+        return { accepted: false, ...denied, session: sessionName };
+      }
+    }
+
+    await this.ensureSessionState(ticket, sessionKey);
+
+    const updated = direction === 'exit'
+      ? await this.exit(ticket._id, sessionKey, at)
+      : await this.enter(ticket._id, sessionKey, at, session ? session.allowReentry : true);
+
+    if (!updated) {
+      const current = await CheckIn.findById(ticket._id).select('sessions');
+      const state = this.getSessionState(current, sessionKey);
+      const rejection = this.explainRejection(direction, state, sessionName);
+      checkInFeedService.publishAlert(event._id, direction === 'exit' ? 'not_inside' : 'duplicate', {
+        ...rejection,
+        ticket,
+        session: sessionName,
+        lastEntryAt: state && state.lastEntryAt,
+        actor
+      });
+      return { accepted: false, session: sessionName, state, ...rejection };
+    }
+
+    // The first entry anywhere is also the ticket's check-in
+    let checkIn = updated;
+    if (direction === 'entry') {
+      checkIn = await CheckIn.findOneAndUpdate(
+        { _id: ticket._id, status: { $in: ['pending', 'no_show'] } },
+        {
+          ...checkInStaffService.getActorFields(actor),
+          status: 'checked_in',
+          checkInTime: at,
+          checkInMethod: method,
+          checkInLocation: location,
+          deviceInfo
+        },
+        { new: true }
+      ) || updated;
+    }
+
+    await CheckInScan.create({
+      event: event._id,
+      ticket: ticket._id,
+      session: sessionKey,
+      direction,
+      scannedAt: at,
+      method,
+      scannedBy: actor.user ? actor.user._id : undefined,
+      scanner: actor.scanner ? actor.scanner._id : undefined,
+      kiosk: actor.kiosk ? actor.kiosk._id : undefined,
+      location,
+      deviceInfo
+    });
+
+    const state = this.getSessionState(checkIn, sessionKey);
+    checkInFeedService.publishCheckIn(event._id, ticket, {
+      session: sessionName,
+      direction,
+      method,
+      entries: state && state.entries,
+      actor,
+      at
+    });
+
+    return {
+      accepted: true,
+      session: sessionName,
+      ticket: checkIn,
+      state
+    };
+  }
+
+  /**
+   * Take back the most recent entry of a ticket, e.g. a scan at the wrong door. The ticket
+   * stays checked in while it has entries left elsewhere, and is pending again otherwise.
+   * @param {Object} ticket - CheckIn document with its status and sessions
+   * @param {Object} options - `{ notes }` recorded on the ticket
+   * @returns {Promise<Object>} The updated ticket
+   */
+  async undoLastEntry(ticket, { notes } = {}) {
+    if (ticket.status !== 'checked_in') {
+      throw new AppError('This ticket is not checked in', 409);
+    }
+
+    const lastEntry = await CheckInScan.findOne({ ticket: ticket._id, direction: 'entry' })
+      .sort({ scannedAt: -1, createdAt: -1 });
+    const sessionKey = lastEntry ? lastEntry.session : null;
+    const state = this.getSessionState(ticket, sessionKey);
+
+    const filter = { _id: ticket._id, status: 'checked_in' };
+    const update = { $set: { notes } };
+
+    if (state && state.entries > 0) {
+      const [, previousEntry] = await CheckInScan.find({ ticket: ticket._id, session: sessionKey, direction: 'entry' })
+        .sort({ scannedAt: -1, createdAt: -1 })
+        .limit(2);
+
+      // Matching the entry count fails the update if the ticket was scanned meanwhile
+      filter.sessions = { $elemMatch: { session: sessionKey, entries: state.entries } };
+      update.$inc = { 'sessions.$.entries': -1 };
+      Object.assign(update.$set, {
+        'sessions.$.inside': false,
+        'sessions.$.lastEntryAt': previousEntry ? previousEntry.scannedAt : null
+      });
+      if (!previousEntry) {
+        update.$set['sessions.$.firstEntryAt'] = null;
+      }
+    }
+
+    const entriesLeft = (ticket.sessions || []).reduce((sum, s) => sum + (s.entries || 0), 0) - 1;
+    if (entriesLeft <= 0) {
+      Object.assign(update.$set, {
+        status: 'pending',
+        checkInTime: null,
+        checkInBy: null,
+        checkInScanner: null,
+        checkInKiosk: null
+      });
+    }
+
+    const updated = await CheckIn.findOneAndUpdate(filter, update, { new: true })
+      .populate('attendee', 'firstName lastName email');
+    if (!updated) {
+      throw new AppError('This check-in changed meanwhile. Reload the ticket and try again.', 409);
+    }
+
+    if (lastEntry && state) {
+      await CheckInScan.deleteOne({ _id: lastEntry._id });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Entries and exits of a ticket, oldest first
+   * @param {String} ticketId - Ticket (CheckIn) ID
+   */
+  async getTicketScans(ticketId) {
+    return CheckInScan.find({ ticket: ticketId })
+      .sort({ scannedAt: 1 })
+      .populate('scannedBy', 'firstName lastName');
+  }
+
+  /**
+   * Per-session stats with the session names and windows of the event
+   * @param {Object} event - Event document
+   * @param {Array} sessionStats - `sessions` from CheckIn.getEventStats
+   */
+  describeSessions(event, sessionStats) {
+    const byId = new Map(sessionStats.map((row) => [row.session ? row.session.toString() : 'main', row]));
+    const empty = { attended: 0, inside: 0, reentries: 0 };
+
+    const rows = (event.checkInSessions || []).map((session) => ({
+      session: session._id,
+      name: session.name,
+      startsAt: session.startsAt,
+      endsAt: session.endsAt,
+      ...empty,
+      ...byId.get(session._id.toString())
+    }));
+
+    if (byId.has('main') || rows.length === 0) {
+      rows.unshift({ session: null, name: 'Main entrance', ...empty, ...byId.get('main') });
+    }
+
+    return rows;
+  }
+
+  /**
+   * @private
+   */
+  resolveSession(event, sessionId) {
+    if (!sessionId) return null;
+
+    const session = event.getCheckInSession(sessionId);
+    if (!session) {
+      throw new AppError('Check-in session not found for this event', 404);
+    }
+    return session;
+  }
+
+  /**
+   * Tier restrictions and session opening hours
+   * @private
+   */
+  checkAdmission(ticket, session, at) {
+    if (!session) return null;
+
+    if (session.ticketTiers.length > 0
+      && !session.ticketTiers.some((tierId) => ticket.ticketTier && tierId.toString() === ticket.ticketTier.toString())) {
+      return { reason: 'tier_not_allowed', message: `This ticket does not include ${session.name}` };
+    }
+
+    if (session.startsAt && at.getTime() < session.startsAt.getTime() - EARLY_ENTRY_MINUTES * 60 * 1000) {
+      return { reason: 'session_not_open', message: `${session.name} opens at ${session.startsAt.toISOString()}` };
+    }
+
+    if (session.endsAt && at > session.endsAt) {
+      return { reason: 'session_closed', message: `${session.name} ended at ${session.endsAt.toISOString()}` };
+    }
+
+    return null;
+  }
+
+  /**
+   * Create the ticket's state for a session on first use. Tickets checked in before
+   * sessions existed are treated as inside the main entrance.
+   * @private
+   */
+  async ensureSessionState(ticket, sessionKey) {
+    const legacyCheckIn = !sessionKey && ticket.status === 'checked_in';
+
+    await CheckIn.updateOne(
+      { _id: ticket._id, sessions: { $not: { $elemMatch: { session: sessionKey } } } },
+      {
+        $push: {
+          sessions: {
+            session: sessionKey,
+            inside: legacyCheckIn,
+            entries: legacyCheckIn ? 1 : 0,
+            firstEntryAt: legacyCheckIn ? ticket.checkInTime : undefined,
+            lastEntryAt: legacyCheckIn ? ticket.checkInTime : undefined
+          }
+        }
+      }
+    );
+  }
+
+  /**
+   * Conditional update so two doors cannot let the same ticket in twice
+   * @private
+   */
+  async enter(ticketId, sessionKey, at, allowReentry) {
+    const state = { session: sessionKey, inside: false };
+    if (!allowReentry) state.entries = 0;
+
+    return CheckIn.findOneAndUpdate(
+      { _id: ticketId, sessions: { $elemMatch: state } },
+      {
+        $set: { 'sessions.$.inside': true, 'sessions.$.lastEntryAt': at },
+        $min: { 'sessions.$.firstEntryAt': at },
+        $inc: { 'sessions.$.entries': 1 }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * @private
+   */
+  async exit(ticketId, sessionKey, at) {
+    return CheckIn.findOneAndUpdate(
+      { _id: ticketId, sessions: { $elemMatch: { session: sessionKey, inside: true } } },
+      { $set: { 'sessions.$.inside': false, 'sessions.$.lastExitAt': at } },
+      { new: true }
+    );
+  }
+
+  /**
+   * @private
+   */
+  getSessionState(ticket, sessionKey) {
+    if (!ticket || !ticket.sessions) return null;
+
+    const key = sessionKey ? sessionKey.toString() : null;
+    return ticket.sessions.find((s) => (s.session ? s.session.toString() : null) === key) || null;
+  }
+
+  /**
+   * @private
+   */
+  explainRejection(direction, state, sessionName) {
+    if (direction === 'exit') {
+      return { reason: 'not_inside', message: `Attendee is not checked in to ${sessionName}` };
+    }
+
+    if (state && state.inside) {
+      return { reason: 'already_inside', message: `Attendee already checked in to ${sessionName}` };
+    }
+
+    return { reason: 'reentry_not_allowed', message: `Re-entry is not allowed for ${sessionName}` };
+  }
+}
+
+module.exports = new CheckInSessionService();
@@ -0,0 +1,250 @@
+/**
+ * Check-In Staff Service
+ * Decides who may check attendees in: the organizer, co-organizers with the `check_in`
+ * (or `manage_attendees`) permission such as door staff, and scanner devices holding a
+ * time-boxed scanner token for the event.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const Event = require('../models/event');
+const ScannerCredential = require('../models/scannerCredential');
+const EventCollaborationService = require('./eventCollaborationService');
+const checkInFeedService = require('./checkInFeedService');
+const { AppError } = require('../middlewares/errorHandler');
+
+const SCANNER_SECRET = process.env.SCANNER_TOKEN_SECRET || process.env.JWT_SECRET;
+
+// Lifetime of a scanner token; devices sign in again with the PIN after that
+const SESSION_HOURS = parseInt(process.env.SCANNER_SESSION_HOURS, 10) || 12;
+
+// Scanner credentials default to expiring this long after the event ends
+const DEFAULT_GRACE_HOURS = 6;
+
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCK_MINUTES = 15;
+
+class CheckInStaffService {
+  /**
+   * Make sure the caller may check attendees in at an event
+   * @param {String} eventId - Event of the ticket being checked in
+   * @param {Object} actor - `{ user }` or `{ scanner }` (see authenticateCheckInStaff)
+   */
+  async assertCanCheckIn(eventId, { user, scanner }) {
+    if (scanner) {
+      if (scanner.event.toString() !== eventId.toString()) {
+        throw new AppError('This scanner is not authorized for this event', 403);
+      }
+      return;
+    }
+
+    const allowed = user
+      && await EventCollaborationService.hasPermission(eventId.toString(), user._id.toString(), 'check_in');
+    if (!allowed) {
+      throw new AppError('Only check-in staff for this event can do this', 403);
+    }
+  }
+
+  /**
+   * Who performed a check-in, as stored on the CheckIn record
+   * @param {Object} actor - `{ user }`, `{ scanner }` or `{ kiosk }`
+   */
+  getActorFields({ user, scanner, kiosk }) {
+    if (kiosk) {
+      return { checkInBy: null, checkInScanner: null, checkInKiosk: kiosk._id };
+    }
+    return scanner
+      ? { checkInBy: null, checkInScanner: scanner._id, checkInKiosk: null }
+      : { checkInBy: user._id, checkInScanner: null, checkInKiosk: null };
+  }
+
+  /**
+   * Create a scanner credential for a door device. The PIN is only returned here.
+   * @param {String} eventId - Event ID
+   * @param {Object} user - Organizer creating it (needs `manage_attendees`)
+   * @param {Object} options - `{ label, validFrom, expiresAt }`
+   * @returns {Promise<Object>} The credential and its PIN
+   */
+  async createScanner(eventId, user, { label, validFrom, expiresAt } = {}) {
+    const event = await this.findManagedEvent(eventId, user);
+
+    const endsAt = event.endDateTime || event.startDateTime;
+    const expiry = expiresAt ? new Date(expiresAt) : new Date(endsAt.getTime() + DEFAULT_GRACE_HOURS * 60 * 60 * 1000);
+    const start = validFrom ? new Date(validFrom) : new Date();
+
+    if (expiry <= new Date() || expiry <= start) {
+      throw new AppError('A scanner must expire in the future and after it becomes valid', 400);
+    }
+
+    const pin = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+    const scanner = await ScannerCredential.create({
+      event: event._id,
+      label,
+      pinHash: await bcrypt.hash(pin, 10),
+      validFrom: start,
+      expiresAt: expiry,
+      createdBy: user._id
+    });
+
+    return { scanner: this.toScannerView(scanner), pin };
+  }
+
+  /**
+   * Scanner credentials of an event
+   * @param {String} eventId - Event ID
+   * @param {Object} user - Organizer
+   */
+  async listScanners(eventId, user) {
+    await this.findManagedEvent(eventId, user);
+
+    const scanners = await ScannerCredential.find({ event: eventId })
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'firstName lastName');
+
+    return scanners.map((scanner) => this.toScannerView(scanner));
+  }
+
+  /**
+   * Revoke a scanner credential; its scanner tokens stop working immediately
+   * @param {String} eventId - Event ID
+   * @param {String} scannerId - Scanner credential ID
+   * @param {Object} user - Organizer
+   */
+  async revokeScanner(eventId, scannerId, user) {
+    await this.findManagedEvent(eventId, user);
+
+    const scanner = await ScannerCredential.findOne({ _id: scannerId, event: eventId });
+    if (!scanner) {
+      throw new AppError('Scanner not found', 404);
+    }
+
+    if (!scanner.revokedAt) {
+      scanner.revokedAt = new Date();
+      scanner.revokedBy = user._id;
+      await scanner.save();
+      checkInFeedService.disconnectScanner(scanner._id);
+    }
+
+    return this.toScannerView(scanner);
+  }
+
+  /**
+   * Exchange a scanner ID and PIN for a short-lived scanner token
+   * @param {String} scannerId - Scanner credential ID
+   * @param {String} pin - PIN given to the door staff
+   * @returns {Promise<Object>} `{ token, expiresAt, scanner, event }`
+   */
+  async startSession(scannerId, pin) {
+    const scanner = await ScannerCredential.findById(scannerId).select('+pinHash');
+    if (!scanner || !scanner.isUsable()) {
+      throw new AppError('Invalid scanner or PIN', 401);
+    }
+
+    if (scanner.lockedUntil && scanner.lockedUntil > new Date()) {
+      throw new AppError('Too many wrong PINs. Try again later.', 429);
+    }
+
+    const matches = await bcrypt.compare(String(pin), scanner.pinHash);
+    if (!matches) {
+      const updated = await ScannerCredential.findOneAndUpdate(
+        { _id: scanner._id },
+        { $inc: { failedAttempts: 1 } },
+        { new: true }
+      );
+      if (updated.failedAttempts >= MAX_PIN_ATTEMPTS) {
+        await ScannerCredential.updateOne(
+          { _id: scanner._id },
+          { failedAttempts: 0, lockedUntil: new Date(Date.now() + PIN_LOCK_MINUTES * 60 * 1000) }
+        );
+      }
+      throw new AppError('Invalid scanner or PIN', 401);
+    }
+
+    await ScannerCredential.updateOne(
+      { _id: scanner._id },
+      { failedAttempts: 0, $unset: { lockedUntil: 1 }, lastUsedAt: new Date() }
+    );
+
+    const expiresAt = new Date(Math.min(scanner.expiresAt.getTime(), Date.now() + SESSION_HOURS * 60 * 60 * 1000));
+    const token = jwt.sign(
+      { type: 'scanner', scannerId: scanner._id.toString(), eventId: scanner.event.toString() },
+      SCANNER_SECRET,
+      { expiresIn: Math.floor((expiresAt.getTime() - Date.now()) / 1000) }
+    );
+
+    const event = await Event.findById(scanner.event).select('title startDateTime endDateTime location');
+
+    return { token, expiresAt, scanner: this.toScannerView(scanner), event };
+  }
+
+  /**
+   * Resolve a bearer token to a scanner credential
+   * @param {String} token - Bearer token
+   * @returns {Promise<Object|null>} The scanner, or null when the token is not a scanner token
+   */
+  async authenticateScanner(token) {
+    const claims = jwt.decode(token);
+    if (!claims || claims.type !== 'scanner') {
+      return null;
+    }
+
+    try {
+      jwt.verify(token, SCANNER_SECRET);
+    } catch (error) {
+      throw new AppError(error.name === 'TokenExpiredError' ? 'Scanner session has expired' : 'Invalid scanner token', 401);
+    }
+
+    const scanner = await ScannerCredential.findById(claims.scannerId);
+    if (!scanner || !scanner.isUsable()) {
+      throw new AppError('Scanner access has been revoked or has expired', 401);
+    }
+
+    return scanner;
+  }
+
+  /**
+   * @private
+   */
+  toScannerView(scanner) {
+    const now = new Date();
+    let status = 'active';
+    if (scanner.revokedAt) status = 'revoked';
+    else if (scanner.expiresAt <= now) status = 'expired';
+    else if (scanner.validFrom > now) status = 'scheduled';
+
+    return {
+      _id: scanner._id,
+      event: scanner.event,
+      label: scanner.label,
+      status,
+      validFrom: scanner.validFrom,
+      expiresAt: scanner.expiresAt,
+      revokedAt: scanner.revokedAt,
+      lastUsedAt: scanner.lastUsedAt,
+      createdBy: scanner.createdBy,
+      createdAt: scanner.createdAt
+    };
+  }
+
+  /**
+   * Scanner credentials are managed by organizers with attendee access
+   * @private
+   */
+  async findManagedEvent(eventId, user) {
+    const event = await Event.findById(eventId).select('title startDateTime endDateTime');
+    if (!event) {
+      throw new AppError('Event not found', 404);
+    }
+
+    const allowed = await EventCollaborationService.hasPermission(eventId.toString(), user._id.toString(), 'manage_attendees');
+    if (!allowed) {
+      throw new AppError('You do not have permission to manage scanners for this event', 403);
+    }
+
+    return event;
+  }
+}
+
+module.exports = new CheckInStaffService();
@@ -1,6 +1,7 @@
 const Token = require('../models/Token');
 const PasswordReset = require('../models/PasswordReset');
 const { cleanupExpiredTokens } = require('../middlewares/secureAuth');
+const reservationService = require('./reservationService');
 
 class CleanupService {
   constructor() {
@@ -22,6 +23,11 @@ class CleanupService {
       await this.runCleanup();
     }, 60 * 60 * 1000); // 1 hour
 
+    // Release expired seat holds and waitlist offers every 5 minutes
+    this.holdInterval = setInterval(async () => {
+      await this.releaseExpiredSeatHolds().catch(() => {});
+    }, 5 * 60 * 1000);
+
     // Run initial cleanup
     this.runCleanup();
   }
@@ -32,6 +38,10 @@ class CleanupService {
       clearInterval(this.interval);
       this.interval = null;
     }
+    if (this.holdInterval) {
+      clearInterval(this.holdInterval);
+      this.holdInterval = null;
+    }
     this.isRunning = false;
     console.log('Cleanup service stopped');
   }
@@ -44,7 +54,8 @@ class CleanupService {
       const results = await Promise.allSettled([
         this.cleanupExpiredTokens(),
         this.cleanupExpiredPasswordResets(),
-        this.cleanupOldSessions()
+        this.cleanupOldSessions(),
+        this.releaseExpiredSeatHolds()
       ]);
 
       results.forEach((result, index) => {
@@ -96,6 +107,18 @@ class CleanupService {
     }
   }
 
+  // Release checkout holds and waitlist offers whose time ran out
+  async releaseExpiredSeatHolds() {
+    try {
+      const result = await reservationService.releaseExpiredHolds();
+      console.log(`Released ${result.releasedCount} expired seat holds`);
+      return result;
+    } catch (error) {
+      console.error('Error releasing expired seat holds:', error);
+      throw error;
+    }
+  }
+
   // Manual cleanup trigger
   async manualCleanup() {
     console.log('Manual cleanup triggered');
@@ -1,6 +1,8 @@
 const communicationConfig = require('../config/communicationConfig');
 const Event = require('../models/event');
 const { User } = require('../models/user');
+const { formatAmount } = require('../utils/currency');
+const emailTrackingService = require('./emailTrackingService');
 
 class EmailTemplateService {
   constructor() {
@@ -9,15 +11,30 @@ class EmailTemplateService {
   }
 
   /**
-   * Send email using template
+   * Send email using template. Every email is logged with open and click tracking;
+   * addresses on the suppression list are skipped.
    * @param {String} to - Recipient email
    * @param {String} subject - Email subject
    * @param {String} html - HTML content
-   * @param {Object} options - Additional options
-   * @returns {Promise<Object>} Send result
+   * @param {Object} options - Additional nodemailer options, plus `eventId` and
+   *   `userId` to attribute the email to and `track: false` for transactional
+   *   and account emails, which are sent without open and click tracking
+   * @returns {Promise<Object>} Send result; `suppressed` when it was not sent
    */
   async sendEmail(to, subject, html, options = {}) {
+    const { eventId, userId, track, ...extraOptions } = options;
+    let tracked;
+
     try {
+      tracked = await emailTrackingService.prepare({ to, subject, html, eventId, userId, track });
+      if (tracked.suppressed) {
+        return {
+          success: false,
+          suppressed: true,
+          message: 'Address is on the suppression list'
+        };
+      }
+
       const mailOptions = {
         from: {
           name: 'Eazy Event',
@@ -25,16 +42,21 @@ class EmailTemplateService {
         },
         to,
         subject,
-        html,
-        ...options
+        html: tracked.html,
+        ...extraOptions
       };
 
       const result = await this.transporter.sendMail(mailOptions);
+      await emailTrackingService.markSent(tracked.message, result.messageId);
       return {
         success: true,
         messageId: result.messageId
       };
     } catch (error) {
+      if (tracked) {
+        await emailTrackingService.markFailed(tracked.message, error)
+          .catch(logError => console.error('Email log error:', logError));
+      }
       throw new Error(`Failed to send email: ${error.message}`);
     }
   }
@@ -200,7 +222,7 @@ class EmailTemplateService {
         <div class="event-details"><strong>📅 Date:</strong> ${new Date(event.startDateTime).toLocaleDateString()}</div>
         <div class="event-details"><strong>🕐 Time:</strong> ${new Date(event.startDateTime).toLocaleTimeString()}</div>
         <div class="event-details"><strong>📍 Location:</strong> ${event.location}</div>
-        <div class="event-details"><strong>💰 Price:</strong> ${event.isFree ? 'FREE' : `₹${event.price}`}</div>
+        <div class="event-details"><strong>💰 Price:</strong> ${event.isFree ? 'FREE' : formatAmount(order && order.totalAmount !== undefined ? order.totalAmount : event.price, (order && order.currency) || event.currency)}</div>
         ${event.description ? `<div class="event-details"><strong>📝 Description:</strong> ${event.description}</div>` : ''}
       </div>
 
@@ -225,6 +247,105 @@ class EmailTemplateService {
     });
   }
 
+  /**
+   * Order confirmation with the invoice attached
+   * @param {Object} data - Event, buyer, order and invoice data, plus the wallet links of the buyer's ticket
+   *   and the order's confirmation code (for self-service kiosks)
+   * @returns {String} HTML email
+   */
+  generateOrderConfirmationEmail(data) {
+    const { event, user, order, invoice, wallet, confirmationCode } = data;
+    const ordersUrl = `${process.env.CLIENT_BASE_URL}/orders/${order._id}`;
+    
+    const content = `
+      <h2>🎉 Thank you for your purchase!</h2>
+      <p>Hi ${user.firstName},</p>
+      <p>Your order for <strong>${event.title}</strong> has been placed successfully.</p>
+      
+      <div class="event-card">
+        <div class="event-title">${event.title}</div>
+        <div class="event-details"><strong>📅 Date:</strong> ${new Date(event.startDateTime).toLocaleDateString()}</div>
+        ${order.ticketTierName ? `<div class="event-details"><strong>🎫 Ticket:</strong> ${order.ticketTierName} x ${order.quantity}</div>` : ''}
+        ${order.discount && order.discount.code ? `<div class="event-details"><strong>🏷️ Promo code ${order.discount.code}:</strong> -${formatAmount(order.discount.amount, order.currency)}</div>` : ''}
+        <div class="event-details"><strong>💰 Amount:</strong> ${formatAmount(order.totalAmount, order.currency)}</div>
+        ${confirmationCode ? `<div class="event-details"><strong>🔑 Confirmation code:</strong> ${confirmationCode}</div>` : ''}
+      </div>
+
+      <div class="highlight success">
+        <strong>🧾 Invoice ${invoice ? invoice.number : ''}</strong><br>
+        ${invoice ? 'Your invoice is attached to this email. You can download it again from your order at any time.' : 'Your invoice will be available from your order.'}
+      </div>
+
+      ${this.generateWalletButtons(wallet)}
+
+      ${order.quantity > 1 ? `<p>You can assign each of your ${order.quantity} tickets to an attendee from your order.</p>` : ''}
+      
+      <div style="text-align: center;">
+        <a href="${ordersUrl}" class="button">View Order</a>
+      </div>
+    `;
+
+    return this.generateBaseTemplate({
+      title: 'Order Confirmation - Eazy Event',
+      subtitle: 'Your order is confirmed',
+      content
+    });
+  }
+
+  /**
+   * Ticket assigned to an attendee by the buyer of a group order
+   * @param {Object} data - Event, ticket and buyer data, plus the ticket's wallet links and confirmation code
+   * @returns {String} HTML email (QR image referenced as cid:ticket-qr)
+   */
+  generateTicketAssignedEmail(data) {
+    const { event, ticket, buyer, wallet, confirmationCode } = data;
+    const buyerName = buyer ? `${buyer.firstName} ${buyer.lastName}`.trim() : 'The organizer';
+    
+    const content = `
+      <h2>🎟️ You have a ticket!</h2>
+      <p>Hi ${ticket.attendeeName || 'there'},</p>
+      <p>${buyerName} has assigned you a ticket for <strong>${event.title}</strong>.</p>
+      
+      <div class="event-card">
+        <div class="event-title">${event.title}</div>
+        <div class="event-details"><strong>📅 Date:</strong> ${new Date(event.startDateTime).toLocaleDateString()}</div>
+        <div class="event-details"><strong>🕐 Time:</strong> ${new Date(event.startDateTime).toLocaleTimeString()}</div>
+        <div class="event-details"><strong>📍 Location:</strong> ${event.location}</div>
+        <div class="event-details"><strong>🎫 Ticket:</strong> ${ticket.ticketNumber} (${ticket.ticketType})</div>
+        ${confirmationCode ? `<div class="event-details"><strong>🔑 Confirmation code:</strong> ${confirmationCode}</div>` : ''}
+      </div>
+
+      <div style="text-align: center;">
+        <img src="cid:ticket-qr" alt="Ticket QR code" width="240" height="240">
+        <p>Show this QR code at the entrance.</p>
+      </div>
+
+      ${this.generateWalletButtons(wallet)}
+    `;
+
+    return this.generateBaseTemplate({
+      title: 'Your Ticket - Eazy Event',
+      subtitle: 'See you at the event!',
+      content
+    });
+  }
+
+  /**
+   * "Add to Apple Wallet" and "Add to Google Wallet" buttons of a ticket
+   * @param {Object} wallet - `{ appleWalletUrl, googleWalletUrl }` from the wallet pass service
+   * @returns {String} HTML, empty without links
+   */
+  generateWalletButtons(wallet) {
+    if (!wallet || (!wallet.appleWalletUrl && !wallet.googleWalletUrl)) return '';
+
+    return `
+      <div style="text-align: center;">
+        ${wallet.appleWalletUrl ? `<a href="${wallet.appleWalletUrl}" class="button">Add to Apple Wallet</a>` : ''}
+        ${wallet.googleWalletUrl ? `<a href="${wallet.googleWalletUrl}" class="button">Add to Google Wallet</a>` : ''}
+      </div>
+    `;
+  }
+
   /**
    * Event reminder email
    * @param {Object} data - Event and user data
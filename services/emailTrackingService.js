@@ -0,0 +1,432 @@
+/**
+ * Email delivery tracking: logs every outbound email, adds an open pixel and click
+ * redirects to its HTML, takes bounces and complaints from the email provider's
+ * webhook, and keeps the suppression list of addresses that must not get email.
+ * Event emails feed EventAnalytics.emailMarketing.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const EmailMessage = require('../models/emailMessage');
+const EmailSuppression = require('../models/emailSuppression');
+const EventAnalyticsService = require('./eventAnalyticsService');
+const { AppError } = require('../middlewares/errorHandler');
+
+// A status only moves forward; bounces and complaints are handled separately
+const STATUS_ORDER = ['sending', 'sent', 'delivered', 'opened', 'clicked'];
+
+// Event stats are recomputed at most this often during a send
+const STATS_DELAY_MS = 10 * 1000;
+
+// Links carrying credentials (reset, verification, wallet passes) are never
+// rewritten, so their tokens don't end up in the log or behind a redirect
+const SECRET_PARAM = /[?&](?:[\w-]*token|code|key|sig|signature|auth|otp|secret)=/i;
+
+// 1x1 transparent GIF served for opens
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+class EmailTrackingService {
+  constructor() {
+    this.pixel = PIXEL;
+    this.pendingStats = new Set();
+  }
+
+  /**
+   * Log an email before sending it and add tracking to its HTML. A suppressed
+   * address is logged as such and must not be sent to. Transactional and account
+   * emails pass `track: false`: they are logged for bounces but sent unchanged.
+   * @param {Object} email - `{ to, subject, html, eventId, userId, jobId, track }`
+   * @returns {Promise<Object>} `{ message, html, suppressed }`
+   */
+  async prepare({ to, subject, html, eventId, userId, jobId, track = true }) {
+    const address = String(to).trim().toLowerCase();
+    const suppressed = await this.isSuppressed(address);
+
+    const fields = {
+      to: address,
+      subject,
+      event: eventId || undefined,
+      user: userId || undefined,
+      status: suppressed ? 'suppressed' : 'sending'
+    };
+
+    // A retried job reuses its log entry and token
+    let message = jobId ? await EmailMessage.findOne({ job: jobId }) : null;
+    if (message) {
+      message.set({ ...fields, error: undefined });
+    } else {
+      message = new EmailMessage({ ...fields, job: jobId || undefined, token: crypto.randomBytes(16).toString('hex') });
+    }
+
+    if (suppressed) {
+      await message.save();
+      return { message, html, suppressed: true };
+    }
+
+    const tracked = track ? this.addTracking(html || '', message) : html;
+    if (!track) message.links = [];
+    await message.save();
+    return { message, html: tracked, suppressed: false };
+  }
+
+  /**
+   * Record that the mail server accepted a message
+   * @param {Object} message - EmailMessage from prepare
+   * @param {String} providerMessageId - Message-ID returned by the mail server
+   */
+  async markSent(message, providerMessageId) {
+    await EmailMessage.updateOne(
+      { _id: message._id },
+      { $set: { status: 'sent', sentAt: new Date(), providerMessageId: this.normalizeMessageId(providerMessageId) } }
+    );
+    this.scheduleStats(message.event);
+  }
+
+  /**
+   * Record that the mail server refused a message
+   * @param {Object} message - EmailMessage from prepare
+   * @param {Error} error - Send error
+   */
+  async markFailed(message, error) {
+    await EmailMessage.updateOne({ _id: message._id }, { $set: { status: 'failed', error: error.message } });
+  }
+
+  /**
+   * Count an open from the tracking pixel
+   * @param {String} token - Message token
+   */
+  async recordOpen(token) {
+    const now = new Date();
+    const message = await EmailMessage.findOneAndUpdate(
+      { token },
+      { $inc: { openCount: 1 }, $set: { lastOpenedAt: now } }
+    );
+    if (!message || message.openedAt) return;
+
+    await EmailMessage.updateOne({ _id: message._id, openedAt: null }, { $set: { openedAt: now } });
+    await this.advanceStatus(message, 'opened');
+  }
+
+  /**
+   * Count a click and find where it goes
+   * @param {String} token - Message token
+   * @param {Number} index - Position of the link in the message
+   * @returns {Promise<String|null>} Original URL, or null for an unknown link
+   */
+  async recordClick(token, index) {
+    const now = new Date();
+    const message = await EmailMessage.findOneAndUpdate(
+      { token },
+      { $inc: { clickCount: 1 } }
+    );
+    if (!message || !message.links[index]) return null;
+
+    if (!message.clickedAt) {
+      // A click means it was opened too, even with images blocked
+      const first = { clickedAt: now };
+      if (!message.openedAt) first.openedAt = now;
+      await EmailMessage.updateOne({ _id: message._id, clickedAt: null }, { $set: first });
+      await this.advanceStatus(message, 'clicked');
+    }
+
+    return message.links[index];
+  }
+
+  /**
+   * Apply events from the email provider's webhook. Accepts SendGrid event webhook
+   * batches and a generic `{ event, email, messageId, bounceType, reason }` format,
+   * one event or an array.
+   * @param {Object|Array} payload - Webhook body
+   * @param {String} secret - Secret the provider sent, checked against EMAIL_WEBHOOK_SECRET
+   * @returns {Promise<Object>} `{ processed, ignored }`
+   */
+  async processWebhook(payload, secret) {
+    if (!process.env.EMAIL_WEBHOOK_SECRET) {
+      throw new AppError('Email webhook is not configured', 503);
+    }
+    const expected = Buffer.from(process.env.EMAIL_WEBHOOK_SECRET);
+    const given = Buffer.from(String(secret || ''));
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      throw new AppError('Not authorized', 401);
+    }
+
+    const events = (Array.isArray(payload) ? payload : [payload]).map((raw) => this.normalizeEvent(raw));
+    let processed = 0;
+
+    for (const event of events) {
+      if (!event) continue;
+      await this.applyEvent(event);
+      processed += 1;
+    }
+
+    return { processed, ignored: events.length - processed };
+  }
+
+  /**
+   * Whether an address is on the suppression list
+   * @param {String} email - Email address
+   * @returns {Promise<Boolean>}
+   */
+  async isSuppressed(email) {
+    return Boolean(await EmailSuppression.exists({ email: String(email).trim().toLowerCase() }));
+  }
+
+  /**
+   * Put an address on the suppression list; the first reason is kept
+   * @param {String} email - Email address
+   * @param {String} reason - hard_bounce or complaint
+   * @param {Object} context - `{ details, messageId }`
+   */
+  async suppress(email, reason, { details, messageId } = {}) {
+    await EmailSuppression.updateOne(
+      { email: String(email).trim().toLowerCase() },
+      { $setOnInsert: { reason, details, message: messageId } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * List suppressed addresses, newest first
+   * @param {Object} options - `{ reason, search, page, limit }`
+   * @returns {Promise<Object>} `{ suppressions, total }`
+   */
+  async listSuppressions({ reason, search, page = 1, limit = 50 } = {}) {
+    const filter = {};
+    if (reason) filter.reason = reason;
+    if (search) filter.email = { $regex: search.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&') };
+
+    const [suppressions, total] = await Promise.all([
+      EmailSuppression.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      EmailSuppression.countDocuments(filter)
+    ]);
+
+    return { suppressions, total };
+  }
+
+  /**
+   * Let an address get email again
+   * @param {String} email - Email address
+   * @returns {Promise<Object>} The removed suppression
+   */
+  async removeSuppression(email) {
+    const suppression = await EmailSuppression.findOneAndDelete({ email: String(email).trim().toLowerCase() });
+    if (!suppression) {
+      throw new AppError('Address is not suppressed', 404);
+    }
+    return suppression;
+  }
+
+  /**
+   * List logged messages, newest first
+   * @param {Object} options - `{ to, status, eventId, page, limit }`
+   * @returns {Promise<Object>} `{ messages, total }`
+   */
+  async listMessages({ to, status, eventId, page = 1, limit = 50 } = {}) {
+    const filter = {};
+    if (to) filter.to = to.trim().toLowerCase();
+    if (status) filter.status = status;
+    if (eventId) filter.event = eventId;
+
+    const [messages, total] = await Promise.all([
+      EmailMessage.find(filter).select('-links').sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      EmailMessage.countDocuments(filter)
+    ]);
+
+    return { messages, total };
+  }
+
+  /**
+   * Count an event's emails and store the totals in its analytics
+   * @param {String} eventId - Event ID
+   * @returns {Promise<Object>} emailMarketing totals
+   */
+  async refreshEventStats(eventId) {
+    const [totals] = await EmailMessage.aggregate([
+      { $match: { event: new mongoose.Types.ObjectId(eventId), sentAt: { $ne: null } } },
+      {
+        $group: {
+          _id: null,
+          sent: { $sum: 1 },
+          bounced: { $sum: { $cond: [{ $ifNull: ['$bounce.at', false] }, 1, 0] } },
+          dropped: { $sum: { $cond: [{ $eq: ['$status', 'dropped'] }, 1, 0] } },
+          opened: { $sum: { $cond: [{ $ifNull: ['$openedAt', false] }, 1, 0] } },
+          clicked: { $sum: { $cond: [{ $ifNull: ['$clickedAt', false] }, 1, 0] } },
+          unsubscribed: { $sum: { $cond: [{ $ifNull: ['$unsubscribedAt', false] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    const { sent = 0, bounced = 0, dropped = 0, opened = 0, clicked = 0, unsubscribed = 0 } = totals || {};
+    const { analytics } = await EventAnalyticsService.recordEmailMarketing(eventId, {
+      sent, delivered: sent - bounced - dropped, opened, clicked, bounced, unsubscribed
+    });
+    return analytics.emailMarketing;
+  }
+
+  /**
+   * Rewrite http(s) links to the click redirect and add the open pixel. Links with
+   * a credential in their query string are left as they are. Without a public API
+   * URL the HTML is sent as is.
+   * @private
+   */
+  addTracking(html, message) {
+    const base = process.env.API_BASE_URL;
+    if (!base) return html;
+
+    const links = [];
+    const tracked = html.replace(/href="(https?:\/\/[^"]+)"/gi, (match, url) => {
+      const target = url.replace(/&amp;/g, '&');
+      if (SECRET_PARAM.test(target)) return match;
+
+      let index = links.indexOf(target);
+      if (index === -1) index = links.push(target) - 1;
+      return `href="${base}/api/email/track/click/${message.token}/${index}"`;
+    });
+    message.links = links;
+
+    const pixel = `<img src="${base}/api/email/track/open/${message.token}.gif" width="1" height="1" alt="" style="display:block;border:0;" />`;
+    return /<\/body>/i.test(tracked) ? tracked.replace(/<\/body>/i, `${pixel}</body>`) : tracked + pixel;
+  }
+
+  /**
+   * Map one provider event to `{ type, email, messageId, bounceType, reason }`,
+   * or null for events not tracked here
+   * @private
+   */
+  normalizeEvent(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const name = String(raw.event || raw.type || '').toLowerCase();
+    const type = {
+      delivered: 'delivered',
+      bounce: 'bounce',
+      bounced: 'bounce',
+      dropped: 'dropped',
+      spamreport: 'complaint',
+      complaint: 'complaint',
+      unsubscribe: 'unsubscribe',
+      group_unsubscribe: 'unsubscribe'
+    }[name];
+    const email = raw.email || raw.recipient;
+    if (!type || !email) return null;
+
+    // SendGrid marks temporary rejections as "blocked"
+    let bounceType = raw.bounceType || (raw.type === 'blocked' ? 'soft' : 'hard');
+    if (bounceType !== 'soft') bounceType = 'hard';
+
+    return {
+      type,
+      email: String(email).trim().toLowerCase(),
+      messageId: this.normalizeMessageId(raw.messageId || raw['smtp-id']),
+      bounceType,
+      reason: raw.reason || raw.response || raw.description
+    };
+  }
+
+  /**
+   * @private
+   */
+  async applyEvent({ type, email, messageId, bounceType, reason }) {
+    const message = await this.findMessage(email, messageId);
+    const now = new Date();
+
+    if (type === 'delivered') {
+      if (message) {
+        await EmailMessage.updateOne({ _id: message._id, deliveredAt: null }, { $set: { deliveredAt: now } });
+        await this.advanceStatus(message, 'delivered');
+      }
+      return;
+    }
+
+    if (type === 'unsubscribe') {
+      if (message) {
+        await EmailMessage.updateOne({ _id: message._id, unsubscribedAt: null }, { $set: { unsubscribedAt: now } });
+        this.scheduleStats(message.event);
+      }
+      return;
+    }
+
+    // The provider refused to send it (often because of its own suppression
+    // list), so nothing reached the mailbox and the address says nothing new
+    if (type === 'dropped') {
+      if (message) {
+        await EmailMessage.updateOne(
+          { _id: message._id, status: { $in: STATUS_ORDER } },
+          { $set: { status: 'dropped', error: reason } }
+        );
+        this.scheduleStats(message.event);
+      }
+      return;
+    }
+
+    if (type === 'bounce') {
+      if (message) {
+        await EmailMessage.updateOne(
+          { _id: message._id },
+          { $set: { status: 'bounced', bounce: { type: bounceType, reason, at: now } } }
+        );
+        this.scheduleStats(message.event);
+      }
+      // Soft bounces (full mailbox, greylisting) may pass next time
+      if (bounceType === 'hard') {
+        await this.suppress(email, 'hard_bounce', { details: reason, messageId: message && message._id });
+      }
+      return;
+    }
+
+    if (message) {
+      await EmailMessage.updateOne({ _id: message._id }, { $set: { status: 'complained', complainedAt: now } });
+    }
+    await this.suppress(email, 'complaint', { details: reason, messageId: message && message._id });
+  }
+
+  /**
+   * The message an event is about: by Message-ID, or else the latest one sent to the address
+   * @private
+   */
+  async findMessage(email, messageId) {
+    if (messageId) {
+      const message = await EmailMessage.findOne({ providerMessageId: messageId });
+      if (message) return message;
+    }
+    return EmailMessage.findOne({ to: email, sentAt: { $ne: null } }).sort({ sentAt: -1 });
+  }
+
+  /**
+   * Move a message to a later status, never back and never out of dropped, bounced or complained
+   * @private
+   */
+  async advanceStatus(message, status) {
+    const earlier = STATUS_ORDER.slice(0, STATUS_ORDER.indexOf(status));
+    await EmailMessage.updateOne({ _id: message._id, status: { $in: earlier } }, { $set: { status } });
+    this.scheduleStats(message.event);
+  }
+
+  /**
+   * Recompute an event's email stats shortly, once for a burst of changes
+   * @private
+   */
+  scheduleStats(eventId) {
+    if (!eventId) return;
+    const key = eventId.toString();
+    if (this.pendingStats.has(key)) return;
+
+    this.pendingStats.add(key);
+    const timer = setTimeout(() => {
+      this.pendingStats.delete(key);
+      this.refreshEventStats(key)
+        .catch(error => console.error(`Email stats error for event ${key}:`, error));
+    }, STATS_DELAY_MS);
+    if (timer.unref) timer.unref();
+  }
+
+  /**
+   * Message-IDs are compared without their angle brackets
+   * @private
+   */
+  normalizeMessageId(messageId) {
+    return messageId ? String(messageId).trim().replace(/^<|>$/g, '') : undefined;
+  }
+}
+
+module.exports = new EmailTrackingService();
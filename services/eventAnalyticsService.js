@@ -1,5 +1,7 @@
 const EventAnalytics = require('../models/eventAnalytics');
 const Event = require('../models/event');
+const promoCodeService = require('./promoCodeService');
+const { normalizeCurrency, roundAmount, formatAmount } = require('../utils/currency');
 
 class EventAnalyticsService {
   /**
@@ -104,6 +106,151 @@ class EventAnalyticsService {
     }
   }
   
+  /**
+   * Replace an event's attendance figures with counts taken from its tickets
+   * @param {String} eventId - Event ID
+   * @param {Object} attendance - `{ total, checkIns, noShows, byTimeSlot }`
+   * @returns {Promise<Object>} Analytics update result
+   */
+  static async recordAttendance(eventId, { total, checkIns, noShows, byTimeSlot = [] }) {
+    try {
+      let analytics = await EventAnalytics.findOne({ eventId });
+      
+      if (!analytics) {
+        analytics = new EventAnalytics({ eventId });
+      }
+      
+      analytics.attendance.total = total;
+      analytics.attendance.checkIns = checkIns;
+      analytics.attendance.noShows = noShows;
+      analytics.attendance.attendanceRate = total > 0 ? Math.round((checkIns / total) * 1000) / 10 : 0;
+      analytics.attendance.byTimeSlot = byTimeSlot;
+      analytics.lastUpdated = new Date();
+      
+      await analytics.save();
+      
+      return { success: true, analytics };
+    } catch (error) {
+      throw new Error(`Failed to record attendance: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Store an event's email totals, counted from the email log
+   * @param {String} eventId - Event ID
+   * @param {Object} totals - `{ sent, delivered, opened, clicked, bounced, unsubscribed }`
+   * @returns {Promise<Object>} Analytics update result
+   */
+  static async recordEmailMarketing(eventId, { sent, delivered, opened, clicked, bounced, unsubscribed }) {
+    try {
+      let analytics = await EventAnalytics.findOne({ eventId });
+      
+      if (!analytics) {
+        analytics = new EventAnalytics({ eventId });
+      }
+      
+      const rate = (count) => (delivered > 0 ? Math.round((count / delivered) * 1000) / 10 : 0);
+      analytics.emailMarketing = {
+        sent,
+        delivered,
+        opened,
+        clicked,
+        bounced,
+        unsubscribed,
+        openRate: rate(opened),
+        clickRate: rate(clicked)
+      };
+      analytics.lastUpdated = new Date();
+      
+      await analytics.save();
+      
+      return { success: true, analytics };
+    } catch (error) {
+      throw new Error(`Failed to record email stats: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Track revenue from a completed order
+   * @param {String} eventId - Event ID
+   * @param {Object} order - Completed order
+   * @returns {Promise<Object>} Analytics update result
+   */
+  static async trackRevenue(eventId, order) {
+    try {
+      let analytics = await EventAnalytics.findOne({ eventId });
+      
+      if (!analytics) {
+        analytics = new EventAnalytics({ eventId });
+      }
+      
+      const { revenue } = analytics;
+      const currency = normalizeCurrency(order.currency);
+      
+      if (revenue.currency && revenue.currency !== currency) {
+        throw new Error(`Order currency ${currency} does not match event revenue currency ${revenue.currency}`);
+      }
+      
+      revenue.currency = currency;
+      revenue.total = roundAmount(revenue.total + order.totalAmount, currency);
+      revenue.orders += 1;
+      revenue.averageOrderValue = roundAmount(revenue.total / revenue.orders, currency);
+      
+      const ticketType = order.ticketTierName || 'general';
+      const entry = revenue.byTicketType.find(t => t.ticketType === ticketType);
+      if (entry) {
+        entry.quantity += order.quantity;
+        entry.revenue = roundAmount(entry.revenue + order.totalAmount, currency);
+      } else {
+        revenue.byTicketType.push({
+          ticketType,
+          price: order.unitPrice,
+          quantity: order.quantity,
+          revenue: order.totalAmount
+        });
+      }
+      
+      await analytics.save();
+      
+      return { success: true, analytics };
+    } catch (error) {
+      throw new Error(`Failed to track revenue: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Track a refund against an event's revenue
+   * @param {String} eventId - Event ID
+   * @param {Number} amount - Refunded amount (in the event's currency)
+   * @param {String} currency - Currency of the refund
+   * @returns {Promise<Object>} Analytics update result
+   */
+  static async trackRefund(eventId, amount, currency) {
+    try {
+      const analytics = await EventAnalytics.findOne({ eventId });
+      if (!analytics || !analytics.revenue.currency) {
+        return { success: true, analytics };
+      }
+      
+      const { revenue } = analytics;
+      if (revenue.currency !== normalizeCurrency(currency)) {
+        throw new Error(`Refund currency ${currency} does not match event revenue currency ${revenue.currency}`);
+      }
+      
+      revenue.refunded = roundAmount(revenue.refunded + amount, revenue.currency);
+      revenue.total = roundAmount(Math.max(revenue.total - amount, 0), revenue.currency);
+      revenue.averageOrderValue = revenue.orders > 0
+        ? roundAmount(revenue.total / revenue.orders, revenue.currency)
+        : 0;
+      
+      await analytics.save();
+      
+      return { success: true, analytics };
+    } catch (error) {
+      throw new Error(`Failed to track refund: ${error.message}`);
+    }
+  }
+  
   /**
    * Track engagement (likes, shares, comments, bookmarks)
    * @param {String} eventId - Event ID
@@ -154,11 +301,15 @@ class EventAnalyticsService {
         throw new Error('Event not found');
       }
       
+      const promoCodes = await promoCodeService.getEventStats(eventId);
+      const currency = analytics.revenue.currency || await event.getCurrency();
+
       // Calculate additional metrics
       const metrics = {
         ...analytics.toObject(),
         event: {
           title: event.title,
+          currency,
           category: event.category?.name,
           organizer: event.organizer?.username,
           startDateTime: event.startDateTime,
@@ -169,7 +320,13 @@ class EventAnalyticsService {
           attendanceRate: analytics.attendance.attendanceRate,
           engagementScore: analytics.engagement.engagementScore,
           averageOrderValue: analytics.revenue.averageOrderValue
-        }
+        },
+        formatted: {
+          revenue: formatAmount(analytics.revenue.total, currency),
+          refunded: formatAmount(analytics.revenue.refunded, currency),
+          averageOrderValue: formatAmount(analytics.revenue.averageOrderValue, currency)
+        },
+        promoCodes
       };
       
       return { success: true, analytics: metrics };
@@ -210,13 +367,25 @@ class EventAnalyticsService {
       // Get analytics for all events
       const analytics = await EventAnalytics.find({ eventId: { $in: eventIds } });
       
+      // Revenue is only summed within a currency
+      const revenueByCurrency = analytics.reduce((totals, a) => {
+        if (!a.revenue.total) return totals;
+        const currency = normalizeCurrency(a.revenue.currency);
+        totals[currency] = roundAmount((totals[currency] || 0) + a.revenue.total, currency);
+        return totals;
+      }, {});
+      const revenueCurrencies = Object.keys(revenueByCurrency);
+      
       // Calculate aggregate metrics
       const aggregateMetrics = {
         totalEvents: events.length,
         totalViews: analytics.reduce((sum, a) => sum + a.views.total, 0),
         totalRegistrations: analytics.reduce((sum, a) => sum + a.registrations.total, 0),
         totalAttendance: analytics.reduce((sum, a) => sum + a.attendance.total, 0),
-        totalRevenue: analytics.reduce((sum, a) => sum + a.revenue.total, 0),
+        // null when events were sold in more than one currency
+        totalRevenue: revenueCurrencies.length > 1 ? null : (revenueByCurrency[revenueCurrencies[0]] || 0),
+        revenueCurrency: revenueCurrencies.length === 1 ? revenueCurrencies[0] : null,
+        revenueByCurrency,
         averageConversionRate: analytics.length > 0 ? 
           analytics.reduce((sum, a) => sum + a.registrations.conversionRate, 0) / analytics.length : 0,
         averageAttendanceRate: analytics.length > 0 ? 
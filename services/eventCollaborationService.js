@@ -214,7 +214,9 @@ class EventCollaborationService {
         return false;
       }
       
-      return coOrganizer.permissions.includes(action) || coOrganizer.permissions.includes('all');
+      // Attendee managers can also work the door
+      return coOrganizer.permissions.includes(action) || coOrganizer.permissions.includes('all')
+        || (action === 'check_in' && coOrganizer.permissions.includes('manage_attendees'));
     } catch (error) {
       return false;
     }
@@ -229,7 +231,8 @@ class EventCollaborationService {
     const permissionMap = {
       'co-organizer': ['edit', 'manage_attendees', 'send_emails', 'view_analytics'],
       'assistant': ['manage_attendees', 'send_emails'],
-      'moderator': ['manage_attendees']
+      'moderator': ['manage_attendees'],
+      'door_staff': ['check_in']
     };
     
     return permissionMap[role] || ['manage_attendees'];
@@ -258,6 +261,12 @@ class EventCollaborationService {
         label: 'Moderator',
         description: 'Help with attendee management only',
         permissions: ['manage_attendees']
+      },
+      {
+        value: 'door_staff',
+        label: 'Door Staff',
+        description: 'Check attendees in at the entrance',
+        permissions: ['check_in']
       }
     ];
   }
@@ -292,6 +301,11 @@ class EventCollaborationService {
         value: 'view_analytics',
         label: 'View Analytics',
         description: 'Access event analytics and reports'
+      },
+      {
+        value: 'check_in',
+        label: 'Check In Attendees',
+        description: 'Scan tickets and check attendees in at the door'
       }
     ];
   }
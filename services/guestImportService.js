@@ -0,0 +1,286 @@
+/**
+ * Guest Import Service
+ * Imports a guest list (speakers, press, sponsors, VIPs) from CSV as complimentary
+ * orders: each guest gets a free order bought by the organizer, with the first ticket
+ * assigned to them and taken from the event's capacity like any other sale, and their
+ * ticket by email. A dry run validates the list and reports row-level errors without
+ * creating anything.
+ */
+
+const CheckIn = require('../models/checkIn');
+const Event = require('../models/event');
+const Order = require('../models/order');
+const User = require('../models/user');
+const reservationService = require('./reservationService');
+const ticketService = require('./ticketService');
+const EventCollaborationService = require('./eventCollaborationService');
+const { AppError } = require('../middlewares/errorHandler');
+const { parseCsv } = require('../utils/csv');
+
+// Largest guest list accepted in one import
+const MAX_GUESTS = 2000;
+const MAX_TICKETS_PER_GUEST = 10;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class GuestImportService {
+  /**
+   * Import a guest list
+   * @param {String} eventId - Event ID
+   * @param {Object} user - Organizer with `manage_attendees`
+   * @param {Object} input - `{ csv }` with an email column and optionally name (or first_name
+   *   and last_name), ticket_tier (name or ID), quantity and organization; or `{ records }`
+   *   with the same fields
+   * @param {Object} options - `{ dryRun, sendEmails }`; a dry run only validates
+   * @returns {Promise<Object>} `{ dryRun, total, valid, imported, tickets, errors, guests }`
+   */
+  async importGuests(eventId, user, { csv, records }, { dryRun = false, sendEmails = true } = {}) {
+    const event = await Event.findById(eventId)
+      .select('title startDateTime endDateTime location capacity seatsTaken ticketTiers currency organizationId ticketSecurity');
+    if (!event) {
+      throw new AppError('Event not found', 404);
+    }
+
+    const allowed = await EventCollaborationService.hasPermission(eventId.toString(), user._id.toString(), 'manage_attendees');
+    if (!allowed) {
+      throw new AppError('You do not have permission to manage attendees for this event', 403);
+    }
+
+    if (event.endDateTime <= new Date()) {
+      throw new AppError('Guests cannot be added to an event that has ended', 400);
+    }
+
+    const rows = csv !== undefined ? parseCsv(csv) : this.normalizeRecords(records);
+    if (rows.length === 0) {
+      throw new AppError('No guests found', 400);
+    }
+    if (rows.length > MAX_GUESTS) {
+      throw new AppError(`At most ${MAX_GUESTS} guests can be imported at once`, 400);
+    }
+
+    const report = { dryRun, total: rows.length, valid: 0, imported: 0, tickets: 0, errors: [], guests: [] };
+    const guests = await this.validateRows(event, rows, report);
+    report.valid = guests.length;
+
+    if (dryRun) {
+      report.guests = guests.map((guest) => this.toGuestView(guest));
+      return report;
+    }
+
+    const currency = await event.getCurrency();
+    for (const guest of guests) {
+      try {
+        const order = await this.createGuestOrder(event, user, guest, { currency, sendEmails });
+        report.imported += 1;
+        report.tickets += guest.quantity;
+        report.guests.push({ ...this.toGuestView(guest), order: order._id });
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        report.errors.push({ line: guest.line, message: error.message });
+      }
+    }
+
+    report.errors.sort((a, b) => a.line - b.line);
+    return report;
+  }
+
+  /**
+   * Check every row; rows with errors are reported and left out
+   * @private
+   * @returns {Promise<Array>} Valid guests
+   */
+  async validateRows(event, rows, report) {
+    const parsed = [];
+    for (const row of rows) {
+      try {
+        parsed.push(this.parseRow(event, row));
+      } catch (error) {
+        report.errors.push({ line: row.line, message: error.message });
+      }
+    }
+
+    const emails = [...new Set(parsed.map((guest) => guest.email))];
+    const users = await User.find({ email: { $in: emails } }).select('firstName lastName email');
+    const usersByEmail = new Map(users.map((account) => [account.email.toLowerCase(), account]));
+
+    const holders = await CheckIn.find({
+      event: event._id,
+      status: { $ne: 'cancelled' },
+      $or: [{ attendeeEmail: { $in: emails } }, { attendee: { $in: users.map((account) => account._id) } }]
+    }).select('attendee attendeeEmail');
+    const ticketHolders = new Set(holders.map((ticket) => ticket.attendeeEmail));
+    holders.filter((ticket) => ticket.attendee).forEach((ticket) => {
+      const account = users.find((candidate) => candidate._id.equals(ticket.attendee));
+      if (account) ticketHolders.add(account.email.toLowerCase());
+    });
+
+    // Seats left now; a dry run reports the rows that would not fit
+    let eventSeats = event.capacity > 0 ? Math.max(event.capacity - (event.seatsTaken || 0), 0) : Infinity;
+    const tierSeats = new Map(event.ticketTiers.map((tier) => [tier._id.toString(), tier.quantity ? Math.max(tier.quantity - tier.sold, 0) : Infinity]));
+
+    const seen = new Set();
+    const valid = [];
+    for (const guest of parsed) {
+      const fail = (message) => report.errors.push({ line: guest.line, message });
+
+      if (seen.has(guest.email)) {
+        fail(`${guest.email} appears more than once in the list`);
+        continue;
+      }
+      seen.add(guest.email);
+
+      if (ticketHolders.has(guest.email)) {
+        fail(`${guest.email} already has a ticket for this event`);
+        continue;
+      }
+
+      const tierKey = guest.tier ? guest.tier._id.toString() : null;
+      if (tierKey && guest.quantity > tierSeats.get(tierKey)) {
+        fail(`Not enough ${guest.tier.name} tickets left`);
+        continue;
+      }
+      if (guest.quantity > eventSeats) {
+        fail('Not enough seats left');
+        continue;
+      }
+      eventSeats -= guest.quantity;
+      if (tierKey) tierSeats.set(tierKey, tierSeats.get(tierKey) - guest.quantity);
+
+      guest.user = usersByEmail.get(guest.email) || null;
+      valid.push(guest);
+    }
+
+    return valid;
+  }
+
+  /**
+   * Read one row; throws AppErrors for rows that cannot be imported
+   * @private
+   */
+  parseRow(event, row) {
+    const email = String(row.email || row.attendee_email || '').trim().toLowerCase();
+    if (!email) {
+      throw new AppError('An email is required', 400);
+    }
+    if (!EMAIL_PATTERN.test(email)) {
+      throw new AppError(`Invalid email "${email}"`, 400);
+    }
+
+    const name = String(row.name || [row.first_name, row.last_name].filter(Boolean).join(' ')).trim();
+
+    const quantityValue = row.quantity === undefined || row.quantity === '' ? '1' : String(row.quantity).trim();
+    const quantity = Number(quantityValue);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_TICKETS_PER_GUEST) {
+      throw new AppError(`Quantity must be a whole number from 1 to ${MAX_TICKETS_PER_GUEST}`, 400);
+    }
+
+    const tierValue = String(row.ticket_tier || row.tier || row.ticket_type || '').trim();
+    let tier = null;
+    if (event.ticketTiers.length > 0) {
+      if (!tierValue) {
+        throw new AppError(`A ticket tier is required (${event.ticketTiers.map((candidate) => candidate.name).join(', ')})`, 400);
+      }
+      tier = event.ticketTiers.find((candidate) => candidate._id.toString() === tierValue
+        || candidate.name.toLowerCase() === tierValue.toLowerCase());
+      if (!tier) {
+        throw new AppError(`Unknown ticket tier "${tierValue}"`, 400);
+      }
+    } else if (tierValue) {
+      throw new AppError('This event has no ticket tiers', 400);
+    }
+
+    return {
+      line: row.line,
+      email,
+      name: name || undefined,
+      organization: String(row.organization || row.company || '').trim() || undefined,
+      quantity,
+      tier
+    };
+  }
+
+  /**
+   * Free, completed order for a guest, with the first ticket assigned to them
+   * @private
+   */
+  async createGuestOrder(event, organizer, guest, { currency, sendEmails }) {
+    const reservation = await reservationService.reserve({
+      eventId: event._id,
+      userId: organizer._id,
+      tierId: guest.tier ? guest.tier._id : undefined,
+      quantity: guest.quantity,
+      source: 'complimentary',
+      hold: true,
+      ignoreSalesRules: true
+    });
+
+    let order;
+    try {
+      order = await Order.create({
+        event: event._id,
+        // The organizer issues the order and can reassign its tickets like any buyer
+        buyer: organizer._id,
+        organizationId: event.organizationId,
+        quantity: guest.quantity,
+        ticketTier: guest.tier ? guest.tier._id : undefined,
+        ticketTierName: guest.tier ? guest.tier.name : undefined,
+        unitPrice: 0,
+        subtotalAmount: 0,
+        totalAmount: 0,
+        currency,
+        paymentMethod: 'complimentary',
+        status: 'completed',
+        billingDetails: { name: guest.name, email: guest.email, company: guest.organization }
+      });
+    } catch (error) {
+      await reservationService.release(reservation._id, 'guest_import_failed');
+      throw error;
+    }
+
+    await reservationService.confirm(reservation._id, order._id);
+
+    const tickets = await ticketService.issueTickets(order, {
+      holder: { user: guest.user, email: guest.email, name: guest.name, organization: guest.organization }
+    });
+
+    if (sendEmails) {
+      order.event = event;
+      const ticket = tickets.find((candidate) => candidate.attendeeEmail === guest.email);
+      if (ticket) await ticketService.notifyAttendee(ticket, order);
+    }
+
+    return order;
+  }
+
+  /**
+   * @private
+   */
+  toGuestView(guest) {
+    return {
+      line: guest.line,
+      email: guest.email,
+      name: guest.name,
+      organization: guest.organization,
+      ticketTier: guest.tier ? guest.tier.name : undefined,
+      quantity: guest.quantity,
+      existingUser: Boolean(guest.user)
+    };
+  }
+
+  /**
+   * JSON records use the same fields as the CSV columns
+   * @private
+   */
+  normalizeRecords(records = []) {
+    return records.map((record, index) => ({
+      line: index + 1,
+      email: record.email,
+      name: record.name,
+      ticket_tier: record.ticketTier,
+      quantity: record.quantity === undefined ? undefined : String(record.quantity),
+      organization: record.organization
+    }));
+  }
+}
+
+module.exports = new GuestImportService();
@@ -0,0 +1,488 @@
+/**
+ * Invoice Service
+ * Issues sequentially numbered invoices for orders and credit notes for their refunds,
+ * numbered per organization and year, and renders them as HTML or PDF.
+ */
+
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/invoice');
+const Counter = require('../models/counter');
+const Order = require('../models/order');
+const Event = require('../models/event');
+const Organization = require('../models/organization');
+const User = require('../models/user');
+const EventCollaborationService = require('./eventCollaborationService');
+const { AppError } = require('../middlewares/errorHandler');
+const { toMinorUnits, fromMinorUnits, formatAmount } = require('../utils/currency');
+
+// Standalone MongoDB servers (local development) do not support transactions
+const NO_TRANSACTIONS_ERROR = 20;
+
+// Seller on invoices for events that do not belong to an organization
+const PLATFORM_SELLER = {
+  name: process.env.INVOICE_LEGAL_NAME || 'Eazy Event',
+  taxId: process.env.INVOICE_TAX_ID,
+  email: process.env.INVOICE_EMAIL
+};
+
+class InvoiceService {
+  /**
+   * Issue the invoice of a completed order. Safe to call more than once.
+   * @param {Object} order - Order document
+   * @returns {Promise<Object>} The order's invoice
+   */
+  async issueForOrder(order) {
+    const existing = await Invoice.findOne({ order: order._id, type: 'invoice' });
+    if (existing) return existing;
+
+    const event = await Event.findById(order.event._id || order.event).select('title startDateTime organizationId');
+    const organizationId = event ? event.organizationId : undefined;
+    const { seller, billing } = await this.getSeller(organizationId);
+    const buyer = await User.findById(order.buyer).select('firstName lastName email');
+
+    const description = [event ? event.title : 'Event ticket', order.ticketTierName].filter(Boolean).join(' - ');
+    const subtotal = order.subtotalAmount ?? order.totalAmount;
+    const discountAmount = (order.discount && order.discount.amount) || 0;
+
+    try {
+      return await this.createNumbered(billing.invoicePrefix || 'INV', {
+        type: 'invoice',
+        organizationId,
+        order: order._id,
+        event: event ? event._id : undefined,
+        buyer: order.buyer,
+        issuedAt: new Date(),
+        supplyDate: order.createdAt,
+        currency: order.currency,
+        seller,
+        billTo: this.getBillTo(order, buyer),
+        lines: [{
+          description,
+          quantity: order.quantity || 1,
+          unitPrice: order.unitPrice || subtotal / (order.quantity || 1),
+          amount: subtotal
+        }],
+        discount: discountAmount > 0 ? { code: order.discount.code, amount: discountAmount } : undefined,
+        ...this.splitTax(order.totalAmount, order.currency, billing.taxes),
+        footer: billing.invoiceFooter
+      });
+    } catch (error) {
+      // Issued concurrently (webhook retry and download at the same time)
+      if (error.code === 11000 && error.keyPattern && error.keyPattern.type) {
+        return Invoice.findOne({ order: order._id, type: 'invoice' });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Issue a credit note for one refund of an order. Safe to call more than once.
+   * Uses the tax rates of the original invoice, not the organization's current ones.
+   * @param {Object} order - Order document
+   * @param {Object} refund - Entry of `order.refunds`
+   * @returns {Promise<Object>} The credit note
+   */
+  async issueCreditNote(order, refund) {
+    const existing = await Invoice.findOne({ refundId: refund._id, type: 'credit_note' });
+    if (existing) return existing;
+
+    const invoice = await this.issueForOrder(order);
+    const { billing } = await this.getSeller(invoice.organizationId);
+
+    try {
+      return await this.createNumbered(billing.creditNotePrefix || 'CN', {
+        type: 'credit_note',
+        organizationId: invoice.organizationId,
+        order: order._id,
+        event: invoice.event,
+        buyer: invoice.buyer,
+        relatedInvoice: invoice._id,
+        refundId: refund._id,
+        issuedAt: new Date(),
+        supplyDate: refund.createdAt,
+        currency: invoice.currency,
+        seller: invoice.seller,
+        billTo: invoice.billTo,
+        lines: [{
+          description: `Refund for invoice ${invoice.number}${refund.reason ? ` (${refund.reason})` : ''}`,
+          quantity: 1,
+          unitPrice: refund.amount,
+          amount: refund.amount
+        }],
+        ...this.splitTax(refund.amount, invoice.currency, invoice.taxLines),
+        footer: invoice.footer
+      });
+    } catch (error) {
+      if (error.code === 11000 && error.keyPattern && error.keyPattern.refundId) {
+        return Invoice.findOne({ refundId: refund._id, type: 'credit_note' });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Invoices and credit notes of an order, for its buyer or the event's organizers.
+   * Orders placed before invoicing get their invoice (and credit notes) on first access.
+   * @param {String} orderId - Order ID
+   * @param {Object} user - Requesting user
+   * @returns {Promise<Array>} Invoice first, then credit notes by date
+   */
+  async listForOrder(orderId, user) {
+    const order = await this.findAccessibleOrder(orderId, user);
+
+    if (order.status === 'completed' || order.status === 'refunded') {
+      await this.issueForOrder(order);
+      for (const refund of order.refunds) {
+        if (refund.status === 'pending') continue;
+        await this.issueCreditNote(order, refund);
+      }
+    }
+
+    return Invoice.find({ order: order._id })
+      .sort({ type: -1, issuedAt: 1 })
+      .populate('relatedInvoice', 'number');
+  }
+
+  /**
+   * One invoice or credit note of an order
+   * @param {String} orderId - Order ID
+   * @param {String} invoiceId - Invoice ID (omit for the order's invoice)
+   * @param {Object} user - Requesting user
+   */
+  async getForOrder(orderId, invoiceId, user) {
+    const invoices = await this.listForOrder(orderId, user);
+
+    const invoice = invoiceId
+      ? invoices.find((i) => i._id.toString() === invoiceId.toString())
+      : invoices.find((i) => i.type === 'invoice');
+
+    if (!invoice) {
+      throw new AppError('Invoice not found', 404);
+    }
+
+    return invoice;
+  }
+
+  /**
+   * Standalone HTML document of an invoice or credit note
+   * @param {Object} invoice - Invoice document
+   * @returns {String} HTML
+   */
+  renderHtml(invoice) {
+    const esc = (value) => this.escapeHtml(value);
+    const money = (amount) => formatAmount(amount, invoice.currency);
+    const title = invoice.type === 'credit_note' ? 'Credit Note' : 'Invoice';
+
+    const party = (p = {}) => [
+      p.company && `<strong>${esc(p.company)}</strong>`,
+      p.name && (p.company ? esc(p.name) : `<strong>${esc(p.name)}</strong>`),
+      ...this.formatAddress(p.address).map(esc),
+      p.taxId && `Tax ID: ${esc(p.taxId)}`,
+      p.email && esc(p.email),
+      p.phone && esc(p.phone)
+    ].filter(Boolean).join('<br>');
+
+    const rows = invoice.lines.map((line) => `
+          <tr>
+            <td>${esc(line.description)}</td>
+            <td class="num">${line.quantity}</td>
+            <td class="num">${money(line.unitPrice)}</td>
+            <td class="num">${money(line.amount)}</td>
+          </tr>`).join('');
+
+    const totals = [
+      invoice.discount && invoice.discount.amount > 0
+        && `<tr><td colspan="3">Discount${invoice.discount.code ? ` (${esc(invoice.discount.code)})` : ''}</td><td class="num">-${money(invoice.discount.amount)}</td></tr>`,
+      `<tr><td colspan="3">Net amount</td><td class="num">${money(invoice.subtotal)}</td></tr>`,
+      ...invoice.taxLines.map((tax) => `<tr><td colspan="3">${esc(tax.name)} (${tax.rate}%)</td><td class="num">${money(tax.amount)}</td></tr>`),
+      `<tr class="total"><td colspan="3">${invoice.type === 'credit_note' ? 'Total credited' : 'Total paid'}</td><td class="num">${money(invoice.total)}</td></tr>`
+    ].filter(Boolean).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${title} ${esc(invoice.number)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #333; max-width: 800px; margin: 40px auto; padding: 0 20px; }
+    h1 { margin-bottom: 4px; }
+    .meta { color: #666; margin-bottom: 30px; }
+    .parties { display: flex; justify-content: space-between; margin-bottom: 30px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 8px; border-bottom: 1px solid #eee; text-align: left; }
+    .num { text-align: right; }
+    .total td { font-weight: bold; border-top: 2px solid #333; }
+    .footer { margin-top: 40px; color: #666; font-size: 12px; }
+  </style>
+</head>
+<body>
+  <h1>${title}</h1>
+  <div class="meta">
+    No. ${esc(invoice.number)} &middot; Issued ${new Date(invoice.issuedAt).toLocaleDateString('en-US')}
+    ${invoice.supplyDate ? `&middot; ${invoice.type === 'credit_note' ? 'Refunded' : 'Supplied'} ${new Date(invoice.supplyDate).toLocaleDateString('en-US')}` : ''}
+    ${invoice.type === 'credit_note' && invoice.relatedInvoice && invoice.relatedInvoice.number ? `&middot; Corrects invoice ${esc(invoice.relatedInvoice.number)}` : ''}
+  </div>
+  <div class="parties">
+    <div>${party(invoice.seller)}</div>
+    <div><em>Bill to</em><br>${party(invoice.billTo)}</div>
+  </div>
+  <table>
+    <thead>
+      <tr><th>Description</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+    <tfoot>${totals}</tfoot>
+  </table>
+  ${invoice.taxLines.length > 0 ? '<p class="footer">Prices include the taxes shown above.</p>' : ''}
+  ${invoice.footer ? `<p class="footer">${esc(invoice.footer)}</p>` : ''}
+</body>
+</html>`;
+  }
+
+  /**
+   * PDF of an invoice or credit note
+   * @param {Object} invoice - Invoice document
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  renderPdf(invoice) {
+    // The built-in PDF fonts have no currency symbols beyond $, so amounts use the ISO code
+    const money = (amount) => formatAmount(amount, invoice.currency, 'en-US', { display: 'code' });
+    const title = invoice.type === 'credit_note' ? 'Credit Note' : 'Invoice';
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const chunks = [];
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      doc.fontSize(22).font('Helvetica-Bold').text(title);
+      doc.fontSize(10).font('Helvetica').fillColor('#666')
+        .text([
+          `No. ${invoice.number}`,
+          `Issued ${new Date(invoice.issuedAt).toLocaleDateString('en-US')}`,
+          invoice.supplyDate && `${invoice.type === 'credit_note' ? 'Refunded' : 'Supplied'} ${new Date(invoice.supplyDate).toLocaleDateString('en-US')}`
+        ].filter(Boolean).join('    '));
+      if (invoice.type === 'credit_note' && invoice.relatedInvoice && invoice.relatedInvoice.number) {
+        doc.text(`Corrects invoice ${invoice.relatedInvoice.number}`);
+      }
+      doc.fillColor('#000').moveDown(1.5);
+
+      const partiesTop = doc.y;
+      doc.text(this.formatParty(invoice.seller).join('\n'), 50, partiesTop, { width: 230 });
+      const sellerBottom = doc.y;
+      doc.font('Helvetica-Oblique').text('Bill to', 320, partiesTop, { width: 225 });
+      doc.font('Helvetica').text(this.formatParty(invoice.billTo).join('\n'), { width: 225 });
+      doc.y = Math.max(sellerBottom, doc.y) + 25;
+
+      const columns = [
+        { label: 'Description', x: 50, width: 240, align: 'left' },
+        { label: 'Qty', x: 290, width: 50, align: 'right' },
+        { label: 'Unit price', x: 340, width: 100, align: 'right' },
+        { label: 'Amount', x: 440, width: 105, align: 'right' }
+      ];
+      const row = (values, font = 'Helvetica') => {
+        const top = doc.y;
+        let bottom = top;
+        doc.font(font);
+        values.forEach((value, i) => {
+          if (value === undefined) return;
+          const { x, width, align } = columns[i];
+          doc.text(String(value), x, top, { width, align });
+          bottom = Math.max(bottom, doc.y);
+        });
+        doc.y = bottom + 6;
+      };
+
+      row(columns.map((c) => c.label), 'Helvetica-Bold');
+      doc.moveTo(50, doc.y - 3).lineTo(545, doc.y - 3).stroke('#cccccc');
+      invoice.lines.forEach((line) => {
+        row([line.description, line.quantity, money(line.unitPrice), money(line.amount)]);
+      });
+      doc.moveTo(50, doc.y - 3).lineTo(545, doc.y - 3).stroke('#cccccc');
+
+      if (invoice.discount && invoice.discount.amount > 0) {
+        row([`Discount${invoice.discount.code ? ` (${invoice.discount.code})` : ''}`, undefined, undefined, `-${money(invoice.discount.amount)}`]);
+      }
+      row(['Net amount', undefined, undefined, money(invoice.subtotal)]);
+      invoice.taxLines.forEach((tax) => {
+        row([`${tax.name} (${tax.rate}%)`, undefined, undefined, money(tax.amount)]);
+      });
+      row([invoice.type === 'credit_note' ? 'Total credited' : 'Total paid', undefined, undefined, money(invoice.total)], 'Helvetica-Bold');
+
+      doc.x = 50;
+      doc.moveDown(2).fontSize(9).font('Helvetica').fillColor('#666');
+      if (invoice.taxLines.length > 0) {
+        doc.text('Prices include the taxes shown above.', { width: 495 });
+      }
+      if (invoice.footer) {
+        doc.text(invoice.footer, { width: 495 });
+      }
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Split a tax-inclusive amount into net amount and tax lines
+   * @private
+   */
+  splitTax(total, currency, taxes = []) {
+    const totalMinor = toMinorUnits(total, currency);
+    const totalRate = taxes.reduce((sum, tax) => sum + tax.rate, 0);
+    const netMinor = Math.round(totalMinor / (1 + totalRate / 100));
+
+    const taxLines = taxes.map((tax) => ({
+      name: tax.name,
+      rate: tax.rate,
+      amount: fromMinorUnits(Math.round(netMinor * tax.rate / 100), currency)
+    }));
+
+    // Rounding differences go to the net amount so the lines always add up to the total
+    const taxMinor = taxLines.reduce((sum, tax) => sum + toMinorUnits(tax.amount, currency), 0);
+
+    return {
+      subtotal: fromMinorUnits(totalMinor - taxMinor, currency),
+      taxLines,
+      total: fromMinorUnits(totalMinor, currency)
+    };
+  }
+
+  /**
+   * Insert an invoice or credit note with the next number of its sequence, e.g.
+   * INV-2026-000042 for the year it is issued in. The number is taken in the same
+   * transaction as the insert, so a duplicate or failed insert leaves no gap.
+   * @private
+   */
+  async createNumbered(prefix, data) {
+    const create = async (session) => {
+      const number = await this.nextNumber(data.type, data.organizationId, prefix, data.issuedAt, session);
+      const [invoice] = await Invoice.create([{ ...data, number }], { session });
+      return invoice;
+    };
+
+    try {
+      return await mongoose.connection.transaction(create);
+    } catch (error) {
+      if (error.code !== NO_TRANSACTIONS_ERROR) throw error;
+      return create();
+    }
+  }
+
+  /**
+   * Next number of a sequence
+   * @private
+   */
+  async nextNumber(type, organizationId, prefix, issuedAt, session) {
+    const year = new Date(issuedAt).getUTCFullYear();
+    const seq = await Counter.next(`${type}:${organizationId || 'platform'}:${year}`, { session });
+
+    return `${prefix}-${year}-${String(seq).padStart(6, '0')}`;
+  }
+
+  /**
+   * Seller snapshot and invoicing settings of the event's organization
+   * @private
+   */
+  async getSeller(organizationId) {
+    const organization = organizationId
+      ? await Organization.findById(organizationId).select('name billing')
+      : null;
+
+    if (!organization) {
+      return { seller: PLATFORM_SELLER, billing: {} };
+    }
+
+    const billing = organization.billing || {};
+    return {
+      seller: {
+        name: billing.legalName || organization.name,
+        taxId: billing.taxId,
+        email: billing.email,
+        phone: billing.phone,
+        address: billing.address
+      },
+      billing
+    };
+  }
+
+  /**
+   * @private
+   */
+  getBillTo(order, buyer) {
+    const details = order.billingDetails || {};
+
+    return {
+      name: details.name || (buyer ? `${buyer.firstName} ${buyer.lastName}`.trim() : undefined),
+      company: details.company,
+      taxId: details.taxId,
+      email: details.email || (buyer ? buyer.email : undefined),
+      address: details.address
+    };
+  }
+
+  /**
+   * Buyer and organizers with attendee access can see an order's invoices
+   * @private
+   */
+  async findAccessibleOrder(orderId, user) {
+    const order = await Order.findById(orderId);
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+
+    const isBuyer = order.buyer && order.buyer.toString() === user._id.toString();
+    if (!isBuyer) {
+      const allowed = await EventCollaborationService.hasPermission(order.event.toString(), user._id.toString(), 'manage_attendees');
+      if (!allowed) {
+        throw new AppError('Order not found', 404);
+      }
+    }
+
+    return order;
+  }
+
+  /**
+   * @private
+   */
+  formatParty(party = {}) {
+    return [
+      party.company,
+      party.name,
+      ...this.formatAddress(party.address),
+      party.taxId && `Tax ID: ${party.taxId}`,
+      party.email,
+      party.phone
+    ].filter(Boolean);
+  }
+
+  /**
+   * @private
+   */
+  formatAddress(address) {
+    if (!address) return [];
+
+    return [
+      address.line1,
+      address.line2,
+      [address.postalCode, address.city].filter(Boolean).join(' '),
+      [address.state, address.country].filter(Boolean).join(', ')
+    ].filter(Boolean);
+  }
+
+  /**
+   * @private
+   */
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+module.exports = new InvoiceService();
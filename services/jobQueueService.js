@@ -0,0 +1,397 @@
+/**
+ * Job Queue Service
+ * Durable queue for outbound messages, stored in MongoDB as NotificationJob documents.
+ * Requests enqueue and return; a worker polls for due jobs and runs each channel's handler
+ * with its own concurrency limit. Failed jobs are retried with exponential backoff and
+ * moved to the dead-letter list (status `dead`) after their last attempt.
+ */
+
+const crypto = require('crypto');
+const NotificationJob = require('../models/notificationJob');
+const Notification = require('../models/notification');
+const { AppError } = require('../middlewares/errorHandler');
+
+const POLL_SECONDS = parseInt(process.env.JOB_POLL_SECONDS, 10) || 5;
+// A claimed job whose lock runs out (e.g. the worker crashed) is picked up again
+const LOCK_MINUTES = 5;
+const BACKOFF_BASE_SECONDS = 30;
+const BACKOFF_MAX_SECONDS = 60 * 60;
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// Messages sent at once per channel; providers rate-limit SMS the hardest
+const CONCURRENCY = {
+  email: parseInt(process.env.JOB_CONCURRENCY_EMAIL, 10) || 5,
+  sms: parseInt(process.env.JOB_CONCURRENCY_SMS, 10) || 2,
+  push: parseInt(process.env.JOB_CONCURRENCY_PUSH, 10) || 10
+};
+
+const CHANNELS = Object.keys(CONCURRENCY);
+const STATUSES = ['queued', 'processing', 'completed', 'dead', 'cancelled'];
+
+class JobQueueService {
+  constructor() {
+    this.handlers = {};
+    this.active = { email: 0, sms: 0, push: 0 };
+    this.isRunning = false;
+    this.isPolling = false;
+  }
+
+  /**
+   * Set the function that sends a channel's jobs. It receives the job's payload and
+   * throws to fail the attempt; whatever it returns is stored as the job's result.
+   * @param {String} channel - 'email', 'sms' or 'push'
+   * @param {Function} handler - async (payload, job) => result
+   */
+  registerHandler(channel, handler) {
+    if (!CHANNELS.includes(channel)) {
+      throw new Error(`Unknown channel "${channel}"`);
+    }
+    this.handlers[channel] = handler;
+  }
+
+  // Start polling for due jobs
+  start() {
+    if (this.isRunning) {
+      console.log('Job queue is already running');
+      return;
+    }
+
+    this.isRunning = true;
+    console.log('Starting job queue...');
+
+    this.interval = setInterval(() => this.poll(), POLL_SECONDS * 1000);
+    this.poll();
+  }
+
+  // Stop claiming jobs; jobs being sent finish, and claimed ones are retried after their lock
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.isRunning = false;
+    console.log('Job queue stopped');
+  }
+
+  /**
+   * Queue one message
+   * @param {String} channel - 'email', 'sms' or 'push'
+   * @param {Object} payload - What the channel's handler sends
+   * @param {Object} options - `{ recipient, batchId, event, createdBy, notification, runAt, maxAttempts }`
+   * @returns {Promise<Object>} The job
+   */
+  async enqueue(channel, payload, options = {}) {
+    const [job] = await this.enqueueMany([{ channel, payload, ...options }]);
+    return job;
+  }
+
+  /**
+   * Queue several messages at once, e.g. one per attendee
+   * @param {Array<Object>} jobs - `{ channel, payload, recipient, batchId, event, createdBy, notification, runAt, maxAttempts }`
+   * @returns {Promise<Array>} The jobs
+   */
+  async enqueueMany(jobs) {
+    if (jobs.length === 0) return [];
+
+    const unknown = jobs.find((job) => !CHANNELS.includes(job.channel));
+    if (unknown) {
+      throw new AppError(`Unknown channel "${unknown.channel}"`, 400);
+    }
+
+    const created = await NotificationJob.insertMany(jobs.map((job) => ({
+      channel: job.channel,
+      payload: job.payload,
+      recipient: job.recipient,
+      batchId: job.batchId,
+      event: job.event,
+      createdBy: job.createdBy,
+      notification: job.notification,
+      runAt: job.runAt || new Date(),
+      maxAttempts: job.maxAttempts || DEFAULT_MAX_ATTEMPTS
+    })));
+
+    // Start sending now rather than at the next poll
+    if (this.isRunning) setImmediate(() => this.poll());
+
+    return created;
+  }
+
+  /**
+   * A new batch ID for jobs queued together
+   * @returns {String} Batch ID
+   */
+  createBatchId() {
+    return crypto.randomUUID();
+  }
+
+  /**
+   * Claim due jobs for every channel up to its concurrency limit and send them
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    if (this.isPolling || !this.isRunning) return;
+    this.isPolling = true;
+
+    try {
+      for (const channel of CHANNELS) {
+        if (!this.handlers[channel]) continue;
+
+        while (this.active[channel] < CONCURRENCY[channel]) {
+          const job = await this.claimNext(channel);
+          if (!job) break;
+
+          this.active[channel] += 1;
+          this.run(job)
+            .catch((error) => console.error(`Job ${job._id} error:`, error))
+            .finally(() => {
+              this.active[channel] -= 1;
+              this.poll();
+            });
+        }
+      }
+    } catch (error) {
+      console.error('Job queue poll error:', error);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async claimNext(channel) {
+    const now = new Date();
+
+    return NotificationJob.findOneAndUpdate(
+      {
+        channel,
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          { status: 'processing', lockedUntil: { $lte: now } }
+        ]
+      },
+      {
+        $set: { status: 'processing', lockedUntil: new Date(now.getTime() + LOCK_MINUTES * 60 * 1000) },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Send a claimed job, then complete it, schedule a retry or dead-letter it
+   * @private
+   */
+  async run(job) {
+    const claim = { _id: job._id, status: 'processing', attempts: job.attempts };
+
+    // Its last attempt was cut off (e.g. by a crash), so it may have been sent
+    if (job.attempts > job.maxAttempts) {
+      await NotificationJob.updateOne(claim, {
+        $set: { status: 'dead', lastError: job.lastError || 'Interrupted on its last attempt' },
+        $unset: { lockedUntil: 1 }
+      });
+      await this.setDeliveryStatus(job, 'failed');
+      return;
+    }
+
+    try {
+      const result = await this.handlers[job.channel](job.payload, job);
+      await NotificationJob.updateOne(claim, {
+        $set: { status: 'completed', completedAt: new Date(), result },
+        $unset: { lockedUntil: 1, lastError: 1 }
+      });
+      // Handlers report a send that reached no one (e.g. no push devices) as not delivered
+      await this.setDeliveryStatus(job, result && result.delivered === false ? 'failed' : 'sent');
+    } catch (error) {
+      const dead = job.attempts >= job.maxAttempts;
+      const update = dead
+        ? { status: 'dead' }
+        : { status: 'queued', runAt: new Date(Date.now() + this.getBackoffMs(job.attempts)) };
+
+      await NotificationJob.updateOne(claim, {
+        $set: { ...update, lastError: error.message },
+        $unset: { lockedUntil: 1 }
+      });
+      if (dead) await this.setDeliveryStatus(job, 'failed');
+    }
+  }
+
+  /**
+   * Report a job's outcome on its in-app notification
+   * @private
+   */
+  async setDeliveryStatus(job, status) {
+    if (!job.notification) return;
+
+    await Notification.updateOne(
+      { _id: job.notification },
+      { $set: { [`deliveryStatus.${job.channel}`]: status } }
+    );
+  }
+
+  /**
+   * 30s, 1m, 2m, 4m... up to an hour, with jitter so retries of a batch spread out
+   * @private
+   */
+  getBackoffMs(attempts) {
+    const seconds = Math.min(BACKOFF_BASE_SECONDS * 2 ** (attempts - 1), BACKOFF_MAX_SECONDS);
+    return Math.round(seconds * 1000 * (0.8 + Math.random() * 0.4));
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} filters - `{ status, channel, batchId, eventId, page, limit }`
+   * @returns {Promise<Object>} `{ jobs, total }`
+   */
+  async list({ status, channel, batchId, eventId, page = 1, limit = 50 } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (channel) query.channel = channel;
+    if (batchId) query.batchId = batchId;
+    if (eventId) query.event = eventId;
+
+    const [jobs, total] = await Promise.all([
+      NotificationJob.find(query)
+        .select('-payload')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      NotificationJob.countDocuments(query)
+    ]);
+
+    return { jobs, total };
+  }
+
+  /**
+   * A job with its payload
+   * @param {String} jobId - Job ID
+   * @returns {Promise<Object>} The job
+   */
+  async get(jobId) {
+    const job = await NotificationJob.findById(jobId);
+    if (!job) {
+      throw new AppError('Job not found', 404);
+    }
+    return job;
+  }
+
+  /**
+   * Jobs per channel and status, and what each channel is sending right now on this instance
+   * @returns {Promise<Object>} `{ channels: { email: { queued, processing, ... } }, concurrency, active }`
+   */
+  async getStats() {
+    const counts = await NotificationJob.aggregate([
+      { $group: { _id: { channel: '$channel', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    const channels = {};
+    CHANNELS.forEach((channel) => {
+      channels[channel] = Object.fromEntries(STATUSES.map((status) => [status, 0]));
+    });
+    counts.forEach(({ _id, count }) => {
+      if (channels[_id.channel]) channels[_id.channel][_id.status] = count;
+    });
+
+    return { channels, concurrency: CONCURRENCY, active: { ...this.active } };
+  }
+
+  /**
+   * Jobs of a batch per status
+   * @param {String} batchId - Batch ID
+   * @returns {Promise<Object>} `{ batchId, total, createdBy, event, byStatus, byChannel }`
+   */
+  async getBatch(batchId) {
+    const [first] = await NotificationJob.find({ batchId }).select('createdBy event').limit(1);
+    if (!first) {
+      throw new AppError('Batch not found', 404);
+    }
+
+    const counts = await NotificationJob.aggregate([
+      { $match: { batchId } },
+      { $group: { _id: { channel: '$channel', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    const byStatus = Object.fromEntries(STATUSES.map((status) => [status, 0]));
+    const byChannel = {};
+    counts.forEach(({ _id, count }) => {
+      byStatus[_id.status] += count;
+      byChannel[_id.channel] = (byChannel[_id.channel] || 0) + count;
+    });
+
+    return {
+      batchId,
+      total: counts.reduce((sum, { count }) => sum + count, 0),
+      createdBy: first.createdBy,
+      event: first.event,
+      byStatus,
+      byChannel
+    };
+  }
+
+  /**
+   * Send a dead or cancelled job again, with a fresh set of attempts
+   * @param {String} jobId - Job ID
+   * @returns {Promise<Object>} The job
+   */
+  async retry(jobId) {
+    const job = await NotificationJob.findOneAndUpdate(
+      { _id: jobId, status: { $in: ['dead', 'cancelled'] } },
+      { $set: { status: 'queued', attempts: 0, runAt: new Date() }, $unset: { lockedUntil: 1 } },
+      { new: true }
+    ).select('-payload');
+
+    if (!job) {
+      const existing = await this.get(jobId);
+      throw new AppError(`Only dead or cancelled jobs can be retried (job is ${existing.status})`, 400);
+    }
+
+    await this.setDeliveryStatus(job, 'pending');
+    if (this.isRunning) setImmediate(() => this.poll());
+    return job;
+  }
+
+  /**
+   * Send every job on the dead-letter list again
+   * @param {Object} filters - `{ channel, batchId }`
+   * @returns {Promise<Number>} Jobs requeued
+   */
+  async retryDead({ channel, batchId } = {}) {
+    const query = { status: 'dead' };
+    if (channel) query.channel = channel;
+    if (batchId) query.batchId = batchId;
+
+    const reported = await NotificationJob.find({ ...query, notification: { $ne: null } }).select('channel notification');
+    const result = await NotificationJob.updateMany(query, {
+      $set: { status: 'queued', attempts: 0, runAt: new Date() },
+      $unset: { lockedUntil: 1 }
+    });
+    await Promise.all(reported.map((job) => this.setDeliveryStatus(job, 'pending')));
+
+    if (this.isRunning) setImmediate(() => this.poll());
+    return result.modifiedCount;
+  }
+
+  /**
+   * Cancel a job that has not been sent yet
+   * @param {String} jobId - Job ID
+   * @returns {Promise<Object>} The job
+   */
+  async cancel(jobId) {
+    const job = await NotificationJob.findOneAndUpdate(
+      { _id: jobId, status: 'queued' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    ).select('-payload');
+
+    if (!job) {
+      const existing = await this.get(jobId);
+      throw new AppError(`Only queued jobs can be cancelled (job is ${existing.status})`, 400);
+    }
+
+    await this.setDeliveryStatus(job, 'failed');
+    return job;
+  }
+}
+
+module.exports = new JobQueueService();
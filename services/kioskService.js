@@ -0,0 +1,472 @@
+/**
+ * Kiosk Service
+ * Self-service check-in kiosks. An organizer registers a kiosk device for an event
+ * and gets a kiosk token that only works for that event's kiosk endpoints. Attendees
+ * check themselves in by scanning their ticket QR code, or by entering their email
+ * and the confirmation code of their order. Kiosks lock after a period without
+ * activity and after repeated failed lookups; staff unlock them with the kiosk PIN.
+ * Every kiosk action is logged in KioskActivity.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const CheckIn = require('../models/checkIn');
+const Event = require('../models/event');
+const User = require('../models/user');
+const KioskDevice = require('../models/kioskDevice');
+const KioskActivity = require('../models/kioskActivity');
+const ticketService = require('./ticketService');
+const ticketTokenService = require('./ticketTokenService');
+const checkInSessionService = require('./checkInSessionService');
+const EventCollaborationService = require('./eventCollaborationService');
+const { AppError } = require('../middlewares/errorHandler');
+
+const KIOSK_SECRET = process.env.KIOSK_TOKEN_SECRET || process.env.JWT_SECRET;
+
+// Kiosks default to expiring this long after the event ends
+const DEFAULT_GRACE_HOURS = 6;
+
+const DEFAULT_IDLE_LOCK_MINUTES = parseInt(process.env.KIOSK_IDLE_LOCK_MINUTES, 10) || 10;
+
+// Wrong email/code combinations in a row before the kiosk locks
+const MAX_FAILED_LOOKUPS = 5;
+
+// Wrong unlock PINs in a row before only an organizer can unlock the kiosk
+const MAX_FAILED_UNLOCKS = 5;
+
+const LOOKUP_FAILED_MESSAGE = 'No ticket matches this email and confirmation code';
+
+class KioskService {
+  /**
+   * Register a kiosk device for an event. The token and unlock PIN are only returned here.
+   * @param {String} eventId - Event ID
+   * @param {Object} user - Organizer (needs `manage_attendees`)
+   * @param {Object} options - `{ label, sessionId, expiresAt, idleLockMinutes }`
+   * @param {Object} meta - `{ ipAddress, userAgent }` of the request, for the activity log
+   * @returns {Promise<Object>} `{ kiosk, token, unlockPin }`
+   */
+  async registerKiosk(eventId, user, { label, sessionId, expiresAt, idleLockMinutes } = {}, meta = {}) {
+    const event = await this.findManagedEvent(eventId, user);
+
+    if (sessionId && !event.getCheckInSession(sessionId)) {
+      throw new AppError('Check-in session not found', 404);
+    }
+
+    const endsAt = event.endDateTime || event.startDateTime;
+    const expiry = expiresAt ? new Date(expiresAt) : new Date(endsAt.getTime() + DEFAULT_GRACE_HOURS * 60 * 60 * 1000);
+    if (expiry <= new Date()) {
+      throw new AppError('A kiosk must expire in the future', 400);
+    }
+
+    const unlockPin = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+    const kiosk = await KioskDevice.create({
+      event: event._id,
+      label,
+      session: sessionId || null,
+      unlockPinHash: await bcrypt.hash(unlockPin, 10),
+      expiresAt: expiry,
+      idleLockMinutes: idleLockMinutes || DEFAULT_IDLE_LOCK_MINUTES,
+      createdBy: user._id
+    });
+
+    await this.logActivity(kiosk, 'registered', { user: user._id, ...meta });
+
+    return { kiosk: this.toKioskView(kiosk), token: this.createToken(kiosk), unlockPin };
+  }
+
+  /**
+   * Kiosks of an event
+   * @param {String} eventId - Event ID
+   * @param {Object} user - Organizer
+   */
+  async listKiosks(eventId, user) {
+    await this.findManagedEvent(eventId, user);
+
+    const kiosks = await KioskDevice.find({ event: eventId })
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'firstName lastName');
+
+    return kiosks.map((kiosk) => this.toKioskView(kiosk));
+  }
+
+  /**
+   * Revoke a kiosk; its token stops working immediately
+   * @param {String} eventId - Event ID
+   * @param {String} kioskId - Kiosk ID
+   * @param {Object} user - Organizer
+   * @param {Object} meta - Request details for the activity log
+   */
+  async revokeKiosk(eventId, kioskId, user, meta = {}) {
+    const kiosk = await this.findManagedKiosk(eventId, kioskId, user);
+
+    if (!kiosk.revokedAt) {
+      kiosk.revokedAt = new Date();
+      kiosk.revokedBy = user._id;
+      await kiosk.save();
+      await this.logActivity(kiosk, 'revoked', { user: user._id, ...meta });
+    }
+
+    return this.toKioskView(kiosk);
+  }
+
+  /**
+   * Unlock a kiosk remotely, e.g. after too many wrong unlock PINs
+   * @param {String} eventId - Event ID
+   * @param {String} kioskId - Kiosk ID
+   * @param {Object} user - Organizer
+   * @param {Object} meta - Request details for the activity log
+   */
+  async unlockByOrganizer(eventId, kioskId, user, meta = {}) {
+    const kiosk = await this.findManagedKiosk(eventId, kioskId, user);
+
+    await this.markUnlocked(kiosk);
+    await this.logActivity(kiosk, 'unlocked', { user: user._id, message: 'Unlocked by organizer', ...meta });
+
+    return this.toKioskView(kiosk);
+  }
+
+  /**
+   * Activity log of a kiosk, newest first
+   * @param {String} eventId - Event ID
+   * @param {String} kioskId - Kiosk ID
+   * @param {Object} user - Organizer
+   * @param {Object} options - `{ page, limit }`
+   * @returns {Promise<Object>} `{ activity, total, page, limit }`
+   */
+  async getActivity(eventId, kioskId, user, { page = 1, limit = 50 } = {}) {
+    const kiosk = await this.findManagedKiosk(eventId, kioskId, user);
+
+    const [activity, total] = await Promise.all([
+      KioskActivity.find({ kiosk: kiosk._id })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('ticket', 'ticketNumber attendeeName')
+        .populate('user', 'firstName lastName'),
+      KioskActivity.countDocuments({ kiosk: kiosk._id })
+    ]);
+
+    return { activity, total, page, limit };
+  }
+
+  /**
+   * Resolve a bearer token to a kiosk
+   * @param {String} token - Bearer token
+   * @returns {Promise<Object|null>} The kiosk, or null when the token is not a kiosk token
+   */
+  async authenticateKiosk(token) {
+    const claims = jwt.decode(token);
+    if (!claims || claims.type !== 'kiosk') {
+      return null;
+    }
+
+    try {
+      jwt.verify(token, KIOSK_SECRET);
+    } catch (error) {
+      throw new AppError(error.name === 'TokenExpiredError' ? 'Kiosk access has expired' : 'Invalid kiosk token', 401);
+    }
+
+    const kiosk = await KioskDevice.findById(claims.kioskId);
+    if (!kiosk || !kiosk.isUsable()) {
+      throw new AppError('Kiosk access has been revoked or has expired', 401);
+    }
+
+    return kiosk;
+  }
+
+  /**
+   * What the kiosk shows: its event and whether it is locked
+   * @param {Object} kiosk - Kiosk document
+   */
+  async getStatus(kiosk) {
+    await this.recordIdleLock(kiosk);
+
+    const event = await Event.findById(kiosk.event).select('title startDateTime endDateTime location imageUrl');
+    return { kiosk: this.toKioskView(kiosk), event };
+  }
+
+  /**
+   * Lock the kiosk, e.g. when staff step away
+   * @param {Object} kiosk - Kiosk document
+   * @param {Object} meta - Request details for the activity log
+   */
+  async lock(kiosk, meta = {}) {
+    if (!kiosk.lockedAt) {
+      kiosk.lockedAt = new Date();
+      kiosk.lockReason = 'staff';
+      await kiosk.save();
+      await this.logActivity(kiosk, 'locked', { message: 'Locked by staff', ...meta });
+    }
+
+    return this.toKioskView(kiosk);
+  }
+
+  /**
+   * Unlock the kiosk with its PIN
+   * @param {Object} kiosk - Kiosk document
+   * @param {String} pin - Unlock PIN given at registration
+   * @param {Object} meta - Request details for the activity log
+   */
+  async unlock(kiosk, pin, meta = {}) {
+    await this.recordIdleLock(kiosk);
+
+    if (kiosk.lockReason === 'failed_unlocks') {
+      throw new AppError('Too many wrong PINs. An organizer must unlock this kiosk.', 423);
+    }
+
+    const { unlockPinHash } = await KioskDevice.findById(kiosk._id).select('+unlockPinHash');
+    if (!await bcrypt.compare(String(pin), unlockPinHash)) {
+      const updated = await KioskDevice.findOneAndUpdate({ _id: kiosk._id }, { $inc: { failedUnlocks: 1 } }, { new: true });
+      await this.logActivity(kiosk, 'unlock_failed', { message: 'Wrong PIN', ...meta });
+
+      if (updated.failedUnlocks >= MAX_FAILED_UNLOCKS) {
+        await this.markLocked(kiosk, 'failed_unlocks', meta);
+      }
+      throw new AppError('Wrong PIN', 401);
+    }
+
+    await this.markUnlocked(kiosk);
+    await this.logActivity(kiosk, 'unlocked', meta);
+
+    return this.toKioskView(kiosk);
+  }
+
+  /**
+   * Check an attendee in at the kiosk
+   * @param {Object} kiosk - Kiosk document
+   * @param {Object} input - `{ token }` (scanned QR code) or `{ email, confirmationCode }`
+   * @param {Object} meta - Request details for the activity log
+   * @returns {Promise<Object>} `{ attendeeName, ticketNumber, ticketType, session, entries, message }`
+   */
+  async checkIn(kiosk, { token, email, confirmationCode }, meta = {}) {
+    await this.recordIdleLock(kiosk);
+    if (kiosk.isLocked()) {
+      await this.logActivity(kiosk, 'check_in_rejected', { message: 'Kiosk is locked', ...meta });
+      throw new AppError('This kiosk is locked. Please ask a staff member for help.', 423);
+    }
+
+    const method = token ? 'qr' : 'confirmation_code';
+    const reject = async (message, statusCode, ticket) => {
+      await this.logActivity(kiosk, 'check_in_rejected', { method, ticket: ticket && ticket._id, message, ...meta });
+      throw new AppError(message, statusCode);
+    };
+
+    const ticket = token
+      ? await this.findTicketByToken(kiosk, token, reject)
+      : await this.findTicketByCode(kiosk, email, confirmationCode, meta, reject);
+
+    if (ticket.status === 'cancelled') {
+      await reject('This ticket has been cancelled', 400, ticket);
+    }
+
+    const event = await Event.findById(kiosk.event).select('title startDateTime checkInSessions');
+    const outcome = await checkInSessionService.recordScan(ticket, event, {
+      sessionId: kiosk.session,
+      direction: 'entry',
+      actor: { kiosk },
+      method: 'self_service',
+      deviceInfo: `Kiosk: ${kiosk.label}`
+    });
+
+    if (!outcome.accepted) {
+      await reject(outcome.message, 400, ticket);
+    }
+
+    await KioskDevice.updateOne({ _id: kiosk._id }, { lastActivityAt: new Date(), failedLookups: 0 });
+    await this.logActivity(kiosk, 'check_in', { method, ticket: ticket._id, message: `Checked in at ${outcome.session}`, ...meta });
+
+    const attendeeName = ticket.attendeeName || 'Guest';
+    return {
+      attendeeName,
+      ticketNumber: ticket.ticketNumber,
+      ticketType: ticket.ticketType,
+      session: outcome.session,
+      entries: outcome.state.entries,
+      message: outcome.state.entries > 1 ? `Welcome back, ${attendeeName}!` : `Welcome, ${attendeeName}!`
+    };
+  }
+
+  /**
+   * Add an entry to a kiosk's activity log
+   * @param {Object} kiosk - Kiosk document
+   * @param {String} action - KioskActivity action
+   * @param {Object} details - `{ method, ticket, message, user, ipAddress, userAgent }`
+   */
+  async logActivity(kiosk, action, details = {}) {
+    return KioskActivity.create({ kiosk: kiosk._id, event: kiosk.event, action, ...details });
+  }
+
+  /**
+   * @private
+   */
+  async findTicketByToken(kiosk, token, reject) {
+    const scan = await ticketTokenService.resolveScan(token);
+
+    if (!scan.eventId || scan.eventId.toString() !== kiosk.event.toString()) {
+      await reject(scan.eventId ? 'This ticket is for another event' : scan.error.message, 400);
+    }
+    if (scan.error) {
+      await reject(scan.error.message, scan.error.reason === 'not_found' ? 404 : 400, scan.error.ticket);
+    }
+
+    return scan.ticket;
+  }
+
+  /**
+   * Email and order confirmation code; wrong combinations count towards the lookup lock.
+   * The ticket found then goes through the same checks as a scan of its QR code.
+   * @private
+   */
+  async findTicketByCode(kiosk, email, confirmationCode, meta, reject) {
+    const normalizedEmail = String(email).trim().toLowerCase();
+    const user = await User.findOne({ email: normalizedEmail }).select('_id');
+
+    const holderFilter = [{ attendeeEmail: normalizedEmail }];
+    if (user) holderFilter.push({ attendee: user._id });
+
+    const tickets = await CheckIn.find({ event: kiosk.event, $or: holderFilter });
+    const matching = tickets.filter((candidate) => ticketService.matchesConfirmationCode(candidate.order, confirmationCode));
+    // A holder with several tickets of the order checks in with one not used yet
+    const ticket = matching.find((candidate) => candidate.status === 'pending')
+      || matching.find((candidate) => candidate.status !== 'cancelled')
+      || matching[0];
+
+    if (!ticket) {
+      const updated = await KioskDevice.findOneAndUpdate(
+        { _id: kiosk._id },
+        { $inc: { failedLookups: 1 }, lastActivityAt: new Date() },
+        { new: true }
+      );
+      await this.logActivity(kiosk, 'lookup_failed', { method: 'confirmation_code', message: normalizedEmail, ...meta });
+
+      if (updated.failedLookups >= MAX_FAILED_LOOKUPS) {
+        await this.markLocked(kiosk, 'failed_lookups', meta);
+      }
+      throw new AppError(LOOKUP_FAILED_MESSAGE, 404);
+    }
+
+    return this.findTicketByToken(kiosk, ticket.ticketToken, reject);
+  }
+
+  /**
+   * Idle kiosks are locked from their last activity on; record (and log) it once
+   * @private
+   */
+  async recordIdleLock(kiosk) {
+    if (kiosk.lockedAt || !kiosk.isIdle()) return;
+
+    const lockedAt = new Date(kiosk.lastActivityAt.getTime() + kiosk.idleLockMinutes * 60 * 1000);
+    const result = await KioskDevice.updateOne(
+      { _id: kiosk._id, lockedAt: null },
+      { lockedAt, lockReason: 'idle' }
+    );
+
+    kiosk.lockedAt = lockedAt;
+    kiosk.lockReason = 'idle';
+    if (result.modifiedCount > 0) {
+      await this.logActivity(kiosk, 'locked', { message: `Idle for ${kiosk.idleLockMinutes} minutes` });
+    }
+  }
+
+  /**
+   * @private
+   */
+  async markLocked(kiosk, reason, meta) {
+    await KioskDevice.updateOne({ _id: kiosk._id }, { lockedAt: new Date(), lockReason: reason });
+    kiosk.lockedAt = new Date();
+    kiosk.lockReason = reason;
+
+    const message = reason === 'failed_lookups'
+      ? `${MAX_FAILED_LOOKUPS} failed lookups in a row`
+      : `${MAX_FAILED_UNLOCKS} wrong unlock PINs in a row`;
+    await this.logActivity(kiosk, 'locked', { message, ...meta });
+  }
+
+  /**
+   * @private
+   */
+  async markUnlocked(kiosk) {
+    const now = new Date();
+    await KioskDevice.updateOne(
+      { _id: kiosk._id },
+      { lastActivityAt: now, failedLookups: 0, failedUnlocks: 0, $unset: { lockedAt: 1, lockReason: 1 } }
+    );
+
+    kiosk.lastActivityAt = now;
+    kiosk.lockedAt = undefined;
+    kiosk.lockReason = undefined;
+  }
+
+  /**
+   * @private
+   */
+  createToken(kiosk) {
+    return jwt.sign(
+      { type: 'kiosk', kioskId: kiosk._id.toString(), eventId: kiosk.event.toString() },
+      KIOSK_SECRET,
+      { expiresIn: Math.floor((kiosk.expiresAt.getTime() - Date.now()) / 1000) }
+    );
+  }
+
+  /**
+   * Kiosks are managed by organizers with attendee access
+   * @private
+   */
+  async findManagedEvent(eventId, user) {
+    const event = await Event.findById(eventId).select('title startDateTime endDateTime checkInSessions');
+    if (!event) {
+      throw new AppError('Event not found', 404);
+    }
+
+    const allowed = await EventCollaborationService.hasPermission(eventId.toString(), user._id.toString(), 'manage_attendees');
+    if (!allowed) {
+      throw new AppError('You do not have permission to manage kiosks for this event', 403);
+    }
+
+    return event;
+  }
+
+  /**
+   * @private
+   */
+  async findManagedKiosk(eventId, kioskId, user) {
+    await this.findManagedEvent(eventId, user);
+
+    const kiosk = await KioskDevice.findOne({ _id: kioskId, event: eventId });
+    if (!kiosk) {
+      throw new AppError('Kiosk not found', 404);
+    }
+
+    return kiosk;
+  }
+
+  /**
+   * @private
+   */
+  toKioskView(kiosk) {
+    const now = new Date();
+    let status = 'active';
+    if (kiosk.revokedAt) status = 'revoked';
+    else if (kiosk.expiresAt <= now) status = 'expired';
+    else if (kiosk.isLocked(now)) status = 'locked';
+
+    return {
+      _id: kiosk._id,
+      event: kiosk.event,
+      label: kiosk.label,
+      session: kiosk.session,
+      status,
+      lockReason: status === 'locked' ? kiosk.lockReason || 'idle' : undefined,
+      idleLockMinutes: kiosk.idleLockMinutes,
+      lastActivityAt: kiosk.lastActivityAt,
+      expiresAt: kiosk.expiresAt,
+      revokedAt: kiosk.revokedAt,
+      createdBy: kiosk.createdBy,
+      createdAt: kiosk.createdAt
+    };
+  }
+}
+
+module.exports = new KioskService();
@@ -1,11 +1,21 @@
 /**
  * Unified Notification Service
- * Industry-standard service for all communication types (Email, SMS, Push)
+ * Industry-standard service for all communication types (Email, SMS, Push).
+ * Messages are queued with jobQueueService and sent in the background, so requests
+ * return at once and nothing is lost if the server restarts mid-send.
  */
 
 const communicationConfig = require('../config/communicationConfig');
-const { User } = require('../models/user');
+const User = require('../models/user');
 const Event = require('../models/event');
+const Order = require('../models/order');
+const CheckIn = require('../models/checkIn');
+const Notification = require('../models/notification');
+const jobQueueService = require('./jobQueueService');
+const smsService = require('./smsService');
+const pushNotificationService = require('./pushNotificationService');
+const emailTrackingService = require('./emailTrackingService');
+const { NOTIFICATION_TYPES, getChannelPreferences } = require('../utils/notificationPreferences');
 
 class NotificationService {
   constructor() {
@@ -13,114 +23,225 @@ class NotificationService {
     this.smsClient = communicationConfig.getSMSClient();
     this.isEmailEnabled = communicationConfig.isEmailConfigured();
     this.isSMSEnabled = communicationConfig.isSMSConfigured();
+    this.isPushEnabled = Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+
+    jobQueueService.registerHandler('email', (payload, job) => this.deliverEmail(payload, job));
+    jobQueueService.registerHandler('sms', (payload) => this.deliverSMS(payload));
+    jobQueueService.registerHandler('push', (payload) => this.deliverPush(payload));
   }
 
   /**
-   * Send notification via multiple channels
+   * Queue a notification via multiple channels. Recipients with an account get it only on
+   * the channels they chose for its type, and an in-app Notification that tracks delivery
+   * on each channel.
    * @param {Object} options - Notification options
    * @param {Array} options.channels - ['email', 'sms', 'push']
-   * @param {String|Array} options.recipients - Email addresses or phone numbers
+   * @param {String|Array} options.recipients - Email addresses, phone numbers, or
+   *   `{ user, email, name, phoneNumber }` (see getEventAttendees)
+   * @param {String} options.type - Notification type, for preferences (default system_announcement)
    * @param {String} options.subject - Notification subject
    * @param {String} options.message - Notification message
    * @param {String} options.template - Template name (optional)
-   * @param {Object} options.data - Template data (optional)
-   * @returns {Promise<Object>} Send results
+   * @param {Object} options.data - Template data (optional); `url` and `orderId` are kept on the in-app notification
+   * @param {String} options.eventId - Event the notification is about (optional)
+   * @param {String} options.createdBy - User who sent it (optional)
+   * @returns {Promise<Object>} `{ batchId, recipients, notifications, queued, skipped }`, per channel where counted
    */
   async sendNotification(options) {
-    const { channels = ['email'], recipients, subject, message, template, data = {} } = options;
+    const {
+      channels = ['email'], recipients, type = 'system_announcement', subject, message, template,
+      data = {}, eventId, createdBy
+    } = options;
     
     if (!recipients || (!Array.isArray(recipients) && !recipients)) {
       throw new Error('Recipients are required');
     }
+    if (!NOTIFICATION_TYPES[type]) {
+      throw new Error(`Unknown notification type "${type}"`);
+    }
 
-    const recipientsList = Array.isArray(recipients) ? recipients : [recipients];
-    const results = {
-      email: { sent: 0, failed: 0, errors: [] },
-      sms: { sent: 0, failed: 0, errors: [] },
-      push: { sent: 0, failed: 0, errors: [] }
-    };
+    const resolved = await this.resolveRecipients(Array.isArray(recipients) ? recipients : [recipients]);
+    const batchId = jobQueueService.createBatchId();
+    const queued = { email: 0, sms: 0, push: 0 };
+    const skipped = { email: 0, sms: 0, push: 0 };
+    const html = channels.includes('email') && template
+      ? await this.generateEmailTemplate(template, { ...data, message })
+      : message;
+
+    // Which channels each recipient gets, and where
+    const sends = resolved.map((recipient) => {
+      const { user } = recipient;
+      // Without an account, the address was given explicitly
+      const preferences = user ? getChannelPreferences(user, type) : { email: true, sms: true, push: true, inApp: false };
+      const targets = {};
+
+      channels.forEach((channel) => {
+        const address = {
+          email: this.isEmailEnabled && (user ? user.email : recipient.email),
+          sms: this.isSMSEnabled && (user ? user.phoneNumber : recipient.phoneNumber),
+          push: this.isPushEnabled && user && user._id.toString()
+        }[channel];
+
+        if (queued[channel] === undefined) return;
+        if (preferences[channel] && address) {
+          targets[channel] = address;
+          queued[channel]++;
+        } else {
+          skipped[channel]++;
+        }
+      });
+
+      return { user, preferences, targets };
+    });
 
-    // Send via each requested channel
-    for (const channel of channels) {
-      if (channel === 'email' && this.isEmailEnabled) {
-        await this.sendEmailNotifications(recipientsList, subject, message, template, data, results);
-      } else if (channel === 'sms' && this.isSMSEnabled) {
-        await this.sendSMSNotifications(recipientsList, message, results);
-      } else if (channel === 'push') {
-        await this.sendPushNotifications(recipientsList, subject, message, results);
+    // In-app notifications first, so each job can report to its notification
+    const notifications = await Notification.insertMany(sends.filter(({ user }) => user).map(({ user, preferences, targets }) => ({
+      recipient: user._id,
+      type,
+      title: String(subject || 'Notification').slice(0, 200),
+      message: String(message).slice(0, 1000),
+      data: {
+        eventId: eventId || data.eventId,
+        orderId: data.orderId,
+        url: data.url || (eventId || data.eventId ? `/events/${eventId || data.eventId}` : undefined)
+      },
+      channels: {
+        inApp: preferences.inApp,
+        email: Boolean(targets.email),
+        sms: Boolean(targets.sms),
+        push: Boolean(targets.push)
+      },
+      deliveryStatus: {
+        inApp: 'sent',
+        email: targets.email ? 'pending' : undefined,
+        sms: targets.sms ? 'pending' : undefined,
+        push: targets.push ? 'pending' : undefined
       }
-    }
+    })));
+    const notificationByUser = new Map(notifications.map((notification) => [notification.recipient.toString(), notification._id]));
 
-    return results;
+    const jobs = [];
+    sends.forEach(({ user, targets }) => {
+      const notification = user ? notificationByUser.get(user._id.toString()) : undefined;
+      const job = (channel, payload) => jobs.push({
+        channel, recipient: targets[channel], payload, batchId, event: eventId, createdBy, notification
+      });
+
+      if (targets.email) job('email', { to: targets.email, subject, html, userId: user ? user._id : undefined });
+      if (targets.sms) job('sms', { to: targets.sms, body: message });
+      if (targets.push) {
+        job('push', {
+          userId: targets.push,
+          notification: { title: subject, body: message, data: eventId ? { eventId, url: `/events/${eventId}` } : {} }
+        });
+      }
+    });
+
+    await jobQueueService.enqueueMany(jobs);
+
+    return { batchId, recipients: resolved.length, notifications: notifications.length, queued, skipped };
   }
 
   /**
-   * Send email notifications
+   * Match recipients to accounts and drop duplicates. Email addresses and IDs of
+   * registered users resolve to the user; other addresses are kept as given.
    * @private
+   * @returns {Promise<Array>} `{ user }` or `{ email, phoneNumber, name }`
    */
-  async sendEmailNotifications(recipients, subject, message, template, data, results) {
-    for (const recipient of recipients) {
-      try {
-        let htmlContent = message;
-        
-        if (template) {
-          htmlContent = await this.generateEmailTemplate(template, { ...data, message });
-        }
+  async resolveRecipients(recipients) {
+    const entries = recipients.filter(Boolean).map((recipient) => {
+      if (typeof recipient !== 'string') return recipient;
+      const address = recipient.trim();
+      return address.includes('@') ? { email: address.toLowerCase() } : { phoneNumber: address };
+    });
+
+    const userIds = entries.filter((entry) => entry.user).map((entry) => String(entry.user._id || entry.user));
+    const emails = entries.filter((entry) => !entry.user && entry.email).map((entry) => entry.email.toLowerCase());
+    const users = await User.find({ $or: [{ _id: { $in: userIds } }, { email: { $in: emails } }] })
+      .select('firstName lastName email phoneNumber notificationPreferences');
 
-        const mailOptions = {
-          from: communicationConfig.emailConfig.from,
-          to: recipient,
-          subject,
-          html: htmlContent
-        };
-
-        await this.emailTransporter.sendMail(mailOptions);
-        results.email.sent++;
-      } catch (error) {
-        results.email.failed++;
-        results.email.errors.push({ recipient, error: error.message });
+    const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+    const usersByEmail = new Map(users.map((user) => [user.email, user]));
+
+    const resolved = new Map();
+    entries.forEach((entry) => {
+      const user = entry.user
+        ? usersById.get(String(entry.user._id || entry.user))
+        : entry.email && usersByEmail.get(entry.email.toLowerCase());
+
+      if (user) {
+        resolved.set(`user:${user._id}`, { user });
+      } else if (entry.email && !entry.user) {
+        resolved.set(`email:${entry.email.toLowerCase()}`, { email: entry.email.toLowerCase(), name: entry.name });
+      } else if (entry.phoneNumber && smsService.validatePhoneNumber(entry.phoneNumber)) {
+        resolved.set(`phone:${entry.phoneNumber}`, { phoneNumber: entry.phoneNumber });
       }
-    }
+    });
+
+    return [...resolved.values()];
   }
 
   /**
-   * Send SMS notifications
+   * Send one queued email, logged with open and click tracking. A suppressed address
+   * fails the delivery without retries.
    * @private
    */
-  async sendSMSNotifications(recipients, message, results) {
-    for (const recipient of recipients) {
-      try {
-        await this.smsClient.messages.create({
-          body: message,
-          from: communicationConfig.smsConfig.phoneNumber,
-          to: recipient
-        });
-        results.sms.sent++;
-      } catch (error) {
-        results.sms.failed++;
-        results.sms.errors.push({ recipient, error: error.message });
-      }
+  async deliverEmail({ to, subject, html, userId }, job) {
+    const tracked = await emailTrackingService.prepare({ to, subject, html, userId, eventId: job.event, jobId: job._id });
+    if (tracked.suppressed) {
+      return { delivered: false, message: 'Address is on the suppression list' };
+    }
+
+    let info;
+    try {
+      info = await this.emailTransporter.sendMail({
+        from: communicationConfig.emailConfig.from,
+        to,
+        subject,
+        html: tracked.html
+      });
+    } catch (error) {
+      await emailTrackingService.markFailed(tracked.message, error);
+      throw error;
     }
+
+    await emailTrackingService.markSent(tracked.message, info.messageId);
+    return { messageId: info.messageId };
   }
 
   /**
-   * Send push notifications
+   * Send one queued SMS
    * @private
    */
-  async sendPushNotifications(recipients, subject, message, results) {
-    // Implementation for push notifications
-    // This would integrate with your push notification service
-    console.log('Push notifications not implemented yet');
+  async deliverSMS({ to, body }) {
+    const result = await smsService.sendSMS(to, body);
+    return { messageId: result.messageId, status: result.status };
   }
 
   /**
-   * Send event-related notifications
+   * Send one queued push notification to every device of a user
+   * @private
+   */
+  async deliverPush({ userId, notification }) {
+    const result = await pushNotificationService.sendToUser(userId, notification);
+    // Retry only failures that may pass; gone devices were removed
+    const retryable = (result.results || []).some((device) => !device.success && !device.pruned);
+    if (!result.success && retryable) {
+      throw new Error('Push notification was not delivered to any device');
+    }
+    // Not configured, or no devices left to send to; retrying would not change that
+    return { delivered: result.success, message: result.message };
+  }
+
+  /**
+   * Queue event-related notifications
    * @param {String} eventId - Event ID
    * @param {String} type - Notification type
    * @param {Object} data - Additional data
-   * @returns {Promise<Object>} Send results
+   * @param {String} createdBy - User who sent it (optional)
+   * @returns {Promise<Object>} Queued jobs per channel, see sendNotification
    */
-  async sendEventNotification(eventId, type, data = {}) {
+  async sendEventNotification(eventId, type, data = {}, createdBy) {
     const event = await Event.findById(eventId).populate('organizer');
     if (!event) {
       throw new Error('Event not found');
@@ -134,21 +255,45 @@ class NotificationService {
     return await this.sendNotification({
       channels: notificationConfig.channels,
       recipients: attendees,
+      type: notificationConfig.type,
       subject: notificationConfig.subject,
       message: notificationConfig.message,
       template: notificationConfig.template,
-      data: { ...data, event }
+      data: { ...data, event },
+      eventId,
+      createdBy
     });
   }
 
   /**
-   * Get event attendees
-   * @private
+   * Everyone attending an event: buyers of completed orders, ticket holders (by account,
+   * or by email for guests without one) and free registrants
+   * @param {String} eventId - Event ID
+   * @returns {Promise<Array>} Recipients for sendNotification, `{ user }` or `{ email, name }`
    */
   async getEventAttendees(eventId) {
-    // This would query your database for event attendees
-    // Implementation depends on your data model
-    return [];
+    const [event, orders, tickets] = await Promise.all([
+      Event.findById(eventId).select('attendees'),
+      Order.find({ event: eventId, status: 'completed' }).select('buyer').lean(),
+      CheckIn.find({ event: eventId, status: { $ne: 'cancelled' } }).select('attendee attendeeEmail attendeeName').lean()
+    ]);
+
+    const recipients = new Map();
+    const addUser = (id) => {
+      if (id) recipients.set(`user:${id}`, { user: id.toString() });
+    };
+
+    (event ? event.attendees : []).forEach(addUser);
+    orders.forEach((order) => addUser(order.buyer));
+    tickets.forEach((ticket) => {
+      if (ticket.attendee) {
+        addUser(ticket.attendee);
+      } else if (ticket.attendeeEmail && !recipients.has(`email:${ticket.attendeeEmail}`)) {
+        recipients.set(`email:${ticket.attendeeEmail}`, { email: ticket.attendeeEmail, name: ticket.attendeeName });
+      }
+    });
+
+    return [...recipients.values()];
   }
 
   /**
@@ -158,24 +303,28 @@ class NotificationService {
   getEventNotificationConfig(type, event, data) {
     const configs = {
       'event_created': {
-        channels: ['email'],
+        type: 'event_announcement',
+        channels: ['email', 'push'],
         subject: `New Event: ${event.title}`,
         message: `A new event "${event.title}" has been created.`,
         template: 'event_created'
       },
       'event_updated': {
-        channels: ['email', 'sms'],
+        type: 'event_update',
+        channels: ['email', 'sms', 'push'],
         subject: `Event Updated: ${event.title}`,
         message: `The event "${event.title}" has been updated.`,
         template: 'event_updated'
       },
       'event_cancelled': {
-        channels: ['email', 'sms'],
+        type: 'event_cancelled',
+        channels: ['email', 'sms', 'push'],
         subject: `Event Cancelled: ${event.title}`,
         message: `The event "${event.title}" has been cancelled.`,
         template: 'event_cancelled'
       },
       'event_reminder': {
+        type: 'event_reminder',
         channels: ['email', 'sms', 'push'],
         subject: `Reminder: ${event.title}`,
         message: `Don't forget! "${event.title}" is coming up soon.`,
@@ -184,6 +333,7 @@ class NotificationService {
     };
 
     return configs[type] || {
+      type: 'event_announcement',
       channels: ['email'],
       subject: 'Event Notification',
       message: 'You have a new event notification.',
@@ -245,8 +395,8 @@ class NotificationService {
         configured: communicationConfig.isSMSConfigured()
       },
       push: {
-        enabled: false,
-        configured: false
+        enabled: this.isPushEnabled,
+        configured: this.isPushEnabled
       }
     };
   }
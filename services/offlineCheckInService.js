@@ -0,0 +1,329 @@
+/**
+ * Offline Check-In Service
+ * Scanning devices download an event's ticket manifest, scan against it without
+ * connectivity and upload their scans later. When several doors scanned the same
+ * ticket, the earliest scan is kept and the others are reported as duplicates.
+ */
+
+const crypto = require('crypto');
+const Event = require('../models/event');
+const CheckIn = require('../models/checkIn');
+const TicketTransfer = require('../models/ticketTransfer');
+const CheckInScan = require('../models/checkInScan');
+const qrService = require('./qrService');
+const ticketService = require('./ticketService');
+const ticketTokenService = require('./ticketTokenService');
+const checkInStaffService = require('./checkInStaffService');
+const checkInFeedService = require('./checkInFeedService');
+const { AppError } = require('../middlewares/errorHandler');
+
+// How far ahead of the server a device clock may be before its scan times are clamped
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Manifests stay usable for syncing until a day after the event ends
+const MANIFEST_GRACE_MS = 24 * 60 * 60 * 1000;
+
+class OfflineCheckInService {
+  /**
+   * Tickets of an event as a scanning device needs them. Tickets are identified by the
+   * SHA-256 of their QR token, so the manifest cannot be used to forge tickets.
+   * @param {String} eventId - Event ID
+   * @param {Object} actor - Staff member (`{ user }`) or scanner device (`{ scanner }`) downloading it
+   * @param {Object} options - `{ deviceId, since }`; `since` returns only tickets changed after it
+   * @returns {Promise<Object>} Manifest and its signed manifest token
+   */
+  async getManifest(eventId, actor, { deviceId, since } = {}) {
+    const event = await this.findEventForStaff(eventId, actor);
+    const generatedAt = new Date();
+
+    const query = { event: event._id };
+    if (since) query.updatedAt = { $gt: since };
+
+    const [tickets, transfers] = await Promise.all([
+      CheckIn.find(query)
+        .select('ticketToken ticketNumber attendee attendeeName attendeeEmail ticketType ticketTier status checkInTime')
+        .populate('attendee', 'firstName lastName'),
+      TicketTransfer.find({
+        event: event._id,
+        revokedTokenHash: { $exists: true },
+        ...(since ? { respondedAt: { $gt: since } } : {})
+      }).select('revokedTokenHash')
+    ]);
+
+    const endsAt = event.endDateTime || event.startDateTime;
+    const ticketList = tickets.map((ticket) => ({
+      id: ticket._id,
+      tokenHash: ticketService.hashToken(ticket.ticketToken),
+      ticketNumber: ticket.ticketNumber,
+      attendeeName: this.getHolderName(ticket),
+      ticketType: ticket.ticketType,
+      ticketTier: ticket.ticketTier,
+      status: ticket.status,
+      checkInTime: ticket.checkInTime
+    }));
+    const revokedTokenHashes = transfers.map((transfer) => transfer.revokedTokenHash);
+    const ticketsHash = this.hashTicketList(ticketList, revokedTokenHashes);
+
+    return {
+      manifestToken: qrService.signManifest(
+        {
+          eventId: event._id.toString(),
+          userId: actor.user ? actor.user._id.toString() : undefined,
+          scannerId: actor.scanner ? actor.scanner._id.toString() : undefined,
+          deviceId,
+          generatedAt: generatedAt.toISOString(),
+          ticketsHash
+        },
+        new Date(endsAt.getTime() + MANIFEST_GRACE_MS)
+      ),
+      event: {
+        _id: event._id,
+        title: event.title,
+        startDateTime: event.startDateTime,
+        endDateTime: event.endDateTime,
+        location: event.location
+      },
+      generatedAt,
+      since: since || null,
+      hashAlgorithm: 'sha256',
+      // Rotating codes carry the first 16 hex characters of the ticket's tokenHash (`th`)
+      // and an expiry; the device matches on those and the server checks signatures on sync
+      qrMode: event.ticketSecurity && event.ticketSecurity.rotatingQr ? 'rotating' : 'static',
+      rotationSeconds: event.ticketSecurity ? event.ticketSecurity.rotationSeconds : undefined,
+      tickets: ticketList,
+      revokedTokenHashes,
+      ticketsHash
+    };
+  }
+
+  /**
+   * SHA-256 of the tickets and revoked codes of a manifest, as signed in its token: one
+   * `<id>:<tokenHash>:<status>` line per ticket and one `revoked:<hash>` line per revoked
+   * code, sorted and joined with newlines
+   * @param {Array} tickets - Manifest tickets
+   * @param {Array} revokedTokenHashes - Manifest revoked token hashes
+   * @returns {String} Hex digest
+   */
+  hashTicketList(tickets, revokedTokenHashes = []) {
+    const lines = [
+      ...tickets.map((ticket) => `${ticket.id}:${ticket.tokenHash}:${ticket.status}`),
+      ...revokedTokenHashes.map((hash) => `revoked:${hash}`)
+    ].sort();
+
+    return crypto.createHash('sha256').update(lines.join('\n')).digest('hex');
+  }
+
+  /**
+   * Apply scans made offline, oldest first
+   * @param {String} eventId - Event ID
+   * @param {Object} actor - Staff member (`{ user }`) or scanner device (`{ scanner }`) uploading the scans
+   * @param {Object} batch - Upload from the device
+   * @param {String} batch.manifestToken - Token received with the manifest
+   * @param {String} batch.ticketsHash - Hash of the ticket list the device scanned against, if it sends it
+   * @param {String} batch.deviceId - Scanning device
+   * @param {Array} batch.scans - `[{ scanId, token, scannedAt, location }]`
+   * @returns {Promise<Object>} Per-scan results and a summary by outcome
+   */
+  async syncScans(eventId, actor, { manifestToken, ticketsHash, deviceId, scans }) {
+    const event = await this.findEventForStaff(eventId, actor);
+
+    const manifest = qrService.verifyManifest(manifestToken, { ticketsHash });
+    if (!manifest.valid) {
+      throw new AppError(`${manifest.error}. Download a new manifest before syncing.`, 401);
+    }
+    if (manifest.data.eventId !== event._id.toString()) {
+      throw new AppError('This manifest belongs to another event', 400);
+    }
+
+    const device = deviceId || manifest.data.deviceId || 'unknown';
+    const syncedAt = new Date();
+
+    const ordered = scans
+      .map((scan, index) => ({ ...scan, index, ...this.normalizeScanTime(scan.scannedAt, syncedAt) }))
+      .sort((a, b) => a.scannedAt - b.scannedAt || a.index - b.index);
+
+    // Results are reported in upload order so the device can match them to its queue
+    const results = new Array(scans.length);
+    for (const scan of ordered) {
+      const result = await this.applyScan(event, scan, { actor, device, syncedAt });
+      this.publishResult(event, scan, result, actor);
+      results[scan.index] = {
+        scanId: scan.scanId,
+        scannedAt: scan.scannedAt,
+        clockAdjusted: scan.clockAdjusted || undefined,
+        ...result
+      };
+    }
+
+    const summary = results.reduce((counts, result) => {
+      counts[result.status] = (counts[result.status] || 0) + 1;
+      return counts;
+    }, { total: results.length });
+
+    return { syncedAt, deviceId: device, summary, results };
+  }
+
+  /**
+   * Check in one offline scan, resolving conflicts with scans from other doors
+   * @private
+   */
+  async applyScan(event, scan, { actor, device, syncedAt }) {
+    const resolved = await ticketTokenService.resolveScan(scan.token, { at: scan.scannedAt });
+    if (!resolved.eventId) {
+      return { status: 'invalid', message: resolved.error.message };
+    }
+
+    if (resolved.eventId !== event._id.toString()) {
+      return { status: 'invalid', message: 'Ticket is for another event' };
+    }
+
+    if (resolved.error) {
+      const { reason, message, ticket: current } = resolved.error;
+      if (reason === 'revoked') {
+        return {
+          status: 'revoked',
+          message,
+          ticketNumber: current && current.ticketNumber,
+          currentHolder: current && (current.attendeeName || current.attendeeEmail)
+        };
+      }
+      return { status: reason === 'not_found' ? 'not_found' : 'invalid', message };
+    }
+
+    const ticket = await resolved.ticket.populate('attendee', 'firstName lastName');
+    const view = { ticketId: ticket._id, ticketNumber: ticket.ticketNumber, attendeeName: this.getHolderName(ticket) };
+
+    if (ticket.status === 'cancelled') {
+      return { ...view, status: 'cancelled', message: 'Ticket has been cancelled' };
+    }
+
+    const scanFields = {
+      ...checkInStaffService.getActorFields(actor),
+      checkInTime: scan.scannedAt,
+      checkInMethod: 'qr_scan',
+      checkInLocation: scan.location,
+      deviceInfo: device,
+      syncedAt
+    };
+
+    // First scan of this ticket anywhere; offline scans are main entrance entries
+    const claimed = await CheckIn.findOneAndUpdate(
+      { _id: ticket._id, status: { $in: ['pending', 'no_show'] } },
+      {
+        ...scanFields,
+        status: 'checked_in',
+        sessions: [{ session: null, inside: true, entries: 1, firstEntryAt: scan.scannedAt, lastEntryAt: scan.scannedAt }]
+      },
+      { new: true }
+    );
+    if (claimed) {
+      await CheckInScan.create({
+        event: event._id,
+        ticket: ticket._id,
+        session: null,
+        direction: 'entry',
+        scannedAt: scan.scannedAt,
+        scannedBy: actor.user ? actor.user._id : undefined,
+        scanner: actor.scanner ? actor.scanner._id : undefined,
+        location: scan.location,
+        deviceInfo: device
+      });
+      return { ...view, status: 'checked_in', checkInTime: claimed.checkInTime };
+    }
+
+    // Scanned elsewhere too: the earliest scan wins, whichever door synced first
+    const earlier = await CheckIn.findOneAndUpdate(
+      { _id: ticket._id, status: 'checked_in', checkInTime: { $gt: scan.scannedAt } },
+      scanFields
+    );
+    if (earlier) {
+      return {
+        ...view,
+        status: 'checked_in',
+        checkInTime: scan.scannedAt,
+        supersedes: { checkInTime: earlier.checkInTime, deviceInfo: earlier.deviceInfo, checkInLocation: earlier.checkInLocation }
+      };
+    }
+
+    const current = await CheckIn.findById(ticket._id).select('status checkInTime deviceInfo checkInLocation');
+
+    // The same scan uploaded again (e.g. the device retried after a timeout)
+    if (current.deviceInfo === device && current.checkInTime
+      && current.checkInTime.getTime() === scan.scannedAt.getTime()) {
+      return { ...view, status: 'checked_in', checkInTime: current.checkInTime, alreadySynced: true };
+    }
+
+    return {
+      ...view,
+      status: 'duplicate',
+      message: 'Ticket was already scanned',
+      firstScan: { checkInTime: current.checkInTime, deviceInfo: current.deviceInfo, checkInLocation: current.checkInLocation }
+    };
+  }
+
+  /**
+   * New check-ins and rejected scans of an upload appear on the live dashboard
+   * @private
+   */
+  publishResult(event, scan, result, actor) {
+    const ticket = { _id: result.ticketId, ticketNumber: result.ticketNumber, attendeeName: result.attendeeName };
+
+    if (result.status === 'checked_in') {
+      if (result.alreadySynced || result.supersedes) return;
+      checkInFeedService.publishCheckIn(event._id, ticket, {
+        session: 'Main entrance',
+        method: 'qr_scan',
+        entries: 1,
+        actor,
+        at: scan.scannedAt
+      });
+      return;
+    }
+
+    checkInFeedService.publishAlert(event._id, result.status === 'not_found' ? 'invalid' : result.status, {
+      message: result.message,
+      ticket: result.ticketId ? ticket : undefined,
+      firstScan: result.firstScan,
+      offline: true,
+      actor
+    });
+  }
+
+  /**
+   * Device clocks cannot put scans in the future
+   * @private
+   */
+  normalizeScanTime(scannedAt, now) {
+    const time = scannedAt ? new Date(scannedAt) : now;
+    if (Number.isNaN(time.getTime()) || time.getTime() > now.getTime() + MAX_CLOCK_SKEW_MS) {
+      return { scannedAt: now, clockAdjusted: true };
+    }
+    return { scannedAt: time, clockAdjusted: false };
+  }
+
+  /**
+   * @private
+   */
+  getHolderName(ticket) {
+    if (ticket.attendee && ticket.attendee.firstName) {
+      return `${ticket.attendee.firstName} ${ticket.attendee.lastName}`.trim();
+    }
+    return ticket.attendeeName || (ticket.attendeeEmail ? ticket.attendeeEmail.split('@')[0] : 'Ticket holder');
+  }
+
+  /**
+   * @private
+   */
+  async findEventForStaff(eventId, actor) {
+    const event = await Event.findById(eventId).select('title startDateTime endDateTime location ticketSecurity');
+    if (!event) {
+      throw new AppError('Event not found', 404);
+    }
+
+    await checkInStaffService.assertCanCheckIn(event._id, actor);
+
+    return event;
+  }
+}
+
+module.exports = new OfflineCheckInService();
@@ -0,0 +1,394 @@
+/**
+ * Promo Code Service
+ * Organizer-created discount codes scoped to an event or an organization
+ */
+
+const mongoose = require('mongoose');
+const PromoCode = require('../models/promoCode');
+const PromoRedemption = require('../models/promoRedemption');
+const Event = require('../models/event');
+const Organization = require('../models/organization');
+const OrganizationMember = require('../models/organizationMember');
+const EventCollaborationService = require('./eventCollaborationService');
+const { AppError } = require('../middlewares/errorHandler');
+const { normalizeCurrency, roundAmount } = require('../utils/currency');
+
+const EDITABLE_FIELDS = [
+  'description', 'discountType', 'discountValue', 'maxRedemptions', 'maxRedemptionsPerUser',
+  'validFrom', 'validUntil', 'ticketTiers', 'isActive'
+];
+
+class PromoCodeService {
+  /**
+   * Create a promo code
+   * @param {Object} data - Promo code fields (`event` or `organizationId` sets the scope)
+   * @param {String} userId - Creating user
+   * @returns {Promise<Object>} The promo code
+   */
+  async create(data, userId) {
+    await this.assertCanManage(data, userId);
+
+    // An event code is scoped to that event only, even if an organization is passed too
+    const fields = data.event
+      ? { code: data.code, event: data.event }
+      : { code: data.code, organizationId: data.organizationId };
+    EDITABLE_FIELDS.forEach((field) => {
+      if (data[field] !== undefined) fields[field] = data[field];
+    });
+
+    if (fields.discountType === 'fixed') {
+      fields.currency = await this.getScopeCurrency(fields);
+    }
+
+    try {
+      return await PromoCode.create({ ...fields, createdBy: userId });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError('A promo code with this code already exists', 409);
+      }
+      throw new AppError(error.message, 400);
+    }
+  }
+
+  /**
+   * Update a promo code
+   * @param {String} id - Promo code ID
+   * @param {Object} data - Fields to change
+   * @param {String} userId - Acting user
+   */
+  async update(id, data, userId) {
+    const promo = await PromoCode.findById(id);
+    if (!promo) {
+      throw new AppError('Promo code not found', 404);
+    }
+
+    await this.assertCanManage(promo, userId);
+
+    EDITABLE_FIELDS.forEach((field) => {
+      if (data[field] !== undefined) promo[field] = data[field];
+    });
+
+    if (promo.discountType === 'fixed' && !promo.currency) {
+      promo.currency = await this.getScopeCurrency(promo);
+    }
+
+    try {
+      return await promo.save();
+    } catch (error) {
+      throw new AppError(error.message, 400);
+    }
+  }
+
+  /**
+   * List promo codes for an event or an organization
+   * @param {Object} scope - `{ event }` or `{ organizationId }`
+   * @param {String} userId - Acting user
+   */
+  async list(scope, userId) {
+    await this.assertCanManage(scope, userId);
+
+    const query = scope.event ? { event: scope.event } : { organizationId: scope.organizationId };
+    return PromoCode.find(query).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Deactivate a promo code. Redemptions already made are kept for reporting.
+   * @param {String} id - Promo code ID
+   * @param {String} userId - Acting user
+   */
+  async deactivate(id, userId) {
+    return this.update(id, { isActive: false }, userId);
+  }
+
+  /**
+   * Price a prospective order with a code, without using it up
+   * @param {String} code - Code entered by the buyer
+   * @param {Object} context - `{ eventId, tierId, quantity, userId }`
+   * @returns {Promise<Object>} Subtotal, discount and total
+   */
+  async preview(code, { eventId, tierId, quantity = 1, userId }) {
+    const event = await Event.findById(eventId);
+    if (!event) {
+      throw new AppError('Event not found', 404);
+    }
+
+    const tier = event.ticketTiers.length > 0 ? event.getTicketTier(tierId) : null;
+    if (event.ticketTiers.length > 0 && !tier) {
+      throw new AppError('Please select a valid ticket type', 400);
+    }
+
+    // Same pricing as checkout
+    const unitPrice = tier ? tier.price : (event.isFree ? 0 : Number(event.price) || 0);
+    const subtotal = unitPrice * quantity;
+    const currency = await event.getCurrency();
+
+    const { promo, discountAmount } = await this.validate(code, {
+      event,
+      tierId: tier ? tier._id : null,
+      userId,
+      subtotal,
+      currency
+    });
+
+    return {
+      code: promo.code,
+      discountType: promo.discountType,
+      discountValue: promo.discountValue,
+      currency,
+      subtotal,
+      discount: discountAmount,
+      total: roundAmount(subtotal - discountAmount, currency)
+    };
+  }
+
+  /**
+   * Check a code against an event / tier / buyer and compute the discount
+   * @param {String} code - Code entered by the buyer
+   * @param {Object} context - Checkout context
+   * @param {Object} context.event - Event document
+   * @param {String} context.tierId - Ticket tier being bought
+   * @param {String} context.userId - Buyer
+   * @param {Number} context.subtotal - Order subtotal before discount
+   * @param {String} context.currency - Currency the order is priced in
+   * @returns {Promise<Object>} The promo code and the discount amount
+   */
+  async validate(code, { event, tierId, userId, subtotal, currency }) {
+    if (!(subtotal > 0)) {
+      throw new AppError('Promo codes cannot be applied to free tickets', 400);
+    }
+
+    const normalized = String(code || '').trim().toUpperCase();
+    const now = new Date();
+
+    const scopes = [{ event: event._id }];
+    if (event.organizationId) {
+      scopes.push({ organizationId: event.organizationId, event: null });
+    }
+
+    const candidates = await PromoCode.find({ code: normalized, isActive: true, $or: scopes });
+    // An event-level code wins over an organization-wide one with the same name
+    const promo = candidates.find((c) => c.event) || candidates[0];
+
+    if (!promo) {
+      throw new AppError('Invalid promo code', 400);
+    }
+
+    if (promo.validFrom && now < promo.validFrom) {
+      throw new AppError('This promo code is not active yet', 400);
+    }
+
+    if (promo.validUntil && now > promo.validUntil) {
+      throw new AppError('This promo code has expired', 400);
+    }
+
+    if (promo.ticketTiers.length > 0
+      && !promo.ticketTiers.some((id) => tierId && id.toString() === tierId.toString())) {
+      throw new AppError('This promo code is not valid for the selected ticket type', 400);
+    }
+
+    if (promo.discountType === 'fixed' && promo.currency
+      && promo.currency !== normalizeCurrency(currency)) {
+      throw new AppError(`This promo code can only be used for events priced in ${promo.currency}`, 400);
+    }
+
+    if (promo.maxRedemptions > 0 && promo.redemptionCount >= promo.maxRedemptions) {
+      throw new AppError('This promo code has reached its usage limit', 400);
+    }
+
+    if (promo.maxRedemptionsPerUser > 0) {
+      const used = await PromoRedemption.countDocuments({
+        promoCode: promo._id,
+        user: userId,
+        status: { $in: ['reserved', 'redeemed'] }
+      });
+      if (used >= promo.maxRedemptionsPerUser) {
+        throw new AppError('You have already used this promo code', 400);
+      }
+    }
+
+    return { promo, discountAmount: promo.calculateDiscount(subtotal, currency) };
+  }
+
+  /**
+   * Take one use of a code for a checkout in progress
+   * @param {Object} promo - Promo code document
+   * @param {Object} context - `{ eventId, userId, discountAmount, reservationId }`
+   * @returns {Promise<Object>} The redemption
+   */
+  async reserve(promo, { eventId, userId, discountAmount, reservationId }) {
+    const redemption = await this.claimRedemption(promo, {
+      promoCode: promo._id,
+      code: promo.code,
+      event: eventId,
+      user: userId,
+      discountAmount,
+      reservation: reservationId
+    });
+
+    const filter = { _id: promo._id, isActive: true };
+    if (promo.maxRedemptions > 0) {
+      filter.redemptionCount = { $lt: promo.maxRedemptions };
+    }
+
+    // Conditional increment keeps concurrent checkouts within the overall cap
+    const result = await PromoCode.updateOne(filter, { $inc: { redemptionCount: 1 } });
+    if (result.modifiedCount !== 1) {
+      await PromoRedemption.updateOne({ _id: redemption._id }, { status: 'released', $unset: { slot: 1 } });
+      throw new AppError('This promo code has reached its usage limit', 400);
+    }
+
+    return redemption;
+  }
+
+  /**
+   * Create a redemption. With a per-user limit it takes the first free one of the
+   * user's numbered uses; the unique index refuses a use taken concurrently.
+   * @private
+   */
+  async claimRedemption(promo, data) {
+    if (!(promo.maxRedemptionsPerUser > 0)) {
+      return PromoRedemption.create(data);
+    }
+
+    // Uses from before numbering still count against the limit
+    const unnumbered = await PromoRedemption.countDocuments({
+      promoCode: promo._id,
+      user: data.user,
+      status: { $in: ['reserved', 'redeemed'] },
+      slot: { $exists: false }
+    });
+
+    for (let slot = unnumbered + 1; slot <= promo.maxRedemptionsPerUser; slot++) {
+      try {
+        return await PromoRedemption.create({ ...data, slot });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    throw new AppError('You have already used this promo code', 400);
+  }
+
+  /**
+   * Mark a reserved use as redeemed by a completed order
+   * @param {String} redemptionId - Redemption ID
+   * @param {String} orderId - Order ID
+   */
+  async redeem(redemptionId, orderId) {
+    return PromoRedemption.findOneAndUpdate(
+      { _id: redemptionId, status: { $in: ['reserved', 'redeemed'] } },
+      { status: 'redeemed', order: orderId },
+      { new: true }
+    );
+  }
+
+  /**
+   * Give back a reserved use (abandoned or failed checkout). Safe to call more than once.
+   * @param {String} redemptionId - Redemption ID
+   */
+  async release(redemptionId) {
+    const redemption = await PromoRedemption.findOneAndUpdate(
+      { _id: redemptionId, status: 'reserved' },
+      { status: 'released', $unset: { slot: 1 } },
+      { new: true }
+    );
+
+    if (redemption) {
+      await PromoCode.updateOne({ _id: redemption.promoCode }, { $inc: { redemptionCount: -1 } });
+    }
+
+    return redemption;
+  }
+
+  /**
+   * Give back the reserved uses of a released seat hold
+   * @param {String} reservationId - Seat reservation ID
+   */
+  async releaseForReservation(reservationId) {
+    const redemptions = await PromoRedemption.find({ reservation: reservationId, status: 'reserved' }).select('_id');
+    for (const { _id } of redemptions) {
+      await this.release(_id);
+    }
+  }
+
+  /**
+   * Redemption stats per code for an event
+   * @param {String} eventId - Event ID
+   * @returns {Promise<Array>} One row per code
+   */
+  async getEventStats(eventId) {
+    return PromoRedemption.aggregate([
+      {
+        $match: {
+          event: new mongoose.Types.ObjectId(eventId),
+          status: 'redeemed'
+        }
+      },
+      {
+        $group: {
+          _id: '$promoCode',
+          code: { $first: '$code' },
+          redemptions: { $sum: 1 },
+          uniqueUsers: { $addToSet: '$user' },
+          totalDiscount: { $sum: '$discountAmount' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          promoCode: '$_id',
+          code: 1,
+          redemptions: 1,
+          uniqueUsers: { $size: '$uniqueUsers' },
+          totalDiscount: 1
+        }
+      },
+      { $sort: { redemptions: -1 } }
+    ]);
+  }
+
+  /**
+   * Currency a fixed discount is expressed in
+   * @private
+   */
+  async getScopeCurrency(scope) {
+    if (scope.event) {
+      const event = await Event.findById(scope.event).select('currency organizationId');
+      return event ? event.getCurrency() : normalizeCurrency();
+    }
+
+    const organization = await Organization.findById(scope.organizationId).select('settings.defaults.currency');
+    return normalizeCurrency(organization && organization.settings.defaults.currency);
+  }
+
+  /**
+   * Only event managers (event codes) or organization editors (organization codes) manage codes
+   * @private
+   */
+  async assertCanManage(scope, userId) {
+    if (scope.event) {
+      const event = await Event.findById(scope.event).select('_id');
+      if (!event) {
+        throw new AppError('Event not found', 404);
+      }
+
+      const allowed = await EventCollaborationService.hasPermission(scope.event.toString(), userId.toString(), 'edit');
+      if (!allowed) {
+        throw new AppError('You do not have permission to manage promo codes for this event', 403);
+      }
+      return;
+    }
+
+    if (scope.organizationId) {
+      const membership = await OrganizationMember.findByUserAndOrg(userId, scope.organizationId);
+      if (!membership || !membership.hasPermission('edit_events')) {
+        throw new AppError('You do not have permission to manage promo codes for this organization', 403);
+      }
+      return;
+    }
+
+    throw new AppError('A promo code must belong to an event or an organization', 400);
+  }
+}
+
+module.exports = new PromoCodeService();
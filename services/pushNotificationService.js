@@ -1,5 +1,8 @@
 const webpush = require('web-push');
-const { User } = require('../models/user');
+const User = require('../models/user');
+const Order = require('../models/order');
+const PushSubscription = require('../models/pushSubscription');
+const { AppError } = require('../middlewares/errorHandler');
 
 class PushNotificationService {
   constructor() {
@@ -16,41 +19,47 @@ class PushNotificationService {
   }
 
   /**
-   * Subscribe user to push notifications
+   * Subscribe a browser or device to push notifications. Subscribing again from the same
+   * browser updates its keys and last-seen time.
    * @param {String} userId - User ID
    * @param {Object} subscription - Push subscription object
-   * @returns {Promise<Object>} Subscription result
+   * @param {Object} device - `{ label, userAgent }`
+   * @returns {Promise<Object>} Subscription result with the device
    */
-  async subscribeUser(userId, subscription) {
+  async subscribeUser(userId, subscription, { label, userAgent } = {}) {
     try {
-      const user = await User.findById(userId);
+      const user = await User.findById(userId).select('_id');
       if (!user) {
         throw new Error('User not found');
       }
 
-      // Store subscription in user document
-      if (!user.pushSubscriptions) {
-        user.pushSubscriptions = [];
+      const update = {
+        $set: {
+          user: user._id,
+          keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+          lastSeenAt: new Date()
+        }
+      };
+      if (userAgent) update.$set.userAgent = String(userAgent).slice(0, 500);
+      if (subscription.expirationTime) update.$set.expirationTime = new Date(subscription.expirationTime);
+      // A device keeps its label unless the user gives a new one
+      if (label) {
+        update.$set.label = label;
+      } else {
+        update.$setOnInsert = { label: this.getDeviceLabel(userAgent) };
       }
 
-      // Check if subscription already exists
-      const existingSubscription = user.pushSubscriptions.find(sub => 
-        sub.endpoint === subscription.endpoint
+      // The endpoint belongs to the browser; whoever subscribes with it last owns it
+      const device = await PushSubscription.findOneAndUpdate(
+        { endpoint: subscription.endpoint },
+        update,
+        { upsert: true, new: true, runValidators: true }
       );
 
-      if (!existingSubscription) {
-        user.pushSubscriptions.push({
-          endpoint: subscription.endpoint,
-          keys: subscription.keys,
-          subscribedAt: new Date()
-        });
-
-        await user.save();
-      }
-
       return {
         success: true,
-        message: 'Successfully subscribed to push notifications'
+        message: 'Successfully subscribed to push notifications',
+        device: this.toDeviceView(device)
       };
     } catch (error) {
       throw new Error(`Failed to subscribe user: ${error.message}`);
@@ -65,17 +74,7 @@ class PushNotificationService {
    */
   async unsubscribeUser(userId, endpoint) {
     try {
-      const user = await User.findById(userId);
-      if (!user) {
-        throw new Error('User not found');
-      }
-
-      if (user.pushSubscriptions) {
-        user.pushSubscriptions = user.pushSubscriptions.filter(sub => 
-          sub.endpoint !== endpoint
-        );
-        await user.save();
-      }
+      await PushSubscription.deleteOne({ user: userId, endpoint });
 
       return {
         success: true,
@@ -87,7 +86,32 @@ class PushNotificationService {
   }
 
   /**
-   * Send push notification to a single user
+   * Devices a user gets push notifications on, most recently seen first
+   * @param {String} userId - User ID
+   * @returns {Promise<Array>} Devices
+   */
+  async listDevices(userId) {
+    const devices = await PushSubscription.find({ user: userId }).sort({ lastSeenAt: -1 });
+    return devices.map((device) => this.toDeviceView(device));
+  }
+
+  /**
+   * Stop sending push notifications to one of a user's devices
+   * @param {String} userId - User ID
+   * @param {String} deviceId - Subscription ID
+   * @returns {Promise<Object>} The removed device
+   */
+  async revokeDevice(userId, deviceId) {
+    const device = await PushSubscription.findOneAndDelete({ _id: deviceId, user: userId });
+    if (!device) {
+      throw new AppError('Device not found', 404);
+    }
+    return this.toDeviceView(device);
+  }
+
+  /**
+   * Send push notification to every device of a single user. Subscriptions the push
+   * service reports as gone (404 or 410) are removed.
    * @param {String} userId - User ID
    * @param {Object} notification - Notification payload
    * @returns {Promise<Object>} Send result
@@ -101,40 +125,40 @@ class PushNotificationService {
         };
       }
 
-      const user = await User.findById(userId);
-      if (!user || !user.pushSubscriptions || user.pushSubscriptions.length === 0) {
+      const subscriptions = await PushSubscription.find({ user: userId });
+      if (subscriptions.length === 0) {
         return {
           success: false,
-          message: 'User not found or no subscriptions'
+          message: 'User has no push subscriptions'
         };
       }
 
       const results = [];
       const payload = JSON.stringify(notification);
 
-      for (const subscription of user.pushSubscriptions) {
+      for (const subscription of subscriptions) {
         try {
-          await webpush.sendNotification(subscription, payload);
+          await webpush.sendNotification({ endpoint: subscription.endpoint, keys: subscription.keys }, payload);
+          await PushSubscription.updateOne({ _id: subscription._id }, { $set: { lastDeliveredAt: new Date() } });
           results.push({ success: true, endpoint: subscription.endpoint });
         } catch (error) {
-          console.error('Failed to send notification:', error);
+          // Expired or unsubscribed in the browser; it will never work again
+          const gone = error.statusCode === 404 || error.statusCode === 410;
+          if (gone) {
+            await PushSubscription.deleteOne({ _id: subscription._id });
+          } else {
+            console.error('Failed to send notification:', error);
+          }
+
           results.push({ 
             success: false, 
             endpoint: subscription.endpoint, 
-            error: error.message 
+            error: error.message,
+            pruned: gone
           });
-
-          // Remove invalid subscription
-          if (error.statusCode === 410) {
-            user.pushSubscriptions = user.pushSubscriptions.filter(sub => 
-              sub.endpoint !== subscription.endpoint
-            );
-          }
         }
       }
 
-      await user.save();
-
       return {
         success: results.some(r => r.success),
         results
@@ -207,14 +231,8 @@ class PushNotificationService {
         renotify: data.renotify || false
       };
 
-      // Get event attendees
-      const { Order } = require('../models/order');
-      const orders = await Order.find({
-        eventId,
-        status: 'confirmed'
-      }).populate('userId', 'pushSubscriptions');
-
-      const userIds = orders.map(order => order.userId._id);
+      // Buyers of completed orders
+      const userIds = await Order.distinct('buyer', { event: eventId, status: 'completed' });
       
       return await this.sendToUsers(userIds, notification);
     } catch (error) {
@@ -310,6 +328,38 @@ class PushNotificationService {
     }
   }
 
+  /**
+   * "Chrome on Windows"-style name for a device without a label
+   * @private
+   */
+  getDeviceLabel(userAgent) {
+    const agent = String(userAgent || '');
+    const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['SamsungBrowser', 'Samsung Internet'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+    const systems = [['Android', 'Android'], ['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Windows', 'Windows'], ['Mac OS X', 'macOS'], ['CrOS', 'ChromeOS'], ['Linux', 'Linux']];
+    const find = (list) => (list.find(([token]) => agent.includes(token)) || [])[1];
+
+    const browser = find(browsers);
+    const system = find(systems);
+    if (browser && system) return `${browser} on ${system}`;
+    return browser || system || 'Unknown device';
+  }
+
+  /**
+   * Device fields shown to its owner; the keys stay on the server
+   * @private
+   */
+  toDeviceView(device) {
+    return {
+      _id: device._id,
+      label: device.label,
+      userAgent: device.userAgent,
+      createdAt: device.createdAt,
+      lastSeenAt: device.lastSeenAt,
+      lastDeliveredAt: device.lastDeliveredAt,
+      expirationTime: device.expirationTime
+    };
+  }
+
   /**
    * Get VAPID public key for client
    * @returns {String} VAPID public key
@@ -1,34 +1,125 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const QRCode = require('qrcode');
 
 const QR_SECRET = process.env.QR_SECRET || process.env.JWT_SECRET;
 
+// Allowance for the phone and scanner clocks when checking rotating codes
+const ROTATING_CLOCK_TOLERANCE_SECONDS = 15;
+
 class QRService {
+  // Ticket tokens carry no expiry of their own: the door checks them against the event's
+  // current dates, so rescheduled events keep working. Each token has a random nonce so a
+  // reissued token never equals the one it replaces.
   generateTicketToken(ticketData) {
-    const { eventId, orderId, attendeeId, ticketType } = ticketData;
+    const { eventId, orderId, ticketId, attendeeId, ticketType } = ticketData;
     
     return jwt.sign(
       {
+        type: 'ticket',
         eventId,
         orderId,
+        ticketId,
         attendeeId,
         ticketType,
+        nonce: crypto.randomBytes(8).toString('hex'),
         issuedAt: Date.now()
       },
+      QR_SECRET
+    );
+  }
+
+  // Short-lived code for events with rotating QR codes. It names the ticket and the first
+  // 16 hex characters of its token hash, so reissuing the ticket token also revokes it and
+  // offline devices can match it against their manifest.
+  generateRotatingToken({ eventId, ticketId, tokenHash }, lifetimeSeconds) {
+    const expiresAt = new Date(Date.now() + lifetimeSeconds * 1000);
+    const token = jwt.sign(
+      { type: 'ticket_rotating', eid: eventId, tid: ticketId, th: tokenHash.slice(0, 16) },
       QR_SECRET,
-      { expiresIn: '30d' }
+      { expiresIn: lifetimeSeconds }
     );
+    return { token, expiresAt };
+  }
+
+  // `at` verifies a scan made earlier (offline scans are verified when they are synced)
+  verifyTicketToken(token, { at } = {}) {
+    try {
+      const decoded = jwt.verify(token, QR_SECRET, {
+        clockTimestamp: at ? Math.floor(at.getTime() / 1000) : undefined,
+        clockTolerance: ROTATING_CLOCK_TOLERANCE_SECONDS
+      });
+
+      if (decoded.type === 'ticket_rotating') {
+        return {
+          valid: true,
+          data: { rotating: true, eventId: decoded.eid, ticketId: decoded.tid, tokenHash: decoded.th }
+        };
+      }
+
+      // Tokens signed before ticket tokens had a type are tickets too
+      if (decoded.type && decoded.type !== 'ticket') {
+        return { valid: false, error: 'Invalid ticket' };
+      }
+
+      return { valid: true, data: { ...decoded, rotating: false } };
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        const decoded = jwt.decode(token);
+        // Tickets issued with the former fixed 30-day expiry have no type; like current
+        // tokens, they are checked against the event's dates instead
+        if (decoded && !decoded.type) {
+          return this.verifyLegacyTicketToken(token);
+        }
+        return {
+          valid: false,
+          error: decoded && decoded.type === 'ticket_rotating'
+            ? 'QR code has expired. Refresh the ticket in the app.'
+            : 'Ticket has expired'
+        };
+      }
+      return { valid: false, error: 'Invalid ticket' };
+    }
   }
 
-  verifyTicketToken(token) {
+  // Signature check only; the caller applies the event's validity window
+  verifyLegacyTicketToken(token) {
+    try {
+      const decoded = jwt.verify(token, QR_SECRET, { ignoreExpiration: true });
+      return { valid: true, data: { ...decoded, rotating: false } };
+    } catch (error) {
+      return { valid: false, error: 'Invalid ticket' };
+    }
+  }
+
+  // Signed receipt of an offline scanning manifest; the device sends it back when it syncs.
+  // ticketsHash covers the ticket list, so a list that was altered no longer matches it.
+  signManifest(manifestData, expiresAt) {
+    const { eventId, userId, scannerId, deviceId, generatedAt, ticketsHash } = manifestData;
+    const expiresIn = Math.max(Math.floor((expiresAt.getTime() - Date.now()) / 1000), 60 * 60);
+
+    return jwt.sign(
+      { type: 'scan_manifest', eventId, userId, scannerId, deviceId, generatedAt, ticketsHash },
+      QR_SECRET,
+      { expiresIn }
+    );
+  }
+
+  verifyManifest(token, { ticketsHash } = {}) {
     try {
       const decoded = jwt.verify(token, QR_SECRET);
+      if (decoded.type !== 'scan_manifest') {
+        return { valid: false, error: 'Invalid manifest' };
+      }
+      if (ticketsHash !== undefined && decoded.ticketsHash !== ticketsHash) {
+        return { valid: false, error: 'Manifest ticket list does not match its token' };
+      }
       return { valid: true, data: decoded };
     } catch (error) {
       if (error.name === 'TokenExpiredError') {
-        return { valid: false, error: 'Ticket has expired' };
+        return { valid: false, error: 'Manifest has expired' };
       }
-      return { valid: false, error: 'Invalid ticket' };
+      return { valid: false, error: 'Invalid manifest' };
     }
   }
 
@@ -59,6 +150,25 @@ class QRService {
     };
   }
 
+  // Render the QR image for a token that is already stored on a ticket
+  async renderQRCode(token, options = {}) {
+    const qrOptions = {
+      errorCorrectionLevel: 'M',
+      width: options.width || 300,
+      margin: 2,
+      color: {
+        dark: options.darkColor || '#000000',
+        light: options.lightColor || '#FFFFFF'
+      }
+    };
+
+    return {
+      token,
+      dataUrl: await QRCode.toDataURL(token, qrOptions),
+      buffer: await QRCode.toBuffer(token, qrOptions)
+    };
+  }
+
   async generateQRCodeSVG(ticketData) {
     const token = this.generateTicketToken(ticketData);
     const svg = await QRCode.toString(token, { type: 'svg', margin: 2 });
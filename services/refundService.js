@@ -0,0 +1,316 @@
+/**
+ * Refund Service
+ * Organizer refunds, attendee self-cancellation and reconciliation of refunds made in Stripe
+ */
+
+const Stripe = require('stripe');
+const mongoose = require('mongoose');
+const Order = require('../models/order');
+const CheckIn = require('../models/checkIn');
+const User = require('../models/user');
+const reservationService = require('./reservationService');
+const ticketService = require('./ticketService');
+const notificationService = require('./notificationService');
+const invoiceService = require('./invoiceService');
+const { AppError } = require('../middlewares/errorHandler');
+const EventAnalyticsService = require('./eventAnalyticsService');
+const { toMinorUnits, fromMinorUnits, formatAmount } = require('../utils/currency');
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+// Attempts to record a Stripe dashboard refund while other refunds are being recorded
+const MAX_ATTEMPTS = 3;
+
+class RefundService {
+  /**
+   * Refund an order fully or partially (organizer initiated)
+   * @param {String} orderId - Order ID
+   * @param {Object} options - Refund options
+   * @param {Number} options.amount - Amount to refund (defaults to everything not yet refunded)
+   * @param {String} options.reason - Reason shown to the buyer
+   * @param {String} options.initiatedBy - User ID of the organizer
+   * @returns {Promise<Object>} The updated order
+   */
+  async refundOrder(orderId, { amount, reason, initiatedBy } = {}) {
+    let order = await Order.findById(orderId).populate('event', 'title');
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+
+    if (order.status !== 'completed') {
+      throw new AppError(`Only completed orders can be refunded (order is ${order.status})`, 400);
+    }
+
+    const refundable = this.getRefundableAmount(order);
+    const refundAmount = amount === undefined ? refundable : Number(amount);
+
+    // Amounts are stored in major units; compare them in minor units to avoid float drift
+    if (!(refundAmount > 0) || toMinorUnits(refundAmount, order.currency) > toMinorUnits(refundable, order.currency)) {
+      throw new AppError(`Refund amount must be between 0 and ${formatAmount(refundable, order.currency)}`, 400);
+    }
+
+    order = await this.issueRefund(order, refundAmount, { reason, initiatedBy, type: 'organizer' });
+
+    if (toMinorUnits(order.refundedAmount, order.currency) >= toMinorUnits(order.totalAmount, order.currency)) {
+      order.status = 'refunded';
+      await order.save();
+      await this.releaseTickets(order, 'refunded');
+    }
+
+    await this.notifyBuyer(order, refundAmount, reason);
+
+    return order;
+  }
+
+  /**
+   * Cancel an order on behalf of its buyer, refunding per the event's refund policy
+   * @param {String} orderId - Order ID
+   * @param {String} userId - Buyer's user ID
+   * @param {String} reason - Cancellation reason
+   * @returns {Promise<Object>} The cancelled order and the refunded amount
+   */
+  async cancelOrder(orderId, userId, reason) {
+    let order = await Order.findOne({ _id: orderId, buyer: userId })
+      .populate('event', 'title startDateTime refundPolicy');
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+
+    if (order.status !== 'completed') {
+      throw new AppError(`This order cannot be cancelled (order is ${order.status})`, 400);
+    }
+
+    const policy = order.event.refundPolicy || {};
+    if (!policy.allowSelfCancellation) {
+      throw new AppError('The organizer does not allow cancellations for this event', 403);
+    }
+
+    const deadline = new Date(
+      order.event.startDateTime.getTime() - (policy.cancellationDeadlineHours || 0) * 60 * 60 * 1000
+    );
+    if (new Date() > deadline) {
+      throw new AppError(`Cancellations closed on ${deadline.toUTCString()}`, 403);
+    }
+
+    const percentage = policy.refundPercentage === undefined ? 100 : policy.refundPercentage;
+    const refundAmount = fromMinorUnits(
+      Math.floor(toMinorUnits(this.getRefundableAmount(order), order.currency) * percentage / 100),
+      order.currency
+    );
+
+    if (refundAmount > 0) {
+      order = await this.issueRefund(order, refundAmount, { reason, initiatedBy: userId, type: 'self_cancellation' });
+    }
+
+    order.status = 'cancelled';
+    order.cancelledAt = new Date();
+    order.cancelledBy = userId;
+    order.cancellationReason = reason;
+    await order.save();
+
+    await this.releaseTickets(order, 'cancelled');
+
+    if (refundAmount > 0) {
+      await this.notifyBuyer(order, refundAmount, reason);
+    }
+
+    return { order, refundAmount };
+  }
+
+  /**
+   * Bring an order in line with a `charge.refunded` Stripe event.
+   * Refunds we issued ourselves are recorded before Stripe is called, so they are skipped.
+   * @param {Object} charge - Stripe charge object
+   * @returns {Promise<Object|null>} The reconciled order
+   */
+  async reconcileChargeRefund(charge) {
+    if (!charge.payment_intent) return null;
+
+    const stripeRefunded = fromMinorUnits(charge.amount_refunded, charge.currency);
+    let order = null;
+    let missing = 0;
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      order = await Order.findOne({ paymentId: charge.payment_intent });
+      if (!order) return null;
+
+      missing = fromMinorUnits(
+        toMinorUnits(stripeRefunded, order.currency) - toMinorUnits(order.refundedAmount, order.currency),
+        order.currency
+      );
+      if (missing <= 0) break;
+
+      // Refunded directly in the Stripe dashboard
+      const updated = await Order.findOneAndUpdate(
+        { _id: order._id, refundedAmount: this.matchAmount(order.refundedAmount) },
+        {
+          $set: { refundedAmount: stripeRefunded },
+          $push: { refunds: { amount: missing, type: 'stripe', reason: 'Refunded in Stripe' } }
+        },
+        { new: true }
+      );
+      if (updated) {
+        order = updated;
+        await this.trackRefund(order, missing);
+        break;
+      }
+      // A refund of ours was recorded meanwhile; compare again
+      missing = 0;
+    }
+
+    if (charge.refunded && order.status === 'completed') {
+      order.status = 'refunded';
+      await order.save();
+      await this.releaseTickets(order, 'refunded');
+    }
+
+    if (missing > 0) {
+      await this.issueCreditNote(order, order.refunds[order.refunds.length - 1]);
+    }
+
+    return order;
+  }
+
+  /**
+   * Amount of an order that can still be refunded
+   * @param {Object} order - Order document
+   */
+  getRefundableAmount(order) {
+    const remaining = toMinorUnits(order.totalAmount, order.currency) - toMinorUnits(order.refundedAmount, order.currency);
+    return fromMinorUnits(Math.max(remaining, 0), order.currency);
+  }
+
+  /**
+   * Record a refund on the order, then create it in Stripe (paid orders only). It is
+   * recorded first so a `charge.refunded` webhook arriving before Stripe answers finds
+   * it and does not count it again.
+   * @private
+   * @returns {Promise<Object>} The order as updated
+   */
+  async issueRefund(order, amount, { reason, initiatedBy, type }) {
+    const refundId = new mongoose.Types.ObjectId();
+    const previousAmount = order.refundedAmount;
+    const refundedAmount = fromMinorUnits(
+      toMinorUnits(previousAmount, order.currency) + toMinorUnits(amount, order.currency),
+      order.currency
+    );
+
+    // Only if no other refund was recorded since the order was read
+    const recorded = await Order.updateOne(
+      { _id: order._id, refundedAmount: this.matchAmount(previousAmount) },
+      {
+        $set: { refundedAmount },
+        $push: {
+          refunds: { _id: refundId, amount, reason, type, initiatedBy, status: order.paymentId ? 'pending' : 'succeeded' }
+        }
+      }
+    );
+    if (recorded.modifiedCount === 0) {
+      throw new AppError('The order was refunded meanwhile; please try again', 409);
+    }
+
+    if (order.paymentId) {
+      try {
+        const refund = await stripe.refunds.create({
+          payment_intent: order.paymentId,
+          amount: toMinorUnits(amount, order.currency),
+          reason: 'requested_by_customer',
+          metadata: { orderId: order._id.toString(), type }
+        }, { idempotencyKey: `refund-${refundId}` });
+
+        await Order.updateOne(
+          { _id: order._id, 'refunds._id': refundId },
+          { $set: { 'refunds.$.stripeRefundId': refund.id, 'refunds.$.status': 'succeeded' } }
+        );
+      } catch (error) {
+        await Order.updateOne(
+          { _id: order._id, refundedAmount },
+          { $set: { refundedAmount: previousAmount }, $pull: { refunds: { _id: refundId } } }
+        );
+        throw error;
+      }
+    }
+
+    const updated = await Order.findById(order._id).populate('event', 'title startDateTime refundPolicy');
+    await this.trackRefund(updated, amount);
+    await this.issueCreditNote(updated, updated.refunds.id(refundId));
+    return updated;
+  }
+
+  /**
+   * Filter for a stored refundedAmount; orders from before refunds have none
+   * @private
+   */
+  matchAmount(amount) {
+    return amount ? amount : { $in: [0, null] };
+  }
+
+  /**
+   * Credit note for a refund. The refund already happened in Stripe, so a failure is only logged;
+   * missing credit notes are issued the next time the order's invoices are listed.
+   * @private
+   */
+  async issueCreditNote(order, refund) {
+    try {
+      await invoiceService.issueCreditNote(order, refund);
+    } catch (error) {
+      console.error(`Credit note error for order ${order._id}:`, error);
+    }
+  }
+
+  /**
+   * Take a refund off the event's revenue analytics. Analytics must not fail a refund.
+   * @private
+   */
+  async trackRefund(order, amount) {
+    try {
+      await EventAnalyticsService.trackRefund(order.event._id || order.event, amount, order.currency);
+    } catch (error) {
+      console.error(`Refund analytics error for order ${order._id}:`, error);
+    }
+  }
+
+  /**
+   * Give the order's seats back and cancel its unused tickets
+   * @private
+   */
+  async releaseTickets(order, reason) {
+    await reservationService.releaseForOrder(order._id, reason);
+
+    // Tickets that were already scanned stay as attendance history
+    const tickets = await CheckIn.find({ order: order._id, status: 'pending' }).select('_id');
+    await CheckIn.updateMany(
+      { _id: { $in: tickets.map((ticket) => ticket._id) }, status: 'pending' },
+      { status: 'cancelled', notes: `Ticket ${reason} at ${new Date().toISOString()}` }
+    );
+
+    // Their wallet passes show as voided
+    tickets.forEach((ticket) => ticketService.refreshWalletPasses(ticket));
+  }
+
+  /**
+   * Tell the buyer about a refund
+   * @private
+   */
+  async notifyBuyer(order, amount, reason) {
+    try {
+      const buyer = await User.findById(order.buyer).select('email firstName');
+      if (!buyer) return;
+
+      const eventTitle = order.event && order.event.title ? order.event.title : 'your event';
+
+      await notificationService.sendNotification({
+        channels: ['email'],
+        recipients: [buyer.email],
+        type: 'refund_issued',
+        subject: `Refund issued: ${eventTitle}`,
+        message: `Hi ${buyer.firstName}, a refund of ${formatAmount(amount, order.currency)} for your order for "${eventTitle}" has been issued.${reason ? ` Reason: ${reason}` : ''} It may take a few days to appear on your statement.`,
+        data: { orderId: order._id }
+      });
+    } catch (error) {
+      console.error('Refund notification error:', error);
+    }
+  }
+}
+
+module.exports = new RefundService();
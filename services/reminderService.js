@@ -0,0 +1,518 @@
+/**
+ * Reminder Service
+ * Sends event reminders to ticket holders at the offsets the organizer configured in
+ * `reminderSettings`. Each reminder is a ScheduledReminder document, so schedules survive
+ * restarts, and every send is claimed as a ReminderDelivery first, so no one gets the
+ * same reminder twice over a channel, even when a reminder is retried or two instances
+ * poll at once.
+ */
+
+const Event = require('../models/event');
+const CheckIn = require('../models/checkIn');
+const User = require('../models/user');
+const ScheduledReminder = require('../models/scheduledReminder');
+const ReminderDelivery = require('../models/reminderDelivery');
+const PushSubscription = require('../models/pushSubscription');
+const emailTemplateService = require('./emailTemplateService');
+const smsService = require('./smsService');
+const pushNotificationService = require('./pushNotificationService');
+const { getChannelPreferences } = require('../utils/notificationPreferences');
+
+const POLL_SECONDS = parseInt(process.env.REMINDER_POLL_SECONDS, 10) || 60;
+// A reminder found this late (e.g. after downtime) is skipped rather than sent
+const LATE_GRACE_MINUTES = 30;
+// A claimed reminder whose lock runs out is picked up again
+const LOCK_MINUTES = 10;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MINUTES = 5;
+const REMINDERS_PER_TICK = 10;
+// Longest offset allowed by the Event model (30 days)
+const MAX_OFFSET_MINUTES = 43200;
+
+const MINUTE = 60 * 1000;
+
+class ReminderService {
+  constructor() {
+    this.isRunning = false;
+    this.isProcessing = false;
+  }
+
+  // Start polling for due reminders
+  start() {
+    if (this.isRunning) {
+      console.log('Reminder service is already running');
+      return;
+    }
+
+    this.isRunning = true;
+    console.log('Starting reminder service...');
+
+    this.interval = setInterval(() => {
+      this.processDue().catch((error) => console.error('Reminder service error:', error));
+    }, POLL_SECONDS * 1000);
+  }
+
+  // Stop polling; a reminder being sent keeps its lock and is resumed after it expires
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.isRunning = false;
+    console.log('Reminder service stopped');
+  }
+
+  /**
+   * Create or update an event's reminders from its start time and reminder settings.
+   * Reminders already sent for the current start time are kept; a new start time
+   * schedules all of them again.
+   * @param {String} eventId - Event ID
+   * @returns {Promise<void>}
+   */
+  async scheduleEvent(eventId) {
+    const event = await Event.findById(eventId).select('startDateTime status reminderSettings');
+    const now = new Date();
+
+    if (!event || event.status === 'cancelled' || !event.reminderSettings.enabled || event.startDateTime <= now) {
+      await this.cancelEvent(eventId);
+      return;
+    }
+
+    const offsets = [...new Set(event.reminderSettings.offsetsMinutes)];
+    const start = event.startDateTime;
+
+    for (const offsetMinutes of offsets) {
+      const sendAt = new Date(start.getTime() - offsetMinutes * MINUTE);
+      const missed = sendAt.getTime() < now.getTime() - LATE_GRACE_MINUTES * MINUTE;
+
+      try {
+        // Only a new start time or a cancelled reminder is (re)scheduled; otherwise
+        // the filter matches nothing and the upsert hits the unique index
+        await ScheduledReminder.updateOne(
+          {
+            event: event._id,
+            offsetMinutes,
+            $or: [{ eventStart: { $ne: start } }, { status: 'cancelled' }]
+          },
+          {
+            $set: {
+              eventStart: start,
+              sendAt,
+              status: missed ? 'skipped' : 'scheduled',
+              attempts: 0,
+              stats: { recipients: 0, sent: 0, failed: 0, skipped: 0 }
+            },
+            $unset: { lockedUntil: 1, sentAt: 1, lastError: 1 }
+          },
+          { upsert: true }
+        );
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    await ScheduledReminder.updateMany(
+      { event: event._id, offsetMinutes: { $nin: offsets }, status: 'scheduled' },
+      { $set: { status: 'cancelled' } }
+    );
+  }
+
+  /**
+   * Cancel an event's pending reminders
+   * @param {String} eventId - Event ID
+   * @returns {Promise<void>}
+   */
+  async cancelEvent(eventId) {
+    await ScheduledReminder.updateMany(
+      { event: eventId, status: 'scheduled' },
+      { $set: { status: 'cancelled' } }
+    );
+  }
+
+  /**
+   * Schedule reminders for upcoming events that have none for their current start time,
+   * such as events created before reminders existed or changed outside the API
+   * @returns {Promise<Number>} Events scheduled
+   */
+  async scheduleUpcomingEvents() {
+    const now = new Date();
+    const horizon = new Date(now.getTime() + (MAX_OFFSET_MINUTES + 24 * 60) * MINUTE);
+
+    const events = await Event.aggregate([
+      {
+        $match: {
+          startDateTime: { $gt: now, $lte: horizon },
+          status: { $ne: 'cancelled' },
+          'reminderSettings.enabled': { $ne: false },
+          // Events saved before reminder settings existed get the default offsets
+          $or: [
+            { 'reminderSettings.offsetsMinutes': { $exists: false } },
+            { 'reminderSettings.offsetsMinutes.0': { $exists: true } }
+          ]
+        }
+      },
+      {
+        $lookup: {
+          from: ScheduledReminder.collection.name,
+          let: { eventId: '$_id', start: '$startDateTime' },
+          pipeline: [
+            { $match: { $expr: { $and: [{ $eq: ['$event', '$$eventId'] }, { $eq: ['$eventStart', '$$start'] }] } } },
+            { $limit: 1 },
+            { $project: { _id: 1 } }
+          ],
+          as: 'reminders'
+        }
+      },
+      { $match: { reminders: { $size: 0 } } },
+      { $project: { _id: 1 } }
+    ]);
+
+    for (const event of events) {
+      await this.scheduleEvent(event._id);
+    }
+
+    return events.length;
+  }
+
+  /**
+   * An event's reminders, for its organizer
+   * @param {String} eventId - Event ID
+   * @returns {Promise<Array>} Reminders by send time
+   */
+  async getEventReminders(eventId) {
+    return ScheduledReminder.find({ event: eventId })
+      .sort({ sendAt: 1 })
+      .select('-__v')
+      .lean();
+  }
+
+  /**
+   * Send the reminders that are due
+   * @param {Date} now - Current time
+   * @returns {Promise<Number>} Reminders processed
+   */
+  async processDue(now = new Date()) {
+    if (this.isProcessing) return 0;
+    this.isProcessing = true;
+
+    let processed = 0;
+    try {
+      while (processed < REMINDERS_PER_TICK) {
+        const reminder = await this.claimNext(now);
+        if (!reminder) break;
+        processed += 1;
+
+        try {
+          await this.sendReminder(reminder);
+        } catch (error) {
+          console.error(`Reminder ${reminder._id} failed:`, error);
+          await this.finish(reminder, { failed: true, error });
+        }
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Claim the next due reminder, or one whose claim expired
+   * @private
+   */
+  async claimNext(now) {
+    return ScheduledReminder.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'scheduled', sendAt: { $lte: now } },
+          { status: 'processing', lockedUntil: { $lte: now } }
+        ]
+      },
+      {
+        $set: { status: 'processing', lockedUntil: new Date(now.getTime() + LOCK_MINUTES * MINUTE) },
+        $inc: { attempts: 1 }
+      },
+      { sort: { sendAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Send one reminder to every ticket holder
+   * @private
+   */
+  async sendReminder(reminder) {
+    const event = await Event.findById(reminder.event)
+      .select('title startDateTime endDateTime location status attendees reminderSettings');
+    const now = new Date();
+
+    if (!event || event.status === 'cancelled' || !event.reminderSettings.enabled) {
+      await this.setStatus(reminder, 'cancelled');
+      return;
+    }
+
+    // Rescheduled without going through the API; schedule for the new start instead
+    if (event.startDateTime.getTime() !== reminder.eventStart.getTime()) {
+      await this.setStatus(reminder, 'cancelled');
+      await this.scheduleEvent(event._id);
+      return;
+    }
+
+    if (event.startDateTime <= now || now - reminder.sendAt > LATE_GRACE_MINUTES * MINUTE) {
+      await this.setStatus(reminder, 'skipped');
+      return;
+    }
+
+    const recipients = await this.getRecipients(event);
+    const channels = event.reminderSettings.channels;
+    const skipped = { count: 0 };
+
+    let handled = 0;
+    for (const recipient of recipients) {
+      for (const channel of channels) {
+        await this.deliver(reminder, event, recipient, channel, skipped);
+      }
+
+      // Large events take a while; keep the claim
+      handled += 1;
+      if (handled % 100 === 0) {
+        await ScheduledReminder.updateOne(
+          { _id: reminder._id },
+          { $set: { lockedUntil: new Date(Date.now() + LOCK_MINUTES * MINUTE) } }
+        );
+      }
+    }
+
+    await this.finish(reminder, { recipients: recipients.length, skipped: skipped.count });
+  }
+
+  /**
+   * Everyone holding a ticket, once each: assigned holders (by account, or by email for
+   * guests without one), buyers of unassigned tickets, and free registrants
+   * @private
+   */
+  async getRecipients(event) {
+    const tickets = await CheckIn.find({ event: event._id, status: { $in: ['pending', 'checked_in'] } })
+      .select('attendee attendeeEmail attendeeName order')
+      .populate('order', 'buyer')
+      .lean();
+
+    const userIds = new Set((event.attendees || []).map((id) => id.toString()));
+    const guests = new Map();
+
+    for (const ticket of tickets) {
+      if (ticket.attendee) {
+        userIds.add(ticket.attendee.toString());
+      } else if (ticket.attendeeEmail) {
+        if (!guests.has(ticket.attendeeEmail)) guests.set(ticket.attendeeEmail, ticket.attendeeName);
+      } else if (ticket.order && ticket.order.buyer) {
+        userIds.add(ticket.order.buyer.toString());
+      }
+    }
+
+    const users = await User.find({
+      $or: [{ _id: { $in: [...userIds] } }, { email: { $in: [...guests.keys()] } }]
+    }).select('firstName lastName email phoneNumber notificationPreferences');
+    const pushUsers = new Set((await PushSubscription.distinct('user', { user: { $in: users.map((user) => user._id) } }))
+      .map((id) => id.toString()));
+
+    const recipients = new Map();
+    for (const user of users) {
+      recipients.set(`user:${user._id}`, { key: `user:${user._id}`, user, hasPushDevice: pushUsers.has(user._id.toString()) });
+    }
+    for (const [email, name] of guests) {
+      const account = users.find((user) => user.email.toLowerCase() === email);
+      if (account) continue;
+      recipients.set(`email:${email}`, { key: `email:${email}`, email, name });
+    }
+
+    return [...recipients.values()];
+  }
+
+  /**
+   * Send over one channel, unless the recipient opted out or already got it
+   * @private
+   */
+  async deliver(reminder, event, recipient, channel, skipped) {
+    const reason = this.getSkipReason(recipient, channel);
+    if (reason) {
+      skipped.count += 1;
+      return;
+    }
+
+    const claimed = await this.claimDelivery(reminder, recipient, channel);
+    if (!claimed) return;
+
+    const key = {
+      event: reminder.event,
+      offsetMinutes: reminder.offsetMinutes,
+      eventStart: reminder.eventStart,
+      recipient: recipient.key,
+      channel
+    };
+
+    try {
+      const result = await this.send(channel, event, recipient, this.getOffsetLabel(reminder.offsetMinutes));
+      // The address hard-bounced or complained before; trying again would not help
+      if (result && result.suppressed) {
+        await ReminderDelivery.updateOne(key, { $set: { status: 'skipped', reason: 'suppressed' } });
+        skipped.count += 1;
+        return;
+      }
+      await ReminderDelivery.updateOne(key, { $set: { status: 'sent', sentAt: new Date() }, $unset: { reason: 1 } });
+    } catch (error) {
+      await ReminderDelivery.updateOne(key, { $set: { status: 'failed', reason: error.message } });
+    }
+  }
+
+  /**
+   * Why a recipient does not get a reminder over a channel, if they don't
+   * @private
+   */
+  getSkipReason(recipient, channel) {
+    const { user } = recipient;
+    // Guests without an account get email only
+    const preferences = user ? getChannelPreferences(user, 'event_reminder') : { email: true };
+
+    switch (channel) {
+      case 'email':
+        if (!emailTemplateService.isConfigured) return 'not_configured';
+        if (!preferences.email) return 'opted_out';
+        return null;
+      case 'sms':
+        if (!smsService.isConfigured) return 'not_configured';
+        if (!user || !user.phoneNumber) return 'no_phone_number';
+        if (!preferences.sms) return 'opted_out';
+        return null;
+      case 'push':
+        if (!process.env.VAPID_PUBLIC_KEY || !process.env.VAPID_PRIVATE_KEY) return 'not_configured';
+        if (!user || !recipient.hasPushDevice) return 'no_push_subscription';
+        if (!preferences.push) return 'opted_out';
+        return null;
+      default:
+        return 'unknown_channel';
+    }
+  }
+
+  /**
+   * Record the delivery before sending it. A failed delivery may be claimed again by a
+   * retry; one that was sent, or interrupted while sending, is never repeated.
+   * @private
+   * @returns {Promise<Boolean>} Whether this call may send
+   */
+  async claimDelivery(reminder, recipient, channel) {
+    const key = {
+      event: reminder.event,
+      offsetMinutes: reminder.offsetMinutes,
+      eventStart: reminder.eventStart,
+      recipient: recipient.key,
+      channel
+    };
+
+    try {
+      await ReminderDelivery.create({ ...key, reminder: reminder._id, user: recipient.user && recipient.user._id });
+      return true;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    const retry = await ReminderDelivery.findOneAndUpdate(
+      { ...key, status: 'failed', attempts: { $lt: MAX_ATTEMPTS } },
+      { $set: { status: 'sending', reminder: reminder._id }, $inc: { attempts: 1 } }
+    );
+    return Boolean(retry);
+  }
+
+  /**
+   * @private
+   */
+  async send(channel, event, recipient, offsetLabel) {
+    const { user } = recipient;
+
+    if (channel === 'email') {
+      const html = emailTemplateService.generateEventReminderEmail({
+        event,
+        user: { firstName: user ? user.firstName : (recipient.name || 'there') },
+        reminderType: offsetLabel
+      });
+      return emailTemplateService.sendEmail(user ? user.email : recipient.email, `Reminder: ${event.title}`, html, {
+        eventId: event._id,
+        userId: user ? user._id : undefined
+      });
+    }
+
+    if (channel === 'sms') {
+      return smsService.sendEventReminderSMS(user.phoneNumber, event, offsetLabel);
+    }
+
+    const result = await pushNotificationService.sendToUser(user._id, {
+      title: `Reminder: ${event.title}`,
+      body: `Starts ${new Date(event.startDateTime).toLocaleString()} at ${event.location}`,
+      data: {
+        type: 'event_reminder',
+        eventId: event._id.toString(),
+        url: `/events/${event._id}`
+      }
+    });
+    if (!result.success) {
+      throw new Error(result.message || 'Push notification was not delivered');
+    }
+    return result;
+  }
+
+  /**
+   * Mark a reminder done, or schedule a retry while deliveries failed and attempts remain
+   * @private
+   */
+  async finish(reminder, { recipients, skipped = 0, failed = false, error } = {}) {
+    const counts = await ReminderDelivery.aggregate([
+      { $match: { reminder: reminder._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const count = (status) => (counts.find((entry) => entry._id === status) || { count: 0 }).count;
+
+    const stats = {
+      recipients: recipients !== undefined ? recipients : reminder.stats.recipients,
+      sent: count('sent'),
+      failed: count('failed'),
+      skipped
+    };
+
+    const retry = (failed || stats.failed > 0) && reminder.attempts < MAX_ATTEMPTS;
+    const update = { stats, lockedUntil: null };
+
+    if (retry) {
+      update.status = 'scheduled';
+      update.sendAt = new Date(Date.now() + RETRY_DELAY_MINUTES * MINUTE);
+    } else {
+      update.status = failed || (stats.failed > 0 && stats.sent === 0) ? 'failed' : 'sent';
+      update.sentAt = new Date();
+    }
+    if (error) update.lastError = error.message;
+
+    // The event may have been rescheduled meanwhile; leave the new schedule alone
+    await ScheduledReminder.updateOne(
+      { _id: reminder._id, status: 'processing', eventStart: reminder.eventStart },
+      { $set: update }
+    );
+  }
+
+  /**
+   * @private
+   */
+  async setStatus(reminder, status) {
+    await ScheduledReminder.updateOne(
+      { _id: reminder._id, status: 'processing', eventStart: reminder.eventStart },
+      { $set: { status, lockedUntil: null } }
+    );
+  }
+
+  /**
+   * "24h" for whole hours, otherwise "90m"
+   * @private
+   */
+  getOffsetLabel(minutes) {
+    return minutes % 60 === 0 ? `${minutes / 60}h` : `${minutes}m`;
+  }
+}
+
+module.exports = new ReminderService();
@@ -0,0 +1,444 @@
+/**
+ * Seat Reservation Service
+ * Single path for taking and giving back seats, shared by free registration and paid checkout.
+ * Seats are taken with one conditional update on the event document, so concurrent
+ * requests can never push an event or a ticket tier past its capacity.
+ */
+
+const Stripe = require('stripe');
+const Event = require('../models/event');
+const Order = require('../models/order');
+const SeatReservation = require('../models/seatReservation');
+const promoCodeService = require('./promoCodeService');
+const { AppError } = require('../middlewares/errorHandler');
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+const DEFAULT_HOLD_MINUTES = 30;
+const configuredHoldMinutes = parseInt(process.env.SEAT_HOLD_MINUTES, 10);
+if (process.env.SEAT_HOLD_MINUTES && !(configuredHoldMinutes > 0)) {
+  console.warn(`Invalid SEAT_HOLD_MINUTES "${process.env.SEAT_HOLD_MINUTES}"; holding seats for ${DEFAULT_HOLD_MINUTES} minutes`);
+}
+const HOLD_MINUTES = configuredHoldMinutes > 0 ? configuredHoldMinutes : DEFAULT_HOLD_MINUTES;
+
+// Stripe Checkout sessions must stay open for at least 30 minutes
+const STRIPE_MIN_SESSION_MINUTES = 30;
+// Covers the time until Stripe reads the expiry, and clock skew
+const STRIPE_EXPIRY_BUFFER_MINUTES = 2;
+const MAX_ATTEMPTS = 3;
+
+class ReservationService {
+  constructor() {
+    this.holdMinutes = HOLD_MINUTES;
+  }
+
+  /**
+   * Reserve seats for a user
+   * @param {Object} options - Reservation options
+   * @param {String} options.eventId - Event ID
+   * @param {String} options.userId - User taking the seats
+   * @param {String} options.tierId - Ticket tier ID (required for tiered events)
+   * @param {Number} options.quantity - Number of seats
+   * @param {String} options.source - 'registration', 'checkout', 'waitlist' or 'complimentary'
+   * @param {Boolean} options.hold - Hold the seats temporarily instead of confirming them
+   * @param {Number} options.holdMinutes - How long a hold lasts (defaults to the checkout hold)
+   * @param {Boolean} options.addAttendee - Also add the user to `event.attendees` in the same update
+   * @param {Boolean} options.ignoreSalesRules - Skip the tier's sales window, activity and per-order
+   *   limits (complimentary tickets); capacity is still enforced
+   * @returns {Promise<Object>} The reservation document
+   */
+  async reserve(options) {
+    const {
+      eventId,
+      userId,
+      tierId,
+      quantity = 1,
+      source,
+      hold = false,
+      holdMinutes = this.holdMinutes,
+      addAttendee = false,
+      ignoreSalesRules = false
+    } = options;
+
+    let event = null;
+    let tier = null;
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      event = await Event.findById(eventId);
+      if (!event) {
+        throw new AppError('Event not found', 404);
+      }
+
+      // Sold before seats were counted; count them before taking any
+      if (event.$isDefault('seatsTaken')) {
+        await this.backfillSeatsTaken({ eventIds: [event._id] });
+        event = await Event.findById(eventId);
+      }
+
+      if (addAttendee && event.attendees.some((id) => id.toString() === userId.toString())) {
+        throw new AppError('Already registered', 400);
+      }
+
+      tier = null;
+      if (event.ticketTiers.length > 0) {
+        tier = event.getTicketTier(tierId);
+        if (!tier) {
+          throw new AppError('Please select a valid ticket type', 400);
+        }
+
+        const availability = ignoreSalesRules
+          ? { available: !tier.quantity || tier.sold + quantity <= tier.quantity, reason: 'Not enough tickets left for this tier' }
+          : tier.checkAvailability(quantity);
+        if (!availability.available) {
+          throw new AppError(availability.reason, 409);
+        }
+      }
+
+      if (event.capacity > 0 && (event.seatsTaken || 0) + quantity > event.capacity) {
+        throw new AppError('Event is full', 409);
+      }
+
+      const taken = await this.takeSeats(event, tier, quantity, addAttendee ? userId : null);
+      if (taken) break;
+
+      // The event changed underneath us (capacity edit or a concurrent sale); re-read and retry
+      if (attempt === MAX_ATTEMPTS - 1) {
+        throw new AppError('Event is full', 409);
+      }
+    }
+
+    try {
+      return await SeatReservation.create({
+        event: event._id,
+        ticketTier: tier ? tier._id : undefined,
+        user: userId,
+        quantity,
+        source,
+        status: hold ? 'held' : 'confirmed',
+        expiresAt: hold ? new Date(Date.now() + holdMinutes * 60 * 1000) : undefined
+      });
+    } catch (error) {
+      await this.adjustCounters(event._id, tier ? tier._id : null, -quantity, addAttendee ? userId : null);
+      throw error;
+    }
+  }
+
+  /**
+   * Atomically take seats on the event (and tier) if they are still available
+   * @private
+   */
+  async takeSeats(event, tier, quantity, attendeeId) {
+    // Events without a counter yet must be backfilled first (see backfillSeatsTaken)
+    const filter = { _id: event._id, capacity: event.capacity, seatsTaken: { $exists: true } };
+    const update = { $inc: { seatsTaken: quantity } };
+
+    if (event.capacity > 0) {
+      filter.seatsTaken = { $lte: event.capacity - quantity };
+    }
+
+    if (tier) {
+      const tierMatch = { _id: tier._id, quantity: tier.quantity };
+      if (tier.quantity > 0) {
+        tierMatch.sold = { $lte: tier.quantity - quantity };
+      }
+      filter.ticketTiers = { $elemMatch: tierMatch };
+      update.$inc['ticketTiers.$.sold'] = quantity;
+    }
+
+    if (attendeeId) {
+      filter.attendees = { $ne: attendeeId };
+      update.$addToSet = { attendees: attendeeId };
+    }
+
+    const result = await Event.updateOne(filter, update);
+    return result.modifiedCount === 1;
+  }
+
+  /**
+   * Move event and tier counters by `delta` seats
+   * @private
+   */
+  async adjustCounters(eventId, tierId, delta, attendeeId = null) {
+    const update = { $inc: { seatsTaken: delta } };
+    const filter = { _id: eventId };
+
+    if (tierId) {
+      filter['ticketTiers._id'] = tierId;
+      update.$inc['ticketTiers.$.sold'] = delta;
+    }
+
+    if (attendeeId && delta < 0) {
+      update.$pull = { attendees: attendeeId };
+    }
+
+    return Event.updateOne(filter, update);
+  }
+
+  /**
+   * When the Stripe Checkout session for a hold should close: with the hold, but never
+   * sooner than Stripe accepts. A session outliving its hold is closed when the hold
+   * is released (see releaseExpiredHolds).
+   * @param {Object} reservation - Held reservation
+   * @returns {Date} Session expiry
+   */
+  getCheckoutExpiry(reservation) {
+    const earliest = Date.now() + (STRIPE_MIN_SESSION_MINUTES + STRIPE_EXPIRY_BUFFER_MINUTES) * 60 * 1000;
+    return new Date(Math.max(reservation.expiresAt.getTime(), earliest));
+  }
+
+  /**
+   * Link a held reservation to its Stripe Checkout session
+   * @param {String} reservationId - Reservation ID
+   * @param {String} sessionId - Stripe Checkout session ID
+   */
+  async attachSession(reservationId, sessionId) {
+    return SeatReservation.findByIdAndUpdate(
+      reservationId,
+      { stripeSessionId: sessionId },
+      { new: true }
+    );
+  }
+
+  /**
+   * Let a user take over a hold that was offered to them (waitlist promotion)
+   * @param {String} reservationId - Held reservation ID
+   * @param {String} userId - User the hold belongs to
+   * @param {Object} options - Claim options
+   * @param {String} options.source - 'registration' or 'checkout'
+   * @param {Boolean} options.hold - Keep holding the seats (for checkout) instead of confirming them
+   * @returns {Promise<Object>} The claimed reservation
+   */
+  async claimHold(reservationId, userId, { source, hold = false }) {
+    const now = new Date();
+    const update = hold
+      ? { source, expiresAt: new Date(now.getTime() + this.holdMinutes * 60 * 1000) }
+      : { source, status: 'confirmed', $unset: { expiresAt: 1 } };
+
+    const reservation = await SeatReservation.findOneAndUpdate(
+      { _id: reservationId, user: userId, status: 'held', expiresAt: { $gt: now } },
+      update,
+      { new: true }
+    );
+
+    if (!reservation) {
+      throw new AppError('This seat offer has expired', 410);
+    }
+
+    if (!hold && source === 'registration') {
+      await Event.updateOne({ _id: reservation.event }, { $addToSet: { attendees: userId } });
+    }
+
+    return reservation;
+  }
+
+  /**
+   * Turn a held reservation into a confirmed one once payment succeeded
+   * @param {String} reservationId - Reservation ID
+   * @param {String} orderId - Order created for the payment
+   * @returns {Promise<Object|null>} The confirmed reservation
+   */
+  async confirm(reservationId, orderId) {
+    const reservation = await SeatReservation.findOneAndUpdate(
+      { _id: reservationId, status: 'held' },
+      { status: 'confirmed', order: orderId, $unset: { expiresAt: 1 } },
+      { new: true }
+    );
+
+    if (reservation) return reservation;
+
+    const existing = await SeatReservation.findById(reservationId);
+    if (!existing || existing.status === 'confirmed') return existing;
+
+    // The hold lapsed before Stripe reported the payment. The buyer has paid,
+    // so the seats are taken back even if that puts the event over capacity.
+    console.warn(`Seat hold ${reservationId} had already been released; re-taking ${existing.quantity} seat(s)`);
+    await this.adjustCounters(existing.event, existing.ticketTier, existing.quantity);
+    existing.status = 'confirmed';
+    existing.order = orderId;
+    existing.expiresAt = undefined;
+    await existing.save();
+    return existing;
+  }
+
+  /**
+   * Give seats back to the pool. Safe to call more than once.
+   * @param {String} reservationId - Reservation ID
+   * @param {String} reason - Why the seats were released
+   * @param {String} status - 'released' or 'expired'
+   * @returns {Promise<Object|null>} The released reservation, or null if it was not active
+   */
+  async release(reservationId, reason = 'released', status = 'released') {
+    const reservation = await SeatReservation.findOneAndUpdate(
+      { _id: reservationId, status: { $in: ['held', 'confirmed'] } },
+      { status, releasedAt: new Date(), releaseReason: reason },
+      { new: true }
+    );
+
+    if (!reservation) return null;
+
+    await this.adjustCounters(
+      reservation.event,
+      reservation.ticketTier,
+      -reservation.quantity,
+      reservation.source === 'registration' ? reservation.user : null
+    );
+
+    // A promo code use reserved for an abandoned checkout is given back too;
+    // a completed order's use is already redeemed and stays counted
+    try {
+      await promoCodeService.releaseForReservation(reservation._id);
+    } catch (error) {
+      console.error('Promo redemption release error:', error);
+    }
+
+    await this.onSeatsReleased(reservation);
+
+    return reservation;
+  }
+
+  /**
+   * Offer freed seats to the waitlist
+   * @private
+   */
+  async onSeatsReleased(reservation) {
+    try {
+      // Required lazily: the waitlist reserves its seats through this service
+      const waitlistService = require('./waitlistService');
+      await waitlistService.handleSeatsReleased(reservation);
+    } catch (error) {
+      console.error('Waitlist promotion error:', error);
+    }
+  }
+
+  /**
+   * Release the hold belonging to a Stripe Checkout session
+   * @param {String} sessionId - Stripe Checkout session ID
+   */
+  async releaseBySession(sessionId, reason = 'checkout_expired') {
+    const reservation = await SeatReservation.findOne({ stripeSessionId: sessionId, status: 'held' });
+    if (!reservation) return null;
+    return this.release(reservation._id, reason, 'expired');
+  }
+
+  /**
+   * Release the seats belonging to an order (refund or cancellation)
+   * @param {String} orderId - Order ID
+   * @param {String} reason - Why the seats were released
+   * @returns {Promise<Number>} Number of seats released
+   */
+  async releaseForOrder(orderId, reason) {
+    const reservations = await SeatReservation.find({ order: orderId, status: 'confirmed' }).select('_id');
+
+    let released = 0;
+    for (const { _id } of reservations) {
+      const reservation = await this.release(_id, reason);
+      if (reservation) released += reservation.quantity;
+    }
+
+    return released;
+  }
+
+  /**
+   * Find a user's active free registration for an event
+   * @param {String} eventId - Event ID
+   * @param {String} userId - User ID
+   */
+  async findRegistration(eventId, userId) {
+    return SeatReservation.findOne({
+      event: eventId,
+      user: userId,
+      source: 'registration',
+      status: 'confirmed'
+    });
+  }
+
+  /**
+   * Release every hold whose time ran out (backup for missed Stripe webhooks)
+   * @returns {Promise<Object>} Number of released holds
+   */
+  async releaseExpiredHolds() {
+    const expired = await SeatReservation.find({
+      status: 'held',
+      expiresAt: { $lte: new Date() }
+    }).select('_id stripeSessionId');
+
+    let releasedCount = 0;
+    for (const { _id, stripeSessionId } of expired) {
+      // The buyer must not be able to pay for seats that are given back
+      if (stripeSessionId && !(await this.closeCheckoutSession(stripeSessionId))) continue;
+
+      const released = await this.release(_id, 'hold_expired', 'expired');
+      if (released) releasedCount++;
+    }
+
+    return { releasedCount };
+  }
+
+  /**
+   * Expire a Stripe Checkout session whose hold ran out
+   * @private
+   * @returns {Promise<Boolean>} Whether the session is closed without payment; a paid
+   *   session is left to the payment webhook, an unreachable one to the next run
+   */
+  async closeCheckoutSession(sessionId) {
+    try {
+      await stripe.checkout.sessions.expire(sessionId);
+      return true;
+    } catch (error) {
+      try {
+        const session = await stripe.checkout.sessions.retrieve(sessionId);
+        return session.status === 'expired';
+      } catch (retrieveError) {
+        console.error(`Checkout session ${sessionId} could not be closed:`, retrieveError);
+        return false;
+      }
+    }
+  }
+
+  /**
+   * Set `seatsTaken` on events created before it existed, from their sales: seats of
+   * completed orders, free registrants without one, and active checkout holds. Events
+   * that already have a counter are left alone, so this is safe to run repeatedly.
+   * @param {Object} options - `{ eventIds }` to limit it to some events
+   * @returns {Promise<Object>} `{ updatedCount }`
+   */
+  async backfillSeatsTaken({ eventIds } = {}) {
+    const filter = { seatsTaken: { $exists: false } };
+    if (eventIds) filter._id = { $in: eventIds };
+
+    const events = await Event.find(filter).select('_id attendees').lean();
+    let updatedCount = 0;
+
+    for (const event of events) {
+      const [orders] = await Order.aggregate([
+        { $match: { event: event._id, status: 'completed' } },
+        // Orders from before multi-seat checkout have no quantity
+        { $group: { _id: null, seats: { $sum: { $ifNull: ['$quantity', 1] } }, buyers: { $addToSet: '$buyer' } } }
+      ]);
+      const [holds] = await SeatReservation.aggregate([
+        { $match: { event: event._id, status: 'held' } },
+        { $group: { _id: null, seats: { $sum: '$quantity' } } }
+      ]);
+
+      const buyers = new Set(((orders && orders.buyers) || []).map((id) => id && id.toString()));
+      const registrants = (event.attendees || []).filter((id) => !buyers.has(id.toString())).length;
+      const seatsTaken = (orders ? orders.seats : 0) + registrants + (holds ? holds.seats : 0);
+
+      const result = await Event.updateOne({ _id: event._id, seatsTaken: { $exists: false } }, { $set: { seatsTaken } });
+      updatedCount += result.modifiedCount;
+    }
+
+    return { updatedCount };
+  }
+
+  /**
+   * Remaining seats for an event (null when unlimited)
+   * @param {Object} event - Event document
+   */
+  getRemainingSeats(event) {
+    if (!event.capacity) return null;
+    return Math.max(event.capacity - (event.seatsTaken || 0), 0);
+  }
+}
+
+module.exports = new ReservationService();
@@ -83,23 +83,16 @@ class SMSService {
    * Send event reminder SMS
    * @param {String} phoneNumber - Recipient phone number
    * @param {Object} event - Event data
-   * @param {String} reminderType - Type of reminder (24h, 1h, 30m)
+   * @param {String} reminderType - Time before the start, in hours or minutes (24h, 1h, 30m, 90m)
    * @returns {Promise<Object>} Send result
    */
   async sendEventReminderSMS(phoneNumber, event, reminderType = '24h') {
-    let timeText = '';
-    switch (reminderType) {
-      case '24h':
-        timeText = '24 hours';
-        break;
-      case '1h':
-        timeText = '1 hour';
-        break;
-      case '30m':
-        timeText = '30 minutes';
-        break;
-      default:
-        timeText = 'soon';
+    let timeText = 'soon';
+    const match = /^(\d+)(h|m)$/.exec(reminderType);
+    if (match) {
+      const amount = parseInt(match[1], 10);
+      const unit = match[2] === 'h' ? 'hour' : 'minute';
+      timeText = `${amount} ${unit}${amount === 1 ? '' : 's'}`;
     }
 
     const message = `⏰ Reminder: "${event.title}" is starting in ${timeText}! Date: ${new Date(event.startDateTime).toLocaleDateString()}, Time: ${new Date(event.startDateTime).toLocaleTimeString()}, Location: ${event.location}. Don't miss it! - Eazy Event`;
@@ -0,0 +1,369 @@
+/**
+ * Stripe Webhook Service
+ * Records every Stripe event in a ledger before processing it, so retried deliveries
+ * are processed once and failed deliveries can be listed and replayed.
+ * Handlers are idempotent and keyed on the Stripe session / payment id.
+ */
+
+const Order = require('../models/order');
+const CheckIn = require('../models/checkIn');
+const Event = require('../models/event');
+const User = require('../models/user');
+const StripeWebhookEvent = require('../models/stripeWebhookEvent');
+const reservationService = require('./reservationService');
+const refundService = require('./refundService');
+const promoCodeService = require('./promoCodeService');
+const ticketService = require('./ticketService');
+const walletPassService = require('./walletPassService');
+const invoiceService = require('./invoiceService');
+const emailTemplateService = require('./emailTemplateService');
+const PromoRedemption = require('../models/promoRedemption');
+const notificationService = require('./notificationService');
+const EventAnalyticsService = require('./eventAnalyticsService');
+const { AppError } = require('../middlewares/errorHandler');
+const { normalizeCurrency, fromMinorUnits } = require('../utils/currency');
+
+// A delivery stuck in `processing` this long is assumed to have crashed mid-way
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+class StripeWebhookService {
+  constructor() {
+    this.handlers = {
+      'checkout.session.completed': (object) => this.handleCheckoutCompleted(object),
+      'checkout.session.expired': (object) => this.handleCheckoutExpired(object),
+      'charge.refunded': (object) => this.handleChargeRefunded(object),
+      'payment_intent.payment_failed': (object) => this.handlePaymentFailed(object)
+    };
+  }
+
+  /**
+   * Record and process a verified Stripe event
+   * @param {Object} stripeEvent - Event returned by stripe.webhooks.constructEvent
+   * @returns {Promise<Object>} Processing result ({ status } or { duplicate: true })
+   */
+  async process(stripeEvent) {
+    try {
+      await StripeWebhookEvent.updateOne(
+        { stripeEventId: stripeEvent.id },
+        {
+          $setOnInsert: {
+            type: stripeEvent.type,
+            livemode: stripeEvent.livemode,
+            objectId: stripeEvent.data.object.id,
+            payload: stripeEvent,
+            stripeCreatedAt: new Date(stripeEvent.created * 1000)
+          }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      // Two deliveries of the same event raced on the upsert; the ledger entry exists either way
+      if (error.code !== 11000) throw error;
+    }
+
+    return this.run(stripeEvent.id);
+  }
+
+  /**
+   * Process a ledger entry if nobody else has (or is doing so right now)
+   * @private
+   */
+  async run(stripeEventId) {
+    const record = await StripeWebhookEvent.findOneAndUpdate(
+      {
+        stripeEventId,
+        $or: [
+          { status: { $in: ['received', 'failed'] } },
+          { status: 'processing', lastAttemptAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+        ]
+      },
+      { status: 'processing', lastAttemptAt: new Date(), $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    if (!record) {
+      return { duplicate: true };
+    }
+
+    const handler = this.handlers[record.type];
+    if (!handler) {
+      record.status = 'ignored';
+      record.processedAt = new Date();
+      await record.save();
+      return { status: 'ignored' };
+    }
+
+    try {
+      await handler(record.payload.data.object);
+
+      record.status = 'processed';
+      record.processedAt = new Date();
+      record.lastError = undefined;
+      await record.save();
+
+      return { status: 'processed' };
+    } catch (error) {
+      record.status = 'failed';
+      record.lastError = error.message;
+      await record.save();
+      throw error;
+    }
+  }
+
+  /**
+   * Re-run a failed delivery from its stored payload
+   * @param {String} id - Ledger entry ID
+   * @returns {Promise<Object>} The updated ledger entry
+   */
+  async replay(id) {
+    const record = await StripeWebhookEvent.findById(id);
+    if (!record) {
+      throw new AppError('Webhook event not found', 404);
+    }
+
+    if (record.status !== 'failed') {
+      throw new AppError(`Only failed deliveries can be replayed (event is ${record.status})`, 400);
+    }
+
+    try {
+      await this.run(record.stripeEventId);
+    } catch (error) {
+      // The failure is recorded on the ledger entry returned below
+    }
+
+    return StripeWebhookEvent.findById(id).select('-payload');
+  }
+
+  /**
+   * List ledger entries for reconciliation
+   * @param {Object} filters - Query filters
+   * @param {String} filters.status - Delivery status
+   * @param {String} filters.type - Stripe event type
+   * @param {String} filters.objectId - Stripe object id (session, charge, payment intent)
+   * @param {Number} filters.page - Page number
+   * @param {Number} filters.limit - Page size
+   */
+  async list({ status, type, objectId, page = 1, limit = 50 } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (objectId) query.objectId = objectId;
+
+    const [events, total] = await Promise.all([
+      StripeWebhookEvent.find(query)
+        .select('-payload')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      StripeWebhookEvent.countDocuments(query)
+    ]);
+
+    return { events, total };
+  }
+
+  /**
+   * checkout.session.completed: turn the checkout hold into a completed order
+   * @private
+   */
+  async handleCheckoutCompleted(session) {
+    const { metadata } = session;
+
+    let order = await Order.findOne({ stripeId: session.id });
+
+    if (!order) {
+      const eventData = await Event.findById(metadata.eventId);
+      if (!eventData) {
+        throw new Error(`Event ${metadata.eventId} not found`);
+      }
+
+      const quantity = parseInt(metadata.quantity, 10) || 1;
+      const tier = eventData.getTicketTier(metadata.ticketTierId);
+      const currency = normalizeCurrency(session.currency);
+      const subtotal = fromMinorUnits(session.amount_subtotal ?? session.amount_total, currency);
+      const redemption = metadata.redemptionId
+        ? await PromoRedemption.findById(metadata.redemptionId)
+        : null;
+
+      try {
+        order = await Order.create({
+          event: metadata.eventId,
+          buyer: metadata.buyerId,
+          organizationId: eventData.organizationId,
+          totalAmount: fromMinorUnits(session.amount_total, currency),
+          currency,
+          subtotalAmount: subtotal,
+          discount: redemption ? {
+            promoCode: redemption.promoCode,
+            code: redemption.code,
+            amount: fromMinorUnits(session.total_details?.amount_discount ?? 0, currency)
+          } : undefined,
+          quantity,
+          ticketTier: tier ? tier._id : undefined,
+          ticketTierName: tier ? tier.name : undefined,
+          unitPrice: subtotal / quantity,
+          billingDetails: this.getBillingDetails(session),
+          stripeId: session.id,
+          paymentId: session.payment_intent || undefined, // Needed to refund the order
+          status: 'completed'
+        });
+        await this.trackRevenue(order);
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        order = await Order.findOne({ stripeId: session.id });
+      }
+    }
+
+    // Seats were held at checkout; the hold now becomes the order's seats
+    if (metadata.reservationId) {
+      await reservationService.confirm(metadata.reservationId, order._id);
+    }
+
+    if (metadata.redemptionId) {
+      await promoCodeService.redeem(metadata.redemptionId, order._id);
+    }
+
+    // One ticket per seat; the buyer assigns the others to their attendees
+    await ticketService.issueTickets(order);
+
+    const invoice = await invoiceService.issueForOrder(order);
+
+    if (!order.confirmationSentAt) {
+      await this.sendOrderConfirmation(order, invoice);
+    }
+  }
+
+  /**
+   * checkout.session.expired: buyer left Stripe Checkout without paying, give the held seats back
+   * @private
+   */
+  async handleCheckoutExpired(session) {
+    await reservationService.releaseBySession(session.id);
+
+    if (session.metadata && session.metadata.redemptionId) {
+      await promoCodeService.release(session.metadata.redemptionId);
+    }
+  }
+
+  /**
+   * charge.refunded: covers refunds issued from the Stripe dashboard as well as our own
+   * @private
+   */
+  async handleChargeRefunded(charge) {
+    await refundService.reconcileChargeRefund(charge);
+  }
+
+  /**
+   * payment_intent.payment_failed: the seat stays held, so the buyer can retry until the session expires
+   * @private
+   */
+  async handlePaymentFailed(paymentIntent) {
+    const { metadata = {} } = paymentIntent;
+    if (!metadata.buyerId) return;
+
+    try {
+      const buyer = await User.findById(metadata.buyerId);
+      if (!buyer) return;
+
+      const reason = paymentIntent.last_payment_error?.message || 'Your payment could not be processed.';
+
+      await notificationService.sendNotification({
+        channels: ['email'],
+        recipients: [buyer.email],
+        type: 'payment_failed',
+        subject: 'Payment failed',
+        message: `${reason} Your seat is held until your checkout session expires, so you can try again with another payment method.`,
+        data: { eventId: metadata.eventId }
+      });
+    } catch (error) {
+      console.error('Payment failure notification error:', error);
+    }
+  }
+
+  /**
+   * Add a new order to the event's revenue analytics. Analytics must not fail the webhook.
+   * @private
+   */
+  async trackRevenue(order) {
+    try {
+      await EventAnalyticsService.trackRevenue(order.event, order);
+    } catch (error) {
+      console.error(`Revenue tracking error for order ${order._id}:`, error);
+    }
+  }
+
+  /**
+   * Billing name and address entered in Stripe Checkout, plus the company details sent at checkout
+   * @private
+   */
+  getBillingDetails(session) {
+    const customer = session.customer_details || {};
+    const address = customer.address || {};
+    const { metadata = {} } = session;
+
+    return {
+      name: customer.name || undefined,
+      email: customer.email || undefined,
+      company: metadata.billingCompany || undefined,
+      taxId: metadata.billingTaxId || undefined,
+      address: {
+        line1: address.line1 || undefined,
+        line2: address.line2 || undefined,
+        city: address.city || undefined,
+        state: address.state || undefined,
+        postalCode: address.postal_code || undefined,
+        country: address.country || undefined
+      }
+    };
+  }
+
+  /**
+   * Email the buyer once per order, with the invoice and their ticket's wallet pass attached
+   * @private
+   */
+  async sendOrderConfirmation(order, invoice) {
+    const [buyer, eventData, buyerTicket] = await Promise.all([
+      User.findById(order.buyer),
+      Event.findById(order.event).select('title startDateTime endDateTime location ticketSecurity'),
+      CheckIn.findOne({ order: order._id, attendee: order.buyer })
+    ]);
+
+    const wallet = buyerTicket ? walletPassService.getWalletLinks(buyerTicket, eventData) : null;
+    const html = emailTemplateService.generateOrderConfirmationEmail({
+      event: eventData,
+      user: buyer,
+      order,
+      invoice,
+      wallet,
+      confirmationCode: ticketService.getConfirmationCode(order._id)
+    });
+    const pdf = await invoiceService.renderPdf(invoice);
+    const attachments = [{ filename: `${invoice.number}.pdf`, content: pdf, contentType: 'application/pdf' }];
+
+    // The buyer's own ticket as an Apple Wallet pass; a signing problem must not hold the confirmation back
+    if (buyerTicket) {
+      try {
+        const pass = await walletPassService.getApplePassAttachment(buyerTicket, eventData);
+        if (pass) attachments.push(pass);
+      } catch (error) {
+        console.error(`Wallet pass error for order ${order._id}:`, error);
+      }
+    }
+
+    const result = await emailTemplateService.sendEmail(buyer.email, `Order Confirmation: ${eventData.title}`, html, {
+      attachments,
+      eventId: order.event,
+      userId: buyer._id,
+      track: false
+    });
+
+    // Suppressed address: nothing was sent, so the order is not marked as confirmed by email
+    if (!result.success) {
+      console.warn(`Order confirmation for order ${order._id} not sent: ${result.message}`);
+      return;
+    }
+
+    await Order.updateOne({ _id: order._id }, { confirmationSentAt: new Date() });
+  }
+}
+
+module.exports = new StripeWebhookService();
@@ -0,0 +1,399 @@
+/**
+ * Ticket Service
+ * Issues one ticket (CheckIn record) per seat of an order and lets the buyer
+ * assign each ticket to a named attendee, by email or by an existing user.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const CheckIn = require('../models/checkIn');
+const TicketTransfer = require('../models/ticketTransfer');
+const Order = require('../models/order');
+const Event = require('../models/event');
+const User = require('../models/user');
+const qrService = require('./qrService');
+const emailTemplateService = require('./emailTemplateService');
+const walletPassService = require('./walletPassService');
+const { AppError } = require('../middlewares/errorHandler');
+
+// Confirmation codes avoid characters that are easily confused (0/O, 1/I/L)
+const CONFIRMATION_CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const CONFIRMATION_CODE_SECRET = process.env.ORDER_CODE_SECRET || process.env.JWT_SECRET;
+
+class TicketService {
+  /**
+   * Create the missing tickets of a completed order. Safe to call more than once.
+   * The buyer gets the first ticket unless they already hold one for the event.
+   * @param {Object} order - Completed order
+   * @param {Object} options - `{ holder }`: `{ user, email, name, organization }` who gets the
+   *   first ticket instead of the buyer (complimentary orders issued to a guest)
+   * @returns {Promise<Array>} All tickets of the order
+   */
+  async issueTickets(order, { holder } = {}) {
+    const existing = await CheckIn.find({ order: order._id }).sort({ seq: 1, createdAt: 1 });
+    const quantity = order.quantity || 1;
+
+    if (existing.length >= quantity) {
+      return existing;
+    }
+
+    const eventId = order.event._id || order.event;
+    const event = await Event.findById(eventId).select('organizationId');
+
+    // Tickets issued before group orders have no seq and count as the first one
+    const usedSeqs = new Set(existing.map((ticket) => ticket.seq || 1));
+    const holderUser = holder ? holder.user && holder.user._id : order.buyer;
+    const holderHasTicket = holderUser ? await CheckIn.exists({ event: eventId, attendee: holderUser }) : false;
+
+    let assignHolder = Boolean(holder || order.buyer) && !holderHasTicket;
+    for (let seq = 1; seq <= quantity; seq += 1) {
+      if (usedSeqs.has(seq)) continue;
+
+      const ticketId = new mongoose.Types.ObjectId();
+      const assigned = assignHolder;
+      const attendee = assigned ? holderUser : undefined;
+      assignHolder = false;
+
+      try {
+        await CheckIn.create({
+          _id: ticketId,
+          event: eventId,
+          order: order._id,
+          attendee,
+          attendeeEmail: assigned && holder ? holder.email : undefined,
+          attendeeName: assigned && holder ? holder.name : undefined,
+          attendeeOrganization: assigned && holder ? holder.organization : undefined,
+          assignedAt: assigned ? new Date() : undefined,
+          seq,
+          ticketNumber: this.formatTicketNumber(order._id, seq, quantity),
+          ticketToken: this.createToken(ticketId, order, attendee),
+          ticketType: order.ticketTierName || 'general',
+          ticketTier: order.ticketTier,
+          organizationId: event ? event.organizationId : undefined
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        // The holder got a ticket for this event in the meantime: issue this one unassigned
+        if (attendee && error.keyPattern && error.keyPattern.attendee) {
+          seq -= 1;
+        }
+        // Otherwise this seq was issued concurrently by another request
+      }
+    }
+
+    const tickets = await CheckIn.find({ order: order._id }).sort({ seq: 1, createdAt: 1 });
+    if (tickets.length < quantity) {
+      throw new AppError(`Only ${tickets.length} of ${quantity} tickets could be issued for order ${order._id}`, 500);
+    }
+    return tickets;
+  }
+
+  /**
+   * All tickets of an order, for its buyer
+   * @param {String} orderId - Order ID
+   * @param {String} buyerId - Buyer's user ID
+   * @returns {Promise<Object>} The order and its tickets (with QR codes)
+   */
+  async getOrderTickets(orderId, buyerId) {
+    const order = await this.findBuyerOrder(orderId, buyerId);
+
+    const tickets = await this.issueTickets(order);
+    await CheckIn.populate(tickets, { path: 'attendee', select: 'firstName lastName email' });
+
+    return {
+      order,
+      tickets: await Promise.all(tickets.map((ticket) => this.toTicketView(ticket, order.event)))
+    };
+  }
+
+  /**
+   * Tickets held by a user: assigned to their account, or to their email before they signed up
+   * @param {Object} user - User document
+   * @returns {Promise<Array>} Tickets with QR codes
+   */
+  async getUserTickets(user) {
+    const tickets = await CheckIn.find({
+      $or: [
+        { attendee: user._id },
+        { attendee: null, attendeeEmail: user.email }
+      ]
+    })
+      .sort({ createdAt: -1 })
+      .populate('event', 'title startDateTime endDateTime location imageUrl ticketSecurity')
+      .populate('order', 'totalAmount currency buyer');
+
+    return Promise.all(tickets.map((ticket) => this.toTicketView(ticket, ticket.event)));
+  }
+
+  /**
+   * Assign a ticket of an order to an attendee. Reassigning revokes the previous QR code.
+   * @param {String} orderId - Order ID
+   * @param {String} ticketId - Ticket (CheckIn) ID
+   * @param {String} buyerId - Buyer's user ID
+   * @param {Object} assignee - `{ userId }` or `{ email, name }`, plus the `organization` printed on their badge
+   * @returns {Promise<Object>} The assigned ticket
+   */
+  async assign(orderId, ticketId, buyerId, { userId, email, name, organization }) {
+    const order = await this.findBuyerOrder(orderId, buyerId);
+    const ticket = await this.findAssignableTicket(order, ticketId);
+
+    let user = null;
+    if (userId) {
+      user = await User.findById(userId).select('firstName lastName email');
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
+    } else {
+      user = await User.findOne({ email: email.toLowerCase() }).select('firstName lastName email');
+    }
+
+    const previous = { attendee: ticket.attendee, attendeeEmail: ticket.attendeeEmail, token: ticket.ticketToken };
+
+    ticket.attendee = user ? user._id : undefined;
+    ticket.attendeeEmail = user ? user.email : email;
+    ticket.attendeeName = name || (user ? `${user.firstName} ${user.lastName}`.trim() : undefined);
+    ticket.attendeeOrganization = organization;
+    ticket.assignedAt = new Date();
+    ticket.ticketToken = this.createToken(ticket._id, order, ticket.attendee);
+
+    try {
+      await ticket.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError('This attendee already has a ticket for this event', 409);
+      }
+      throw error;
+    }
+
+    await this.recordAssignment(ticket, previous, buyerId);
+    this.refreshWalletPasses(ticket, previous);
+    await this.notifyAttendee(ticket, order);
+
+    return this.toTicketView(ticket, order.event);
+  }
+
+  /**
+   * Take a ticket back from its attendee; the buyer holds it again
+   * @param {String} orderId - Order ID
+   * @param {String} ticketId - Ticket (CheckIn) ID
+   * @param {String} buyerId - Buyer's user ID
+   * @returns {Promise<Object>} The unassigned ticket
+   */
+  async unassign(orderId, ticketId, buyerId) {
+    const order = await this.findBuyerOrder(orderId, buyerId);
+    const ticket = await this.findAssignableTicket(order, ticketId);
+
+    const previous = { attendee: ticket.attendee, attendeeEmail: ticket.attendeeEmail, token: ticket.ticketToken };
+
+    ticket.attendee = undefined;
+    ticket.attendeeEmail = undefined;
+    ticket.attendeeName = undefined;
+    ticket.attendeeOrganization = undefined;
+    ticket.assignedAt = undefined;
+    ticket.ticketToken = this.createToken(ticket._id, order, null);
+    await ticket.save();
+
+    await this.recordAssignment(ticket, previous, buyerId);
+    this.refreshWalletPasses(ticket, previous);
+
+    return this.toTicketView(ticket, order.event);
+  }
+
+  /**
+   * Ticket as shown to its buyer or holder
+   * @param {Object} ticket - CheckIn document
+   * @param {Object} event - Populated event
+   */
+  async toTicketView(ticket, event) {
+    // Events with rotating QR codes only accept the live code from GET /api/tickets/:ticketId/live-qr
+    const rotating = Boolean(event && event.ticketSecurity && event.ticketSecurity.rotatingQr);
+    const qr = rotating ? null : await qrService.renderQRCode(ticket.ticketToken);
+    const orderId = ticket.order._id || ticket.order;
+
+    return {
+      id: ticket._id,
+      ticketNumber: ticket.ticketNumber || this.formatTicketNumber(orderId, 1, 1),
+      qrMode: rotating ? 'rotating' : 'static',
+      qrCode: qr ? qr.dataUrl : null,
+      event,
+      order: orderId,
+      confirmationCode: this.getConfirmationCode(orderId),
+      attendee: ticket.attendee,
+      attendeeName: ticket.attendeeName,
+      attendeeEmail: ticket.attendeeEmail,
+      attendeeOrganization: ticket.attendeeOrganization,
+      assigned: Boolean(ticket.attendee || ticket.attendeeEmail),
+      status: ticket.status,
+      checkInTime: ticket.checkInTime,
+      ticketType: ticket.ticketType,
+      wallet: walletPassService.getWalletLinks(ticket, event)
+    };
+  }
+
+  /**
+   * Void the previous holder's wallet pass and update the current one, in the background
+   * @param {Object} ticket - CheckIn document
+   * @param {Object} previousHolder - `{ attendee, attendeeEmail }` before the change, if it changed
+   */
+  refreshWalletPasses(ticket, previousHolder) {
+    walletPassService.notifyTicketChanged(ticket._id, previousHolder)
+      .catch((error) => console.error(`Wallet pass update error for ticket ${ticket._id}:`, error));
+  }
+
+  /**
+   * Confirmation code of an order, e.g. "7KQM-X2PD". Attendees check in at a kiosk
+   * with their email and this code. Derived from the order ID, so every order has one.
+   * @param {String} orderId - Order ID
+   */
+  getConfirmationCode(orderId) {
+    const digest = crypto.createHmac('sha256', CONFIRMATION_CODE_SECRET).update(`order:${orderId}`).digest();
+    const code = Array.from(digest.subarray(0, 8), (byte) => CONFIRMATION_CODE_ALPHABET[byte % CONFIRMATION_CODE_ALPHABET.length]).join('');
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+  }
+
+  /**
+   * Whether a code typed by an attendee is the order's confirmation code (case, spaces and dashes ignored)
+   * @param {String} orderId - Order ID
+   * @param {String} code - Code as entered
+   */
+  matchesConfirmationCode(orderId, code) {
+    const normalize = (value) => String(value || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+    const expected = Buffer.from(normalize(this.getConfirmationCode(orderId)));
+    const given = Buffer.from(normalize(code));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  /**
+   * Fingerprint of a QR token, used to recognise revoked tokens at the door
+   * @param {String} token - Ticket token
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Signed QR payload for a ticket
+   * @param {String} ticketId - Ticket (CheckIn) ID
+   * @param {Object} order - Order the ticket belongs to
+   * @param {String} attendeeId - Current holder
+   */
+  createToken(ticketId, order, attendeeId) {
+    return qrService.generateTicketToken({
+      eventId: (order.event._id || order.event).toString(),
+      orderId: order._id.toString(),
+      ticketId: ticketId.toString(),
+      attendeeId: attendeeId ? attendeeId.toString() : undefined,
+      ticketType: order.ticketTierName || 'general'
+    });
+  }
+
+  /**
+   * Keep the buyer's (re)assignments in the ticket's holder history
+   * @private
+   */
+  async recordAssignment(ticket, previous, buyerId) {
+    // A transfer offered by the previous holder no longer applies
+    await TicketTransfer.updateMany(
+      { ticket: ticket._id, status: 'pending' },
+      { status: 'cancelled', respondedAt: new Date() }
+    );
+
+    await TicketTransfer.create({
+      ticket: ticket._id,
+      event: ticket.event,
+      order: ticket.order,
+      type: 'assignment',
+      status: 'accepted',
+      fromUser: previous.attendee,
+      fromEmail: previous.attendeeEmail,
+      toUser: ticket.attendee,
+      toEmail: ticket.attendeeEmail,
+      toName: ticket.attendeeName,
+      initiatedBy: buyerId,
+      revokedTokenHash: this.hashToken(previous.token),
+      respondedAt: new Date()
+    });
+  }
+
+  /**
+   * Single-ticket orders keep the historical number format
+   * @private
+   */
+  formatTicketNumber(orderId, seq, quantity) {
+    const base = `TKT-${orderId.toString().slice(-8).toUpperCase()}`;
+    return quantity > 1 ? `${base}-${seq}` : base;
+  }
+
+  /**
+   * @private
+   */
+  async findBuyerOrder(orderId, buyerId) {
+    const order = await Order.findOne({ _id: orderId, buyer: buyerId })
+      .populate('event', 'title startDateTime endDateTime location organizationId ticketSecurity');
+
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+
+    if (order.status !== 'completed') {
+      throw new AppError(`Tickets are only available for completed orders (order is ${order.status})`, 400);
+    }
+
+    return order;
+  }
+
+  /**
+   * Tickets can be (re)assigned until they are used or cancelled
+   * @private
+   */
+  async findAssignableTicket(order, ticketId) {
+    await this.issueTickets(order);
+
+    const ticket = await CheckIn.findOne({ _id: ticketId, order: order._id });
+    if (!ticket) {
+      throw new AppError('Ticket not found', 404);
+    }
+
+    if (ticket.status !== 'pending') {
+      throw new AppError(`This ticket can no longer be reassigned (ticket is ${ticket.status})`, 400);
+    }
+
+    return ticket;
+  }
+
+  /**
+   * Email the attendee their ticket
+   * @param {Object} ticket - Assigned ticket
+   * @param {Object} order - Its order, with the event populated
+   */
+  async notifyAttendee(ticket, order) {
+    if (!ticket.attendeeEmail) return;
+
+    try {
+      const buyer = await User.findById(order.buyer).select('firstName lastName');
+      const qr = await qrService.renderQRCode(ticket.ticketToken);
+      const wallet = walletPassService.getWalletLinks(ticket, order.event);
+      const html = emailTemplateService.generateTicketAssignedEmail({
+        event: order.event,
+        ticket,
+        buyer,
+        wallet,
+        confirmationCode: this.getConfirmationCode(order._id)
+      });
+
+      const result = await emailTemplateService.sendEmail(ticket.attendeeEmail, `Your ticket for ${order.event.title}`, html, {
+        attachments: [{ filename: `${ticket.ticketNumber}.png`, content: qr.buffer, cid: 'ticket-qr' }],
+        eventId: order.event._id,
+        track: false
+      });
+      if (!result.success) {
+        console.warn(`Ticket assignment email for ticket ${ticket._id} not sent: ${result.message}`);
+      }
+    } catch (error) {
+      console.error('Ticket assignment email error:', error);
+    }
+  }
+}
+
+module.exports = new TicketService();
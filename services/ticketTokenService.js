@@ -0,0 +1,190 @@
+/**
+ * Ticket Token Service
+ * Ticket QR codes are valid from issue until shortly after the event ends, following the
+ * event's current dates. A ticket's token can be revoked (reissued) by its holder, its
+ * buyer or the organizers, and events can require rotating QR codes that expire after
+ * a minute so screenshots are useless at the door.
+ */
+
+const CheckIn = require('../models/checkIn');
+const Order = require('../models/order');
+const Event = require('../models/event');
+const TicketTransfer = require('../models/ticketTransfer');
+const qrService = require('./qrService');
+const ticketService = require('./ticketService');
+const ticketTransferService = require('./ticketTransferService');
+const EventCollaborationService = require('./eventCollaborationService');
+const { AppError } = require('../middlewares/errorHandler');
+
+class TicketTokenService {
+  /**
+   * Find the ticket a scanned QR code belongs to
+   * @param {String} token - The ticket's QR token or a rotating code
+   * @param {Object} options - `{ at }` scan time, for scans uploaded later
+   * @returns {Promise<Object>} `{ eventId, event, ticket }`, or `{ eventId, error }` where
+   *   error is `{ reason, message, ticket, revokedAt }`; eventId is missing for unverifiable tokens
+   */
+  async resolveScan(token, { at = new Date() } = {}) {
+    const verification = qrService.verifyTicketToken(token, { at });
+    if (!verification.valid) {
+      return { error: { reason: 'invalid', message: verification.error } };
+    }
+
+    const { eventId, ticketId, rotating } = verification.data;
+    const fail = (reason, message, details = {}) => ({ eventId, error: { reason, message, ...details } });
+
+    const ticket = rotating
+      ? await CheckIn.findById(ticketId)
+      : await CheckIn.findOne({ ticketToken: token });
+
+    if (!ticket) {
+      const transfer = rotating ? null : await ticketTransferService.findByRevokedToken(token);
+      if (!transfer) {
+        return fail('not_found', 'Ticket not found');
+      }
+
+      const current = await CheckIn.findById(transfer.ticket).select('ticketNumber attendeeName attendeeEmail status');
+      return fail('revoked', this.describeRevocation(transfer), { ticket: current, revokedAt: transfer.respondedAt });
+    }
+
+    // Rotating codes die with the token they were derived from
+    if (rotating && !ticketService.hashToken(ticket.ticketToken).startsWith(verification.data.tokenHash)) {
+      return fail('revoked', 'This QR code was revoked. Refresh the ticket in the app.', { ticket });
+    }
+
+    const event = await Event.findById(eventId).select('title startDateTime endDateTime ticketSecurity');
+    if (!event) {
+      return fail('not_found', 'Event not found');
+    }
+
+    if (!this.isValidAt(event, at)) {
+      return fail('expired', 'Ticket has expired: the event is over', { ticket });
+    }
+
+    if (!rotating && event.ticketSecurity && event.ticketSecurity.rotatingQr) {
+      return fail('rotation_required', 'This event only accepts the live QR code shown in the app', { ticket });
+    }
+
+    return { eventId, event, ticket };
+  }
+
+  /**
+   * Revoke a ticket's QR code and issue a new one; the old code is recognised as revoked at the door
+   * @param {String} ticketId - Ticket (CheckIn) ID
+   * @param {Object} user - Holder, buyer or organizer with `manage_attendees`
+   * @param {Object} options - `{ reason }` kept in the ticket's history
+   * @returns {Promise<Object>} The ticket with its new QR code
+   */
+  async revoke(ticketId, user, { reason } = {}) {
+    const ticket = await CheckIn.findById(ticketId);
+    if (!ticket) {
+      throw new AppError('Ticket not found', 404);
+    }
+
+    const order = await Order.findById(ticket.order).select('buyer event ticketTierName');
+    const allowed = ticketTransferService.isHolder(ticket, order, user)
+      || (order && order.buyer.toString() === user._id.toString())
+      || await EventCollaborationService.hasPermission(ticket.event.toString(), user._id.toString(), 'manage_attendees');
+
+    if (!allowed) {
+      throw new AppError('You do not have access to this ticket', 403);
+    }
+
+    if (ticket.status === 'cancelled') {
+      throw new AppError('Ticket has been cancelled', 400);
+    }
+
+    // Conditional on the current token so a concurrent transfer or assignment wins cleanly
+    const previousToken = ticket.ticketToken;
+    const updated = await CheckIn.findOneAndUpdate(
+      { _id: ticket._id, ticketToken: previousToken },
+      { ticketToken: ticketService.createToken(ticket._id, order, ticket.attendee) },
+      { new: true }
+    );
+    if (!updated) {
+      throw new AppError('The ticket changed in the meantime. Please try again.', 409);
+    }
+
+    await TicketTransfer.create({
+      ticket: ticket._id,
+      event: ticket.event,
+      order: ticket.order,
+      type: 'reissue',
+      status: 'accepted',
+      fromUser: ticket.attendee,
+      fromEmail: ticket.attendeeEmail,
+      toUser: ticket.attendee,
+      toEmail: ticket.attendeeEmail,
+      toName: ticket.attendeeName,
+      message: reason,
+      initiatedBy: user._id,
+      revokedTokenHash: ticketService.hashToken(previousToken),
+      respondedAt: new Date()
+    });
+
+    ticketService.refreshWalletPasses(updated);
+
+    const event = await Event.findById(ticket.event).select('title startDateTime endDateTime location ticketSecurity');
+    return ticketService.toTicketView(updated, event);
+  }
+
+  /**
+   * Current rotating QR code of a ticket, for its holder's app
+   * @param {String} ticketId - Ticket (CheckIn) ID
+   * @param {Object} user - Ticket holder
+   * @returns {Promise<Object>} `{ token, qrCode, expiresAt, refreshInSeconds }`
+   */
+  async getLiveCode(ticketId, user) {
+    const ticket = await CheckIn.findById(ticketId);
+    const order = ticket && await Order.findById(ticket.order).select('buyer');
+    if (!ticket || !ticketTransferService.isHolder(ticket, order, user)) {
+      throw new AppError('Ticket not found', 404);
+    }
+
+    if (ticket.status === 'cancelled') {
+      throw new AppError('Ticket has been cancelled', 400);
+    }
+
+    const event = await Event.findById(ticket.event).select('startDateTime endDateTime ticketSecurity');
+    if (!event || !this.isValidAt(event, new Date())) {
+      throw new AppError('This event is over', 410);
+    }
+
+    const lifetime = (event.ticketSecurity && event.ticketSecurity.rotationSeconds) || 60;
+    const { token, expiresAt } = qrService.generateRotatingToken({
+      eventId: ticket.event.toString(),
+      ticketId: ticket._id.toString(),
+      tokenHash: ticketService.hashToken(ticket.ticketToken)
+    }, lifetime);
+    const qr = await qrService.renderQRCode(token);
+
+    return {
+      token,
+      qrCode: qr.dataUrl,
+      expiresAt,
+      // Refresh ahead of expiry so a code is never shown in its last seconds
+      refreshInSeconds: Math.max(5, Math.floor(lifetime * 0.75))
+    };
+  }
+
+  /**
+   * Tickets are valid until a few hours after the event ends
+   * @param {Object} event - Event with its dates
+   * @param {Date} at - Time of use
+   */
+  isValidAt(event, at) {
+    const validUntil = event.getTicketsValidUntil();
+    return !validUntil || at <= validUntil;
+  }
+
+  /**
+   * @private
+   */
+  describeRevocation(transfer) {
+    return transfer.type === 'reissue'
+      ? 'This QR code was revoked and replaced by a new one'
+      : 'This QR code was revoked when the ticket changed hands';
+  }
+}
+
+module.exports = new TicketTokenService();
@@ -0,0 +1,358 @@
+/**
+ * Ticket Transfer Service
+ * A ticket holder offers their ticket to someone by email; once the recipient accepts,
+ * the ticket moves to them and its old QR code stops working.
+ */
+
+const CheckIn = require('../models/checkIn');
+const Order = require('../models/order');
+const User = require('../models/user');
+const TicketTransfer = require('../models/ticketTransfer');
+const ticketService = require('./ticketService');
+const notificationService = require('./notificationService');
+const EventCollaborationService = require('./eventCollaborationService');
+const { AppError } = require('../middlewares/errorHandler');
+
+// How long a recipient has to accept (never past the transfer deadline)
+const ACCEPT_HOURS = parseInt(process.env.TICKET_TRANSFER_ACCEPT_HOURS, 10) || 72;
+
+class TicketTransferService {
+  /**
+   * Offer a ticket to someone else
+   * @param {String} ticketId - Ticket (CheckIn) ID
+   * @param {Object} user - Current holder
+   * @param {Object} recipient - `{ email, name, message }`
+   * @returns {Promise<Object>} The pending transfer
+   */
+  async initiate(ticketId, user, { email, name, message }) {
+    const { ticket, order } = await this.findHeldTicket(ticketId, user);
+    const event = order.event;
+    const toEmail = email.toLowerCase();
+
+    if (ticket.status !== 'pending') {
+      throw new AppError(`This ticket can no longer be transferred (ticket is ${ticket.status})`, 400);
+    }
+
+    const policy = event.transferPolicy || {};
+    if (policy.allowTransfers === false) {
+      throw new AppError('The organizer does not allow ticket transfers for this event', 403);
+    }
+
+    if (policy.maxTransfersPerTicket > 0 && ticket.transferCount >= policy.maxTransfersPerTicket) {
+      throw new AppError(`This ticket has reached the transfer limit of ${policy.maxTransfersPerTicket}`, 403);
+    }
+
+    const deadline = this.getDeadline(event);
+    if (new Date() >= deadline) {
+      throw new AppError(`Transfers closed on ${deadline.toUTCString()}`, 403);
+    }
+
+    if (toEmail === (user.email || '').toLowerCase()) {
+      throw new AppError('You cannot transfer a ticket to yourself', 400);
+    }
+
+    const recipient = await User.findOne({ email: toEmail }).select('_id');
+    if (recipient && await CheckIn.exists({ event: event._id, attendee: recipient._id, status: { $ne: 'cancelled' } })) {
+      throw new AppError('The recipient already has a ticket for this event', 409);
+    }
+
+    const expiresAt = new Date(Math.min(deadline.getTime(), Date.now() + ACCEPT_HOURS * 60 * 60 * 1000));
+
+    let transfer;
+    try {
+      transfer = await TicketTransfer.create({
+        ticket: ticket._id,
+        event: event._id,
+        order: order._id,
+        fromUser: user._id,
+        fromEmail: user.email,
+        toUser: recipient ? recipient._id : undefined,
+        toEmail,
+        toName: name,
+        message,
+        initiatedBy: user._id,
+        expiresAt
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError('This ticket already has a pending transfer', 409);
+      }
+      throw error;
+    }
+
+    await this.notifyRecipient(transfer, event, user);
+
+    return transfer;
+  }
+
+  /**
+   * Accept a transfer. The recipient must be signed in with the address it was sent to.
+   * @param {String} transferId - Transfer ID
+   * @param {Object} user - Recipient
+   * @returns {Promise<Object>} The transfer and the ticket as the recipient now holds it
+   */
+  async accept(transferId, user) {
+    const transfer = await this.findIncoming(transferId, user);
+
+    const ticket = await CheckIn.findById(transfer.ticket);
+    const order = await Order.findById(transfer.order).populate('event', 'title startDateTime endDateTime location transferPolicy ticketSecurity');
+
+    if (!ticket || ticket.status !== 'pending') {
+      await this.close(transfer, 'cancelled');
+      throw new AppError('This ticket can no longer be transferred', 410);
+    }
+
+    // Claim the transfer first so a double submit cannot move the ticket twice
+    const claimed = await TicketTransfer.findOneAndUpdate(
+      { _id: transfer._id, status: 'pending' },
+      { status: 'accepted', toUser: user._id, respondedAt: new Date(), revokedTokenHash: ticketService.hashToken(ticket.ticketToken) },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new AppError('This transfer is no longer pending', 409);
+    }
+
+    const previousToken = ticket.ticketToken;
+    const previousHolder = { attendee: ticket.attendee, attendeeEmail: ticket.attendeeEmail };
+    ticket.attendee = user._id;
+    ticket.attendeeEmail = user.email;
+    ticket.attendeeName = transfer.toName || `${user.firstName} ${user.lastName}`.trim();
+    ticket.assignedAt = new Date();
+    ticket.transferCount += 1;
+    ticket.ticketToken = ticketService.createToken(ticket._id, order, user._id);
+
+    try {
+      await ticket.save();
+    } catch (error) {
+      // Roll the claim back; the old token is still the valid one
+      await TicketTransfer.updateOne(
+        { _id: claimed._id },
+        { status: 'pending', $unset: { respondedAt: 1, revokedTokenHash: 1 } }
+      );
+      if (error.code === 11000) {
+        throw new AppError('You already have a ticket for this event', 409);
+      }
+      throw error;
+    }
+
+    ticketService.refreshWalletPasses(ticket, previousHolder);
+    await this.notifySender(claimed, order.event, 'accepted');
+
+    return {
+      transfer: claimed,
+      ticket: await ticketService.toTicketView(ticket, order.event),
+      revoked: previousToken !== ticket.ticketToken
+    };
+  }
+
+  /**
+   * Decline a transfer; the sender keeps the ticket
+   * @param {String} transferId - Transfer ID
+   * @param {Object} user - Recipient
+   */
+  async decline(transferId, user) {
+    const transfer = await this.findIncoming(transferId, user);
+    await this.close(transfer, 'declined');
+
+    const order = await Order.findById(transfer.order).populate('event', 'title');
+    await this.notifySender(transfer, order.event, 'declined');
+
+    return transfer;
+  }
+
+  /**
+   * Withdraw a pending transfer
+   * @param {String} transferId - Transfer ID
+   * @param {Object} user - Sender
+   */
+  async cancel(transferId, user) {
+    const transfer = await TicketTransfer.findOne({ _id: transferId, initiatedBy: user._id, type: 'transfer' });
+    if (!transfer) {
+      throw new AppError('Transfer not found', 404);
+    }
+
+    if (transfer.status !== 'pending') {
+      throw new AppError(`Only pending transfers can be cancelled (transfer is ${transfer.status})`, 400);
+    }
+
+    await this.close(transfer, 'cancelled');
+    return transfer;
+  }
+
+  /**
+   * Pending transfers sent to a user's email
+   * @param {Object} user - Recipient
+   */
+  async listIncoming(user) {
+    return TicketTransfer.find({
+      toEmail: user.email.toLowerCase(),
+      type: 'transfer',
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ createdAt: -1 })
+      .populate('event', 'title startDateTime location')
+      .populate('fromUser', 'firstName lastName');
+  }
+
+  /**
+   * Holder history of a ticket, for its holder, its buyer or the event's organizers
+   * @param {String} ticketId - Ticket (CheckIn) ID
+   * @param {Object} user - Requesting user
+   */
+  async getHistory(ticketId, user) {
+    const ticket = await CheckIn.findById(ticketId);
+    if (!ticket) {
+      throw new AppError('Ticket not found', 404);
+    }
+
+    const order = await Order.findById(ticket.order).select('buyer');
+    const allowed = this.isHolder(ticket, order, user)
+      || (order && order.buyer.toString() === user._id.toString())
+      || await EventCollaborationService.hasPermission(ticket.event.toString(), user._id.toString(), 'manage_attendees');
+
+    if (!allowed) {
+      throw new AppError('You do not have access to this ticket', 403);
+    }
+
+    return TicketTransfer.find({ ticket: ticket._id })
+      .sort({ createdAt: 1 })
+      .select('-revokedTokenHash')
+      .populate('fromUser toUser initiatedBy', 'firstName lastName email');
+  }
+
+  /**
+   * The transfer that revoked a token, if any (used at the door)
+   * @param {String} token - Scanned ticket token
+   */
+  async findByRevokedToken(token) {
+    return TicketTransfer.findOne({ revokedTokenHash: ticketService.hashToken(token) })
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * The holder is the assigned attendee, or the buyer while the ticket is unassigned
+   * @param {Object} ticket - CheckIn document
+   * @param {Object} order - The ticket's order
+   * @param {Object} user - User to check
+   */
+  isHolder(ticket, order, user) {
+    const userId = user._id.toString();
+
+    if (ticket.attendee) return ticket.attendee.toString() === userId;
+    if (ticket.attendeeEmail) return ticket.attendeeEmail === (user.email || '').toLowerCase();
+    return Boolean(order) && order.buyer.toString() === userId;
+  }
+
+  /**
+   * @private
+   */
+  async findHeldTicket(ticketId, user) {
+    const ticket = await CheckIn.findById(ticketId);
+    if (!ticket) {
+      throw new AppError('Ticket not found', 404);
+    }
+
+    const order = await Order.findById(ticket.order)
+      .populate('event', 'title startDateTime endDateTime location transferPolicy ticketSecurity');
+
+    if (!order || !this.isHolder(ticket, order, user)) {
+      throw new AppError('Ticket not found', 404);
+    }
+
+    if (order.status !== 'completed') {
+      throw new AppError(`This ticket can no longer be transferred (order is ${order.status})`, 400);
+    }
+
+    return { ticket, order };
+  }
+
+  /**
+   * A pending, unexpired transfer addressed to the user
+   * @private
+   */
+  async findIncoming(transferId, user) {
+    const transfer = await TicketTransfer.findOne({
+      _id: transferId,
+      type: 'transfer',
+      toEmail: user.email.toLowerCase()
+    });
+
+    if (!transfer) {
+      throw new AppError('Transfer not found', 404);
+    }
+
+    if (transfer.status !== 'pending') {
+      throw new AppError(`This transfer is no longer pending (transfer is ${transfer.status})`, 409);
+    }
+
+    if (transfer.expiresAt && transfer.expiresAt <= new Date()) {
+      await this.close(transfer, 'expired');
+      throw new AppError('This transfer has expired', 410);
+    }
+
+    return transfer;
+  }
+
+  /**
+   * @private
+   */
+  async close(transfer, status) {
+    transfer.status = status;
+    transfer.respondedAt = new Date();
+    await transfer.save();
+  }
+
+  /**
+   * Last moment a transfer can be started or accepted
+   * @private
+   */
+  getDeadline(event) {
+    const hours = (event.transferPolicy && event.transferPolicy.transferDeadlineHours) || 0;
+    return new Date(event.startDateTime.getTime() - hours * 60 * 60 * 1000);
+  }
+
+  /**
+   * @private
+   */
+  async notifyRecipient(transfer, event, sender) {
+    try {
+      const acceptUrl = `${process.env.CLIENT_BASE_URL}/tickets/transfers/${transfer._id}`;
+
+      await notificationService.sendNotification({
+        channels: ['email'],
+        recipients: [transfer.toEmail],
+        type: 'ticket_transfer',
+        subject: `${sender.firstName} sent you a ticket for ${event.title}`,
+        message: `Hi ${transfer.toName || 'there'}, ${sender.firstName} ${sender.lastName} wants to transfer their ticket for "${event.title}" to you.${transfer.message ? ` Message: ${transfer.message}` : ''} Sign in with this email address to accept it before ${transfer.expiresAt.toUTCString()}: ${acceptUrl}`,
+        data: { eventId: event._id, transferId: transfer._id, acceptUrl }
+      });
+    } catch (error) {
+      console.error('Ticket transfer notification error:', error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async notifySender(transfer, event, outcome) {
+    try {
+      if (!transfer.fromEmail) return;
+
+      await notificationService.sendNotification({
+        channels: ['email'],
+        recipients: [transfer.fromEmail],
+        type: 'ticket_transfer',
+        subject: `Ticket transfer ${outcome}: ${event.title}`,
+        message: outcome === 'accepted'
+          ? `${transfer.toEmail} accepted your ticket for "${event.title}". Your previous QR code no longer works.`
+          : `${transfer.toEmail} declined your ticket for "${event.title}". The ticket is still yours.`,
+        data: { eventId: event._id, transferId: transfer._id }
+      });
+    } catch (error) {
+      console.error('Ticket transfer notification error:', error);
+    }
+  }
+}
+
+module.exports = new TicketTransferService();
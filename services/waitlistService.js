@@ -0,0 +1,351 @@
+/**
+ * Waitlist Service
+ * Per-event (and per-ticket-tier) queues. When seats free up, the next user in line
+ * gets a seat held for them for a limited claim window.
+ */
+
+const Event = require('../models/event');
+const User = require('../models/user');
+const WaitlistEntry = require('../models/waitlistEntry');
+const reservationService = require('./reservationService');
+const notificationService = require('./notificationService');
+const { AppError } = require('../middlewares/errorHandler');
+
+const CLAIM_MINUTES = parseInt(process.env.WAITLIST_CLAIM_MINUTES, 10) || 120;
+const ACTIVE_STATUSES = ['waiting', 'offered'];
+
+class WaitlistService {
+  constructor() {
+    this.claimMinutes = CLAIM_MINUTES;
+  }
+
+  /**
+   * Join the waitlist of a sold-out event or ticket tier
+   * @param {String} eventId - Event ID
+   * @param {String} userId - User ID
+   * @param {String} tierId - Ticket tier ID (required for tiered events)
+   * @returns {Promise<Object>} The entry and its position
+   */
+  async join(eventId, userId, tierId) {
+    const event = await Event.findById(eventId);
+    if (!event) {
+      throw new AppError('Event not found', 404);
+    }
+
+    if (event.attendees.some((id) => id.toString() === userId.toString())) {
+      throw new AppError('Already registered', 400);
+    }
+
+    let tier = null;
+    if (event.ticketTiers.length > 0) {
+      tier = event.getTicketTier(tierId);
+      if (!tier) {
+        throw new AppError('Please select a valid ticket type', 400);
+      }
+    }
+
+    if (!this.isSoldOut(event, tier)) {
+      throw new AppError('Seats are still available for this event', 400);
+    }
+
+    const queue = { event: event._id, ticketTier: tier ? tier._id : null };
+
+    const existing = await WaitlistEntry.findOne({ ...queue, user: userId, status: { $in: ACTIVE_STATUSES } });
+    if (existing) {
+      throw new AppError('You are already on the waitlist', 409);
+    }
+
+    const last = await WaitlistEntry.findOne(queue).sort({ position: -1 }).select('position');
+
+    const entry = await WaitlistEntry.create({
+      event: event._id,
+      ticketTier: tier ? tier._id : undefined,
+      user: userId,
+      position: (last ? last.position : 0) + 1
+    });
+
+    return { entry, position: await this.getPosition(entry) };
+  }
+
+  /**
+   * Leave the waitlist. An open seat offer is given to the next in line.
+   * @param {String} eventId - Event ID
+   * @param {String} userId - User ID
+   * @param {String} tierId - Ticket tier ID
+   */
+  async leave(eventId, userId, tierId) {
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      {
+        event: eventId,
+        ticketTier: tierId || null,
+        user: userId,
+        status: { $in: ACTIVE_STATUSES }
+      },
+      { status: 'cancelled' },
+      { new: true }
+    );
+
+    if (!entry) {
+      throw new AppError('You are not on the waitlist', 404);
+    }
+
+    if (entry.reservation) {
+      await reservationService.release(entry.reservation, 'waitlist_left');
+    }
+
+    return entry;
+  }
+
+  /**
+   * Position of a waiting entry in its queue (1-based, null when not waiting)
+   * @param {Object} entry - Waitlist entry
+   */
+  async getPosition(entry) {
+    if (entry.status !== 'waiting') return null;
+
+    const ahead = await WaitlistEntry.countDocuments({
+      event: entry.event,
+      ticketTier: entry.ticketTier || null,
+      status: 'waiting',
+      $or: [
+        { position: { $lt: entry.position } },
+        { position: entry.position, createdAt: { $lt: entry.createdAt } }
+      ]
+    });
+
+    return ahead + 1;
+  }
+
+  /**
+   * A user's active waitlist entries for an event, with positions
+   * @param {String} eventId - Event ID
+   * @param {String} userId - User ID
+   */
+  async getUserEntries(eventId, userId) {
+    const entries = await WaitlistEntry.find({
+      event: eventId,
+      user: userId,
+      status: { $in: ACTIVE_STATUSES }
+    });
+
+    return Promise.all(entries.map(async (entry) => ({
+      ...entry.toObject(),
+      queuePosition: await this.getPosition(entry)
+    })));
+  }
+
+  /**
+   * List a queue for the organizer
+   * @param {String} eventId - Event ID
+   * @param {Object} options - Filters
+   * @param {String} options.tierId - Ticket tier ID
+   * @param {String} options.status - Entry status (defaults to active entries)
+   */
+  async list(eventId, { tierId, status } = {}) {
+    const query = { event: eventId };
+    if (tierId !== undefined) query.ticketTier = tierId || null;
+    query.status = status || { $in: ACTIVE_STATUSES };
+
+    return WaitlistEntry.find(query)
+      .sort({ ticketTier: 1, position: 1, createdAt: 1 })
+      .populate('user', 'firstName lastName email');
+  }
+
+  /**
+   * Reorder a queue. Listed entries move to the front in the given order,
+   * the remaining waiting entries keep their relative order behind them.
+   * @param {String} eventId - Event ID
+   * @param {String} tierId - Ticket tier ID
+   * @param {Array} entryIds - Waiting entry IDs in their new order
+   */
+  async reorder(eventId, tierId, entryIds) {
+    const waiting = await WaitlistEntry.find({
+      event: eventId,
+      ticketTier: tierId || null,
+      status: 'waiting'
+    }).sort({ position: 1, createdAt: 1 });
+
+    const waitingIds = waiting.map((entry) => entry._id.toString());
+    const unknown = entryIds.filter((id) => !waitingIds.includes(id));
+    if (unknown.length > 0) {
+      throw new AppError(`Entries not waiting in this queue: ${unknown.join(', ')}`, 400);
+    }
+
+    const ordered = [...entryIds, ...waitingIds.filter((id) => !entryIds.includes(id))];
+
+    if (ordered.length > 0) {
+      await WaitlistEntry.bulkWrite(ordered.map((id, index) => ({
+        updateOne: {
+          filter: { _id: id, status: 'waiting' },
+          update: { position: index + 1 }
+        }
+      })));
+    }
+
+    return this.list(eventId, { tierId, status: 'waiting' });
+  }
+
+  /**
+   * Offer free seats to the next users in line
+   * @param {String} eventId - Event ID
+   * @param {String} preferredTierId - Tier whose queue is served first
+   * @returns {Promise<Array>} Entries that received an offer
+   */
+  async promote(eventId, preferredTierId = null) {
+    const event = await Event.findById(eventId).select('title ticketTiers');
+    if (!event) return [];
+
+    // A seat freed at event level can unblock any tier's queue
+    let tierIds = [null];
+    if (event.ticketTiers.length > 0) {
+      tierIds = event.ticketTiers.map((tier) => tier._id.toString());
+      if (preferredTierId) {
+        const preferred = preferredTierId.toString();
+        tierIds = [preferred, ...tierIds.filter((id) => id !== preferred)];
+      }
+    }
+
+    const offered = [];
+    for (const tierId of tierIds) {
+      offered.push(...await this.promoteQueue(event, tierId));
+    }
+    return offered;
+  }
+
+  /**
+   * Serve one queue until it is empty or no seat is left
+   * @private
+   */
+  async promoteQueue(event, tierId) {
+    const offered = [];
+
+    for (;;) {
+      // Taking the entry atomically keeps concurrent promotions from offering it twice
+      const entry = await WaitlistEntry.findOneAndUpdate(
+        { event: event._id, ticketTier: tierId || null, status: 'waiting' },
+        { status: 'offered', offeredAt: new Date() },
+        { sort: { position: 1, createdAt: 1 }, new: true }
+      );
+
+      if (!entry) break;
+
+      let reservation;
+      try {
+        reservation = await reservationService.reserve({
+          eventId: event._id,
+          userId: entry.user,
+          tierId,
+          quantity: entry.quantity,
+          source: 'waitlist',
+          hold: true,
+          holdMinutes: this.claimMinutes
+        });
+      } catch (error) {
+        if (error.statusCode === 409) {
+          // No seat left: the entry goes back to the head of the queue
+          await WaitlistEntry.updateOne({ _id: entry._id }, { status: 'waiting', $unset: { offeredAt: 1 } });
+          break;
+        }
+
+        // The entry can never be served (already registered, tier removed, ...)
+        await WaitlistEntry.updateOne({ _id: entry._id }, { status: 'cancelled' });
+        continue;
+      }
+
+      entry.reservation = reservation._id;
+      entry.offerExpiresAt = reservation.expiresAt;
+      await entry.save();
+
+      await this.notifyOffer(entry, event);
+      offered.push(entry);
+    }
+
+    return offered;
+  }
+
+  /**
+   * Claim an offered seat
+   * @param {String} entryId - Waitlist entry ID
+   * @param {String} userId - User ID
+   * @param {Object} options - Claim options
+   * @param {String} options.eventId - Event the claim is made for
+   * @param {String} options.source - Passed to reservationService.claimHold
+   * @param {Boolean} options.hold - Passed to reservationService.claimHold
+   * @returns {Promise<Object>} The entry and the claimed reservation
+   */
+  async claim(entryId, userId, { eventId, ...claimOptions }) {
+    const entry = await WaitlistEntry.findOne({ _id: entryId, user: userId, event: eventId });
+    if (!entry) {
+      throw new AppError('Waitlist entry not found', 404);
+    }
+
+    if (entry.status !== 'offered' || !entry.reservation) {
+      throw new AppError('There is no seat offer to claim', 400);
+    }
+
+    if (entry.offerExpiresAt <= new Date()) {
+      throw new AppError('This seat offer has expired', 410);
+    }
+
+    const reservation = await reservationService.claimHold(entry.reservation, userId, claimOptions);
+
+    entry.status = 'claimed';
+    entry.claimedAt = new Date();
+    await entry.save();
+
+    return { entry, reservation };
+  }
+
+  /**
+   * Called by reservationService whenever seats go back to the pool
+   * @param {Object} reservation - The released reservation
+   */
+  async handleSeatsReleased(reservation) {
+    if (reservation.source === 'waitlist') {
+      // An unclaimed offer ran out
+      await WaitlistEntry.updateOne(
+        { reservation: reservation._id, status: 'offered' },
+        { status: 'expired' }
+      );
+    }
+
+    return this.promote(reservation.event, reservation.ticketTier);
+  }
+
+  /**
+   * Whether an event (or tier) has no seats left
+   * @private
+   */
+  isSoldOut(event, tier) {
+    if (event.capacity > 0 && (event.seatsTaken || 0) >= event.capacity) return true;
+    if (tier && tier.quantity > 0 && tier.sold >= tier.quantity) return true;
+    return false;
+  }
+
+  /**
+   * Tell a user that a seat is waiting for them
+   * @private
+   */
+  async notifyOffer(entry, event) {
+    try {
+      const user = await User.findById(entry.user).select('email firstName');
+      if (!user) return;
+
+      const claimUrl = `${process.env.CLIENT_BASE_URL}/events/${event._id}?waitlistEntry=${entry._id}`;
+
+      await notificationService.sendNotification({
+        channels: ['email'],
+        recipients: [user.email],
+        type: 'waitlist_offer',
+        subject: `A seat is available: ${event.title}`,
+        message: `Hi ${user.firstName}, a seat for "${event.title}" has opened up and is being held for you until ${entry.offerExpiresAt.toUTCString()}. Claim it here: ${claimUrl}`,
+        template: 'waitlist_offer',
+        data: { eventId: event._id, entryId: entry._id, claimUrl }
+      });
+    } catch (error) {
+      console.error('Waitlist offer notification error:', error);
+    }
+  }
+}
+
+module.exports = new WaitlistService();
@@ -0,0 +1,668 @@
+/**
+ * Wallet Pass Service
+ * Apple Wallet (.pkpass) and Google Wallet passes for tickets. Passes carry the ticket's
+ * QR code, the event's date and location, and are kept up to date: changing the event
+ * pushes an update to every pass of the event, and a ticket changing hands voids the
+ * previous holder's pass. Events with rotating QR codes have no wallet passes, since
+ * their door only accepts the live code from the app.
+ */
+
+const crypto = require('crypto');
+const http2 = require('http2');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const axios = require('axios');
+const forge = require('node-forge');
+const JSZip = require('jszip');
+const jwt = require('jsonwebtoken');
+const CheckIn = require('../models/checkIn');
+const Event = require('../models/event');
+const WalletPass = require('../models/walletPass');
+const WalletRegistration = require('../models/walletRegistration');
+const { getAppleConfig, getGoogleConfig, authSecret } = require('../config/wallet');
+const { AppError } = require('../middlewares/errorHandler');
+
+const EVENT_FIELDS = 'title startDateTime endDateTime location ticketSecurity';
+
+const GOOGLE_WALLET_API = 'https://walletobjects.googleapis.com/walletobjects/v1';
+const GOOGLE_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const GOOGLE_SCOPE = 'https://www.googleapis.com/auth/wallet_object.issuer';
+
+const ICON_RGB = [31, 41, 55];
+
+const PASS_COLORS = {
+  foregroundColor: 'rgb(255, 255, 255)',
+  backgroundColor: `rgb(${ICON_RGB.join(', ')})`,
+  labelColor: 'rgb(156, 163, 175)'
+};
+
+// Images bundled with every pass when APPLE_PASS_IMAGES_DIR is set; icon.png is required by Wallet
+const PASS_IMAGES = ['icon.png', 'icon@2x.png', 'icon@3x.png', 'logo.png', 'logo@2x.png', 'logo@3x.png'];
+
+class WalletPassService {
+  constructor() {
+    this.googleAccessToken = null;
+  }
+
+  /**
+   * "Add to Apple Wallet" and "Add to Google Wallet" links of a ticket
+   * @param {Object} ticket - CheckIn document
+   * @param {Object} event - Event with its title, dates, location and ticketSecurity
+   * @returns {Object|null} `{ appleWalletUrl, googleWalletUrl }`, null when the ticket cannot have passes
+   */
+  getWalletLinks(ticket, event) {
+    if (!this.supportsPasses(ticket, event)) return null;
+
+    const apple = getAppleConfig();
+    const google = getGoogleConfig();
+    const serial = this.serialFor(ticket);
+
+    return {
+      appleWalletUrl: apple.enabled && process.env.API_BASE_URL
+        ? `${process.env.API_BASE_URL}/api/wallet/apple/passes/${serial}?auth=${this.authTokenFor(serial)}`
+        : null,
+      googleWalletUrl: google.enabled ? this.getGoogleSaveUrl(ticket, event) : null
+    };
+  }
+
+  /**
+   * Apple Wallet pass of a ticket, for the download link and the PassKit web service.
+   * Passes of a former holder, or of a cancelled ticket, come back voided.
+   * @param {String} serialNumber - Pass serial number
+   * @param {String} authToken - Authentication token of the pass
+   * @param {Object} options - `{ modifiedSince }` to skip unchanged passes
+   * @returns {Promise<Object>} `{ pass, lastModified }`, or `{ notModified: true }`
+   */
+  async getApplePass(serialNumber, authToken, { modifiedSince } = {}) {
+    this.assertAuthorized(serialNumber, authToken);
+
+    const ticket = await CheckIn.findById(this.ticketIdOf(serialNumber));
+    const event = ticket && await Event.findById(ticket.event).select(EVENT_FIELDS);
+    if (!ticket || !event) {
+      throw new AppError('Pass not found', 404);
+    }
+
+    if (event.ticketSecurity && event.ticketSecurity.rotatingQr && serialNumber === this.serialFor(ticket)) {
+      throw new AppError('This event only accepts the live QR code shown in the app', 400);
+    }
+
+    const record = await this.recordPass(serialNumber, ticket, event);
+
+    // Wallet only has second precision in If-Modified-Since
+    const lastModified = new Date(Math.floor(record.lastUpdatedAt.getTime() / 1000) * 1000);
+    if (modifiedSince && lastModified <= modifiedSince) {
+      return { notModified: true };
+    }
+
+    const voided = serialNumber !== this.serialFor(ticket) || ticket.status === 'cancelled';
+    const pass = await this.buildApplePass(ticket, event, serialNumber, { voided });
+
+    return { pass, lastModified };
+  }
+
+  /**
+   * The ticket's Apple Wallet pass as an email attachment
+   * @param {Object} ticket - CheckIn document
+   * @param {Object} event - Event document with its title, dates, location and ticketSecurity
+   * @returns {Promise<Object|null>} Nodemailer attachment, null when the ticket cannot have a pass
+   */
+  async getApplePassAttachment(ticket, event) {
+    if (!this.supportsPasses(ticket, event) || !getAppleConfig().enabled) return null;
+
+    const serialNumber = this.serialFor(ticket);
+    await this.recordPass(serialNumber, ticket, event);
+
+    return {
+      filename: `${ticket.ticketNumber || 'ticket'}.pkpass`,
+      content: await this.buildApplePass(ticket, event, serialNumber),
+      contentType: 'application/vnd.apple.pkpass'
+    };
+  }
+
+  /**
+   * Register a device for push updates of a pass (PassKit web service)
+   * @param {String} deviceId - Device library identifier
+   * @param {String} passTypeIdentifier - Pass type identifier
+   * @param {String} serialNumber - Pass serial number
+   * @param {String} authToken - Authentication token of the pass
+   * @param {String} pushToken - APNs push token of the device
+   * @returns {Promise<Boolean>} Whether the registration is new
+   */
+  async registerDevice(deviceId, passTypeIdentifier, serialNumber, authToken, pushToken) {
+    this.assertAuthorized(serialNumber, authToken);
+    this.assertPassType(passTypeIdentifier);
+
+    const result = await WalletRegistration.updateOne(
+      { deviceLibraryIdentifier: deviceId, passTypeIdentifier, serialNumber },
+      { pushToken },
+      { upsert: true }
+    );
+
+    return result.upsertedCount > 0;
+  }
+
+  /**
+   * Stop sending a device updates of a pass (PassKit web service)
+   * @param {String} deviceId - Device library identifier
+   * @param {String} passTypeIdentifier - Pass type identifier
+   * @param {String} serialNumber - Pass serial number
+   * @param {String} authToken - Authentication token of the pass
+   */
+  async unregisterDevice(deviceId, passTypeIdentifier, serialNumber, authToken) {
+    this.assertAuthorized(serialNumber, authToken);
+
+    await WalletRegistration.deleteOne({ deviceLibraryIdentifier: deviceId, passTypeIdentifier, serialNumber });
+  }
+
+  /**
+   * Passes of a device that changed since its last sync (PassKit web service)
+   * @param {String} deviceId - Device library identifier
+   * @param {String} passTypeIdentifier - Pass type identifier
+   * @param {String} since - Tag returned by the previous sync, in milliseconds
+   * @returns {Promise<Object|null>} `{ serialNumbers, lastUpdated }`, null when nothing changed
+   */
+  async getUpdatedSerials(deviceId, passTypeIdentifier, since) {
+    const registrations = await WalletRegistration.find({ deviceLibraryIdentifier: deviceId, passTypeIdentifier })
+      .select('serialNumber');
+    if (registrations.length === 0) return null;
+
+    const filter = { serialNumber: { $in: registrations.map((registration) => registration.serialNumber) } };
+    const sinceMs = parseInt(since, 10);
+    if (!Number.isNaN(sinceMs)) {
+      filter.lastUpdatedAt = { $gt: new Date(sinceMs) };
+    }
+
+    const passes = await WalletPass.find(filter).select('serialNumber lastUpdatedAt');
+    if (passes.length === 0) return null;
+
+    const lastUpdated = Math.max(...passes.map((pass) => pass.lastUpdatedAt.getTime()));
+    return { serialNumbers: passes.map((pass) => pass.serialNumber), lastUpdated: String(lastUpdated) };
+  }
+
+  /**
+   * The event's title, time or location changed: update every pass of the event
+   * @param {String} eventId - Event ID
+   */
+  async notifyEventChanged(eventId) {
+    const event = await Event.findById(eventId).select(EVENT_FIELDS);
+    if (!event) return;
+
+    const passes = await WalletPass.find({ event: eventId, voidedAt: null }).select('serialNumber');
+    if (passes.length > 0) {
+      await WalletPass.updateMany({ event: eventId, voidedAt: null }, { lastUpdatedAt: new Date() });
+      await this.pushApplePasses(passes.map((pass) => pass.serialNumber));
+    }
+
+    if (getGoogleConfig().enabled) {
+      await this.patchGoogle(`eventTicketClass/${this.googleClassId(eventId)}`, this.toGoogleClass(event));
+    }
+  }
+
+  /**
+   * A ticket changed hands, got a new QR code or was cancelled: void the previous holder's
+   * pass and update the current one
+   * @param {String} ticketId - Ticket (CheckIn) ID
+   * @param {Object} previousHolder - `{ attendee, attendeeEmail }` before the change, if it changed
+   */
+  async notifyTicketChanged(ticketId, previousHolder) {
+    const ticket = await CheckIn.findById(ticketId);
+    if (!ticket) return;
+
+    const current = this.serialFor(ticket);
+    const cancelled = ticket.status === 'cancelled';
+    const now = new Date();
+
+    const passes = await WalletPass.find({ ticket: ticket._id, voidedAt: null }).select('serialNumber');
+    const stale = passes.map((pass) => pass.serialNumber).filter((serial) => cancelled || serial !== current);
+
+    if (passes.length > 0) {
+      await WalletPass.updateMany({ ticket: ticket._id, voidedAt: null }, { lastUpdatedAt: now });
+      if (stale.length > 0) {
+        await WalletPass.updateMany({ serialNumber: { $in: stale } }, { voidedAt: now });
+      }
+      await this.pushApplePasses(passes.map((pass) => pass.serialNumber));
+    }
+
+    if (!getGoogleConfig().enabled) return;
+
+    const previous = previousHolder ? this.serialFor(previousHolder, ticket._id) : current;
+    if (cancelled || previous !== current) {
+      await this.patchGoogle(`eventTicketObject/${this.googleObjectId(previous)}`, { state: 'INACTIVE' });
+    }
+    if (!cancelled) {
+      await this.patchGoogle(`eventTicketObject/${this.googleObjectId(current)}`, {
+        barcode: this.toGoogleBarcode(ticket)
+      });
+    }
+  }
+
+  /**
+   * Signed .pkpass bundle of a ticket
+   * @param {Object} ticket - CheckIn document
+   * @param {Object} event - Event with its title, dates and location
+   * @param {String} serialNumber - Pass serial number
+   * @param {Object} options - `{ voided }`
+   * @returns {Promise<Buffer>}
+   */
+  async buildApplePass(ticket, event, serialNumber, { voided = false } = {}) {
+    const config = getAppleConfig();
+    if (!config.enabled) {
+      throw new AppError('Apple Wallet passes are not configured', 503);
+    }
+
+    const files = {
+      'pass.json': Buffer.from(JSON.stringify(this.toPassJson(ticket, event, serialNumber, config, voided))),
+      ...this.loadPassImages(config)
+    };
+
+    const manifest = Object.entries(files).reduce((hashes, [name, content]) => {
+      hashes[name] = crypto.createHash('sha1').update(content).digest('hex');
+      return hashes;
+    }, {});
+    files['manifest.json'] = Buffer.from(JSON.stringify(manifest));
+    files.signature = this.signManifest(files['manifest.json'], config);
+
+    const zip = new JSZip();
+    Object.entries(files).forEach(([name, content]) => zip.file(name, content));
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  }
+
+  /**
+   * "Save to Google Wallet" link; the event class and ticket object travel inside the signed JWT
+   * @param {Object} ticket - CheckIn document
+   * @param {Object} event - Event with its title, dates and location
+   * @returns {String}
+   */
+  getGoogleSaveUrl(ticket, event) {
+    const config = getGoogleConfig();
+    const serial = this.serialFor(ticket);
+    const validUntil = event.getTicketsValidUntil();
+
+    const ticketObject = {
+      id: this.googleObjectId(serial),
+      classId: this.googleClassId(event._id),
+      state: 'ACTIVE',
+      barcode: this.toGoogleBarcode(ticket),
+      ticketHolderName: this.getHolderName(ticket),
+      ticketNumber: ticket.ticketNumber,
+      ticketType: this.localized(ticket.ticketType || 'General'),
+      validTimeInterval: validUntil ? { end: { date: validUntil.toISOString() } } : undefined
+    };
+
+    const token = jwt.sign({
+      iss: config.clientEmail,
+      aud: 'google',
+      typ: 'savetowallet',
+      origins: config.origins,
+      payload: {
+        eventTicketClasses: [{ id: this.googleClassId(event._id), ...this.toGoogleClass(event) }],
+        eventTicketObjects: [ticketObject]
+      }
+    }, config.privateKey, { algorithm: 'RS256' });
+
+    return `https://pay.google.com/gp/v/save/${token}`;
+  }
+
+  /**
+   * Serial number of the pass of a ticket's current holder. A new holder gets a new
+   * serial, so their pass never replaces the QR code on the previous holder's device.
+   * @param {Object} holder - CheckIn document, or `{ attendee, attendeeEmail }`
+   * @param {String} ticketId - Ticket ID, when `holder` is not the ticket itself
+   */
+  serialFor(holder, ticketId = holder._id) {
+    const key = holder.attendee
+      ? `user:${holder.attendee._id || holder.attendee}`
+      : holder.attendeeEmail ? `email:${holder.attendeeEmail.toLowerCase()}` : 'buyer';
+
+    const suffix = crypto.createHmac('sha256', authSecret).update(`${ticketId}:${key}`).digest('hex').slice(0, 16);
+    return `${ticketId}-${suffix}`;
+  }
+
+  /**
+   * Authentication token of a pass, for its download link and the PassKit web service
+   * @param {String} serialNumber - Pass serial number
+   */
+  authTokenFor(serialNumber) {
+    return crypto.createHmac('sha256', authSecret).update(`pass:${serialNumber}`).digest('hex');
+  }
+
+  /**
+   * Keep track of an issued pass so it receives updates
+   * @private
+   */
+  recordPass(serialNumber, ticket, event) {
+    return WalletPass.findOneAndUpdate(
+      { serialNumber },
+      { $setOnInsert: { ticket: ticket._id, event: event._id, lastUpdatedAt: new Date() } },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * @private
+   */
+  supportsPasses(ticket, event) {
+    return Boolean(event && event.title && ticket.status !== 'cancelled'
+      && !(event.ticketSecurity && event.ticketSecurity.rotatingQr));
+  }
+
+  /**
+   * @private
+   */
+  assertAuthorized(serialNumber, authToken) {
+    const expected = Buffer.from(this.authTokenFor(serialNumber));
+    const given = Buffer.from(String(authToken || ''));
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      throw new AppError('Not authorized', 401);
+    }
+  }
+
+  /**
+   * @private
+   */
+  assertPassType(passTypeIdentifier) {
+    if (passTypeIdentifier !== getAppleConfig().passTypeIdentifier) {
+      throw new AppError('Unknown pass type', 404);
+    }
+  }
+
+  /**
+   * @private
+   */
+  ticketIdOf(serialNumber) {
+    const ticketId = String(serialNumber).split('-')[0];
+    if (!/^[a-f\d]{24}$/i.test(ticketId)) {
+      throw new AppError('Pass not found', 404);
+    }
+    return ticketId;
+  }
+
+  /**
+   * @private
+   */
+  toPassJson(ticket, event, serialNumber, config, voided) {
+    const validUntil = event.getTicketsValidUntil();
+
+    return {
+      formatVersion: 1,
+      passTypeIdentifier: config.passTypeIdentifier,
+      teamIdentifier: config.teamIdentifier,
+      organizationName: config.organizationName,
+      serialNumber,
+      description: `Ticket for ${event.title}`,
+      webServiceURL: config.webServiceURL || undefined,
+      authenticationToken: config.webServiceURL ? this.authTokenFor(serialNumber) : undefined,
+      ...PASS_COLORS,
+      relevantDate: event.startDateTime.toISOString(),
+      expirationDate: validUntil ? validUntil.toISOString() : undefined,
+      voided,
+      barcodes: [{
+        format: 'PKBarcodeFormatQR',
+        message: ticket.ticketToken,
+        messageEncoding: 'iso-8859-1',
+        altText: ticket.ticketNumber
+      }],
+      eventTicket: {
+        primaryFields: [
+          { key: 'event', label: 'EVENT', value: event.title, changeMessage: 'Event renamed to %@' }
+        ],
+        secondaryFields: [
+          {
+            key: 'date',
+            label: 'DATE',
+            value: event.startDateTime.toISOString(),
+            dateStyle: 'PKDateStyleMedium',
+            timeStyle: 'PKDateStyleShort',
+            changeMessage: 'Event time changed to %@'
+          },
+          { key: 'location', label: 'LOCATION', value: event.location || 'To be announced', changeMessage: 'Event moved to %@' }
+        ],
+        auxiliaryFields: [
+          { key: 'holder', label: 'ATTENDEE', value: this.getHolderName(ticket) },
+          { key: 'tier', label: 'TICKET', value: ticket.ticketType || 'General' }
+        ],
+        backFields: [
+          { key: 'number', label: 'Ticket number', value: ticket.ticketNumber || String(ticket._id) },
+          {
+            key: 'ends',
+            label: 'Ends',
+            value: event.endDateTime.toISOString(),
+            dateStyle: 'PKDateStyleMedium',
+            timeStyle: 'PKDateStyleShort'
+          }
+        ]
+      }
+    };
+  }
+
+  /**
+   * PKCS #7 detached signature of the manifest, made with the pass type certificate
+   * @private
+   */
+  signManifest(manifest, config) {
+    const certificate = forge.pki.certificateFromPem(config.certificate);
+    const key = config.privateKeyPassphrase
+      ? forge.pki.decryptRsaPrivateKey(config.privateKey, config.privateKeyPassphrase)
+      : forge.pki.privateKeyFromPem(config.privateKey);
+    if (!key) {
+      throw new AppError('Apple Wallet signing key could not be decrypted', 500);
+    }
+
+    const signature = forge.pkcs7.createSignedData();
+    signature.content = forge.util.createBuffer(manifest.toString('binary'));
+    signature.addCertificate(certificate);
+    signature.addCertificate(forge.pki.certificateFromPem(config.wwdrCertificate));
+    signature.addSigner({
+      key,
+      certificate,
+      digestAlgorithm: forge.pki.oids.sha256,
+      authenticatedAttributes: [
+        { type: forge.pki.oids.contentType, value: forge.pki.oids.data },
+        { type: forge.pki.oids.messageDigest },
+        { type: forge.pki.oids.signingTime, value: new Date() }
+      ]
+    });
+    signature.sign({ detached: true });
+
+    return Buffer.from(forge.asn1.toDer(signature.toAsn1()).getBytes(), 'binary');
+  }
+
+  /**
+   * Pass images from APPLE_PASS_IMAGES_DIR, or a plain icon
+   * @private
+   */
+  loadPassImages(config) {
+    if (config.imagesDir) {
+      return PASS_IMAGES.reduce((images, name) => {
+        const file = path.join(config.imagesDir, name);
+        if (fs.existsSync(file)) images[name] = fs.readFileSync(file);
+        return images;
+      }, {});
+    }
+
+    return { 'icon.png': this.solidPng(29), 'icon@2x.png': this.solidPng(58) };
+  }
+
+  /**
+   * Square PNG in the pass background color
+   * @private
+   */
+  solidPng(size) {
+    const chunk = (type, data) => {
+      const body = Buffer.concat([Buffer.from(type), data]);
+      const length = Buffer.alloc(4);
+      const crc = Buffer.alloc(4);
+      length.writeUInt32BE(data.length);
+      crc.writeUInt32BE(zlib.crc32(body));
+      return Buffer.concat([length, body, crc]);
+    };
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(size, 0);
+    header.writeUInt32BE(size, 4);
+    header[8] = 8; // Bit depth
+    header[9] = 2; // RGB
+
+    // Each row: filter type 0, then one RGB triple per pixel
+    const row = Buffer.alloc(1 + size * 3);
+    for (let i = 0; i < size; i += 1) row.set(ICON_RGB, 1 + i * 3);
+    const rows = Buffer.concat(Array.from({ length: size }, () => row));
+
+    return Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      chunk('IHDR', header),
+      chunk('IDAT', zlib.deflateSync(rows)),
+      chunk('IEND', Buffer.alloc(0))
+    ]);
+  }
+
+  /**
+   * Tell the devices holding these passes to fetch them again (APNs, pass type certificate)
+   * @private
+   */
+  async pushApplePasses(serialNumbers) {
+    const config = getAppleConfig();
+    if (!config.enabled || serialNumbers.length === 0) return;
+
+    const registrations = await WalletRegistration.find({ serialNumber: { $in: serialNumbers } }).select('pushToken');
+    const pushTokens = [...new Set(registrations.map((registration) => registration.pushToken))];
+    if (pushTokens.length === 0) return;
+
+    const session = http2.connect(config.apnsHost, {
+      cert: config.certificate,
+      key: config.privateKey,
+      passphrase: config.privateKeyPassphrase
+    });
+    session.on('error', (error) => console.error('APNs connection error:', error));
+
+    try {
+      for (const pushToken of pushTokens) {
+        const status = await this.sendPush(session, pushToken, config.passTypeIdentifier);
+        // The device removed the pass
+        if (status === 410) {
+          await WalletRegistration.deleteMany({ pushToken });
+        } else if (status !== 200) {
+          console.error(`APNs push for pass update failed with status ${status}`);
+        }
+      }
+    } finally {
+      session.close();
+    }
+  }
+
+  /**
+   * @private
+   */
+  sendPush(session, pushToken, topic) {
+    return new Promise((resolve, reject) => {
+      const request = session.request({
+        ':method': 'POST',
+        ':path': `/3/device/${pushToken}`,
+        'apns-topic': topic
+      });
+
+      let status;
+      request.on('response', (headers) => { status = headers[':status']; });
+      request.on('error', reject);
+      request.on('close', () => resolve(status));
+      request.resume();
+      request.end('{}');
+    });
+  }
+
+  /**
+   * Update a Google Wallet class or object; ones nobody saved yet do not exist
+   * @private
+   */
+  async patchGoogle(resource, body) {
+    try {
+      await axios.patch(`${GOOGLE_WALLET_API}/${resource}`, body, {
+        headers: { Authorization: `Bearer ${await this.getGoogleAccessToken()}` }
+      });
+    } catch (error) {
+      if (error.response && error.response.status === 404) return;
+      throw error;
+    }
+  }
+
+  /**
+   * OAuth access token of the Google Wallet service account, cached until it expires
+   * @private
+   */
+  async getGoogleAccessToken() {
+    if (this.googleAccessToken && this.googleAccessToken.expiresAt > Date.now() + 60 * 1000) {
+      return this.googleAccessToken.value;
+    }
+
+    const config = getGoogleConfig();
+    const assertion = jwt.sign(
+      { iss: config.clientEmail, scope: GOOGLE_SCOPE, aud: GOOGLE_TOKEN_URL },
+      config.privateKey,
+      { algorithm: 'RS256', expiresIn: 3600 }
+    );
+
+    const { data } = await axios.post(GOOGLE_TOKEN_URL, new URLSearchParams({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion
+    }).toString(), { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } });
+
+    this.googleAccessToken = { value: data.access_token, expiresAt: Date.now() + data.expires_in * 1000 };
+    return data.access_token;
+  }
+
+  /**
+   * @private
+   */
+  toGoogleClass(event) {
+    return {
+      issuerName: getGoogleConfig().issuerName,
+      reviewStatus: 'UNDER_REVIEW',
+      eventName: this.localized(event.title),
+      dateTime: {
+        start: event.startDateTime.toISOString(),
+        end: event.endDateTime ? event.endDateTime.toISOString() : undefined
+      },
+      venue: event.location
+        ? { name: this.localized(event.location), address: this.localized(event.location) }
+        : undefined
+    };
+  }
+
+  /**
+   * @private
+   */
+  toGoogleBarcode(ticket) {
+    return { type: 'QR_CODE', value: ticket.ticketToken, alternateText: ticket.ticketNumber };
+  }
+
+  /**
+   * @private
+   */
+  googleClassId(eventId) {
+    return `${getGoogleConfig().issuerId}.event_${eventId}`;
+  }
+
+  /**
+   * @private
+   */
+  googleObjectId(serialNumber) {
+    return `${getGoogleConfig().issuerId}.ticket_${serialNumber}`;
+  }
+
+  /**
+   * @private
+   */
+  localized(value) {
+    return { defaultValue: { language: 'en-US', value: String(value) } };
+  }
+
+  /**
+   * @private
+   */
+  getHolderName(ticket) {
+    return ticket.attendeeName || ticket.attendeeEmail || 'Ticket holder';
+  }
+}
+
+module.exports = new WalletPassService();
@@ -0,0 +1,91 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/user');
+const checkInStaffService = require('../services/checkInStaffService');
+const checkInFeedService = require('../services/checkInFeedService');
+const { securityConfig } = require('../config/security');
+
+// Live check-in dashboard for organizers, door staff and scanner devices.
+// Clients connect to the /check-in namespace with a user or scanner token and
+// subscribe to events they staff; see services/checkInFeedService.js for the payloads.
+class CheckInSocket {
+  constructor(io) {
+    this.namespace = io.of('/check-in');
+    this.setupMiddleware();
+    this.setupEventHandlers();
+    checkInFeedService.attach(this.namespace);
+  }
+
+  setupMiddleware() {
+    this.namespace.use(async (socket, next) => {
+      try {
+        const token = socket.handshake.auth?.token || socket.handshake.headers?.authorization?.replace('Bearer ', '');
+        if (!token) {
+          return next(new Error('Authentication required'));
+        }
+
+        const scanner = await checkInStaffService.authenticateScanner(token);
+        if (scanner) {
+          socket.actor = { scanner };
+          socket.join(`scanner_${scanner._id}`);
+          return next();
+        }
+
+        const decoded = jwt.verify(token, securityConfig.jwt.secret);
+        const user = await User.findById(decoded.userId).select('-password');
+        if (!user || !user.isActive) {
+          return next(new Error('Authentication required'));
+        }
+
+        socket.actor = { user };
+        next();
+      } catch (error) {
+        next(new Error(error.statusCode ? error.message : 'Invalid token'));
+      }
+    });
+  }
+
+  setupEventHandlers() {
+    this.namespace.on('connection', (socket) => {
+      // Watch an event's check-ins; the current snapshot is sent right away
+      socket.on('subscribe', async (payload) => {
+        try {
+          const eventId = typeof payload === 'object' && payload !== null ? payload.eventId : payload;
+          if (!eventId || !/^[a-f\d]{24}$/i.test(String(eventId))) {
+            socket.emit('error', { message: 'A valid eventId is required' });
+            return;
+          }
+
+          await checkInStaffService.assertCanCheckIn(eventId, socket.actor);
+
+          socket.join(checkInFeedService.room(eventId));
+          socket.emit('subscribed', { eventId, snapshot: await checkInFeedService.getSnapshot(eventId) });
+        } catch (error) {
+          socket.emit('error', { message: error.message });
+        }
+      });
+
+      socket.on('unsubscribe', (payload) => {
+        const eventId = typeof payload === 'object' && payload !== null ? payload.eventId : payload;
+        socket.leave(checkInFeedService.room(eventId));
+        socket.emit('unsubscribed', { eventId });
+      });
+
+      // Fresh stats on demand, e.g. to let the arrival rate decay while doors are quiet
+      socket.on('get_stats', async (payload) => {
+        try {
+          const eventId = typeof payload === 'object' && payload !== null ? payload.eventId : payload;
+          if (!socket.rooms.has(checkInFeedService.room(eventId))) {
+            socket.emit('error', { message: 'Subscribe to the event first' });
+            return;
+          }
+
+          socket.emit('stats', await checkInFeedService.getSnapshot(eventId));
+        } catch (error) {
+          socket.emit('error', { message: error.message });
+        }
+      });
+    });
+  }
+}
+
+module.exports = CheckInSocket;
@@ -0,0 +1,194 @@
+jest.mock('../models/checkIn', () => ({
+  updateMany: jest.fn(),
+  findOne: jest.fn(),
+  updateOne: jest.fn(),
+  aggregate: jest.fn()
+}));
+jest.mock('../models/event', () => ({
+  find: jest.fn(),
+  findById: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../services/eventCollaborationService', () => ({
+  hasPermission: jest.fn()
+}));
+jest.mock('../services/eventAnalyticsService', () => ({
+  recordAttendance: jest.fn()
+}));
+
+const CheckIn = require('../models/checkIn');
+const Event = require('../models/event');
+const EventCollaborationService = require('../services/eventCollaborationService');
+const EventAnalyticsService = require('../services/eventAnalyticsService');
+const attendanceService = require('../services/attendanceService');
+const { parseCsv } = require('../utils/csv');
+
+const HOUR = 60 * 60 * 1000;
+
+// Mock data
+const mockOrganizer = {
+  _id: 'organizer-1',
+  email: 'organizer@example.com'
+};
+
+const mockEvent = {
+  _id: '64b7f0c2a1b2c3d4e5f60001',
+  startDateTime: new Date(Date.now() - 30 * HOUR),
+  endDateTime: new Date(Date.now() - 26 * HOUR),
+  getTicketsValidUntil() {
+    return new Date(this.endDateTime.getTime() + 12 * HOUR);
+  }
+};
+
+const mockTicket = {
+  _id: 'ticket-1',
+  event: mockEvent._id,
+  ticketNumber: 'TKT-A1B2C3D4-1',
+  attendeeEmail: 'guest@example.com',
+  status: 'no_show'
+};
+
+describe('Attendance', () => {
+  beforeEach(() => {
+    Event.findById.mockReturnValue({ select: async () => mockEvent });
+    EventCollaborationService.hasPermission.mockResolvedValue(true);
+    CheckIn.findOne.mockResolvedValue(mockTicket);
+    CheckIn.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    CheckIn.aggregate.mockResolvedValue([]);
+    EventAnalyticsService.recordAttendance.mockImplementation(async (eventId, attendance) => ({ analytics: { attendance } }));
+  });
+
+  describe('No-shows', () => {
+    it('should close events once their tickets stopped working', async () => {
+      const endedRecently = { ...mockEvent, _id: 'event-2', endDateTime: new Date(Date.now() - 2 * HOUR) };
+      Event.find.mockReturnValue({ select: async () => [mockEvent, endedRecently] });
+      CheckIn.updateMany.mockResolvedValue({ modifiedCount: 3 });
+
+      const closed = await attendanceService.closeFinishedEvents();
+
+      expect(closed).toBe(1);
+      expect(CheckIn.updateMany).toHaveBeenCalledTimes(1);
+      expect(CheckIn.updateMany).toHaveBeenCalledWith({ event: mockEvent._id, status: 'pending' }, { status: 'no_show' });
+      expect(Event.updateOne).toHaveBeenCalledWith({ _id: mockEvent._id }, { attendanceClosedAt: expect.any(Date) });
+    });
+
+    it('should keep closing other events when one fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      Event.find.mockReturnValue({ select: async () => [mockEvent, { ...mockEvent, _id: '64b7f0c2a1b2c3d4e5f60003' }] });
+      CheckIn.updateMany
+        .mockRejectedValueOnce(new Error('connection lost'))
+        .mockResolvedValueOnce({ modifiedCount: 1 });
+
+      const closed = await attendanceService.closeFinishedEvents();
+
+      expect(closed).toBe(1);
+      expect(Event.updateOne).toHaveBeenCalledWith({ _id: '64b7f0c2a1b2c3d4e5f60003' }, expect.any(Object));
+    });
+
+    it('should compute the attendance figures of a closed event', async () => {
+      CheckIn.updateMany.mockResolvedValue({ modifiedCount: 2 });
+      CheckIn.aggregate
+        .mockResolvedValueOnce([{ _id: 'checked_in', count: 8 }, { _id: 'no_show', count: 2 }])
+        .mockResolvedValueOnce([{ _id: '2030-05-01T18:00', count: 8 }]);
+
+      const result = await attendanceService.closeEvent(mockEvent._id);
+
+      expect(result).toEqual({
+        noShows: 2,
+        attendance: { total: 10, checkIns: 8, noShows: 2, byTimeSlot: [{ timeSlot: '2030-05-01T18:00', count: 8 }] }
+      });
+    });
+  });
+
+  describe('Corrections', () => {
+    it('should check in the attendees of a sign-in sheet at the event start', async () => {
+      const csv = 'Ticket Number,Email,Attended\r\nTKT-A1B2C3D4-1,,yes\r\n';
+
+      const report = await attendanceService.correctAttendance(mockEvent._id, mockOrganizer, { csv });
+
+      expect(report).toMatchObject({ updated: 1, unchanged: 0, errors: [] });
+      expect(CheckIn.findOne).toHaveBeenCalledWith({ event: mockEvent._id, ticketNumber: 'TKT-A1B2C3D4-1' });
+      const [filter, update] = CheckIn.updateOne.mock.calls[0];
+      expect(filter).toEqual({ _id: 'ticket-1', status: 'no_show' });
+      expect(update).toMatchObject({
+        status: 'checked_in',
+        checkInTime: mockEvent.startDateTime,
+        checkInMethod: 'reconciliation',
+        checkInBy: 'organizer-1'
+      });
+      expect(update.notes).toMatch(/^Attendance corrected to checked_in by organizer@example.com/);
+    });
+
+    it('should mark an attendee absent by email', async () => {
+      CheckIn.findOne.mockResolvedValue({ ...mockTicket, status: 'checked_in' });
+
+      await attendanceService.correctAttendance(mockEvent._id, mockOrganizer, {
+        records: [{ email: 'Guest@Example.com', attended: false }]
+      });
+
+      expect(CheckIn.findOne).toHaveBeenCalledWith({ event: mockEvent._id, attendeeEmail: 'guest@example.com' });
+      expect(CheckIn.updateOne.mock.calls[0][1]).toMatchObject({ status: 'no_show', $unset: { checkInTime: 1 } });
+    });
+
+    it('should report the rows it cannot apply with their line numbers', async () => {
+      CheckIn.findOne
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(mockTicket)
+        .mockResolvedValueOnce({ ...mockTicket, status: 'checked_in' });
+      const csv = [
+        'ticketNumber,attended,checkInTime',
+        'TKT-MISSING-1,yes,',
+        'TKT-A1B2C3D4-1,maybe,',
+        'TKT-A1B2C3D4-2,yes,'
+      ].join('\n');
+
+      const report = await attendanceService.correctAttendance(mockEvent._id, mockOrganizer, { csv });
+
+      expect(report.errors).toEqual([
+        { line: 2, message: 'Ticket TKT-MISSING-1 not found' },
+        { line: 3, message: 'Unrecognized attended value "maybe"' }
+      ]);
+      expect(report).toMatchObject({ updated: 0, unchanged: 1 });
+      expect(CheckIn.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should not overwrite a ticket that was scanned meanwhile', async () => {
+      CheckIn.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      const report = await attendanceService.correctAttendance(mockEvent._id, mockOrganizer, {
+        records: [{ ticketNumber: 'TKT-A1B2C3D4-1' }]
+      });
+
+      expect(report.errors).toEqual([{ line: 1, message: 'Ticket TKT-A1B2C3D4-1 changed in the meantime' }]);
+    });
+
+    it('should recompute the event\'s attendance analytics', async () => {
+      await attendanceService.correctAttendance(mockEvent._id, mockOrganizer, { records: [{ ticketNumber: 'TKT-A1B2C3D4-1' }] });
+
+      expect(EventAnalyticsService.recordAttendance).toHaveBeenCalledWith(mockEvent._id, expect.objectContaining({ total: 0 }));
+    });
+
+    it('should only correct attendance once the event has ended', async () => {
+      Event.findById.mockReturnValue({ select: async () => ({ ...mockEvent, endDateTime: new Date(Date.now() + HOUR) }) });
+
+      await expect(attendanceService.correctAttendance(mockEvent._id, mockOrganizer, { csv: 'email\nguest@example.com' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should refuse users without attendee access', async () => {
+      EventCollaborationService.hasPermission.mockResolvedValue(false);
+
+      await expect(attendanceService.correctAttendance(mockEvent._id, { _id: 'user-1' }, { csv: 'email\nguest@example.com' }))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(CheckIn.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('CSV parsing', () => {
+    it('should read quoted fields, semicolons and a byte order mark', () => {
+      const rows = parseCsv('﻿Ticket Number;Name\n"TKT-1";"Lovelace; ""Ada"""\n\n');
+
+      expect(rows).toEqual([{ line: 2, ticket_number: 'TKT-1', name: 'Lovelace; "Ada"' }]);
+    });
+  });
+});
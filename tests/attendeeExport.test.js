@@ -0,0 +1,150 @@
+jest.mock('../models/checkIn', () => ({
+  find: jest.fn()
+}));
+jest.mock('../models/event', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../models/user', () => ({
+  find: jest.fn()
+}));
+jest.mock('../models/seatReservation', () => ({
+  find: jest.fn()
+}));
+jest.mock('../services/eventCollaborationService', () => ({
+  hasPermission: jest.fn()
+}));
+
+const JSZip = require('jszip');
+const CheckIn = require('../models/checkIn');
+const Event = require('../models/event');
+const User = require('../models/user');
+const SeatReservation = require('../models/seatReservation');
+const EventCollaborationService = require('../services/eventCollaborationService');
+const attendeeExportService = require('../services/attendeeExportService');
+const { formatCsvRow } = require('../utils/csv');
+
+// Mock data
+const mockEvent = {
+  _id: 'event-1',
+  title: 'Test Event: 2030!',
+  attendees: ['user-1', 'user-2']
+};
+
+const mockOrder = {
+  _id: 'order-1',
+  status: 'completed',
+  buyer: { _id: 'user-1', firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com' },
+  totalAmount: 50,
+  currency: 'EUR'
+};
+
+const mockTicket = {
+  _id: 'ticket-1',
+  ticketNumber: 'TKT-A1B2C3D4-1',
+  attendee: { _id: 'user-1', firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com' },
+  ticketType: 'VIP',
+  status: 'checked_in',
+  checkInTime: new Date('2030-05-01T18:05:00Z'),
+  order: mockOrder
+};
+
+const mockRegistrant = {
+  _id: 'user-2',
+  firstName: 'Grace',
+  lastName: 'Hopper',
+  email: 'grace@example.com'
+};
+
+// Query chains ending in .cursor() iterate over the given documents
+const mockCursor = (documents) => {
+  const query = {
+    sort: () => query,
+    select: () => query,
+    populate: () => query,
+    cursor: () => documents
+  };
+  return query;
+};
+
+// JSZip's node stream is not async iterable, so read it through events
+const readStream = (stream) => new Promise((resolve, reject) => {
+  const chunks = [];
+  stream.on('data', (chunk) => chunks.push(Buffer.from(chunk)));
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+  stream.on('error', reject);
+});
+
+describe('Attendee export', () => {
+  beforeEach(() => {
+    Event.findById.mockReturnValue({ select: async () => mockEvent });
+    EventCollaborationService.hasPermission.mockResolvedValue(true);
+    CheckIn.find.mockReturnValue(mockCursor([mockTicket]));
+    User.find.mockReturnValue(mockCursor([mockRegistrant]));
+    SeatReservation.find.mockReturnValue({
+      select: () => ({ lean: async () => [{ user: 'user-2', createdAt: new Date('2030-04-01T10:00:00Z') }] })
+    });
+  });
+
+  it('should stream tickets and then registrations without a ticket as CSV', async () => {
+    const { filename, contentType, stream } = await attendeeExportService.exportAttendees('event-1', { _id: 'organizer-1' }, {
+      columns: 'attendeeName,attendeeEmail,status,checkedIn,checkInTime,buyerEmail,registeredAt'
+    });
+
+    const csv = (await readStream(stream)).toString('utf8');
+
+    expect(filename).toBe('test-event-2030-attendees.csv');
+    expect(contentType).toBe('text/csv; charset=utf-8');
+    expect(csv.split('\r\n')).toEqual([
+      '﻿Attendee name,Attendee email,Status,Checked in,Check-in time,Buyer email,Registered at',
+      'Ada Lovelace,ada@example.com,checked_in,yes,2030-05-01T18:05:00.000Z,ada@example.com,',
+      'Grace Hopper,grace@example.com,registered,no,,,2030-04-01T10:00:00.000Z',
+      ''
+    ]);
+    expect(User.find).toHaveBeenCalledWith({ _id: { $in: ['user-2'] } });
+  });
+
+  it('should only export tickets in the requested status', async () => {
+    const { stream } = await attendeeExportService.exportAttendees('event-1', { _id: 'organizer-1' }, { status: 'no_show' });
+    await readStream(stream);
+
+    expect(CheckIn.find).toHaveBeenCalledWith({ event: 'event-1', status: 'no_show' });
+    expect(User.find).not.toHaveBeenCalled();
+  });
+
+  it('should export a workbook with the same rows as XLSX', async () => {
+    const { filename, stream } = await attendeeExportService.exportAttendees('event-1', { _id: 'organizer-1' }, {
+      format: 'xlsx',
+      columns: ['attendeeName', 'amountPaid']
+    });
+
+    const zip = await JSZip.loadAsync(await readStream(stream));
+    const sheet = await zip.file('xl/worksheets/sheet1.xml').async('string');
+
+    expect(filename).toBe('test-event-2030-attendees.xlsx');
+    expect(sheet).toContain('Ada Lovelace');
+    expect(sheet).toContain('<v>50</v>');
+    expect(sheet).toContain('Grace Hopper');
+  });
+
+  it('should refuse unknown columns, formats and statuses', async () => {
+    await expect(attendeeExportService.exportAttendees('event-1', { _id: 'organizer-1' }, { columns: 'attendeeName,password' }))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(/^Unknown columns: password/) });
+    await expect(attendeeExportService.exportAttendees('event-1', { _id: 'organizer-1' }, { format: 'pdf' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(attendeeExportService.exportAttendees('event-1', { _id: 'organizer-1' }, { status: 'lost' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('should only let organizers with attendee access export', async () => {
+    EventCollaborationService.hasPermission.mockResolvedValue(false);
+
+    await expect(attendeeExportService.exportAttendees('event-1', { _id: 'user-3' })).rejects.toMatchObject({ statusCode: 403 });
+    expect(CheckIn.find).not.toHaveBeenCalled();
+  });
+
+  describe('CSV formatting', () => {
+    it('should keep attendee text from running as a formula', () => {
+      expect(formatCsvRow(['=HYPERLINK("http://x")', '+1', 'Ada', 3])).toBe('"\'=HYPERLINK(""http://x"")",\'+1,Ada,3\r\n');
+    });
+  });
+});
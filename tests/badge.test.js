@@ -0,0 +1,191 @@
+jest.mock('../models/checkIn', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  countDocuments: jest.fn()
+}));
+jest.mock('../models/event', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../models/user', () => ({
+  findOne: jest.fn()
+}));
+jest.mock('../services/eventCollaborationService', () => ({
+  hasPermission: jest.fn()
+}));
+
+const CheckIn = require('../models/checkIn');
+const Event = require('../models/event');
+const User = require('../models/user');
+const EventCollaborationService = require('../services/eventCollaborationService');
+const checkInSessionService = require('../services/checkInSessionService');
+const badgeService = require('../services/badgeService');
+const { manualCheckIn } = require('../controllers/checkInController');
+
+// Mock data
+const mockEvent = {
+  _id: 'event-1',
+  title: 'Test Conference',
+  checkInSessions: [],
+  getCheckInSession: () => null
+};
+
+const mockTicket = {
+  _id: 'ticket-1',
+  event: 'event-1',
+  status: 'pending',
+  ticketNumber: 'TKT-A1B2C3D4-1',
+  ticketType: 'VIP',
+  ticketToken: 'ticket-token-1',
+  attendee: { _id: 'user-1', firstName: 'Ada', lastName: 'Lovelace' },
+  order: { buyer: 'user-1', billingDetails: { company: 'Analytical Engines Ltd' } }
+};
+
+// CheckIn.find(...) with its sort, skip, populate and limit chain resolves to the tickets
+const mockTicketQuery = (tickets) => {
+  const query = {
+    sort: () => query,
+    skip: () => query,
+    populate: () => query,
+    limit: () => query,
+    then: (resolve, reject) => Promise.resolve(tickets).then(resolve, reject)
+  };
+  CheckIn.find.mockReturnValue(query);
+};
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('Badges', () => {
+  beforeEach(() => {
+    Event.findById.mockReturnValue({ select: async () => mockEvent });
+    EventCollaborationService.hasPermission.mockResolvedValue(true);
+    mockTicketQuery([mockTicket]);
+  });
+
+  describe('Content', () => {
+    it('should print the buyer\'s company on the buyer\'s own ticket', () => {
+      expect(badgeService.toBadge(mockTicket)).toEqual({
+        name: 'Ada Lovelace',
+        organization: 'Analytical Engines Ltd',
+        tier: 'VIP',
+        ticketNumber: 'TKT-A1B2C3D4-1',
+        token: 'ticket-token-1'
+      });
+    });
+
+    it('should not print the buyer\'s company on tickets assigned to others', () => {
+      const badge = badgeService.toBadge({ ...mockTicket, attendee: undefined, attendeeName: 'Guest User' });
+
+      expect(badge.name).toBe('Guest User');
+      expect(badge.organization).toBeUndefined();
+    });
+
+    it('should leave out the default ticket type', () => {
+      expect(badgeService.toBadge({ ...mockTicket, ticketType: 'general' }).tier).toBeUndefined();
+    });
+
+    it('should use the event title as the default header', () => {
+      const layout = badgeService.getLayout({ ...mockEvent, badgeLayout: { footerText: 'Welcome', widthMm: undefined } });
+
+      expect(layout).toMatchObject({ headerText: 'Test Conference', footerText: 'Welcome', widthMm: 102, heightMm: 76 });
+    });
+  });
+
+  describe('Rendering', () => {
+    it('should render one ZPL label per badge at the printer resolution', () => {
+      const layout = badgeService.getLayout(mockEvent);
+      const badges = [badgeService.toBadge(mockTicket), badgeService.toBadge({ ...mockTicket, ticketToken: 'ticket-token-2' })];
+
+      const zpl = badgeService.renderZpl(badges, layout);
+
+      expect(zpl.match(/\^XA/g)).toHaveLength(2);
+      expect(zpl.match(/\^XZ/g)).toHaveLength(2);
+      expect(zpl).toContain('^PW815');
+      expect(zpl).toContain('^FDMA,ticket-token-1^FS');
+    });
+
+    it('should escape ZPL control characters in names', () => {
+      const zpl = badgeService.renderZpl([{ name: 'Ada^XZ_Lovelace', token: 'ticket-token-1' }], badgeService.getLayout(mockEvent));
+
+      expect(zpl).toContain('Ada_5EXZ_5FLovelace');
+      expect(zpl.match(/\^XZ/g)).toHaveLength(1);
+    });
+
+    it('should render a badge-sized PDF page per badge', async () => {
+      const badges = [badgeService.toBadge(mockTicket), badgeService.toBadge({ ...mockTicket, ticketToken: 'ticket-token-2' })];
+
+      const pdf = await badgeService.renderPdf(badges, badgeService.getLayout(mockEvent));
+
+      expect(pdf.subarray(0, 4).toString()).toBe('%PDF');
+      expect(pdf.toString('latin1').match(/\/Type \/Page\n/g)).toHaveLength(2);
+    });
+
+    it('should return a PDF badge as base64 for printing at the door', async () => {
+      const badge = await badgeService.renderForCheckIn('ticket-1', mockEvent, 'pdf');
+
+      expect(Buffer.from(badge.content, 'base64').subarray(0, 4).toString()).toBe('%PDF');
+    });
+  });
+
+  describe('Access', () => {
+    it('should not print a badge for a cancelled ticket', async () => {
+      mockTicketQuery([{ ...mockTicket, status: 'cancelled' }]);
+
+      await expect(badgeService.getTicketBadge('ticket-1', { user: { _id: 'staff-1' } }, 'zpl'))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should only print badges for check-in staff of the event', async () => {
+      await expect(badgeService.getTicketBadge('ticket-1', { scanner: { _id: 'scanner-1', event: 'event-2' } }, 'zpl'))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should print the badges of the tiers admitted to a session', async () => {
+      const session = { _id: 'session-1', ticketTiers: ['tier-vip'] };
+      Event.findById.mockReturnValue({ select: async () => ({ ...mockEvent, getCheckInSession: () => session }) });
+      CheckIn.countDocuments.mockResolvedValue(1);
+
+      const badges = await badgeService.getEventBadges('event-1', { user: { _id: 'staff-1' } }, { format: 'zpl', sessionId: 'session-1' });
+
+      expect(CheckIn.find).toHaveBeenCalledWith({ event: 'event-1', status: { $ne: 'cancelled' }, ticketTier: { $in: ['tier-vip'] } });
+      expect(badges).toMatchObject({ count: 1, total: 1, filename: 'badges-event-1-1.zpl' });
+    });
+
+    it('should report when no ticket matches the filters', async () => {
+      mockTicketQuery([]);
+      CheckIn.countDocuments.mockResolvedValue(0);
+
+      await expect(badgeService.getEventBadges('event-1', { user: { _id: 'staff-1' } }, { status: 'no_show' }))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('Printing at check-in', () => {
+    it('should keep the check-in and report the error when the badge cannot be rendered', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const checkedIn = { ...mockTicket, status: 'checked_in', populate: jest.fn() };
+      User.findOne.mockReturnValue({ select: async () => ({ _id: 'user-1' }) });
+      CheckIn.findOne.mockResolvedValue(mockTicket);
+      jest.spyOn(checkInSessionService, 'recordScan').mockResolvedValue({ accepted: true, ticket: checkedIn, session: 'Main entrance' });
+      jest.spyOn(badgeService, 'renderForCheckIn').mockRejectedValue(new Error('Font not found'));
+      const res = mockResponse();
+
+      await manualCheckIn({
+        body: { eventId: 'event-1', attendeeEmail: 'ada@example.com', printBadge: 'pdf' },
+        user: { _id: 'staff-1' }
+      }, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json.mock.calls[0][0].data).toMatchObject({
+        checkIn: checkedIn,
+        badge: undefined,
+        badgeError: 'Badge could not be generated'
+      });
+      expect(console.error).toHaveBeenCalledWith('Badge render error:', expect.any(Error));
+    });
+  });
+});
@@ -0,0 +1,164 @@
+jest.mock('../models/checkIn', () => ({
+  getEventStats: jest.fn(),
+  getTierStats: jest.fn(),
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../models/checkInScan', () => ({
+  create: jest.fn(),
+  countDocuments: jest.fn()
+}));
+jest.mock('../services/eventCollaborationService', () => ({
+  hasPermission: jest.fn()
+}));
+
+const CheckIn = require('../models/checkIn');
+const CheckInScan = require('../models/checkInScan');
+const checkInFeedService = require('../services/checkInFeedService');
+const checkInSessionService = require('../services/checkInSessionService');
+
+// Mock data
+const mockTicket = {
+  _id: 'ticket-1',
+  event: 'event-1',
+  ticketNumber: 'TKT-A1B2C3D4-1',
+  ticketType: 'VIP',
+  ticketTier: 'tier-vip',
+  status: 'pending',
+  attendee: { _id: 'user-1', firstName: 'Ada', lastName: 'Lovelace' },
+  sessions: []
+};
+
+const mockScanner = {
+  _id: 'scanner-1',
+  event: 'event-1',
+  label: 'North door'
+};
+
+const mockEvent = {
+  _id: 'event-1',
+  checkInSessions: [],
+  getCheckInSession: () => null
+};
+
+// A namespace that records what is emitted to which room
+const mockNamespace = () => {
+  const emitted = [];
+  const watchers = new Map([['event_event-1', new Set(['socket-1'])]]);
+  const disconnectSockets = jest.fn();
+  return {
+    emitted,
+    disconnectSockets,
+    adapter: { rooms: watchers },
+    to: (room) => ({ emit: (name, payload) => emitted.push({ room, name, payload }) }),
+    in: (room) => ({ disconnectSockets: (close) => disconnectSockets(room, close) })
+  };
+};
+
+describe('Live check-in feed', () => {
+  let namespace;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    namespace = mockNamespace();
+    checkInFeedService.attach(namespace);
+    checkInFeedService.pendingStats.clear();
+    CheckIn.getEventStats.mockResolvedValue({ total: 10, checkedIn: 4, pending: 6, noShow: 0, sessions: [] });
+    CheckIn.getTierStats.mockResolvedValue([{ ticketTier: 'tier-vip', ticketType: 'VIP', total: 10, checkedIn: 4 }]);
+    CheckInScan.countDocuments.mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('Publishing', () => {
+    it('should push a check-in to the event\'s dashboard room', () => {
+      checkInFeedService.publishCheckIn('event-1', mockTicket, { session: 'Main entrance', method: 'qr_scan', entries: 1, actor: { scanner: mockScanner } });
+
+      expect(namespace.emitted).toHaveLength(1);
+      expect(namespace.emitted[0]).toMatchObject({
+        room: 'event_event-1',
+        name: 'checkin',
+        payload: {
+          ticketId: 'ticket-1',
+          attendeeName: 'Ada Lovelace',
+          ticketType: 'VIP',
+          direction: 'entry',
+          by: { scannerId: 'scanner-1', label: 'North door' }
+        }
+      });
+    });
+
+    it('should push an alert with the rejected ticket', () => {
+      checkInFeedService.publishAlert('event-1', 'duplicate', {
+        message: 'Already inside',
+        ticket: { ...mockTicket, attendee: undefined, attendeeEmail: 'guest@example.com' },
+        actor: { user: { _id: 'staff-1', firstName: 'Door', lastName: 'Staff' } }
+      });
+
+      expect(namespace.emitted[0]).toMatchObject({
+        name: 'alert',
+        payload: { type: 'duplicate', message: 'Already inside', attendeeName: 'guest@example.com', by: { userId: 'staff-1', name: 'Door Staff' } }
+      });
+    });
+
+    it('should do nothing until the namespace is attached', () => {
+      checkInFeedService.attach(null);
+
+      expect(() => checkInFeedService.publishUndo('event-1', mockTicket, { scanner: mockScanner })).not.toThrow();
+      expect(namespace.emitted).toHaveLength(0);
+    });
+
+    it('should disconnect the dashboards of a revoked scanner', () => {
+      checkInFeedService.disconnectScanner('scanner-1');
+
+      expect(namespace.disconnectSockets).toHaveBeenCalledWith('scanner_scanner-1', true);
+    });
+  });
+
+  describe('Stats', () => {
+    it('should send one stats snapshot for a burst of check-ins', async () => {
+      checkInFeedService.publishCheckIn('event-1', mockTicket);
+      checkInFeedService.publishCheckIn('event-1', { ...mockTicket, _id: 'ticket-2' });
+      checkInFeedService.publishUndo('event-1', mockTicket);
+
+      await jest.advanceTimersByTimeAsync(2000);
+
+      const snapshots = namespace.emitted.filter(({ name }) => name === 'stats');
+      expect(snapshots).toHaveLength(1);
+      expect(snapshots[0].payload).toMatchObject({ stats: { checkedIn: 4 }, tiers: [{ ticketType: 'VIP' }] });
+    });
+
+    it('should skip the snapshot when nobody is watching the event', async () => {
+      checkInFeedService.publishCheckIn('event-2', { ...mockTicket, event: 'event-2' });
+
+      await jest.advanceTimersByTimeAsync(2000);
+
+      expect(namespace.emitted.filter(({ name }) => name === 'stats')).toHaveLength(0);
+      expect(CheckIn.getEventStats).not.toHaveBeenCalled();
+    });
+
+    it('should report the arrival rate per minute over the last 5 and 15 minutes', async () => {
+      CheckInScan.countDocuments.mockResolvedValueOnce(12).mockResolvedValueOnce(20);
+
+      const snapshot = await checkInFeedService.getSnapshot('event-1');
+
+      expect(snapshot.arrivalRate).toEqual({ unit: 'entries_per_minute', last5Minutes: 2.4, last15Minutes: 1.3 });
+      expect(CheckInScan.countDocuments).toHaveBeenCalledWith(expect.objectContaining({ event: 'event-1', direction: 'entry' }));
+    });
+  });
+
+  describe('Door scans', () => {
+    it('should alert the dashboard when an attendee is scanned in twice', async () => {
+      CheckIn.findOneAndUpdate.mockResolvedValue(null);
+      CheckIn.findById.mockReturnValue({ select: async () => ({ sessions: [{ session: null, inside: true, entries: 1, lastEntryAt: new Date() }] }) });
+
+      await checkInSessionService.recordScan({ ...mockTicket, status: 'checked_in' }, mockEvent, { actor: { scanner: mockScanner } });
+
+      expect(namespace.emitted).toHaveLength(1);
+      expect(namespace.emitted[0]).toMatchObject({ name: 'alert', payload: { type: 'duplicate', ticketId: 'ticket-1', session: 'Main entrance' } });
+    });
+  });
+});
@@ -0,0 +1,221 @@
+jest.mock('../models/checkIn', () => ({
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../models/checkInScan', () => ({
+  create: jest.fn(),
+  find: jest.fn(),
+  findOne: jest.fn(),
+  deleteOne: jest.fn()
+}));
+jest.mock('../services/eventCollaborationService', () => ({
+  hasPermission: jest.fn()
+}));
+
+const CheckIn = require('../models/checkIn');
+const CheckInScan = require('../models/checkInScan');
+const checkInSessionService = require('../services/checkInSessionService');
+
+const HOUR = 60 * 60 * 1000;
+
+// Mock data
+const mockStaff = {
+  user: { _id: 'staff-1' }
+};
+
+const mockSession = {
+  _id: 'session-day2',
+  name: 'Day 2',
+  startsAt: new Date(Date.now() - HOUR),
+  endsAt: new Date(Date.now() + 8 * HOUR),
+  ticketTiers: [],
+  allowReentry: true
+};
+
+const mockEvent = {
+  _id: 'event-1',
+  checkInSessions: [mockSession],
+  getCheckInSession: (id) => (id === mockSession._id ? mockSession : null)
+};
+
+const mockTicket = {
+  _id: 'ticket-1',
+  event: 'event-1',
+  ticketTier: 'tier-general',
+  status: 'pending',
+  sessions: []
+};
+
+const mockMainEntry = {
+  session: null,
+  inside: true,
+  entries: 1,
+  firstEntryAt: new Date(Date.now() - 24 * HOUR),
+  lastEntryAt: new Date(Date.now() - 24 * HOUR)
+};
+
+const mockDay2Entry = {
+  session: 'session-day2',
+  inside: true,
+  entries: 1,
+  firstEntryAt: new Date(Date.now() - 10 * 60 * 1000),
+  lastEntryAt: new Date(Date.now() - 10 * 60 * 1000)
+};
+
+describe('Check-in sessions', () => {
+  describe('Entries and exits', () => {
+    it('should check in the ticket on its first entry and log the scan', async () => {
+      const entered = { ...mockTicket, sessions: [{ ...mockMainEntry }] };
+      CheckIn.findOneAndUpdate
+        .mockResolvedValueOnce(entered)
+        .mockResolvedValueOnce({ ...entered, status: 'checked_in' });
+
+      const outcome = await checkInSessionService.recordScan(mockTicket, mockEvent, { actor: mockStaff });
+
+      expect(outcome).toMatchObject({ accepted: true, session: 'Main entrance', state: { inside: true, entries: 1 } });
+      expect(CheckIn.findOneAndUpdate.mock.calls[0][0]).toEqual({
+        _id: 'ticket-1',
+        sessions: { $elemMatch: { session: null, inside: false } }
+      });
+      expect(CheckIn.findOneAndUpdate.mock.calls[1][1]).toMatchObject({ status: 'checked_in', checkInBy: 'staff-1' });
+      expect(CheckInScan.create).toHaveBeenCalledWith(expect.objectContaining({ ticket: 'ticket-1', session: null, direction: 'entry' }));
+    });
+
+    it('should reject an attendee who is already inside', async () => {
+      CheckIn.findOneAndUpdate.mockResolvedValue(null);
+      CheckIn.findById.mockReturnValue({ select: async () => ({ sessions: [mockMainEntry] }) });
+
+      const outcome = await checkInSessionService.recordScan(mockTicket, mockEvent, { actor: mockStaff });
+
+      expect(outcome).toMatchObject({ accepted: false, reason: 'already_inside' });
+      expect(CheckInScan.create).not.toHaveBeenCalled();
+    });
+
+    it('should only let attendees back in to a session that allows re-entry', async () => {
+      const event = { ...mockEvent, getCheckInSession: () => ({ ...mockSession, allowReentry: false }) };
+      CheckIn.findOneAndUpdate.mockResolvedValue(null);
+      CheckIn.findById.mockReturnValue({ select: async () => ({ sessions: [{ ...mockDay2Entry, inside: false }] }) });
+
+      const outcome = await checkInSessionService.recordScan(mockTicket, event, { actor: mockStaff, sessionId: 'session-day2' });
+
+      expect(CheckIn.findOneAndUpdate.mock.calls[0][0].sessions.$elemMatch).toEqual({ session: 'session-day2', inside: false, entries: 0 });
+      expect(outcome).toMatchObject({ accepted: false, reason: 'reentry_not_allowed' });
+    });
+
+    it('should record an exit without touching the ticket\'s check-in', async () => {
+      CheckIn.findOneAndUpdate.mockResolvedValue({ ...mockTicket, status: 'checked_in', sessions: [{ ...mockMainEntry, inside: false }] });
+
+      const outcome = await checkInSessionService.recordScan({ ...mockTicket, status: 'checked_in' }, mockEvent, { actor: mockStaff, direction: 'exit' });
+
+      expect(outcome).toMatchObject({ accepted: true, state: { inside: false } });
+      expect(CheckIn.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(CheckInScan.create).toHaveBeenCalledWith(expect.objectContaining({ direction: 'exit' }));
+    });
+
+    it('should refuse tickets of other tiers at a restricted session', async () => {
+      const event = { ...mockEvent, getCheckInSession: () => ({ ...mockSession, ticketTiers: ['tier-vip'] }) };
+
+      const outcome = await checkInSessionService.recordScan(mockTicket, event, { actor: mockStaff, sessionId: 'session-day2' });
+
+      expect(outcome).toMatchObject({ accepted: false, reason: 'tier_not_allowed', message: 'This ticket does not include Day 2' });
+      expect(CheckIn.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should refuse entries more than an hour before the session starts', async () => {
+      const event = { ...mockEvent, getCheckInSession: () => ({ ...mockSession, startsAt: new Date(Date.now() + 2 * HOUR) }) };
+
+      const outcome = await checkInSessionService.recordScan(mockTicket, event, { actor: mockStaff, sessionId: 'session-day2' });
+
+      expect(outcome).toMatchObject({ accepted: false, reason: 'session_not_open' });
+    });
+
+    it('should refuse an unknown session', async () => {
+      await expect(checkInSessionService.recordScan(mockTicket, mockEvent, { actor: mockStaff, sessionId: 'session-9' }))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('Undo', () => {
+    const mockLastEntry = (scan) => CheckInScan.findOne.mockReturnValue({ sort: async () => scan });
+    const mockSessionEntries = (scans) => CheckInScan.find.mockReturnValue({ sort: () => ({ limit: async () => scans }) });
+
+    it('should refuse a ticket that is not checked in', async () => {
+      await expect(checkInSessionService.undoLastEntry(mockTicket)).rejects.toMatchObject({ statusCode: 409 });
+      expect(CheckIn.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should only take back the most recent entry', async () => {
+      const ticket = { ...mockTicket, status: 'checked_in', sessions: [mockMainEntry, mockDay2Entry] };
+      mockLastEntry({ _id: 'scan-2', session: 'session-day2' });
+      mockSessionEntries([{ _id: 'scan-2', scannedAt: mockDay2Entry.lastEntryAt }]);
+      CheckIn.findOneAndUpdate.mockReturnValue({ populate: async () => ({ ...ticket }) });
+
+      await checkInSessionService.undoLastEntry(ticket, { notes: 'Undone by staff-1' });
+
+      const [filter, update] = CheckIn.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({
+        _id: 'ticket-1',
+        status: 'checked_in',
+        sessions: { $elemMatch: { session: 'session-day2', entries: 1 } }
+      });
+      expect(update).toEqual({
+        $inc: { 'sessions.$.entries': -1 },
+        $set: {
+          notes: 'Undone by staff-1',
+          'sessions.$.inside': false,
+          'sessions.$.lastEntryAt': null,
+          'sessions.$.firstEntryAt': null
+        }
+      });
+      expect(CheckInScan.deleteOne).toHaveBeenCalledWith({ _id: 'scan-2' });
+    });
+
+    it('should go back to the previous entry of a re-entered session', async () => {
+      const ticket = { ...mockTicket, status: 'checked_in', sessions: [{ ...mockMainEntry, entries: 2 }] };
+      const previousEntryAt = new Date(Date.now() - 3 * HOUR);
+      mockLastEntry({ _id: 'scan-3', session: null });
+      mockSessionEntries([{ _id: 'scan-3' }, { _id: 'scan-1', scannedAt: previousEntryAt }]);
+      CheckIn.findOneAndUpdate.mockReturnValue({ populate: async () => ({ ...ticket }) });
+
+      await checkInSessionService.undoLastEntry(ticket);
+
+      const [, update] = CheckIn.findOneAndUpdate.mock.calls[0];
+      expect(update.$set['sessions.$.lastEntryAt']).toBe(previousEntryAt);
+      expect(update.$set.status).toBeUndefined();
+    });
+
+    it('should set the ticket back to pending when its only entry is undone', async () => {
+      const ticket = { ...mockTicket, status: 'checked_in', sessions: [mockMainEntry] };
+      mockLastEntry({ _id: 'scan-1', session: null });
+      mockSessionEntries([{ _id: 'scan-1' }]);
+      CheckIn.findOneAndUpdate.mockReturnValue({ populate: async () => ({ ...ticket, status: 'pending' }) });
+
+      const updated = await checkInSessionService.undoLastEntry(ticket);
+
+      expect(CheckIn.findOneAndUpdate.mock.calls[0][1].$set).toMatchObject({ status: 'pending', checkInTime: null, checkInBy: null, checkInScanner: null, checkInKiosk: null });
+      expect(updated.status).toBe('pending');
+    });
+
+    it('should not undo an entry when the ticket was scanned meanwhile', async () => {
+      const ticket = { ...mockTicket, status: 'checked_in', sessions: [mockMainEntry] };
+      mockLastEntry({ _id: 'scan-1', session: null });
+      mockSessionEntries([{ _id: 'scan-1' }]);
+      CheckIn.findOneAndUpdate.mockReturnValue({ populate: async () => null });
+
+      await expect(checkInSessionService.undoLastEntry(ticket)).rejects.toMatchObject({ statusCode: 409 });
+      expect(CheckInScan.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('should undo a check-in made before sessions were tracked', async () => {
+      const ticket = { ...mockTicket, status: 'checked_in', sessions: [] };
+      mockLastEntry(null);
+      CheckIn.findOneAndUpdate.mockReturnValue({ populate: async () => ({ ...ticket, status: 'pending' }) });
+
+      await checkInSessionService.undoLastEntry(ticket);
+
+      expect(CheckIn.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: 'ticket-1', status: 'checked_in' });
+      expect(CheckIn.findOneAndUpdate.mock.calls[0][1].$inc).toBeUndefined();
+    });
+  });
+});
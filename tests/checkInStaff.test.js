@@ -0,0 +1,215 @@
+process.env.SCANNER_TOKEN_SECRET = 'test-scanner-secret';
+
+jest.mock('../models/event', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../models/scannerCredential', () => ({
+  create: jest.fn(),
+  find: jest.fn(),
+  findOne: jest.fn(),
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../services/eventCollaborationService', () => ({
+  hasPermission: jest.fn()
+}));
+
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const Event = require('../models/event');
+const ScannerCredential = require('../models/scannerCredential');
+const EventCollaborationService = require('../services/eventCollaborationService');
+const checkInStaffService = require('../services/checkInStaffService');
+
+const HOUR = 60 * 60 * 1000;
+
+// Mock data
+const mockOrganizer = {
+  _id: 'organizer-1'
+};
+
+const mockEvent = {
+  _id: 'event-1',
+  title: 'Test Event',
+  startDateTime: new Date(Date.now() + 24 * HOUR), // Tomorrow
+  endDateTime: new Date(Date.now() + 30 * HOUR)
+};
+
+const mockScanner = {
+  _id: 'scanner-1',
+  event: 'event-1',
+  label: 'North door',
+  pinHash: bcrypt.hashSync('123456', 4),
+  validFrom: new Date(Date.now() - HOUR),
+  expiresAt: new Date(Date.now() + 36 * HOUR),
+  failedAttempts: 0,
+  isUsable: () => true
+};
+
+describe('Check-in staff', () => {
+  beforeEach(() => {
+    Event.findById.mockReturnValue({ select: async () => mockEvent });
+    EventCollaborationService.hasPermission.mockResolvedValue(true);
+  });
+
+  describe('Access', () => {
+    it('should let co-organizers with check-in permission check attendees in', async () => {
+      await checkInStaffService.assertCanCheckIn('event-1', { user: { _id: 'door-staff-1' } });
+
+      expect(EventCollaborationService.hasPermission).toHaveBeenCalledWith('event-1', 'door-staff-1', 'check_in');
+    });
+
+    it('should refuse users without check-in permission', async () => {
+      EventCollaborationService.hasPermission.mockResolvedValue(false);
+
+      await expect(checkInStaffService.assertCanCheckIn('event-1', { user: { _id: 'user-1' } }))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should only let a scanner check in at its own event', async () => {
+      await expect(checkInStaffService.assertCanCheckIn('event-2', { scanner: mockScanner }))
+        .rejects.toMatchObject({ statusCode: 403, message: 'This scanner is not authorized for this event' });
+      await expect(checkInStaffService.assertCanCheckIn('event-1', { scanner: mockScanner })).resolves.toBeUndefined();
+    });
+
+    it('should record a scanner check-in against the scanner', () => {
+      expect(checkInStaffService.getActorFields({ scanner: mockScanner })).toEqual({ checkInBy: null, checkInScanner: 'scanner-1', checkInKiosk: null });
+      expect(checkInStaffService.getActorFields({ user: mockOrganizer })).toEqual({ checkInBy: 'organizer-1', checkInScanner: null, checkInKiosk: null });
+    });
+  });
+
+  describe('Scanner credentials', () => {
+    it('should create a credential with a 6-digit PIN that is only stored hashed', async () => {
+      ScannerCredential.create.mockImplementation(async (data) => ({ _id: 'scanner-2', ...data }));
+
+      const { scanner, pin } = await checkInStaffService.createScanner('event-1', mockOrganizer, { label: 'North door' });
+
+      expect(pin).toMatch(/^\d{6}$/);
+      const [data] = ScannerCredential.create.mock.calls[0];
+      expect(data.pinHash).not.toBe(pin);
+      expect(await bcrypt.compare(pin, data.pinHash)).toBe(true);
+      expect(scanner.pinHash).toBeUndefined();
+      expect(scanner.status).toBe('active');
+    });
+
+    it('should expire credentials a few hours after the event by default', async () => {
+      ScannerCredential.create.mockImplementation(async (data) => ({ _id: 'scanner-2', ...data }));
+
+      const { scanner } = await checkInStaffService.createScanner('event-1', mockOrganizer);
+
+      expect(scanner.expiresAt.getTime()).toBe(mockEvent.endDateTime.getTime() + 6 * HOUR);
+    });
+
+    it('should refuse a credential that has already expired', async () => {
+      await expect(checkInStaffService.createScanner('event-1', mockOrganizer, { expiresAt: new Date(Date.now() - HOUR) }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(ScannerCredential.create).not.toHaveBeenCalled();
+    });
+
+    it('should only let organizers with attendee access manage scanners', async () => {
+      EventCollaborationService.hasPermission.mockResolvedValue(false);
+
+      await expect(checkInStaffService.createScanner('event-1', { _id: 'door-staff-1' }))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(EventCollaborationService.hasPermission).toHaveBeenCalledWith('event-1', 'door-staff-1', 'manage_attendees');
+    });
+
+    it('should revoke a credential once', async () => {
+      const scanner = { ...mockScanner, save: jest.fn() };
+      ScannerCredential.findOne.mockResolvedValue(scanner);
+
+      const view = await checkInStaffService.revokeScanner('event-1', 'scanner-1', mockOrganizer);
+
+      expect(view.status).toBe('revoked');
+      expect(scanner.revokedBy).toBe('organizer-1');
+      expect(scanner.save).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Scanner sessions', () => {
+    it('should exchange the PIN for a token scoped to the event', async () => {
+      ScannerCredential.findById.mockReturnValue({ select: async () => mockScanner });
+
+      const { token, expiresAt } = await checkInStaffService.startSession('scanner-1', '123456');
+
+      expect(jwt.verify(token, 'test-scanner-secret')).toMatchObject({ type: 'scanner', scannerId: 'scanner-1', eventId: 'event-1' });
+      expect(expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + 12 * HOUR);
+      expect(ScannerCredential.updateOne).toHaveBeenCalledWith(
+        { _id: 'scanner-1' },
+        expect.objectContaining({ failedAttempts: 0, $unset: { lockedUntil: 1 } })
+      );
+    });
+
+    it('should not let a session outlive its credential', async () => {
+      const expiresAt = new Date(Date.now() + 2 * HOUR);
+      ScannerCredential.findById.mockReturnValue({ select: async () => ({ ...mockScanner, expiresAt }) });
+
+      const session = await checkInStaffService.startSession('scanner-1', '123456');
+
+      expect(session.expiresAt.getTime()).toBe(expiresAt.getTime());
+    });
+
+    it('should count a wrong PIN', async () => {
+      ScannerCredential.findById.mockReturnValue({ select: async () => mockScanner });
+      ScannerCredential.findOneAndUpdate.mockResolvedValue({ ...mockScanner, failedAttempts: 1 });
+
+      await expect(checkInStaffService.startSession('scanner-1', '000000')).rejects.toMatchObject({ statusCode: 401 });
+      expect(ScannerCredential.findOneAndUpdate).toHaveBeenCalledWith({ _id: 'scanner-1' }, { $inc: { failedAttempts: 1 } }, { new: true });
+      expect(ScannerCredential.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should lock the credential after five wrong PINs', async () => {
+      ScannerCredential.findById.mockReturnValue({ select: async () => ({ ...mockScanner, failedAttempts: 4 }) });
+      ScannerCredential.findOneAndUpdate.mockResolvedValue({ ...mockScanner, failedAttempts: 5 });
+
+      await expect(checkInStaffService.startSession('scanner-1', '000000')).rejects.toMatchObject({ statusCode: 401 });
+
+      const [filter, update] = ScannerCredential.updateOne.mock.calls[0];
+      expect(filter).toEqual({ _id: 'scanner-1' });
+      expect(update.failedAttempts).toBe(0);
+      expect(update.lockedUntil.getTime()).toBeGreaterThan(Date.now() + 14 * 60 * 1000);
+    });
+
+    it('should refuse even the right PIN while the credential is locked', async () => {
+      ScannerCredential.findById.mockReturnValue({ select: async () => ({ ...mockScanner, lockedUntil: new Date(Date.now() + 60 * 1000) }) });
+
+      await expect(checkInStaffService.startSession('scanner-1', '123456')).rejects.toMatchObject({ statusCode: 429 });
+    });
+
+    it('should refuse a revoked credential', async () => {
+      ScannerCredential.findById.mockReturnValue({ select: async () => ({ ...mockScanner, revokedAt: new Date(), isUsable: () => false }) });
+
+      await expect(checkInStaffService.startSession('scanner-1', '123456')).rejects.toMatchObject({ statusCode: 401 });
+    });
+  });
+
+  describe('Scanner tokens', () => {
+    const scannerToken = jwt.sign({ type: 'scanner', scannerId: 'scanner-1', eventId: 'event-1' }, 'test-scanner-secret');
+
+    it('should resolve a scanner token to its credential', async () => {
+      ScannerCredential.findById.mockResolvedValue(mockScanner);
+
+      await expect(checkInStaffService.authenticateScanner(scannerToken)).resolves.toBe(mockScanner);
+    });
+
+    it('should leave other bearer tokens to user authentication', async () => {
+      const userToken = jwt.sign({ sub: 'user-1' }, 'another-secret');
+
+      await expect(checkInStaffService.authenticateScanner(userToken)).resolves.toBeNull();
+    });
+
+    it('should end the sessions of a revoked credential', async () => {
+      ScannerCredential.findById.mockResolvedValue({ ...mockScanner, revokedAt: new Date(), isUsable: () => false });
+
+      await expect(checkInStaffService.authenticateScanner(scannerToken)).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('should refuse a forged scanner token', async () => {
+      const forged = jwt.sign({ type: 'scanner', scannerId: 'scanner-1', eventId: 'event-1' }, 'another-secret');
+
+      await expect(checkInStaffService.authenticateScanner(forged)).rejects.toMatchObject({ statusCode: 401, message: 'Invalid scanner token' });
+      expect(ScannerCredential.findById).not.toHaveBeenCalled();
+    });
+  });
+});
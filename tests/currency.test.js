@@ -0,0 +1,55 @@
+const {
+  normalizeCurrency,
+  getDecimals,
+  toMinorUnits,
+  fromMinorUnits,
+  roundAmount,
+  formatAmount
+} = require('../utils/currency');
+
+describe('Currency helpers', () => {
+  describe('Minor units', () => {
+    it('should convert two-decimal currencies to cents', () => {
+      expect(toMinorUnits(12.5, 'usd')).toBe(1250);
+      expect(fromMinorUnits(1250, 'USD')).toBe(12.5);
+    });
+
+    it('should not scale zero-decimal currencies', () => {
+      expect(getDecimals('jpy')).toBe(0);
+      expect(toMinorUnits(1500, 'JPY')).toBe(1500);
+      expect(fromMinorUnits(1500, 'JPY')).toBe(1500);
+    });
+
+    it('should round three-decimal currencies to the nearest ten as Stripe requires', () => {
+      expect(getDecimals('KWD')).toBe(3);
+      expect(toMinorUnits(1.234, 'KWD')).toBe(1230);
+      expect(toMinorUnits(1.235, 'KWD')).toBe(1240);
+    });
+
+    it('should not drift on amounts that are not exact in binary', () => {
+      expect(toMinorUnits(0.1 + 0.2, 'EUR')).toBe(30);
+      expect(roundAmount(19.999, 'EUR')).toBe(20);
+    });
+
+    it('should treat a missing amount as zero', () => {
+      expect(toMinorUnits(undefined, 'USD')).toBe(0);
+      expect(fromMinorUnits(null, 'USD')).toBe(0);
+    });
+  });
+
+  describe('Codes and formatting', () => {
+    it('should upper-case codes and fall back to the default currency', () => {
+      expect(normalizeCurrency('eur')).toBe('EUR');
+      expect(normalizeCurrency()).toBe('INR');
+    });
+
+    it('should format amounts with the currency\'s decimals', () => {
+      expect(formatAmount(1200, 'USD')).toBe('$1,200.00');
+      expect(formatAmount(1500, 'JPY')).toBe('¥1,500');
+    });
+
+    it('should still format an amount in a currency the runtime does not know', () => {
+      expect(formatAmount(5, 'ZZZ1')).toBe('5.00 ZZZ1');
+    });
+  });
+});
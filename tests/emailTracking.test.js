@@ -0,0 +1,166 @@
+process.env.API_BASE_URL = 'https://api.example.com';
+process.env.EMAIL_WEBHOOK_SECRET = 'test-email-webhook-secret';
+
+jest.mock('../models/emailMessage', () => Object.assign(jest.fn(), {
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../models/emailSuppression', () => ({
+  exists: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../services/eventAnalyticsService', () => ({
+  recordEmailMarketing: jest.fn()
+}));
+jest.mock('../config/communicationConfig', () => ({
+  getEmailTransporter: () => ({ sendMail: jest.fn() }),
+  isEmailConfigured: () => true
+}));
+
+const EmailMessage = require('../models/emailMessage');
+const EmailSuppression = require('../models/emailSuppression');
+const emailTrackingService = require('../services/emailTrackingService');
+const emailTemplateService = require('../services/emailTemplateService');
+
+// Mock data
+const mockHtml = '<html><body>'
+  + '<a href="https://eazyevent.com/events/event-1">Event page</a>'
+  + '<a href="https://eazyevent.com/reset-password?token=abc123">Reset</a>'
+  + '<a href="https://eazyevent.com/events/event-1">Again</a>'
+  + '</body></html>';
+
+const mockMessage = {
+  _id: 'message-1',
+  to: 'ada@example.com',
+  event: 'event-1',
+  token: 'token-1',
+  status: 'sent'
+};
+
+describe('Email tracking', () => {
+  beforeEach(() => {
+    EmailMessage.mockImplementation((fields) => ({ ...fields, links: [], save: jest.fn() }));
+    EmailMessage.findOne.mockResolvedValue(mockMessage);
+    EmailMessage.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    EmailSuppression.exists.mockResolvedValue(null);
+  });
+
+  describe('Preparing', () => {
+    it('should route links through the click redirect and add the open pixel', async () => {
+      const { message, html, suppressed } = await emailTrackingService.prepare({
+        to: 'Ada@Example.com', subject: 'Doors open', html: mockHtml, eventId: 'event-1'
+      });
+
+      expect(suppressed).toBe(false);
+      expect(message.to).toBe('ada@example.com');
+      expect(message.links).toEqual(['https://eazyevent.com/events/event-1']);
+      expect(html.match(/track\/click\/[0-9a-f]{32}\/0/g)).toHaveLength(2);
+      expect(html).toContain(`src="https://api.example.com/api/email/track/open/${message.token}.gif"`);
+      expect(message.save).toHaveBeenCalled();
+    });
+
+    it('should leave links with a credential in their query string alone', async () => {
+      const { message, html } = await emailTrackingService.prepare({ to: 'ada@example.com', subject: 'Reset', html: mockHtml });
+
+      expect(html).toContain('href="https://eazyevent.com/reset-password?token=abc123"');
+      expect(message.links).not.toContain('https://eazyevent.com/reset-password?token=abc123');
+    });
+
+    it('should send transactional emails unchanged', async () => {
+      const { message, html } = await emailTrackingService.prepare({
+        to: 'ada@example.com', subject: 'Reset', html: mockHtml, track: false
+      });
+
+      expect(html).toBe(mockHtml);
+      expect(message.links).toEqual([]);
+      expect(message.status).toBe('sending');
+      expect(message.save).toHaveBeenCalled();
+    });
+
+    it('should reuse the log entry of a retried job', async () => {
+      const logged = { ...mockMessage, set: jest.fn(), save: jest.fn() };
+      EmailMessage.findOne.mockResolvedValue(logged);
+
+      const { message, html } = await emailTrackingService.prepare({
+        to: 'ada@example.com', subject: 'Doors open', html: mockHtml, jobId: 'job-1'
+      });
+
+      expect(EmailMessage.findOne).toHaveBeenCalledWith({ job: 'job-1' });
+      expect(EmailMessage).not.toHaveBeenCalled();
+      expect(message).toBe(logged);
+      expect(html).toContain('/api/email/track/click/token-1/0');
+    });
+
+    it('should not send to a suppressed address', async () => {
+      EmailSuppression.exists.mockResolvedValue({ _id: 'suppression-1' });
+
+      const result = await emailTemplateService.sendEmail('ada@example.com', 'Doors open', mockHtml);
+
+      expect(result).toMatchObject({ success: false, suppressed: true });
+      expect(emailTemplateService.transporter.sendMail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Webhook', () => {
+    it('should refuse a wrong secret', async () => {
+      await expect(emailTrackingService.processWebhook({ event: 'bounce', email: 'ada@example.com' }, 'wrong'))
+        .rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('should suppress an address that bounced permanently', async () => {
+      const result = await emailTrackingService.processWebhook(
+        [{ event: 'bounce', email: 'ada@example.com', 'smtp-id': '<abc@mail>', reason: 'No such user' }, { event: 'processed', email: 'ada@example.com' }],
+        'test-email-webhook-secret'
+      );
+
+      expect(result).toEqual({ processed: 1, ignored: 1 });
+      expect(EmailMessage.findOne).toHaveBeenCalledWith({ providerMessageId: 'abc@mail' });
+      expect(EmailMessage.updateOne).toHaveBeenCalledWith(
+        { _id: 'message-1' },
+        { $set: { status: 'bounced', bounce: { type: 'hard', reason: 'No such user', at: expect.any(Date) } } }
+      );
+      expect(EmailSuppression.updateOne).toHaveBeenCalledWith(
+        { email: 'ada@example.com' },
+        { $setOnInsert: { reason: 'hard_bounce', details: 'No such user', message: 'message-1' } },
+        { upsert: true }
+      );
+    });
+
+    it('should not suppress an address after a temporary rejection', async () => {
+      await emailTrackingService.processWebhook(
+        { event: 'bounce', type: 'blocked', email: 'ada@example.com', messageId: 'abc@mail' },
+        'test-email-webhook-secret'
+      );
+
+      expect(EmailMessage.updateOne.mock.calls[0][1].$set.bounce.type).toBe('soft');
+      expect(EmailSuppression.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should mark a dropped message without suppressing the address', async () => {
+      await emailTrackingService.processWebhook(
+        { event: 'dropped', email: 'ada@example.com', messageId: 'abc@mail', reason: 'Bounced Address' },
+        'test-email-webhook-secret'
+      );
+
+      expect(EmailMessage.updateOne).toHaveBeenCalledWith(
+        { _id: 'message-1', status: { $in: ['sending', 'sent', 'delivered', 'opened', 'clicked'] } },
+        { $set: { status: 'dropped', error: 'Bounced Address' } }
+      );
+      expect(EmailSuppression.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should suppress an address that reported spam', async () => {
+      await emailTrackingService.processWebhook(
+        { event: 'spamreport', email: 'ada@example.com', messageId: 'abc@mail' },
+        'test-email-webhook-secret'
+      );
+
+      expect(EmailMessage.updateOne).toHaveBeenCalledWith(
+        { _id: 'message-1' },
+        { $set: { status: 'complained', complainedAt: expect.any(Date) } }
+      );
+      expect(EmailSuppression.updateOne.mock.calls[0][1].$setOnInsert.reason).toBe('complaint');
+    });
+  });
+});
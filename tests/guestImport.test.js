@@ -0,0 +1,203 @@
+jest.mock('../models/checkIn', () => ({
+  find: jest.fn()
+}));
+jest.mock('../models/event', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../models/order', () => ({
+  create: jest.fn()
+}));
+jest.mock('../models/user', () => ({
+  find: jest.fn()
+}));
+jest.mock('../services/reservationService', () => ({
+  reserve: jest.fn(),
+  release: jest.fn(),
+  confirm: jest.fn()
+}));
+jest.mock('../services/ticketService', () => ({
+  issueTickets: jest.fn(),
+  notifyAttendee: jest.fn()
+}));
+jest.mock('../services/eventCollaborationService', () => ({
+  hasPermission: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const CheckIn = require('../models/checkIn');
+const Event = require('../models/event');
+const Order = require('../models/order');
+const User = require('../models/user');
+const reservationService = require('../services/reservationService');
+const ticketService = require('../services/ticketService');
+const EventCollaborationService = require('../services/eventCollaborationService');
+const { AppError } = require('../middlewares/errorHandler');
+const guestImportService = require('../services/guestImportService');
+
+const HOUR = 60 * 60 * 1000;
+
+// Mock data
+const mockOrganizer = {
+  _id: 'organizer-1'
+};
+
+const mockEvent = {
+  _id: 'event-1',
+  title: 'Test Conference',
+  endDateTime: new Date(Date.now() + 48 * HOUR),
+  capacity: 100,
+  seatsTaken: 90,
+  organizationId: 'org-1',
+  ticketTiers: [
+    { _id: 'tier-speaker', name: 'Speaker', quantity: 5, sold: 2 },
+    { _id: 'tier-press', name: 'Press', quantity: 0, sold: 0 }
+  ],
+  getCurrency: async () => 'EUR'
+};
+
+const mockUser = {
+  _id: new mongoose.Types.ObjectId(),
+  firstName: 'Grace',
+  lastName: 'Hopper',
+  email: 'grace@example.com'
+};
+
+describe('Guest import', () => {
+  beforeEach(() => {
+    Event.findById.mockReturnValue({ select: async () => mockEvent });
+    EventCollaborationService.hasPermission.mockResolvedValue(true);
+    User.find.mockReturnValue({ select: async () => [mockUser] });
+    CheckIn.find.mockReturnValue({ select: async () => [] });
+    reservationService.reserve.mockResolvedValue({ _id: 'reservation-1' });
+    Order.create.mockImplementation(async (data) => ({ _id: 'order-1', ...data }));
+    ticketService.issueTickets.mockImplementation(async (order, { holder }) => [{ _id: 'ticket-1', attendeeEmail: holder.email }]);
+  });
+
+  describe('Validation', () => {
+    it('should report the rows that cannot be imported by line without creating anything', async () => {
+      CheckIn.find.mockReturnValue({ select: async () => [{ attendeeEmail: 'press@example.com' }] });
+      const csv = [
+        'Email,First Name,Last Name,Ticket Tier,Quantity',
+        'Grace@Example.com,Grace,Hopper,speaker,2',
+        'not-an-email,,,Speaker,',
+        'ada@example.com,Ada,Lovelace,Sponsor,',
+        'grace@example.com,Grace,Hopper,Speaker,',
+        'press@example.com,,,Press,',
+        'alan@example.com,Alan,Turing,Press,11'
+      ].join('\n');
+
+      const report = await guestImportService.importGuests('event-1', mockOrganizer, { csv }, { dryRun: true });
+
+      expect(report).toMatchObject({ dryRun: true, total: 6, valid: 1, imported: 0 });
+      expect(report.guests).toEqual([{
+        line: 2,
+        email: 'grace@example.com',
+        name: 'Grace Hopper',
+        organization: undefined,
+        ticketTier: 'Speaker',
+        quantity: 2,
+        existingUser: true
+      }]);
+      expect(report.errors).toEqual([
+        { line: 3, message: 'Invalid email "not-an-email"' },
+        { line: 4, message: 'Unknown ticket tier "Sponsor"' },
+        { line: 7, message: 'Quantity must be a whole number from 1 to 10' },
+        { line: 5, message: 'grace@example.com appears more than once in the list' },
+        { line: 6, message: 'press@example.com already has a ticket for this event' }
+      ]);
+      expect(reservationService.reserve).not.toHaveBeenCalled();
+      expect(Order.create).not.toHaveBeenCalled();
+    });
+
+    it('should report the guests that exceed the seats left', async () => {
+      const records = [
+        { email: 'one@example.com', ticketTier: 'Speaker', quantity: 2 },
+        { email: 'two@example.com', ticketTier: 'Speaker', quantity: 2 },
+        { email: 'three@example.com', ticketTier: 'Press', quantity: 8 },
+        { email: 'four@example.com', ticketTier: 'Press', quantity: 2 }
+      ];
+
+      const report = await guestImportService.importGuests('event-1', mockOrganizer, { records }, { dryRun: true });
+
+      expect(report.guests.map((guest) => guest.email)).toEqual(['one@example.com', 'three@example.com']);
+      expect(report.errors).toEqual([
+        { line: 2, message: 'Not enough Speaker tickets left' },
+        { line: 4, message: 'Not enough seats left' }
+      ]);
+    });
+  });
+
+  describe('Importing', () => {
+    it('should give each guest a complimentary order with their ticket', async () => {
+      const report = await guestImportService.importGuests('event-1', mockOrganizer, {
+        records: [{ email: 'speaker@example.com', name: 'Alan Turing', ticketTier: 'tier-speaker', organization: 'Bletchley Park' }]
+      });
+
+      expect(report).toMatchObject({ imported: 1, tickets: 1, errors: [] });
+      expect(reservationService.reserve).toHaveBeenCalledWith(expect.objectContaining({
+        eventId: 'event-1',
+        userId: 'organizer-1',
+        tierId: 'tier-speaker',
+        source: 'complimentary',
+        ignoreSalesRules: true
+      }));
+      expect(Order.create).toHaveBeenCalledWith(expect.objectContaining({
+        buyer: 'organizer-1',
+        totalAmount: 0,
+        currency: 'EUR',
+        paymentMethod: 'complimentary',
+        status: 'completed',
+        billingDetails: { name: 'Alan Turing', email: 'speaker@example.com', company: 'Bletchley Park' }
+      }));
+      expect(reservationService.confirm).toHaveBeenCalledWith('reservation-1', 'order-1');
+      expect(ticketService.issueTickets.mock.calls[0][1]).toEqual({
+        holder: { user: null, email: 'speaker@example.com', name: 'Alan Turing', organization: 'Bletchley Park' }
+      });
+      expect(ticketService.notifyAttendee).toHaveBeenCalledWith({ _id: 'ticket-1', attendeeEmail: 'speaker@example.com' }, expect.any(Object));
+    });
+
+    it('should not email guests when asked not to', async () => {
+      await guestImportService.importGuests('event-1', mockOrganizer, {
+        records: [{ email: 'speaker@example.com', ticketTier: 'Speaker' }]
+      }, { sendEmails: false });
+
+      expect(ticketService.issueTickets).toHaveBeenCalled();
+      expect(ticketService.notifyAttendee).not.toHaveBeenCalled();
+    });
+
+    it('should report a guest whose seats were taken meanwhile and import the others', async () => {
+      reservationService.reserve
+        .mockRejectedValueOnce(new AppError('Not enough tickets left for this tier', 409))
+        .mockResolvedValueOnce({ _id: 'reservation-2' });
+
+      const report = await guestImportService.importGuests('event-1', mockOrganizer, {
+        records: [{ email: 'one@example.com', ticketTier: 'Speaker' }, { email: 'two@example.com', ticketTier: 'Press' }]
+      });
+
+      expect(report).toMatchObject({ imported: 1, errors: [{ line: 1, message: 'Not enough tickets left for this tier' }] });
+      expect(report.guests.map((guest) => guest.email)).toEqual(['two@example.com']);
+    });
+
+    it('should give the seats back when the order cannot be created', async () => {
+      Order.create.mockRejectedValue(new Error('connection lost'));
+
+      await expect(guestImportService.importGuests('event-1', mockOrganizer, { records: [{ email: 'one@example.com', ticketTier: 'Speaker' }] }))
+        .rejects.toThrow('connection lost');
+      expect(reservationService.release).toHaveBeenCalledWith('reservation-1', 'guest_import_failed');
+    });
+
+    it('should refuse events that have ended', async () => {
+      Event.findById.mockReturnValue({ select: async () => ({ ...mockEvent, endDateTime: new Date(Date.now() - HOUR) }) });
+
+      await expect(guestImportService.importGuests('event-1', mockOrganizer, { csv: 'email\none@example.com' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should only let organizers with attendee access import guests', async () => {
+      EventCollaborationService.hasPermission.mockResolvedValue(false);
+
+      await expect(guestImportService.importGuests('event-1', { _id: 'user-3' }, { csv: 'email\none@example.com' }))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+});
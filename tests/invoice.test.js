@@ -0,0 +1,285 @@
+jest.mock('../models/invoice', () => ({
+  findOne: jest.fn(),
+  find: jest.fn(),
+  create: jest.fn()
+}));
+jest.mock('../models/counter', () => ({
+  next: jest.fn()
+}));
+jest.mock('../models/order', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../models/event', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../models/organization', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../models/user', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../services/eventCollaborationService', () => ({
+  hasPermission: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Invoice = require('../models/invoice');
+const Counter = require('../models/counter');
+const Order = require('../models/order');
+const Event = require('../models/event');
+const Organization = require('../models/organization');
+const User = require('../models/user');
+const EventCollaborationService = require('../services/eventCollaborationService');
+const invoiceService = require('../services/invoiceService');
+
+// Mock data
+const mockOrder = {
+  _id: 'order-1',
+  event: 'event-1',
+  buyer: 'user-1',
+  status: 'completed',
+  quantity: 2,
+  unitPrice: 59.5,
+  totalAmount: 119,
+  currency: 'EUR',
+  ticketTierName: 'VIP',
+  createdAt: new Date('2024-12-31T22:00:00Z'),
+  refunds: []
+};
+
+const mockEvent = {
+  _id: 'event-1',
+  title: 'Test Event',
+  organizationId: 'org-1'
+};
+
+const mockOrganization = {
+  name: 'Test Org',
+  billing: {
+    legalName: 'Test Org GmbH',
+    taxId: 'DE123456789',
+    invoicePrefix: 'TO',
+    taxes: [{ name: 'VAT', rate: 19 }]
+  }
+};
+
+const mockInvoice = {
+  _id: 'invoice-1',
+  number: 'TO-2025-000001',
+  type: 'invoice',
+  organizationId: 'org-1',
+  event: 'event-1',
+  buyer: 'user-1',
+  currency: 'EUR',
+  seller: { name: 'Test Org GmbH' },
+  billTo: { name: 'Test User' },
+  taxLines: [{ name: 'VAT', rate: 19, amount: 19 }]
+};
+
+const mockRefund = {
+  _id: 'refund-1',
+  amount: 59.5,
+  status: 'succeeded',
+  reason: 'Cannot attend',
+  createdAt: new Date('2025-01-10T09:00:00Z')
+};
+
+const duplicateKeyError = (keyPattern) => Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern });
+
+describe('Invoices', () => {
+  const currentYear = new Date().getUTCFullYear();
+
+  beforeEach(() => {
+    jest.spyOn(mongoose.connection, 'transaction').mockImplementation(async (fn) => fn('session-1'));
+    Invoice.findOne.mockResolvedValue(null);
+    Invoice.create.mockImplementation(async ([data]) => [{ _id: 'invoice-2', ...data }]);
+    Counter.next.mockResolvedValue(42);
+    Event.findById.mockReturnValue({ select: async () => mockEvent });
+    Organization.findById.mockReturnValue({ select: async () => mockOrganization });
+    User.findById.mockReturnValue({ select: async () => ({ firstName: 'Test', lastName: 'User', email: 'test@example.com' }) });
+  });
+
+  describe('Invoice numbering', () => {
+    it('should number the invoice in the organization\'s sequence for the year it is issued in', async () => {
+      const invoice = await invoiceService.issueForOrder(mockOrder);
+
+      expect(Counter.next).toHaveBeenCalledWith(`invoice:org-1:${currentYear}`, { session: 'session-1' });
+      expect(invoice.number).toBe(`TO-${currentYear}-000042`);
+      expect(Invoice.create).toHaveBeenCalledWith([expect.any(Object)], { session: 'session-1' });
+    });
+
+    it('should date an invoice issued later by its issue time and keep the order date as the supply date', async () => {
+      const invoice = await invoiceService.issueForOrder(mockOrder);
+
+      expect(invoice.issuedAt.getUTCFullYear()).toBe(currentYear);
+      expect(Date.now() - invoice.issuedAt.getTime()).toBeLessThan(60 * 1000);
+      expect(invoice.supplyDate).toBe(mockOrder.createdAt);
+    });
+
+    it('should use the platform sequence for events without an organization', async () => {
+      Event.findById.mockReturnValue({ select: async () => ({ ...mockEvent, organizationId: undefined }) });
+
+      const invoice = await invoiceService.issueForOrder(mockOrder);
+
+      expect(Counter.next).toHaveBeenCalledWith(`invoice:platform:${currentYear}`, expect.any(Object));
+      expect(invoice.number).toBe(`INV-${currentYear}-000042`);
+      expect(Organization.findById).not.toHaveBeenCalled();
+    });
+
+    it('should number the invoice without a transaction on a standalone server', async () => {
+      mongoose.connection.transaction.mockRejectedValue(Object.assign(new Error('Transaction numbers are only allowed on a replica set member or mongos'), { code: 20 }));
+
+      const invoice = await invoiceService.issueForOrder(mockOrder);
+
+      expect(invoice.number).toBe(`TO-${currentYear}-000042`);
+      expect(Counter.next).toHaveBeenCalledWith(`invoice:org-1:${currentYear}`, { session: undefined });
+    });
+
+    it('should not fall back when the transaction fails for another reason', async () => {
+      mongoose.connection.transaction.mockRejectedValue(new Error('connection lost'));
+
+      await expect(invoiceService.issueForOrder(mockOrder)).rejects.toThrow('connection lost');
+      expect(Counter.next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Issuing invoices', () => {
+    it('should split the tax-inclusive total into net amount and tax', async () => {
+      const invoice = await invoiceService.issueForOrder(mockOrder);
+
+      expect(invoice).toMatchObject({
+        subtotal: 100,
+        taxLines: [{ name: 'VAT', rate: 19, amount: 19 }],
+        total: 119,
+        seller: { name: 'Test Org GmbH', taxId: 'DE123456789' },
+        billTo: { name: 'Test User', email: 'test@example.com' },
+        lines: [{ description: 'Test Event - VIP', quantity: 2, unitPrice: 59.5, amount: 119 }]
+      });
+    });
+
+    it('should not issue a second invoice for an order', async () => {
+      Invoice.findOne.mockResolvedValue(mockInvoice);
+
+      const invoice = await invoiceService.issueForOrder(mockOrder);
+
+      expect(invoice).toBe(mockInvoice);
+      expect(Counter.next).not.toHaveBeenCalled();
+    });
+
+    it('should return the invoice a concurrent request issued', async () => {
+      Invoice.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(mockInvoice);
+      Invoice.create.mockRejectedValue(duplicateKeyError({ order: 1, type: 1 }));
+
+      const invoice = await invoiceService.issueForOrder(mockOrder);
+
+      expect(invoice).toBe(mockInvoice);
+    });
+  });
+
+  describe('Credit notes', () => {
+    beforeEach(() => {
+      Invoice.findOne.mockImplementation(async (filter) => (filter.type === 'invoice' ? mockInvoice : null));
+    });
+
+    it('should number credit notes in their own sequence', async () => {
+      const creditNote = await invoiceService.issueCreditNote(mockOrder, mockRefund);
+
+      expect(Counter.next).toHaveBeenCalledWith(`credit_note:org-1:${currentYear}`, { session: 'session-1' });
+      expect(creditNote.number).toBe(`CN-${currentYear}-000042`);
+    });
+
+    it('should correct the invoice with its tax rates and date the refund as the supply date', async () => {
+      Organization.findById.mockReturnValue({
+        select: async () => ({ ...mockOrganization, billing: { ...mockOrganization.billing, taxes: [{ name: 'VAT', rate: 7 }] } })
+      });
+
+      const creditNote = await invoiceService.issueCreditNote(mockOrder, mockRefund);
+
+      expect(creditNote).toMatchObject({
+        type: 'credit_note',
+        relatedInvoice: 'invoice-1',
+        refundId: 'refund-1',
+        subtotal: 50,
+        taxLines: [{ name: 'VAT', rate: 19, amount: 9.5 }],
+        total: 59.5,
+        supplyDate: mockRefund.createdAt
+      });
+      expect(creditNote.lines[0].description).toBe('Refund for invoice TO-2025-000001 (Cannot attend)');
+    });
+
+    it('should not issue a second credit note for a refund', async () => {
+      Invoice.findOne.mockResolvedValue({ _id: 'credit-note-1', type: 'credit_note' });
+
+      await invoiceService.issueCreditNote(mockOrder, mockRefund);
+
+      expect(Invoice.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Listing', () => {
+    beforeEach(() => {
+      Invoice.find.mockReturnValue({ sort: () => ({ populate: async () => [mockInvoice] }) });
+    });
+
+    it('should issue the missing documents of an older order, skipping pending refunds', async () => {
+      const order = { ...mockOrder, refunds: [mockRefund, { ...mockRefund, _id: 'refund-2', status: 'pending' }] };
+      Order.findById.mockResolvedValue(order);
+      const issueForOrder = jest.spyOn(invoiceService, 'issueForOrder').mockResolvedValue(mockInvoice);
+      const issueCreditNote = jest.spyOn(invoiceService, 'issueCreditNote').mockResolvedValue({});
+
+      await invoiceService.listForOrder('order-1', { _id: 'user-1' });
+
+      expect(issueForOrder).toHaveBeenCalledWith(order);
+      expect(issueCreditNote).toHaveBeenCalledTimes(1);
+      expect(issueCreditNote).toHaveBeenCalledWith(order, mockRefund);
+    });
+
+    it('should not invoice an order that was not paid', async () => {
+      Order.findById.mockResolvedValue({ ...mockOrder, status: 'pending' });
+      const issueForOrder = jest.spyOn(invoiceService, 'issueForOrder');
+
+      await invoiceService.listForOrder('order-1', { _id: 'user-1' });
+
+      expect(issueForOrder).not.toHaveBeenCalled();
+    });
+
+    it('should hide the invoices from users who are neither the buyer nor an organizer', async () => {
+      Order.findById.mockResolvedValue(mockOrder);
+      EventCollaborationService.hasPermission.mockResolvedValue(false);
+
+      await expect(invoiceService.listForOrder('order-1', { _id: 'user-2' })).rejects.toMatchObject({ statusCode: 404 });
+      expect(EventCollaborationService.hasPermission).toHaveBeenCalledWith('event-1', 'user-2', 'manage_attendees');
+    });
+  });
+
+  describe('Rendering', () => {
+    it('should show the issue and supply dates and escape the parties', () => {
+      const html = invoiceService.renderHtml({
+        ...mockInvoice,
+        billTo: { name: '<script>alert(1)</script>' },
+        issuedAt: new Date('2025-01-15T12:00:00Z'),
+        supplyDate: new Date('2024-12-31T12:00:00Z'),
+        lines: [{ description: 'Test Event', quantity: 1, unitPrice: 119, amount: 119 }],
+        subtotal: 100,
+        total: 119
+      });
+
+      expect(html).toContain('Issued 1/15/2025');
+      expect(html).toContain('Supplied 12/31/2024');
+      expect(html).toContain('&lt;script&gt;');
+      expect(html).not.toContain('<script>');
+    });
+
+    it('should render a PDF', async () => {
+      const pdf = await invoiceService.renderPdf({
+        ...mockInvoice,
+        issuedAt: new Date(),
+        lines: [{ description: 'Test Event', quantity: 1, unitPrice: 119, amount: 119 }],
+        subtotal: 100,
+        total: 119
+      });
+
+      expect(pdf.subarray(0, 4).toString()).toBe('%PDF');
+    });
+  });
+});
@@ -0,0 +1,221 @@
+jest.mock('../models/notificationJob', () => ({
+  insertMany: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  updateMany: jest.fn(),
+  find: jest.fn(),
+  findById: jest.fn()
+}));
+jest.mock('../models/notification', () => ({
+  updateOne: jest.fn()
+}));
+
+const NotificationJob = require('../models/notificationJob');
+const Notification = require('../models/notification');
+const jobQueueService = require('../services/jobQueueService');
+
+// Mock data
+const mockJob = {
+  _id: 'job-1',
+  channel: 'email',
+  payload: { to: 'ada@example.com', subject: 'Doors open at 6pm', html: '<p>See you soon</p>' },
+  status: 'processing',
+  attempts: 1,
+  maxAttempts: 5
+};
+
+describe('Job queue', () => {
+  let handler;
+
+  beforeEach(() => {
+    handler = jest.fn();
+    jobQueueService.registerHandler('email', handler);
+    NotificationJob.insertMany.mockImplementation(async (jobs) => jobs.map((job, index) => ({ _id: `job-${index + 1}`, ...job })));
+    NotificationJob.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  describe('Queueing', () => {
+    it('should queue a job to run now with the default attempts', async () => {
+      const job = await jobQueueService.enqueue('email', mockJob.payload, { recipient: 'ada@example.com', batchId: 'batch-1' });
+
+      expect(NotificationJob.insertMany).toHaveBeenCalledWith([{
+        channel: 'email',
+        payload: mockJob.payload,
+        recipient: 'ada@example.com',
+        batchId: 'batch-1',
+        event: undefined,
+        createdBy: undefined,
+        runAt: expect.any(Date),
+        maxAttempts: 5
+      }]);
+      expect(job._id).toBe('job-1');
+    });
+
+    it('should refuse unknown channels', async () => {
+      await expect(jobQueueService.enqueueMany([{ channel: 'fax', payload: {} }])).rejects.toMatchObject({ statusCode: 400 });
+      expect(NotificationJob.insertMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Running', () => {
+    it('should complete a job with the handler\'s result', async () => {
+      handler.mockResolvedValue({ messageId: 'message-1' });
+
+      await jobQueueService.run(mockJob);
+
+      expect(handler).toHaveBeenCalledWith(mockJob.payload, mockJob);
+      expect(NotificationJob.updateOne).toHaveBeenCalledWith(
+        { _id: 'job-1', status: 'processing', attempts: 1 },
+        { $set: { status: 'completed', completedAt: expect.any(Date), result: { messageId: 'message-1' } }, $unset: { lockedUntil: 1, lastError: 1 } }
+      );
+    });
+
+    it('should retry a failed job after a backoff', async () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0.5);
+      handler.mockRejectedValue(new Error('SMTP timeout'));
+      const before = Date.now();
+
+      await jobQueueService.run({ ...mockJob, attempts: 2 });
+
+      const [claim, update] = NotificationJob.updateOne.mock.calls[0];
+      expect(claim).toEqual({ _id: 'job-1', status: 'processing', attempts: 2 });
+      expect(update.$set).toMatchObject({ status: 'queued', lastError: 'SMTP timeout' });
+      expect(update.$set.runAt.getTime() - before).toBeGreaterThanOrEqual(60 * 1000);
+      expect(update.$set.runAt.getTime() - before).toBeLessThan(61 * 1000);
+    });
+
+    it('should back off exponentially up to an hour with jitter', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0.5);
+
+      expect(jobQueueService.getBackoffMs(1)).toBe(30 * 1000);
+      expect(jobQueueService.getBackoffMs(4)).toBe(4 * 60 * 1000);
+      expect(jobQueueService.getBackoffMs(12)).toBe(60 * 60 * 1000);
+
+      Math.random.mockReturnValue(0);
+      expect(jobQueueService.getBackoffMs(1)).toBe(24 * 1000);
+    });
+
+    it('should move a job to the dead-letter list after its last attempt', async () => {
+      handler.mockRejectedValue(new Error('Mailbox unavailable'));
+
+      await jobQueueService.run({ ...mockJob, attempts: 5 });
+
+      expect(NotificationJob.updateOne.mock.calls[0][1]).toEqual({
+        $set: { status: 'dead', lastError: 'Mailbox unavailable' },
+        $unset: { lockedUntil: 1 }
+      });
+    });
+
+    it('should dead-letter a job whose last attempt was cut off instead of sending it again', async () => {
+      await jobQueueService.run({ ...mockJob, attempts: 6, lastError: 'SMTP timeout' });
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(NotificationJob.updateOne.mock.calls[0][1].$set).toEqual({ status: 'dead', lastError: 'SMTP timeout' });
+    });
+
+    it('should send at most the channel\'s concurrency at once', async () => {
+      const pending = [];
+      const smsHandler = jest.fn(() => new Promise((resolve) => pending.push(resolve)));
+      jobQueueService.registerHandler('sms', smsHandler);
+      NotificationJob.findOneAndUpdate.mockImplementation(async ({ channel }) => (
+        channel === 'sms' ? { ...mockJob, channel: 'sms', payload: { to: '+15550100', body: 'Doors open' } } : null
+      ));
+      jobQueueService.isRunning = true;
+
+      await jobQueueService.poll();
+
+      expect(smsHandler).toHaveBeenCalledTimes(2);
+      expect(jobQueueService.active.sms).toBe(2);
+      expect(NotificationJob.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ channel: 'sms' }),
+        expect.objectContaining({ $inc: { attempts: 1 } }),
+        { sort: { runAt: 1 }, new: true }
+      );
+
+      jobQueueService.isRunning = false;
+      pending.forEach((resolve) => resolve());
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(jobQueueService.active.sms).toBe(0);
+    });
+  });
+
+  describe('Delivery status', () => {
+    it('should report a sent job on its in-app notification', async () => {
+      handler.mockResolvedValue({ messageId: 'message-1' });
+
+      await jobQueueService.run({ ...mockJob, notification: 'notification-1' });
+
+      expect(Notification.updateOne).toHaveBeenCalledWith({ _id: 'notification-1' }, { $set: { 'deliveryStatus.email': 'sent' } });
+    });
+
+    it('should report a send that reached no one as failed', async () => {
+      handler.mockResolvedValue({ delivered: false });
+
+      await jobQueueService.run({ ...mockJob, channel: 'email', notification: 'notification-1' });
+
+      expect(Notification.updateOne).toHaveBeenCalledWith({ _id: 'notification-1' }, { $set: { 'deliveryStatus.email': 'failed' } });
+    });
+
+    it('should only report a failure once the job is dead', async () => {
+      handler.mockRejectedValue(new Error('SMTP timeout'));
+
+      await jobQueueService.run({ ...mockJob, notification: 'notification-1' });
+      expect(Notification.updateOne).not.toHaveBeenCalled();
+
+      await jobQueueService.run({ ...mockJob, attempts: 5, notification: 'notification-1' });
+      expect(Notification.updateOne).toHaveBeenCalledWith({ _id: 'notification-1' }, { $set: { 'deliveryStatus.email': 'failed' } });
+    });
+
+    it('should leave jobs without an in-app notification alone', async () => {
+      handler.mockResolvedValue({});
+
+      await jobQueueService.run(mockJob);
+
+      expect(Notification.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Dead letters', () => {
+    it('should requeue a dead job with a fresh set of attempts', async () => {
+      NotificationJob.findOneAndUpdate.mockReturnValue({ select: async () => ({ ...mockJob, status: 'queued', attempts: 0 }) });
+
+      const job = await jobQueueService.retry('job-1');
+
+      expect(NotificationJob.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'job-1', status: { $in: ['dead', 'cancelled'] } },
+        { $set: { status: 'queued', attempts: 0, runAt: expect.any(Date) }, $unset: { lockedUntil: 1 } },
+        { new: true }
+      );
+      expect(job.status).toBe('queued');
+    });
+
+    it('should only retry dead or cancelled jobs', async () => {
+      NotificationJob.findOneAndUpdate.mockReturnValue({ select: async () => null });
+      NotificationJob.findById.mockResolvedValue({ ...mockJob, status: 'completed' });
+
+      await expect(jobQueueService.retry('job-1')).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Only dead or cancelled jobs can be retried (job is completed)'
+      });
+    });
+
+    it('should requeue the dead jobs of a batch', async () => {
+      NotificationJob.find.mockReturnValue({ select: async () => [{ channel: 'sms', notification: 'notification-1' }] });
+      NotificationJob.updateMany.mockResolvedValue({ modifiedCount: 3 });
+
+      const requeued = await jobQueueService.retryDead({ batchId: 'batch-1' });
+
+      expect(requeued).toBe(3);
+      expect(NotificationJob.updateMany.mock.calls[0][0]).toEqual({ status: 'dead', batchId: 'batch-1' });
+      expect(Notification.updateOne).toHaveBeenCalledWith({ _id: 'notification-1' }, { $set: { 'deliveryStatus.sms': 'pending' } });
+    });
+
+    it('should only cancel jobs that were not sent yet', async () => {
+      NotificationJob.findOneAndUpdate.mockReturnValue({ select: async () => null });
+      NotificationJob.findById.mockResolvedValue({ ...mockJob, status: 'processing' });
+
+      await expect(jobQueueService.cancel('job-1')).rejects.toMatchObject({ statusCode: 400 });
+      expect(NotificationJob.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: 'job-1', status: 'queued' });
+    });
+  });
+});
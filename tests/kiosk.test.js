@@ -0,0 +1,260 @@
+process.env.KIOSK_TOKEN_SECRET = 'test-kiosk-secret';
+process.env.ORDER_CODE_SECRET = 'test-order-code-secret';
+
+jest.mock('../models/checkIn', () => ({
+  find: jest.fn()
+}));
+jest.mock('../models/event', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../models/user', () => ({
+  findOne: jest.fn()
+}));
+jest.mock('../models/kioskDevice', () => ({
+  create: jest.fn(),
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../models/kioskActivity', () => ({
+  create: jest.fn()
+}));
+jest.mock('../services/ticketTokenService', () => ({
+  resolveScan: jest.fn()
+}));
+jest.mock('../services/checkInSessionService', () => ({
+  recordScan: jest.fn()
+}));
+jest.mock('../services/eventCollaborationService', () => ({
+  hasPermission: jest.fn()
+}));
+
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const CheckIn = require('../models/checkIn');
+const Event = require('../models/event');
+const User = require('../models/user');
+const KioskDevice = require('../models/kioskDevice');
+const KioskActivity = require('../models/kioskActivity');
+const ticketTokenService = require('../services/ticketTokenService');
+const checkInSessionService = require('../services/checkInSessionService');
+const EventCollaborationService = require('../services/eventCollaborationService');
+const ticketService = require('../services/ticketService');
+const kioskService = require('../services/kioskService');
+
+const HOUR = 60 * 60 * 1000;
+
+// Mock data
+const mockOrganizer = {
+  _id: 'organizer-1'
+};
+
+const mockEvent = {
+  _id: 'event-1',
+  title: 'Test Event',
+  startDateTime: new Date(Date.now() + HOUR),
+  endDateTime: new Date(Date.now() + 5 * HOUR),
+  checkInSessions: [],
+  getCheckInSession: () => null
+};
+
+const mockKiosk = {
+  _id: 'kiosk-1',
+  event: 'event-1',
+  label: 'Lobby kiosk',
+  session: null,
+  idleLockMinutes: 10,
+  expiresAt: new Date(Date.now() + 11 * HOUR),
+  failedLookups: 0,
+  failedUnlocks: 0,
+  isUsable: () => true,
+  isLocked() {
+    return Boolean(this.lockedAt) || this.isIdle();
+  },
+  isIdle() {
+    return Date.now() - this.lastActivityAt > this.idleLockMinutes * 60 * 1000;
+  }
+};
+
+const mockTicket = {
+  _id: 'ticket-1',
+  order: 'order-1',
+  ticketNumber: 'TKT-A1B2C3D4-1',
+  ticketType: 'VIP',
+  ticketToken: 'ticket-token-1',
+  attendeeName: 'Ada Lovelace',
+  status: 'pending'
+};
+
+describe('Kiosk check-in', () => {
+  let kiosk;
+
+  beforeEach(() => {
+    kiosk = { ...mockKiosk, lastActivityAt: new Date() };
+    Event.findById.mockReturnValue({ select: async () => mockEvent });
+    EventCollaborationService.hasPermission.mockResolvedValue(true);
+    ticketTokenService.resolveScan.mockResolvedValue({ eventId: 'event-1', ticket: mockTicket });
+    checkInSessionService.recordScan.mockResolvedValue({ accepted: true, session: 'Main entrance', state: { entries: 1 } });
+    KioskDevice.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  describe('Registration', () => {
+    it('should return a kiosk token and an unlock PIN that is only stored hashed', async () => {
+      KioskDevice.create.mockImplementation(async (data) => ({ ...mockKiosk, _id: 'kiosk-2', ...data }));
+
+      const { token, unlockPin } = await kioskService.registerKiosk('event-1', mockOrganizer, { label: 'Lobby kiosk' });
+
+      expect(unlockPin).toMatch(/^\d{6}$/);
+      const [data] = KioskDevice.create.mock.calls[0];
+      expect(await bcrypt.compare(unlockPin, data.unlockPinHash)).toBe(true);
+      expect(data.expiresAt.getTime()).toBe(mockEvent.endDateTime.getTime() + 6 * HOUR);
+      expect(jwt.verify(token, 'test-kiosk-secret')).toMatchObject({ type: 'kiosk', kioskId: 'kiosk-2', eventId: 'event-1' });
+      expect(KioskActivity.create).toHaveBeenCalledWith(expect.objectContaining({ kiosk: 'kiosk-2', action: 'registered' }));
+    });
+
+    it('should only let organizers with attendee access register kiosks', async () => {
+      EventCollaborationService.hasPermission.mockResolvedValue(false);
+
+      await expect(kioskService.registerKiosk('event-1', { _id: 'door-staff-1' })).rejects.toMatchObject({ statusCode: 403 });
+      expect(KioskDevice.create).not.toHaveBeenCalled();
+    });
+
+    it('should leave other bearer tokens to user authentication', async () => {
+      await expect(kioskService.authenticateKiosk(jwt.sign({ userId: 'user-1' }, 'another-secret'))).resolves.toBeNull();
+    });
+
+    it('should end the access of a revoked kiosk', async () => {
+      const token = jwt.sign({ type: 'kiosk', kioskId: 'kiosk-1', eventId: 'event-1' }, 'test-kiosk-secret');
+      KioskDevice.findById.mockResolvedValue({ ...mockKiosk, isUsable: () => false });
+
+      await expect(kioskService.authenticateKiosk(token)).rejects.toMatchObject({ statusCode: 401 });
+    });
+  });
+
+  describe('Checking in', () => {
+    it('should check in a scanned ticket with the kiosk as the actor', async () => {
+      const result = await kioskService.checkIn(kiosk, { token: 'ticket-token-1' });
+
+      expect(checkInSessionService.recordScan).toHaveBeenCalledWith(mockTicket, mockEvent, expect.objectContaining({
+        actor: { kiosk },
+        method: 'self_service',
+        deviceInfo: 'Kiosk: Lobby kiosk'
+      }));
+      expect(result).toMatchObject({ attendeeName: 'Ada Lovelace', ticketNumber: 'TKT-A1B2C3D4-1', message: 'Welcome, Ada Lovelace!' });
+      expect(KioskDevice.updateOne).toHaveBeenCalledWith({ _id: 'kiosk-1' }, { lastActivityAt: expect.any(Date), failedLookups: 0 });
+      expect(KioskActivity.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'check_in', method: 'qr', ticket: 'ticket-1' }));
+    });
+
+    it('should refuse a ticket of another event', async () => {
+      ticketTokenService.resolveScan.mockResolvedValue({ eventId: 'event-2', ticket: mockTicket });
+
+      await expect(kioskService.checkIn(kiosk, { token: 'ticket-token-1' })).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'This ticket is for another event'
+      });
+      expect(checkInSessionService.recordScan).not.toHaveBeenCalled();
+      expect(KioskActivity.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'check_in_rejected' }));
+    });
+
+    it('should refuse check-ins while the kiosk is locked', async () => {
+      await expect(kioskService.checkIn({ ...kiosk, lockedAt: new Date(), lockReason: 'staff' }, { token: 'ticket-token-1' }))
+        .rejects.toMatchObject({ statusCode: 423 });
+      expect(ticketTokenService.resolveScan).not.toHaveBeenCalled();
+    });
+
+    it('should lock itself once idle', async () => {
+      kiosk.lastActivityAt = new Date(Date.now() - 11 * 60 * 1000);
+
+      await expect(kioskService.checkIn(kiosk, { token: 'ticket-token-1' })).rejects.toMatchObject({ statusCode: 423 });
+      expect(KioskDevice.updateOne).toHaveBeenCalledWith(
+        { _id: 'kiosk-1', lockedAt: null },
+        { lockedAt: new Date(kiosk.lastActivityAt.getTime() + 10 * 60 * 1000), lockReason: 'idle' }
+      );
+      expect(KioskActivity.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'locked', message: 'Idle for 10 minutes' }));
+    });
+  });
+
+  describe('Confirmation codes', () => {
+    const confirmationCode = ticketService.getConfirmationCode('order-1');
+
+    beforeEach(() => {
+      User.findOne.mockReturnValue({ select: async () => null });
+    });
+
+    it('should check in an unused ticket of the order with the email and code', async () => {
+      CheckIn.find.mockResolvedValue([
+        { ...mockTicket, _id: 'ticket-0', status: 'checked_in', ticketToken: 'ticket-token-0' },
+        mockTicket
+      ]);
+
+      await kioskService.checkIn(kiosk, { email: ' Ada@Example.com ', confirmationCode: confirmationCode.toLowerCase().replace('-', ' ') });
+
+      expect(CheckIn.find).toHaveBeenCalledWith({ event: 'event-1', $or: [{ attendeeEmail: 'ada@example.com' }] });
+      expect(ticketTokenService.resolveScan).toHaveBeenCalledWith('ticket-token-1');
+      expect(KioskActivity.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'check_in', method: 'confirmation_code' }));
+    });
+
+    it('should check a ticket found by code like a scan of its QR code', async () => {
+      CheckIn.find.mockResolvedValue([mockTicket]);
+      ticketTokenService.resolveScan.mockResolvedValue({
+        eventId: 'event-1',
+        error: { reason: 'rotation_required', message: 'This event only accepts the live QR code shown in the app', ticket: mockTicket }
+      });
+
+      await expect(kioskService.checkIn(kiosk, { email: 'ada@example.com', confirmationCode }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'This event only accepts the live QR code shown in the app' });
+      expect(checkInSessionService.recordScan).not.toHaveBeenCalled();
+    });
+
+    it('should count a wrong code towards the lookup lock', async () => {
+      CheckIn.find.mockResolvedValue([mockTicket]);
+      KioskDevice.findOneAndUpdate.mockResolvedValue({ ...kiosk, failedLookups: 1 });
+
+      await expect(kioskService.checkIn(kiosk, { email: 'ada@example.com', confirmationCode: 'AAAA-AAAA' }))
+        .rejects.toMatchObject({ statusCode: 404 });
+      expect(KioskDevice.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'kiosk-1' },
+        { $inc: { failedLookups: 1 }, lastActivityAt: expect.any(Date) },
+        { new: true }
+      );
+      expect(KioskDevice.updateOne).not.toHaveBeenCalledWith({ _id: 'kiosk-1' }, expect.objectContaining({ lockReason: 'failed_lookups' }));
+    });
+
+    it('should lock the kiosk after five wrong codes in a row', async () => {
+      CheckIn.find.mockResolvedValue([]);
+      KioskDevice.findOneAndUpdate.mockResolvedValue({ ...kiosk, failedLookups: 5 });
+
+      await expect(kioskService.checkIn(kiosk, { email: 'ada@example.com', confirmationCode: 'AAAA-AAAA' }))
+        .rejects.toMatchObject({ statusCode: 404 });
+      expect(KioskDevice.updateOne).toHaveBeenCalledWith({ _id: 'kiosk-1' }, { lockedAt: expect.any(Date), lockReason: 'failed_lookups' });
+      expect(kiosk.lockReason).toBe('failed_lookups');
+    });
+  });
+
+  describe('Unlocking', () => {
+    const unlockPinHash = bcrypt.hashSync('123456', 4);
+
+    beforeEach(() => {
+      KioskDevice.findById.mockReturnValue({ select: async () => ({ unlockPinHash }) });
+    });
+
+    it('should unlock with the PIN', async () => {
+      const view = await kioskService.unlock({ ...kiosk, lockedAt: new Date(), lockReason: 'staff' }, '123456');
+
+      expect(view.status).toBe('active');
+      expect(KioskDevice.updateOne).toHaveBeenCalledWith(
+        { _id: 'kiosk-1' },
+        expect.objectContaining({ failedLookups: 0, failedUnlocks: 0, $unset: { lockedAt: 1, lockReason: 1 } })
+      );
+    });
+
+    it('should leave the kiosk to an organizer after five wrong PINs', async () => {
+      KioskDevice.findOneAndUpdate.mockResolvedValue({ ...kiosk, failedUnlocks: 5 });
+      const locked = { ...kiosk, lockedAt: new Date(), lockReason: 'staff' };
+
+      await expect(kioskService.unlock(locked, '000000')).rejects.toMatchObject({ statusCode: 401 });
+      expect(locked.lockReason).toBe('failed_unlocks');
+      await expect(kioskService.unlock(locked, '123456')).rejects.toMatchObject({ statusCode: 423 });
+    });
+  });
+});
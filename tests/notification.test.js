@@ -0,0 +1,229 @@
+process.env.VAPID_PUBLIC_KEY = 'test-vapid-public-key';
+process.env.VAPID_PRIVATE_KEY = 'test-vapid-private-key';
+
+jest.mock('../models/notificationJob', () => ({
+  insertMany: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../models/notification', () => ({
+  insertMany: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../models/user', () => ({
+  find: jest.fn()
+}));
+jest.mock('../models/event', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../models/order', () => ({
+  find: jest.fn()
+}));
+jest.mock('../models/checkIn', () => ({
+  find: jest.fn()
+}));
+jest.mock('../config/communicationConfig', () => ({
+  getEmailTransporter: () => ({ sendMail: jest.fn() }),
+  getSMSClient: () => null,
+  isEmailConfigured: () => true,
+  isSMSConfigured: () => true,
+  emailConfig: { from: 'events@example.com' }
+}));
+jest.mock('../services/smsService', () => ({
+  validatePhoneNumber: jest.fn()
+}));
+jest.mock('../services/pushNotificationService', () => ({
+  sendToUser: jest.fn()
+}));
+jest.mock('../services/emailTrackingService', () => ({
+  prepare: jest.fn(),
+  markSent: jest.fn(),
+  markFailed: jest.fn()
+}));
+
+const NotificationJob = require('../models/notificationJob');
+const Notification = require('../models/notification');
+const User = require('../models/user');
+const Event = require('../models/event');
+const Order = require('../models/order');
+const CheckIn = require('../models/checkIn');
+const smsService = require('../services/smsService');
+const pushNotificationService = require('../services/pushNotificationService');
+const emailTrackingService = require('../services/emailTrackingService');
+const jobQueueService = require('../services/jobQueueService');
+const notificationService = require('../services/notificationService');
+const { getChannelPreferences } = require('../utils/notificationPreferences');
+
+// Mock data
+const mockUsers = [
+  {
+    _id: 'user-1',
+    email: 'ada@example.com',
+    phoneNumber: '+15550100',
+    notificationPreferences: new Map([['event_update', { email: false, sms: true }]])
+  },
+  {
+    _id: 'user-2',
+    email: 'grace@example.com',
+    notificationPreferences: new Map()
+  }
+];
+
+const mockJob = {
+  _id: 'job-1',
+  channel: 'email',
+  payload: { to: 'ada@example.com', subject: 'Doors open at 6pm', html: '<p>See you soon</p>' },
+  status: 'processing',
+  attempts: 1,
+  maxAttempts: 5
+};
+
+describe('Notifications', () => {
+  beforeEach(() => {
+    User.find.mockReturnValue({ select: async () => mockUsers });
+    smsService.validatePhoneNumber.mockImplementation((phoneNumber) => phoneNumber.startsWith('+'));
+    Notification.insertMany.mockImplementation(async (notifications) => notifications.map((notification, index) => ({
+      _id: `notification-${index + 1}`,
+      ...notification
+    })));
+    NotificationJob.insertMany.mockImplementation(async (jobs) => jobs);
+  });
+
+  describe('Preferences', () => {
+    it('should use the type\'s defaults for channels the user never changed', () => {
+      expect(getChannelPreferences(mockUsers[0], 'event_update')).toEqual({ email: false, sms: true, push: true, inApp: true });
+      expect(getChannelPreferences(mockUsers[0], 'order_confirmed')).toEqual({ email: true, sms: false, push: false, inApp: true });
+      expect(getChannelPreferences({ notificationPreferences: { marketing: { email: true } } }, 'marketing'))
+        .toEqual({ email: true, sms: false, push: false, inApp: true });
+    });
+
+    it('should send each user the channels they chose for the type', async () => {
+      const result = await notificationService.sendNotification({
+        channels: ['email', 'sms', 'push'],
+        recipients: ['Ada@Example.com', { user: 'user-2' }, 'guest@example.com', '+15550199'],
+        type: 'event_update',
+        subject: 'Room change',
+        message: 'The keynote moved to Hall B.',
+        eventId: 'event-1'
+      });
+
+      expect(result).toMatchObject({
+        recipients: 4,
+        notifications: 2,
+        queued: { email: 2, sms: 2, push: 2 },
+        skipped: { email: 2, sms: 2, push: 2 }
+      });
+      const jobs = NotificationJob.insertMany.mock.calls[0][0];
+      expect(jobs.map(({ channel, recipient }) => `${channel}:${recipient}`)).toEqual([
+        'sms:+15550100',
+        'push:user-1',
+        'email:grace@example.com',
+        'push:user-2',
+        'email:guest@example.com',
+        'sms:+15550199'
+      ]);
+    });
+
+    it('should refuse unknown notification types', async () => {
+      await expect(notificationService.sendNotification({ recipients: ['ada@example.com'], type: 'gossip', message: 'Hi' }))
+        .rejects.toThrow('Unknown notification type "gossip"');
+    });
+  });
+
+  describe('In-app notifications', () => {
+    it('should track each user\'s deliveries on their in-app notification', async () => {
+      await notificationService.sendNotification({
+        channels: ['email', 'sms'],
+        recipients: ['ada@example.com', 'guest@example.com'],
+        type: 'event_update',
+        subject: 'Room change',
+        message: 'The keynote moved to Hall B.',
+        eventId: 'event-1'
+      });
+
+      expect(Notification.insertMany).toHaveBeenCalledWith([{
+        recipient: 'user-1',
+        type: 'event_update',
+        title: 'Room change',
+        message: 'The keynote moved to Hall B.',
+        data: { eventId: 'event-1', orderId: undefined, url: '/events/event-1' },
+        channels: { inApp: true, email: false, sms: true, push: false },
+        deliveryStatus: { inApp: 'sent', email: undefined, sms: 'pending', push: undefined }
+      }]);
+      const jobs = NotificationJob.insertMany.mock.calls[0][0];
+      expect(jobs.find((job) => job.recipient === '+15550100').notification).toBe('notification-1');
+      expect(jobs.find((job) => job.recipient === 'guest@example.com').notification).toBeUndefined();
+    });
+  });
+
+  describe('Event attendees', () => {
+    it('should list buyers, ticket holders and registrants once each', async () => {
+      Event.findById.mockReturnValue({ select: async () => ({ attendees: ['user-1', 'user-3'] }) });
+      Order.find.mockReturnValue({ select: () => ({ lean: async () => [{ buyer: 'user-1' }, { buyer: 'user-2' }] }) });
+      CheckIn.find.mockReturnValue({
+        select: () => ({
+          lean: async () => [
+            { attendee: 'user-3' },
+            { attendeeEmail: 'guest@example.com', attendeeName: 'Guest' },
+            { attendeeEmail: 'guest@example.com', attendeeName: 'Guest' }
+          ]
+        })
+      });
+
+      const attendees = await notificationService.getEventAttendees('event-1');
+
+      expect(attendees).toEqual([
+        { user: 'user-1' },
+        { user: 'user-3' },
+        { user: 'user-2' },
+        { email: 'guest@example.com', name: 'Guest' }
+      ]);
+      expect(Order.find).toHaveBeenCalledWith({ event: 'event-1', status: 'completed' });
+      expect(CheckIn.find).toHaveBeenCalledWith({ event: 'event-1', status: { $ne: 'cancelled' } });
+    });
+  });
+
+  describe('Delivery', () => {
+    it('should send queued emails through the transporter', async () => {
+      emailTrackingService.prepare.mockImplementation(async ({ html }) => ({ message: { _id: 'email-1' }, html, suppressed: false }));
+      notificationService.emailTransporter.sendMail.mockResolvedValue({ messageId: 'message-1' });
+      NotificationJob.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+      await jobQueueService.run(mockJob);
+
+      expect(notificationService.emailTransporter.sendMail).toHaveBeenCalledWith({
+        from: 'events@example.com',
+        to: 'ada@example.com',
+        subject: 'Doors open at 6pm',
+        html: '<p>See you soon</p>'
+      });
+      expect(NotificationJob.updateOne.mock.calls[0][1].$set.result).toEqual({ messageId: 'message-1' });
+      expect(emailTrackingService.prepare).toHaveBeenCalledWith(expect.objectContaining({ jobId: 'job-1' }));
+      expect(emailTrackingService.markSent).toHaveBeenCalledWith({ _id: 'email-1' }, 'message-1');
+    });
+
+    it('should not send to a suppressed address or retry it', async () => {
+      emailTrackingService.prepare.mockResolvedValue({ message: { _id: 'email-1' }, html: '', suppressed: true });
+
+      await expect(notificationService.deliverEmail(mockJob.payload, mockJob))
+        .resolves.toEqual({ delivered: false, message: 'Address is on the suppression list' });
+      expect(notificationService.emailTransporter.sendMail).not.toHaveBeenCalled();
+    });
+
+    it('should retry a push that failed on a device that may still work', async () => {
+      pushNotificationService.sendToUser.mockResolvedValue({
+        success: false,
+        results: [{ success: false, pruned: true }, { success: false, pruned: false }]
+      });
+
+      await expect(notificationService.deliverPush({ userId: 'user-1', notification: { title: 'Doors open' } }))
+        .rejects.toThrow('Push notification was not delivered to any device');
+    });
+
+    it('should not retry a push whose devices were all removed', async () => {
+      pushNotificationService.sendToUser.mockResolvedValue({ success: false, results: [{ success: false, pruned: true }] });
+
+      await expect(notificationService.deliverPush({ userId: 'user-1', notification: { title: 'Doors open' } }))
+        .resolves.toEqual({ delivered: false, message: undefined });
+    });
+  });
+});
@@ -0,0 +1,305 @@
+process.env.QR_SECRET = 'test-qr-secret';
+
+jest.mock('../models/event', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../models/checkIn', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('../models/checkInScan', () => ({
+  create: jest.fn()
+}));
+jest.mock('../models/ticketTransfer', () => ({
+  find: jest.fn(),
+  findOne: jest.fn()
+}));
+jest.mock('../services/ticketService', () => ({
+  hashToken: jest.fn()
+}));
+jest.mock('../services/eventCollaborationService', () => ({
+  hasPermission: jest.fn()
+}));
+
+const Event = require('../models/event');
+const CheckIn = require('../models/checkIn');
+const CheckInScan = require('../models/checkInScan');
+const TicketTransfer = require('../models/ticketTransfer');
+const ticketService = require('../services/ticketService');
+const EventCollaborationService = require('../services/eventCollaborationService');
+const qrService = require('../services/qrService');
+const offlineCheckInService = require('../services/offlineCheckInService');
+
+const MINUTE = 60 * 1000;
+
+// Mock data
+const mockStaff = {
+  user: { _id: 'staff-1' }
+};
+
+const mockScanner = {
+  scanner: { _id: 'scanner-1', event: 'event-1' }
+};
+
+const mockEvent = {
+  _id: 'event-1',
+  title: 'Test Event',
+  startDateTime: new Date(Date.now() - 60 * MINUTE), // Doors opened an hour ago
+  endDateTime: new Date(Date.now() + 3 * 60 * MINUTE),
+  location: 'Test Location',
+  getTicketsValidUntil() {
+    return new Date(this.endDateTime.getTime() + 12 * 60 * MINUTE);
+  }
+};
+
+const mockTicket = {
+  _id: 'ticket-1',
+  event: 'event-1',
+  ticketNumber: 'TKT-A1B2C3D4',
+  ticketType: 'General Admission',
+  attendeeName: 'Test User',
+  status: 'pending'
+};
+
+const ticketToken = qrService.generateTicketToken({ eventId: 'event-1', orderId: 'order-1', ticketId: 'ticket-1' });
+
+describe('Offline check-in', () => {
+  const getManifestToken = async () => {
+    const { manifestToken } = await offlineCheckInService.getManifest('event-1', mockStaff, { deviceId: 'door-a' });
+    return manifestToken;
+  };
+
+  beforeEach(() => {
+    Event.findById.mockReturnValue({ select: async () => mockEvent });
+    EventCollaborationService.hasPermission.mockResolvedValue(true);
+    ticketService.hashToken.mockImplementation((token) => `hash-${token.slice(-8)}`);
+    CheckIn.find.mockReturnValue({ select: () => ({ populate: async () => [{ ...mockTicket, ticketToken }] }) });
+    TicketTransfer.find.mockReturnValue({ select: async () => [{ revokedTokenHash: 'hash-revoked' }] });
+    CheckIn.findOne.mockReturnValue({ populate: async () => ({ ...mockTicket, ticketToken }) });
+  });
+
+  describe('Manifest', () => {
+    it('should list tickets by the hash of their QR token and sign the list into the token', async () => {
+      const manifest = await offlineCheckInService.getManifest('event-1', mockStaff, { deviceId: 'door-a' });
+
+      expect(manifest.tickets).toEqual([expect.objectContaining({
+        id: 'ticket-1',
+        tokenHash: `hash-${ticketToken.slice(-8)}`,
+        attendeeName: 'Test User',
+        status: 'pending'
+      })]);
+      expect(manifest.tickets[0].ticketToken).toBeUndefined();
+      expect(manifest.revokedTokenHashes).toEqual(['hash-revoked']);
+      expect(manifest.ticketsHash).toBe(offlineCheckInService.hashTicketList(manifest.tickets, manifest.revokedTokenHashes));
+      expect(qrService.verifyManifest(manifest.manifestToken, { ticketsHash: manifest.ticketsHash }).valid).toBe(true);
+    });
+
+    it('should only list tickets changed since the last download', async () => {
+      const since = new Date(Date.now() - 10 * MINUTE);
+
+      await offlineCheckInService.getManifest('event-1', mockStaff, { since });
+
+      expect(CheckIn.find).toHaveBeenCalledWith({ event: 'event-1', updatedAt: { $gt: since } });
+    });
+
+    it('should refuse staff without check-in access', async () => {
+      EventCollaborationService.hasPermission.mockResolvedValue(false);
+
+      await expect(offlineCheckInService.getManifest('event-1', mockStaff)).rejects.toMatchObject({ statusCode: 403 });
+      expect(EventCollaborationService.hasPermission).toHaveBeenCalledWith('event-1', 'staff-1', 'check_in');
+    });
+
+    it('should let a scanner of the event download it', async () => {
+      const manifest = await offlineCheckInService.getManifest('event-1', mockScanner);
+
+      const { data } = qrService.verifyManifest(manifest.manifestToken);
+      expect(data.scannerId).toBe('scanner-1');
+      expect(data.userId).toBeUndefined();
+    });
+
+    it('should refuse a scanner of another event', async () => {
+      await expect(offlineCheckInService.getManifest('event-1', { scanner: { ...mockScanner.scanner, event: 'event-2' } }))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('Sync', () => {
+    it('should refuse an upload whose ticket list does not match its manifest token', async () => {
+      const manifestToken = await getManifestToken();
+
+      await expect(offlineCheckInService.syncScans('event-1', mockStaff, {
+        manifestToken,
+        ticketsHash: 'f'.repeat(64),
+        scans: [{ token: ticketToken, scannedAt: new Date() }]
+      })).rejects.toMatchObject({ statusCode: 401 });
+      expect(CheckIn.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a manifest of another event', async () => {
+      const manifestToken = await getManifestToken();
+      Event.findById.mockReturnValue({ select: async () => ({ ...mockEvent, _id: 'event-2' }) });
+
+      await expect(offlineCheckInService.syncScans('event-2', mockStaff, {
+        manifestToken,
+        scans: [{ token: ticketToken, scannedAt: new Date() }]
+      })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should check in a ticket at its device scan time', async () => {
+      const manifestToken = await getManifestToken();
+      const scannedAt = new Date(Date.now() - 30 * MINUTE);
+      CheckIn.findOneAndUpdate.mockImplementation(async (filter, update) => ({ ...mockTicket, ...update }));
+
+      const result = await offlineCheckInService.syncScans('event-1', mockStaff, {
+        manifestToken,
+        scans: [{ scanId: 'scan-1', token: ticketToken, scannedAt: scannedAt.toISOString() }]
+      });
+
+      expect(CheckIn.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'ticket-1', status: { $in: ['pending', 'no_show'] } },
+        expect.objectContaining({ status: 'checked_in', checkInTime: scannedAt, deviceInfo: 'door-a', checkInBy: 'staff-1' }),
+        { new: true }
+      );
+      expect(CheckInScan.create).toHaveBeenCalledWith(expect.objectContaining({
+        ticket: 'ticket-1',
+        session: null,
+        direction: 'entry',
+        scannedAt,
+        scannedBy: 'staff-1'
+      }));
+      expect(result.summary).toEqual({ total: 1, checked_in: 1 });
+      expect(result.results[0]).toMatchObject({ scanId: 'scan-1', status: 'checked_in', clockAdjusted: undefined });
+    });
+
+    it('should keep the earliest scan when another door synced a later one first', async () => {
+      const manifestToken = await getManifestToken();
+      const laterScan = { checkInTime: new Date(Date.now() - 5 * MINUTE), deviceInfo: 'door-b', checkInLocation: 'North' };
+      CheckIn.findOneAndUpdate
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ ...mockTicket, status: 'checked_in', ...laterScan });
+
+      const result = await offlineCheckInService.syncScans('event-1', mockStaff, {
+        manifestToken,
+        deviceId: 'door-a',
+        scans: [{ token: ticketToken, scannedAt: new Date(Date.now() - 20 * MINUTE) }]
+      });
+
+      expect(CheckIn.findOneAndUpdate.mock.calls[1][0]).toEqual({
+        _id: 'ticket-1',
+        status: 'checked_in',
+        checkInTime: { $gt: expect.any(Date) }
+      });
+      expect(result.results[0]).toMatchObject({ status: 'checked_in', supersedes: laterScan });
+    });
+
+    it('should report a later scan of a ticket checked in at another door as a duplicate', async () => {
+      const manifestToken = await getManifestToken();
+      const firstScan = { checkInTime: new Date(Date.now() - 40 * MINUTE), deviceInfo: 'door-b', checkInLocation: 'North' };
+      CheckIn.findOneAndUpdate.mockResolvedValue(null);
+      CheckIn.findById.mockReturnValue({ select: async () => ({ status: 'checked_in', ...firstScan }) });
+
+      const result = await offlineCheckInService.syncScans('event-1', mockStaff, {
+        manifestToken,
+        deviceId: 'door-a',
+        scans: [{ token: ticketToken, scannedAt: new Date(Date.now() - 20 * MINUTE) }]
+      });
+
+      expect(result.summary).toEqual({ total: 1, duplicate: 1 });
+      expect(result.results[0]).toMatchObject({ status: 'duplicate', firstScan });
+    });
+
+    it('should accept the same scan uploaded again', async () => {
+      const manifestToken = await getManifestToken();
+      const scannedAt = new Date(Date.now() - 20 * MINUTE);
+      CheckIn.findOneAndUpdate.mockResolvedValue(null);
+      CheckIn.findById.mockReturnValue({ select: async () => ({ status: 'checked_in', checkInTime: scannedAt, deviceInfo: 'door-a' }) });
+
+      const result = await offlineCheckInService.syncScans('event-1', mockStaff, {
+        manifestToken,
+        deviceId: 'door-a',
+        scans: [{ token: ticketToken, scannedAt: scannedAt.toISOString() }]
+      });
+
+      expect(result.results[0]).toMatchObject({ status: 'checked_in', alreadySynced: true });
+    });
+
+    it('should apply scans oldest first and report them in upload order', async () => {
+      const manifestToken = await getManifestToken();
+      const secondToken = qrService.generateTicketToken({ eventId: 'event-1', orderId: 'order-1', ticketId: 'ticket-2' });
+      CheckIn.findOne.mockImplementation(({ ticketToken: token }) => ({
+        populate: async () => (token === secondToken ? { ...mockTicket, _id: 'ticket-2' } : { ...mockTicket, ticketToken })
+      }));
+      CheckIn.findOneAndUpdate.mockImplementation(async (filter, update) => ({ ...mockTicket, ...update }));
+
+      const result = await offlineCheckInService.syncScans('event-1', mockStaff, {
+        manifestToken,
+        scans: [
+          { scanId: 'scan-late', token: ticketToken, scannedAt: new Date(Date.now() - 5 * MINUTE) },
+          { scanId: 'scan-early', token: secondToken, scannedAt: new Date(Date.now() - 25 * MINUTE) }
+        ]
+      });
+
+      expect(CheckIn.findOneAndUpdate.mock.calls.map(([filter]) => filter._id)).toEqual(['ticket-2', 'ticket-1']);
+      expect(result.results.map((scan) => scan.scanId)).toEqual(['scan-late', 'scan-early']);
+    });
+
+    it('should not let a device clock put scans in the future', async () => {
+      const manifestToken = await getManifestToken();
+      CheckIn.findOneAndUpdate.mockImplementation(async (filter, update) => ({ ...mockTicket, ...update }));
+
+      const result = await offlineCheckInService.syncScans('event-1', mockStaff, {
+        manifestToken,
+        scans: [{ token: ticketToken, scannedAt: new Date(Date.now() + 60 * MINUTE) }]
+      });
+
+      expect(result.results[0].clockAdjusted).toBe(true);
+      expect(result.results[0].scannedAt.getTime()).toBe(result.syncedAt.getTime());
+    });
+
+    it('should report a QR code revoked by a transfer', async () => {
+      const manifestToken = await getManifestToken();
+      CheckIn.findOne.mockResolvedValue(null);
+      TicketTransfer.findOne.mockReturnValue({ sort: async () => ({ ticket: 'ticket-1' }) });
+      CheckIn.findById.mockReturnValue({ select: async () => ({ ticketNumber: 'TKT-A1B2C3D4', attendeeEmail: 'friend@example.com' }) });
+
+      const result = await offlineCheckInService.syncScans('event-1', mockStaff, {
+        manifestToken,
+        scans: [{ token: ticketToken, scannedAt: new Date() }]
+      });
+
+      expect(result.results[0]).toMatchObject({ status: 'revoked', currentHolder: 'friend@example.com' });
+      expect(CheckIn.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should check a rotating code against the time it was scanned', async () => {
+      const manifestToken = await getManifestToken();
+      const scannedAt = new Date(Date.now() - 10 * MINUTE);
+      jest.spyOn(Date, 'now').mockReturnValue(scannedAt.getTime());
+      const { token } = qrService.generateRotatingToken({ eventId: 'event-1', ticketId: 'ticket-1', tokenHash: ticketService.hashToken(ticketToken) }, 60);
+      Date.now.mockRestore();
+      CheckIn.findById.mockResolvedValue({ ...mockTicket, ticketToken, populate: async () => ({ ...mockTicket, ticketToken }) });
+      CheckIn.findOneAndUpdate.mockImplementation(async (filter, update) => ({ ...mockTicket, ...update }));
+
+      const result = await offlineCheckInService.syncScans('event-1', mockStaff, {
+        manifestToken,
+        scans: [{ token, scannedAt }]
+      });
+
+      expect(result.results[0]).toMatchObject({ status: 'checked_in', ticketId: 'ticket-1' });
+    });
+
+    it('should reject a ticket of another event', async () => {
+      const manifestToken = await getManifestToken();
+      const otherToken = qrService.generateTicketToken({ eventId: 'event-2', orderId: 'order-2', ticketId: 'ticket-9' });
+
+      const result = await offlineCheckInService.syncScans('event-1', mockStaff, {
+        manifestToken,
+        scans: [{ token: otherToken, scannedAt: new Date() }]
+      });
+
+      expect(result.results[0]).toMatchObject({ status: 'invalid', message: 'Ticket is for another event' });
+    });
+  });
+});
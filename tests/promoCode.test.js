@@ -0,0 +1,191 @@
+jest.mock('../models/promoCode', () => ({
+  find: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../models/promoRedemption', () => ({
+  create: jest.fn(),
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  countDocuments: jest.fn()
+}));
+jest.mock('../models/event', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../services/eventCollaborationService', () => ({
+  hasPermission: jest.fn()
+}));
+
+const PromoCode = require('../models/promoCode');
+const PromoRedemption = require('../models/promoRedemption');
+const promoCodeService = require('../services/promoCodeService');
+
+// Mock data
+const mockPromo = {
+  _id: 'promo-1',
+  code: 'SPRING20',
+  event: 'event-1',
+  isActive: true,
+  discountType: 'percentage',
+  discountValue: 20,
+  maxRedemptions: 0,
+  maxRedemptionsPerUser: 0,
+  redemptionCount: 0,
+  ticketTiers: [],
+  calculateDiscount: (subtotal) => subtotal * 0.2
+};
+
+const mockEvent = {
+  _id: 'event-1',
+  ticketTiers: []
+};
+
+const mockCheckout = {
+  eventId: 'event-1',
+  userId: 'user-1',
+  discountAmount: 10,
+  reservationId: 'reservation-1'
+};
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+describe('Promo codes', () => {
+  beforeEach(() => {
+    PromoRedemption.create.mockImplementation(async (data) => ({ _id: 'redemption-1', status: 'reserved', ...data }));
+    PromoCode.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  describe('Validation', () => {
+    it('should compute the discount of a valid code', async () => {
+      PromoCode.find.mockResolvedValue([mockPromo]);
+
+      const { promo, discountAmount } = await promoCodeService.validate(' spring20 ', { event: mockEvent, userId: 'user-1', subtotal: 50 });
+
+      expect(promo.code).toBe('SPRING20');
+      expect(discountAmount).toBe(10);
+    });
+
+    it('should refuse an expired code', async () => {
+      PromoCode.find.mockResolvedValue([{ ...mockPromo, validUntil: new Date(Date.now() - 1000) }]);
+
+      await expect(promoCodeService.validate('SPRING20', { event: mockEvent, userId: 'user-1', subtotal: 50 }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'This promo code has expired' });
+    });
+
+    it('should refuse a code for another ticket type', async () => {
+      PromoCode.find.mockResolvedValue([{ ...mockPromo, ticketTiers: ['tier-vip'] }]);
+
+      await expect(promoCodeService.validate('SPRING20', { event: mockEvent, tierId: 'tier-general', userId: 'user-1', subtotal: 50 }))
+        .rejects.toMatchObject({ message: 'This promo code is not valid for the selected ticket type' });
+    });
+
+    it('should refuse a fixed discount in another currency', async () => {
+      PromoCode.find.mockResolvedValue([{ ...mockPromo, discountType: 'fixed', discountValue: 5, currency: 'EUR' }]);
+
+      await expect(promoCodeService.validate('SPRING20', { event: mockEvent, userId: 'user-1', subtotal: 50, currency: 'usd' }))
+        .rejects.toMatchObject({ message: 'This promo code can only be used for events priced in EUR' });
+    });
+
+    it('should refuse a buyer who used up their uses', async () => {
+      PromoCode.find.mockResolvedValue([{ ...mockPromo, maxRedemptionsPerUser: 1 }]);
+      PromoRedemption.countDocuments.mockResolvedValue(1);
+
+      await expect(promoCodeService.validate('SPRING20', { event: mockEvent, userId: 'user-1', subtotal: 50 }))
+        .rejects.toMatchObject({ message: 'You have already used this promo code' });
+    });
+  });
+
+  describe('Per-user limit', () => {
+    it('should take the user\'s first numbered use', async () => {
+      PromoRedemption.countDocuments.mockResolvedValue(0);
+
+      const redemption = await promoCodeService.reserve({ ...mockPromo, maxRedemptionsPerUser: 2 }, mockCheckout);
+
+      expect(redemption.slot).toBe(1);
+      expect(redemption.reservation).toBe('reservation-1');
+    });
+
+    it('should take the next use when a concurrent checkout took the first', async () => {
+      PromoRedemption.countDocuments.mockResolvedValue(0);
+      PromoRedemption.create
+        .mockRejectedValueOnce(duplicateKey())
+        .mockImplementationOnce(async (data) => ({ _id: 'redemption-2', ...data }));
+
+      const redemption = await promoCodeService.reserve({ ...mockPromo, maxRedemptionsPerUser: 2 }, mockCheckout);
+
+      expect(redemption.slot).toBe(2);
+    });
+
+    it('should refuse the checkout when concurrent checkouts took every use', async () => {
+      PromoRedemption.countDocuments.mockResolvedValue(0);
+      PromoRedemption.create.mockRejectedValue(duplicateKey());
+
+      await expect(promoCodeService.reserve({ ...mockPromo, maxRedemptionsPerUser: 2 }, mockCheckout))
+        .rejects.toMatchObject({ statusCode: 400, message: 'You have already used this promo code' });
+      expect(PromoRedemption.create).toHaveBeenCalledTimes(2);
+      expect(PromoCode.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should count uses from before numbering against the limit', async () => {
+      PromoRedemption.countDocuments.mockResolvedValue(1);
+
+      const redemption = await promoCodeService.reserve({ ...mockPromo, maxRedemptionsPerUser: 2 }, mockCheckout);
+
+      expect(redemption.slot).toBe(2);
+      expect(PromoRedemption.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not number uses of a code without a per-user limit', async () => {
+      const redemption = await promoCodeService.reserve(mockPromo, mockCheckout);
+
+      expect(redemption.slot).toBeUndefined();
+      expect(PromoRedemption.countDocuments).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Overall limit', () => {
+    it('should count the use only while the code is under its limit', async () => {
+      await promoCodeService.reserve({ ...mockPromo, maxRedemptions: 100 }, mockCheckout);
+
+      expect(PromoCode.updateOne).toHaveBeenCalledWith(
+        { _id: 'promo-1', isActive: true, redemptionCount: { $lt: 100 } },
+        { $inc: { redemptionCount: 1 } }
+      );
+    });
+
+    it('should give the use back when the last one was taken meanwhile', async () => {
+      PromoCode.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(promoCodeService.reserve({ ...mockPromo, maxRedemptions: 100 }, mockCheckout))
+        .rejects.toMatchObject({ message: 'This promo code has reached its usage limit' });
+      expect(PromoRedemption.updateOne).toHaveBeenCalledWith(
+        { _id: 'redemption-1' },
+        { status: 'released', $unset: { slot: 1 } }
+      );
+    });
+  });
+
+  describe('Release', () => {
+    it('should give back the uses reserved for a released seat hold', async () => {
+      PromoRedemption.find.mockReturnValue({ select: async () => [{ _id: 'redemption-1' }] });
+      PromoRedemption.findOneAndUpdate.mockResolvedValue({ _id: 'redemption-1', promoCode: 'promo-1' });
+
+      await promoCodeService.releaseForReservation('reservation-1');
+
+      expect(PromoRedemption.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'redemption-1', status: 'reserved' },
+        { status: 'released', $unset: { slot: 1 } },
+        { new: true }
+      );
+      expect(PromoCode.updateOne).toHaveBeenCalledWith({ _id: 'promo-1' }, { $inc: { redemptionCount: -1 } });
+    });
+
+    it('should not give a use back twice', async () => {
+      PromoRedemption.findOneAndUpdate.mockResolvedValue(null);
+
+      await promoCodeService.release('redemption-1');
+
+      expect(PromoCode.updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,124 @@
+process.env.VAPID_PUBLIC_KEY = 'test-vapid-public-key';
+process.env.VAPID_PRIVATE_KEY = 'test-vapid-private-key';
+
+jest.mock('web-push', () => ({
+  setVapidDetails: jest.fn(),
+  sendNotification: jest.fn()
+}));
+jest.mock('../models/user', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../models/order', () => ({
+  distinct: jest.fn()
+}));
+jest.mock('../models/pushSubscription', () => ({
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  findOneAndDelete: jest.fn(),
+  updateOne: jest.fn(),
+  deleteOne: jest.fn()
+}));
+
+const webpush = require('web-push');
+const User = require('../models/user');
+const PushSubscription = require('../models/pushSubscription');
+const pushNotificationService = require('../services/pushNotificationService');
+
+// Mock data
+const mockSubscription = {
+  endpoint: 'https://push.example.com/send/abc123',
+  keys: { p256dh: 'p256dh-key', auth: 'auth-secret' }
+};
+
+const mockDevice = {
+  _id: 'device-1',
+  user: 'user-1',
+  ...mockSubscription,
+  label: 'Chrome on Windows',
+  lastSeenAt: new Date('2030-05-01T10:00:00Z')
+};
+
+const CHROME_ON_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+describe('Push subscriptions', () => {
+  beforeEach(() => {
+    User.findById.mockReturnValue({ select: async () => ({ _id: 'user-1' }) });
+    PushSubscription.findOneAndUpdate.mockResolvedValue(mockDevice);
+    PushSubscription.find.mockResolvedValue([mockDevice, { ...mockDevice, _id: 'device-2', endpoint: 'https://push.example.com/send/def456' }]);
+  });
+
+  describe('Devices', () => {
+    it('should store one subscription per browser, named after its user agent', async () => {
+      const result = await pushNotificationService.subscribeUser('user-1', mockSubscription, { userAgent: CHROME_ON_WINDOWS });
+
+      expect(PushSubscription.findOneAndUpdate).toHaveBeenCalledWith(
+        { endpoint: 'https://push.example.com/send/abc123' },
+        {
+          $set: { user: 'user-1', keys: mockSubscription.keys, lastSeenAt: expect.any(Date), userAgent: CHROME_ON_WINDOWS },
+          $setOnInsert: { label: 'Chrome on Windows' }
+        },
+        { upsert: true, new: true, runValidators: true }
+      );
+      expect(result.device).not.toHaveProperty('keys');
+      expect(result.device).toMatchObject({ _id: 'device-1', label: 'Chrome on Windows' });
+    });
+
+    it('should rename a device only when given a label', async () => {
+      await pushNotificationService.subscribeUser('user-1', mockSubscription, { label: 'Work laptop' });
+
+      const [, update] = PushSubscription.findOneAndUpdate.mock.calls[0];
+      expect(update.$set.label).toBe('Work laptop');
+      expect(update.$setOnInsert).toBeUndefined();
+    });
+
+    it('should name devices by browser and system', () => {
+      expect(pushNotificationService.getDeviceLabel('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Version/17.0 Mobile/15E148 Safari/604.1'))
+        .toBe('Safari on iPhone');
+      expect(pushNotificationService.getDeviceLabel('Mozilla/5.0 (X11; Linux x86_64; rv:120.0) Gecko/20100101 Firefox/120.0')).toBe('Firefox on Linux');
+      expect(pushNotificationService.getDeviceLabel(undefined)).toBe('Unknown device');
+    });
+
+    it('should only revoke the user\'s own devices', async () => {
+      PushSubscription.findOneAndDelete.mockResolvedValue(null);
+
+      await expect(pushNotificationService.revokeDevice('user-2', 'device-1')).rejects.toMatchObject({ statusCode: 404 });
+      expect(PushSubscription.findOneAndDelete).toHaveBeenCalledWith({ _id: 'device-1', user: 'user-2' });
+    });
+  });
+
+  describe('Sending', () => {
+    it('should send to every device of the user', async () => {
+      webpush.sendNotification.mockResolvedValue({ statusCode: 201 });
+
+      const result = await pushNotificationService.sendToUser('user-1', { title: 'Doors open' });
+
+      expect(result.success).toBe(true);
+      expect(webpush.sendNotification).toHaveBeenCalledTimes(2);
+      expect(webpush.sendNotification).toHaveBeenCalledWith(mockSubscription, JSON.stringify({ title: 'Doors open' }));
+      expect(PushSubscription.updateOne).toHaveBeenCalledWith({ _id: 'device-1' }, { $set: { lastDeliveredAt: expect.any(Date) } });
+    });
+
+    it('should remove devices the push service reports as gone', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      webpush.sendNotification
+        .mockRejectedValueOnce(Object.assign(new Error('Gone'), { statusCode: 410 }))
+        .mockRejectedValueOnce(Object.assign(new Error('Service unavailable'), { statusCode: 503 }));
+
+      const result = await pushNotificationService.sendToUser('user-1', { title: 'Doors open' });
+
+      expect(result.success).toBe(false);
+      expect(result.results.map(({ pruned }) => pruned)).toEqual([true, false]);
+      expect(PushSubscription.deleteOne).toHaveBeenCalledTimes(1);
+      expect(PushSubscription.deleteOne).toHaveBeenCalledWith({ _id: 'device-1' });
+    });
+
+    it('should report a user without devices', async () => {
+      PushSubscription.find.mockResolvedValue([]);
+
+      const result = await pushNotificationService.sendToUser('user-1', { title: 'Doors open' });
+
+      expect(result).toEqual({ success: false, message: 'User has no push subscriptions' });
+      expect(webpush.sendNotification).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,302 @@
+const mockStripe = {
+  refunds: {
+    create: jest.fn()
+  }
+};
+
+jest.mock('stripe', () => jest.fn(() => mockStripe));
+jest.mock('../models/order', () => ({
+  findById: jest.fn(),
+  findOne: jest.fn(),
+  updateOne: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('../models/checkIn', () => ({
+  find: jest.fn(),
+  updateMany: jest.fn()
+}));
+jest.mock('../models/user', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../services/reservationService', () => ({
+  releaseForOrder: jest.fn()
+}));
+jest.mock('../services/ticketService', () => ({
+  refreshWalletPasses: jest.fn()
+}));
+jest.mock('../services/notificationService', () => ({
+  sendNotification: jest.fn()
+}));
+jest.mock('../services/eventAnalyticsService', () => ({
+  trackRefund: jest.fn()
+}));
+jest.mock('../services/invoiceService', () => ({
+  issueCreditNote: jest.fn()
+}));
+
+const Order = require('../models/order');
+const CheckIn = require('../models/checkIn');
+const User = require('../models/user');
+const reservationService = require('../services/reservationService');
+const ticketService = require('../services/ticketService');
+const EventAnalyticsService = require('../services/eventAnalyticsService');
+const invoiceService = require('../services/invoiceService');
+const refundService = require('../services/refundService');
+
+// Mock data
+const mockOrder = {
+  _id: 'order-1',
+  buyer: 'user-1',
+  event: {
+    _id: 'event-1',
+    title: 'Test Event',
+    startDateTime: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // Next week
+    refundPolicy: { allowSelfCancellation: true, cancellationDeadlineHours: 24, refundPercentage: 50 }
+  },
+  status: 'completed',
+  currency: 'USD',
+  totalAmount: 100,
+  refundedAmount: 0,
+  paymentId: 'pi_test_1',
+  refunds: []
+};
+
+const mockCharge = {
+  payment_intent: 'pi_test_1',
+  currency: 'usd',
+  amount_refunded: 4000,
+  refunded: false
+};
+
+// Refunds of a stored order, with the lookup of a Mongoose document array
+const mockRefundList = (refunds = []) => Object.assign([...refunds], {
+  id: (refundId) => refunds.find((refund) => refund._id.toString() === refundId.toString())
+});
+
+// Order.findById(...).populate(...) resolves to the order as it is stored at that point
+const mockStoredOrders = (...orders) => {
+  orders.forEach((order) => Order.findById.mockReturnValueOnce({
+    populate: async () => Object.assign(order, { refunds: mockRefundList(order.refunds) })
+  }));
+};
+
+describe('Refunds', () => {
+  beforeEach(() => {
+    Order.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    User.findById.mockReturnValue({ select: async () => ({ email: 'test@example.com', firstName: 'Test' }) });
+    mockStripe.refunds.create.mockResolvedValue({ id: 're_test_1' });
+    CheckIn.find.mockReturnValue({ select: async () => [] });
+  });
+
+  describe('Organizer refunds', () => {
+    it('should record the refund as pending before creating it in Stripe', async () => {
+      let refundId;
+      Order.updateOne.mockImplementationOnce(async (filter, update) => {
+        refundId = update.$push.refunds._id;
+        expect(mockStripe.refunds.create).not.toHaveBeenCalled();
+        return { modifiedCount: 1 };
+      });
+      mockStoredOrders(mockOrder, { ...mockOrder, refundedAmount: 40, save: jest.fn() });
+
+      await refundService.refundOrder('order-1', { amount: 40, reason: 'Venue change', initiatedBy: 'organizer-1' });
+
+      expect(Order.updateOne).toHaveBeenNthCalledWith(
+        1,
+        { _id: 'order-1', refundedAmount: { $in: [0, null] } },
+        {
+          $set: { refundedAmount: 40 },
+          $push: {
+            refunds: expect.objectContaining({ amount: 40, type: 'organizer', initiatedBy: 'organizer-1', status: 'pending' })
+          }
+        }
+      );
+      expect(mockStripe.refunds.create).toHaveBeenCalledWith(
+        expect.objectContaining({ payment_intent: 'pi_test_1', amount: 4000 }),
+        { idempotencyKey: `refund-${refundId}` }
+      );
+      expect(Order.updateOne).toHaveBeenNthCalledWith(
+        2,
+        { _id: 'order-1', 'refunds._id': refundId },
+        { $set: { 'refunds.$.stripeRefundId': 're_test_1', 'refunds.$.status': 'succeeded' } }
+      );
+      expect(EventAnalyticsService.trackRefund).toHaveBeenCalledWith('event-1', 40, 'USD');
+    });
+
+    it('should issue a credit note for the refund', async () => {
+      let refundId;
+      Order.updateOne.mockImplementationOnce(async (filter, update) => {
+        refundId = update.$push.refunds._id;
+        return { modifiedCount: 1 };
+      });
+      Order.findById
+        .mockReturnValueOnce({ populate: async () => mockOrder })
+        .mockReturnValueOnce({
+          populate: async () => ({ ...mockOrder, refundedAmount: 40, refunds: mockRefundList([{ _id: refundId, amount: 40 }]), save: jest.fn() })
+        });
+
+      await refundService.refundOrder('order-1', { amount: 40 });
+
+      expect(invoiceService.issueCreditNote).toHaveBeenCalledTimes(1);
+      expect(invoiceService.issueCreditNote).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: 'order-1' }),
+        { _id: refundId, amount: 40 }
+      );
+    });
+
+    it('should not fail the refund when the credit note cannot be issued', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      mockStoredOrders(mockOrder, { ...mockOrder, refundedAmount: 40, save: jest.fn() });
+      invoiceService.issueCreditNote.mockRejectedValue(new Error('connection lost'));
+
+      const order = await refundService.refundOrder('order-1', { amount: 40 });
+
+      expect(order.refundedAmount).toBe(40);
+      expect(console.error).toHaveBeenCalledWith('Credit note error for order order-1:', expect.any(Error));
+    });
+
+    it('should refund zero-decimal currencies in whole units', async () => {
+      const order = { ...mockOrder, currency: 'JPY', totalAmount: 3000 };
+      mockStoredOrders(order, { ...order, refundedAmount: 1000, save: jest.fn() });
+
+      await refundService.refundOrder('order-1', { amount: 1000 });
+
+      expect(mockStripe.refunds.create).toHaveBeenCalledWith(expect.objectContaining({ amount: 1000 }), expect.any(Object));
+      expect(Order.updateOne.mock.calls[0][1].$set).toEqual({ refundedAmount: 1000 });
+    });
+
+    it('should remove the recorded refund when Stripe refuses it', async () => {
+      mockStoredOrders(mockOrder);
+      mockStripe.refunds.create.mockRejectedValue(new Error('Charge already refunded'));
+
+      await expect(refundService.refundOrder('order-1', { amount: 40 })).rejects.toThrow('Charge already refunded');
+
+      const [filter, update] = Order.updateOne.mock.calls[1];
+      expect(filter).toEqual({ _id: 'order-1', refundedAmount: 40 });
+      expect(update.$set).toEqual({ refundedAmount: 0 });
+      expect(update.$pull.refunds._id).toBe(Order.updateOne.mock.calls[0][1].$push.refunds._id);
+      expect(EventAnalyticsService.trackRefund).not.toHaveBeenCalled();
+      expect(invoiceService.issueCreditNote).not.toHaveBeenCalled();
+    });
+
+    it('should refuse the refund when another one was recorded meanwhile', async () => {
+      mockStoredOrders(mockOrder);
+      Order.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(refundService.refundOrder('order-1', { amount: 40 })).rejects.toMatchObject({ statusCode: 409 });
+      expect(mockStripe.refunds.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse more than is left to refund', async () => {
+      mockStoredOrders({ ...mockOrder, refundedAmount: 80 });
+
+      await expect(refundService.refundOrder('order-1', { amount: 30 })).rejects.toMatchObject({ statusCode: 400 });
+      expect(Order.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should release the seats and cancel unused tickets once the order is refunded in full', async () => {
+      const stored = { ...mockOrder, refundedAmount: 100, save: jest.fn() };
+      mockStoredOrders(mockOrder, stored);
+      CheckIn.find.mockReturnValue({ select: async () => [{ _id: 'ticket-1' }] });
+
+      const order = await refundService.refundOrder('order-1');
+
+      expect(order.status).toBe('refunded');
+      expect(stored.save).toHaveBeenCalled();
+      expect(reservationService.releaseForOrder).toHaveBeenCalledWith('order-1', 'refunded');
+      expect(CheckIn.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: ['ticket-1'] }, status: 'pending' },
+        expect.objectContaining({ status: 'cancelled' })
+      );
+      expect(ticketService.refreshWalletPasses).toHaveBeenCalledWith({ _id: 'ticket-1' });
+    });
+  });
+
+  describe('Self-cancellation', () => {
+    it('should refund the policy\'s share and cancel the order', async () => {
+      const stored = { ...mockOrder, refundedAmount: 50, save: jest.fn() };
+      Order.findOne.mockReturnValue({ populate: async () => mockOrder });
+      mockStoredOrders(stored);
+
+      const { order, refundAmount } = await refundService.cancelOrder('order-1', 'user-1', 'Cannot attend');
+
+      expect(refundAmount).toBe(50);
+      expect(mockStripe.refunds.create).toHaveBeenCalledWith(expect.objectContaining({ amount: 5000 }), expect.any(Object));
+      expect(order.status).toBe('cancelled');
+      expect(order.cancellationReason).toBe('Cannot attend');
+      expect(reservationService.releaseForOrder).toHaveBeenCalledWith('order-1', 'cancelled');
+    });
+
+    it('should refuse a cancellation after the deadline', async () => {
+      Order.findOne.mockReturnValue({
+        populate: async () => ({
+          ...mockOrder,
+          event: { ...mockOrder.event, startDateTime: new Date(Date.now() + 60 * 60 * 1000) }
+        })
+      });
+
+      await expect(refundService.cancelOrder('order-1', 'user-1')).rejects.toMatchObject({ statusCode: 403 });
+      expect(Order.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a cancellation the organizer does not allow', async () => {
+      Order.findOne.mockReturnValue({
+        populate: async () => ({ ...mockOrder, event: { ...mockOrder.event, refundPolicy: {} } })
+      });
+
+      await expect(refundService.cancelOrder('order-1', 'user-1')).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('Stripe refund webhooks', () => {
+    it('should not count a refund of ours again', async () => {
+      // Already recorded by issueRefund before Stripe sent the webhook
+      Order.findOne.mockResolvedValue({ ...mockOrder, refundedAmount: 40 });
+
+      await refundService.reconcileChargeRefund(mockCharge);
+
+      expect(Order.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(EventAnalyticsService.trackRefund).not.toHaveBeenCalled();
+    });
+
+    it('should record a refund made in the Stripe dashboard', async () => {
+      Order.findOne.mockResolvedValue({ ...mockOrder, refundedAmount: 40 });
+      Order.findOneAndUpdate.mockResolvedValue({ ...mockOrder, refundedAmount: 60 });
+
+      const order = await refundService.reconcileChargeRefund({ ...mockCharge, amount_refunded: 6000 });
+
+      expect(Order.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'order-1', refundedAmount: 40 },
+        {
+          $set: { refundedAmount: 60 },
+          $push: { refunds: { amount: 20, type: 'stripe', reason: 'Refunded in Stripe' } }
+        },
+        { new: true }
+      );
+      expect(order.refundedAmount).toBe(60);
+      expect(EventAnalyticsService.trackRefund).toHaveBeenCalledWith('event-1', 20, 'USD');
+      expect(invoiceService.issueCreditNote).toHaveBeenCalledTimes(1);
+    });
+
+    it('should compare again when a refund of ours was recorded meanwhile', async () => {
+      Order.findOne
+        .mockResolvedValueOnce({ ...mockOrder, refundedAmount: 40 })
+        .mockResolvedValueOnce({ ...mockOrder, refundedAmount: 60 });
+      Order.findOneAndUpdate.mockResolvedValue(null);
+
+      await refundService.reconcileChargeRefund({ ...mockCharge, amount_refunded: 6000 });
+
+      expect(Order.findOne).toHaveBeenCalledTimes(2);
+      expect(Order.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    });
+
+    it('should release the seats of a charge refunded in full', async () => {
+      const stored = { ...mockOrder, refundedAmount: 100, save: jest.fn() };
+      Order.findOne.mockResolvedValue(stored);
+
+      await refundService.reconcileChargeRefund({ ...mockCharge, amount_refunded: 10000, refunded: true });
+
+      expect(stored.status).toBe('refunded');
+      expect(reservationService.releaseForOrder).toHaveBeenCalledWith('order-1', 'refunded');
+    });
+  });
+});
@@ -0,0 +1,282 @@
+process.env.VAPID_PUBLIC_KEY = 'test-vapid-public-key';
+process.env.VAPID_PRIVATE_KEY = 'test-vapid-private-key';
+
+jest.mock('../models/event', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../models/checkIn', () => ({
+  find: jest.fn()
+}));
+jest.mock('../models/user', () => ({
+  find: jest.fn()
+}));
+jest.mock('../models/scheduledReminder', () => ({
+  updateOne: jest.fn(),
+  updateMany: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('../models/reminderDelivery', () => ({
+  create: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  aggregate: jest.fn()
+}));
+jest.mock('../models/pushSubscription', () => ({
+  distinct: jest.fn()
+}));
+jest.mock('../services/emailTemplateService', () => ({
+  isConfigured: true,
+  generateEventReminderEmail: jest.fn(),
+  sendEmail: jest.fn()
+}));
+jest.mock('../services/smsService', () => ({
+  isConfigured: true,
+  sendEventReminderSMS: jest.fn()
+}));
+jest.mock('../services/pushNotificationService', () => ({
+  sendToUser: jest.fn()
+}));
+
+const Event = require('../models/event');
+const CheckIn = require('../models/checkIn');
+const User = require('../models/user');
+const ScheduledReminder = require('../models/scheduledReminder');
+const ReminderDelivery = require('../models/reminderDelivery');
+const PushSubscription = require('../models/pushSubscription');
+const emailTemplateService = require('../services/emailTemplateService');
+const smsService = require('../services/smsService');
+const pushNotificationService = require('../services/pushNotificationService');
+const reminderService = require('../services/reminderService');
+
+const HOUR = 60 * 60 * 1000;
+
+// Mock data
+const eventStart = new Date(Date.now() + 24 * HOUR);
+
+const mockEvent = {
+  _id: 'event-1',
+  title: 'Test Event',
+  startDateTime: eventStart,
+  location: 'Main Hall',
+  status: 'published',
+  attendees: ['user-1'],
+  reminderSettings: { enabled: true, offsetsMinutes: [1440, 60], channels: ['email'] }
+};
+
+const mockReminder = {
+  _id: 'reminder-1',
+  event: 'event-1',
+  offsetMinutes: 1440,
+  eventStart,
+  sendAt: new Date(eventStart.getTime() - 24 * HOUR),
+  status: 'processing',
+  attempts: 1,
+  stats: { recipients: 0, sent: 0, failed: 0, skipped: 0 }
+};
+
+const mockUsers = [
+  { _id: 'user-1', firstName: 'Ada', email: 'ada@example.com', phoneNumber: '+15550100', notificationPreferences: {} },
+  { _id: 'user-2', firstName: 'Grace', email: 'grace@example.com', notificationPreferences: {} }
+];
+
+const mockTickets = [
+  { attendee: 'user-1' },
+  { attendeeEmail: 'ada@example.com', attendeeName: 'Ada Lovelace' },
+  { attendeeEmail: 'guest@example.com', attendeeName: 'Guest' },
+  { attendeeEmail: 'guest@example.com', attendeeName: 'Guest' },
+  { order: { buyer: 'user-2' } }
+];
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+describe('Event reminders', () => {
+  beforeEach(() => {
+    Event.findById.mockReturnValue({ select: async () => mockEvent });
+    CheckIn.find.mockReturnValue({ select: () => ({ populate: () => ({ lean: async () => mockTickets }) }) });
+    User.find.mockReturnValue({ select: async () => mockUsers });
+    PushSubscription.distinct.mockResolvedValue([]);
+    ScheduledReminder.findOneAndUpdate.mockResolvedValueOnce({ ...mockReminder }).mockResolvedValue(null);
+    ReminderDelivery.create.mockResolvedValue({});
+    ReminderDelivery.aggregate.mockResolvedValue([{ _id: 'sent', count: 3 }]);
+    emailTemplateService.generateEventReminderEmail.mockReturnValue('<p>Reminder</p>');
+    emailTemplateService.sendEmail.mockResolvedValue({ success: true });
+  });
+
+  describe('Scheduling', () => {
+    it('should schedule one reminder per offset before the event start', async () => {
+      await reminderService.scheduleEvent('event-1');
+
+      expect(ScheduledReminder.updateOne).toHaveBeenCalledTimes(2);
+      const [filter, update, options] = ScheduledReminder.updateOne.mock.calls[1];
+      expect(filter).toEqual({
+        event: 'event-1',
+        offsetMinutes: 60,
+        $or: [{ eventStart: { $ne: eventStart } }, { status: 'cancelled' }]
+      });
+      expect(update.$set).toMatchObject({ eventStart, sendAt: new Date(eventStart.getTime() - HOUR), status: 'scheduled', attempts: 0 });
+      expect(options).toEqual({ upsert: true });
+      expect(ScheduledReminder.updateMany).toHaveBeenCalledWith(
+        { event: 'event-1', offsetMinutes: { $nin: [1440, 60] }, status: 'scheduled' },
+        { $set: { status: 'cancelled' } }
+      );
+    });
+
+    it('should skip offsets that have already passed', async () => {
+      Event.findById.mockReturnValue({ select: async () => ({ ...mockEvent, startDateTime: new Date(Date.now() + 2 * HOUR) }) });
+
+      await reminderService.scheduleEvent('event-1');
+
+      expect(ScheduledReminder.updateOne.mock.calls[0][1].$set.status).toBe('skipped');
+      expect(ScheduledReminder.updateOne.mock.calls[1][1].$set.status).toBe('scheduled');
+    });
+
+    it('should keep reminders already scheduled for the same start', async () => {
+      ScheduledReminder.updateOne.mockRejectedValue(duplicateKeyError());
+
+      await expect(reminderService.scheduleEvent('event-1')).resolves.toBeUndefined();
+    });
+
+    it('should cancel the reminders of a cancelled event', async () => {
+      Event.findById.mockReturnValue({ select: async () => ({ ...mockEvent, status: 'cancelled' }) });
+
+      await reminderService.scheduleEvent('event-1');
+
+      expect(ScheduledReminder.updateOne).not.toHaveBeenCalled();
+      expect(ScheduledReminder.updateMany).toHaveBeenCalledWith({ event: 'event-1', status: 'scheduled' }, { $set: { status: 'cancelled' } });
+    });
+  });
+
+  describe('Sending', () => {
+    it('should email every ticket holder once', async () => {
+      const processed = await reminderService.processDue();
+
+      expect(processed).toBe(1);
+      expect(emailTemplateService.sendEmail.mock.calls.map(([to]) => to).sort())
+        .toEqual(['ada@example.com', 'grace@example.com', 'guest@example.com']);
+      expect(ReminderDelivery.create).toHaveBeenCalledWith({
+        event: 'event-1',
+        offsetMinutes: 1440,
+        eventStart,
+        recipient: 'email:guest@example.com',
+        channel: 'email',
+        reminder: 'reminder-1',
+        user: undefined
+      });
+      expect(ScheduledReminder.updateOne).toHaveBeenCalledWith(
+        { _id: 'reminder-1', status: 'processing', eventStart },
+        { $set: expect.objectContaining({ status: 'sent', stats: { recipients: 3, sent: 3, failed: 0, skipped: 0 } }) }
+      );
+    });
+
+    it('should not send a reminder again to someone who already got it', async () => {
+      ReminderDelivery.create.mockImplementation(async ({ recipient }) => {
+        if (recipient === 'user:user-1') throw duplicateKeyError();
+        return {};
+      });
+      ReminderDelivery.findOneAndUpdate.mockResolvedValue(null);
+
+      await reminderService.processDue();
+
+      expect(ReminderDelivery.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ recipient: 'user:user-1', status: 'failed', attempts: { $lt: 3 } }),
+        expect.any(Object)
+      );
+      expect(emailTemplateService.sendEmail).toHaveBeenCalledTimes(2);
+      expect(emailTemplateService.sendEmail).not.toHaveBeenCalledWith('ada@example.com', expect.anything(), expect.anything());
+    });
+
+    it('should send again a delivery that failed on an earlier attempt', async () => {
+      ReminderDelivery.create.mockRejectedValue(duplicateKeyError());
+      ReminderDelivery.findOneAndUpdate.mockResolvedValue({ status: 'sending' });
+
+      await reminderService.processDue();
+
+      expect(emailTemplateService.sendEmail).toHaveBeenCalledTimes(3);
+    });
+
+    it('should record failed deliveries and retry the reminder later', async () => {
+      emailTemplateService.sendEmail.mockRejectedValueOnce(new Error('SMTP timeout'));
+      ReminderDelivery.aggregate.mockResolvedValue([{ _id: 'sent', count: 2 }, { _id: 'failed', count: 1 }]);
+
+      await reminderService.processDue();
+
+      expect(ReminderDelivery.updateOne).toHaveBeenCalledWith(
+        expect.objectContaining({ channel: 'email' }),
+        { $set: { status: 'failed', reason: 'SMTP timeout' } }
+      );
+      const update = ScheduledReminder.updateOne.mock.calls[0][1].$set;
+      expect(update.status).toBe('scheduled');
+      expect(update.sendAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should stop retrying after the last attempt', async () => {
+      ScheduledReminder.findOneAndUpdate.mockReset();
+      ScheduledReminder.findOneAndUpdate.mockResolvedValueOnce({ ...mockReminder, attempts: 3 }).mockResolvedValue(null);
+      ReminderDelivery.aggregate.mockResolvedValue([{ _id: 'sent', count: 2 }, { _id: 'failed', count: 1 }]);
+
+      await reminderService.processDue();
+
+      expect(ScheduledReminder.updateOne.mock.calls[0][1].$set).toMatchObject({ status: 'sent', stats: { failed: 1 } });
+    });
+
+    it('should leave out channels a recipient opted out of', async () => {
+      smsService.sendEventReminderSMS.mockResolvedValue({ success: true });
+      Event.findById.mockReturnValue({
+        select: async () => ({ ...mockEvent, reminderSettings: { ...mockEvent.reminderSettings, channels: ['sms'] } })
+      });
+      User.find.mockReturnValue({
+        select: async () => [{ ...mockUsers[0], notificationPreferences: { event_reminder: { sms: true } } }, mockUsers[1]]
+      });
+
+      await reminderService.processDue();
+
+      expect(smsService.sendEventReminderSMS).toHaveBeenCalledTimes(1);
+      expect(smsService.sendEventReminderSMS).toHaveBeenCalledWith('+15550100', expect.any(Object), '24h');
+      expect(ScheduledReminder.updateOne.mock.calls[0][1].$set.stats.skipped).toBe(2);
+    });
+
+    it('should only push to users with a push device', async () => {
+      pushNotificationService.sendToUser.mockResolvedValue({ success: true });
+      PushSubscription.distinct.mockResolvedValue(['user-2']);
+      Event.findById.mockReturnValue({
+        select: async () => ({ ...mockEvent, reminderSettings: { ...mockEvent.reminderSettings, channels: ['push'] } })
+      });
+
+      await reminderService.processDue();
+
+      expect(PushSubscription.distinct).toHaveBeenCalledWith('user', { user: { $in: ['user-1', 'user-2'] } });
+      expect(pushNotificationService.sendToUser).toHaveBeenCalledTimes(1);
+      expect(pushNotificationService.sendToUser).toHaveBeenCalledWith('user-2', expect.objectContaining({ title: 'Reminder: Test Event' }));
+    });
+
+    it('should move reminders of an event rescheduled outside the API', async () => {
+      const movedEvent = { ...mockEvent, startDateTime: new Date(eventStart.getTime() + 24 * HOUR) };
+      Event.findById.mockReturnValue({ select: async () => movedEvent });
+
+      await reminderService.processDue();
+
+      expect(emailTemplateService.sendEmail).not.toHaveBeenCalled();
+      expect(ScheduledReminder.updateOne).toHaveBeenCalledWith(
+        { _id: 'reminder-1', status: 'processing', eventStart },
+        { $set: { status: 'cancelled', lockedUntil: null } }
+      );
+      expect(ScheduledReminder.updateOne).toHaveBeenCalledWith(
+        expect.objectContaining({ event: 'event-1', offsetMinutes: 1440 }),
+        expect.objectContaining({ $set: expect.objectContaining({ eventStart: movedEvent.startDateTime }) }),
+        { upsert: true }
+      );
+    });
+
+    it('should skip a reminder found too late, e.g. after downtime', async () => {
+      ScheduledReminder.findOneAndUpdate.mockReset();
+      ScheduledReminder.findOneAndUpdate
+        .mockResolvedValueOnce({ ...mockReminder, sendAt: new Date(Date.now() - 2 * HOUR) })
+        .mockResolvedValue(null);
+
+      await reminderService.processDue();
+
+      expect(emailTemplateService.sendEmail).not.toHaveBeenCalled();
+      expect(ScheduledReminder.updateOne.mock.calls[0][1]).toEqual({ $set: { status: 'skipped', lockedUntil: null } });
+    });
+  });
+});
@@ -0,0 +1,269 @@
+const mockStripe = {
+  checkout: {
+    sessions: {
+      expire: jest.fn(),
+      retrieve: jest.fn()
+    }
+  }
+};
+
+jest.mock('stripe', () => jest.fn(() => mockStripe));
+jest.mock('../models/event', () => ({
+  findById: jest.fn(),
+  find: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../models/order', () => ({
+  aggregate: jest.fn()
+}));
+jest.mock('../models/seatReservation', () => ({
+  create: jest.fn(),
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  aggregate: jest.fn()
+}));
+jest.mock('../services/promoCodeService', () => ({
+  releaseForReservation: jest.fn()
+}));
+jest.mock('../services/waitlistService', () => ({
+  handleSeatsReleased: jest.fn()
+}));
+
+const Event = require('../models/event');
+const Order = require('../models/order');
+const SeatReservation = require('../models/seatReservation');
+const promoCodeService = require('../services/promoCodeService');
+const waitlistService = require('../services/waitlistService');
+const reservationService = require('../services/reservationService');
+
+const MINUTE = 60 * 1000;
+
+// Mock data
+const mockEvent = {
+  _id: 'event-1',
+  capacity: 10,
+  seatsTaken: 4,
+  attendees: [],
+  ticketTiers: [],
+  $isDefault: () => false
+};
+
+const mockReservation = {
+  _id: 'reservation-1',
+  event: 'event-1',
+  user: 'user-1',
+  quantity: 2,
+  source: 'checkout',
+  status: 'expired'
+};
+
+describe('Seat reservations', () => {
+  beforeEach(() => {
+    SeatReservation.create.mockImplementation(async (data) => ({ _id: 'reservation-1', ...data }));
+    Event.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  describe('Holding seats', () => {
+    it('should hold seats for the checkout and count them on the event', async () => {
+      Event.findById.mockResolvedValue(mockEvent);
+
+      const before = Date.now();
+      const reservation = await reservationService.reserve({
+        eventId: 'event-1',
+        userId: 'user-1',
+        quantity: 2,
+        source: 'checkout',
+        hold: true
+      });
+
+      expect(reservation.status).toBe('held');
+      expect(reservation.quantity).toBe(2);
+      expect(reservation.expiresAt.getTime()).toBeGreaterThanOrEqual(before + reservationService.holdMinutes * MINUTE);
+
+      const [filter, update] = Event.updateOne.mock.calls[0];
+      expect(filter).toEqual({ _id: 'event-1', capacity: 10, seatsTaken: { $lte: 8 } });
+      expect(update).toEqual({ $inc: { seatsTaken: 2 } });
+    });
+
+    it('should refuse more seats than are left', async () => {
+      Event.findById.mockResolvedValue({ ...mockEvent, seatsTaken: 9 });
+
+      await expect(reservationService.reserve({ eventId: 'event-1', userId: 'user-1', quantity: 2, hold: true }))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Event is full' });
+      expect(Event.updateOne).not.toHaveBeenCalled();
+      expect(SeatReservation.create).not.toHaveBeenCalled();
+    });
+
+    it('should read the event again when a concurrent sale took the seats first', async () => {
+      Event.findById.mockResolvedValue(mockEvent);
+      Event.updateOne.mockResolvedValueOnce({ modifiedCount: 0 }).mockResolvedValueOnce({ modifiedCount: 1 });
+
+      await reservationService.reserve({ eventId: 'event-1', userId: 'user-1', hold: true });
+
+      expect(Event.findById).toHaveBeenCalledTimes(2);
+      expect(SeatReservation.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('should give up when the seats keep being taken', async () => {
+      Event.findById.mockResolvedValue(mockEvent);
+      Event.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(reservationService.reserve({ eventId: 'event-1', userId: 'user-1', hold: true }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(SeatReservation.create).not.toHaveBeenCalled();
+    });
+
+    it('should count the seats of an event sold before seats were counted', async () => {
+      Event.findById
+        .mockResolvedValueOnce({ ...mockEvent, seatsTaken: undefined, $isDefault: (path) => path === 'seatsTaken' })
+        .mockResolvedValueOnce({ ...mockEvent, seatsTaken: 9 });
+      Event.find.mockReturnValue({ select: () => ({ lean: async () => [{ _id: 'event-1', attendees: [] }] }) });
+      Order.aggregate.mockResolvedValue([{ seats: 9, buyers: [] }]);
+      SeatReservation.aggregate.mockResolvedValue([]);
+
+      await expect(reservationService.reserve({ eventId: 'event-1', userId: 'user-1', quantity: 2, hold: true }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(Event.updateOne).toHaveBeenCalledWith(
+        { _id: 'event-1', seatsTaken: { $exists: false } },
+        { $set: { seatsTaken: 9 } }
+      );
+    });
+  });
+
+  describe('Checkout sessions', () => {
+    it('should keep the session open for at least Stripe\'s minimum', () => {
+      const before = Date.now();
+      const expiresAt = reservationService.getCheckoutExpiry({ expiresAt: new Date(before + 5 * MINUTE) });
+
+      expect(expiresAt.getTime()).toBeGreaterThanOrEqual(before + 32 * MINUTE);
+    });
+
+    it('should close the session with a hold that lasts longer', () => {
+      const holdEnd = new Date(Date.now() + 60 * MINUTE);
+
+      expect(reservationService.getCheckoutExpiry({ expiresAt: holdEnd })).toEqual(holdEnd);
+    });
+
+    it('should link the session without extending the hold', async () => {
+      await reservationService.attachSession('reservation-1', 'cs_test_1');
+
+      expect(SeatReservation.findByIdAndUpdate).toHaveBeenCalledWith(
+        'reservation-1',
+        { stripeSessionId: 'cs_test_1' },
+        { new: true }
+      );
+    });
+  });
+
+  describe('Expired holds', () => {
+    beforeEach(() => {
+      SeatReservation.find.mockReturnValue({
+        select: async () => [{ _id: 'reservation-1' }, { _id: 'reservation-2' }]
+      });
+    });
+
+    it('should give the seats and promo code uses of expired holds back', async () => {
+      SeatReservation.findOneAndUpdate
+        .mockResolvedValueOnce(mockReservation)
+        .mockResolvedValueOnce({ ...mockReservation, _id: 'reservation-2', quantity: 1 });
+
+      const result = await reservationService.releaseExpiredHolds();
+
+      expect(result).toEqual({ releasedCount: 2 });
+      expect(SeatReservation.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'reservation-1', status: { $in: ['held', 'confirmed'] } },
+        expect.objectContaining({ status: 'expired', releaseReason: 'hold_expired' }),
+        { new: true }
+      );
+      expect(Event.updateOne).toHaveBeenCalledWith({ _id: 'event-1' }, { $inc: { seatsTaken: -2 } });
+      expect(Event.updateOne).toHaveBeenCalledWith({ _id: 'event-1' }, { $inc: { seatsTaken: -1 } });
+      expect(promoCodeService.releaseForReservation).toHaveBeenCalledWith('reservation-1');
+      expect(promoCodeService.releaseForReservation).toHaveBeenCalledWith('reservation-2');
+      expect(waitlistService.handleSeatsReleased).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not release a hold twice', async () => {
+      // The Stripe webhook already released the first one
+      SeatReservation.findOneAndUpdate
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ ...mockReservation, _id: 'reservation-2' });
+
+      const result = await reservationService.releaseExpiredHolds();
+
+      expect(result).toEqual({ releasedCount: 1 });
+      expect(Event.updateOne).toHaveBeenCalledTimes(1);
+      expect(promoCodeService.releaseForReservation).toHaveBeenCalledTimes(1);
+      expect(waitlistService.handleSeatsReleased).toHaveBeenCalledTimes(1);
+    });
+
+    it('should release the seats when the promo code use cannot be given back', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      SeatReservation.findOneAndUpdate.mockResolvedValue(mockReservation);
+      promoCodeService.releaseForReservation.mockRejectedValue(new Error('connection lost'));
+
+      const result = await reservationService.releaseExpiredHolds();
+
+      expect(result).toEqual({ releasedCount: 2 });
+      expect(Event.updateOne).toHaveBeenCalledTimes(2);
+    });
+
+    it('should close the checkout session before giving the seats back', async () => {
+      SeatReservation.find.mockReturnValue({
+        select: async () => [{ _id: 'reservation-1', stripeSessionId: 'cs_test_1' }]
+      });
+      mockStripe.checkout.sessions.expire.mockResolvedValue({ status: 'expired' });
+      SeatReservation.findOneAndUpdate.mockResolvedValue(mockReservation);
+
+      const result = await reservationService.releaseExpiredHolds();
+
+      expect(result).toEqual({ releasedCount: 1 });
+      expect(mockStripe.checkout.sessions.expire).toHaveBeenCalledWith('cs_test_1');
+    });
+
+    it('should keep the hold of a session that was paid meanwhile', async () => {
+      SeatReservation.find.mockReturnValue({
+        select: async () => [{ _id: 'reservation-1', stripeSessionId: 'cs_test_1' }]
+      });
+      mockStripe.checkout.sessions.expire.mockRejectedValue(new Error('Only open sessions can be expired'));
+      mockStripe.checkout.sessions.retrieve.mockResolvedValue({ status: 'complete' });
+
+      const result = await reservationService.releaseExpiredHolds();
+
+      expect(result).toEqual({ releasedCount: 0 });
+      expect(SeatReservation.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should keep the hold while Stripe cannot be reached', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      SeatReservation.find.mockReturnValue({
+        select: async () => [{ _id: 'reservation-1', stripeSessionId: 'cs_test_1' }]
+      });
+      mockStripe.checkout.sessions.expire.mockRejectedValue(new Error('connection lost'));
+      mockStripe.checkout.sessions.retrieve.mockRejectedValue(new Error('connection lost'));
+
+      const result = await reservationService.releaseExpiredHolds();
+
+      expect(result).toEqual({ releasedCount: 0 });
+      expect(SeatReservation.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Seat count backfill', () => {
+    it('should count completed orders, free registrants and active holds', async () => {
+      Event.find.mockReturnValue({
+        select: () => ({ lean: async () => [{ _id: 'event-1', attendees: ['buyer-1', 'guest-1', 'guest-2'] }] })
+      });
+      Order.aggregate.mockResolvedValue([{ seats: 5, buyers: ['buyer-1'] }]);
+      SeatReservation.aggregate.mockResolvedValue([{ seats: 3 }]);
+
+      const result = await reservationService.backfillSeatsTaken();
+
+      expect(result).toEqual({ updatedCount: 1 });
+      expect(Event.updateOne).toHaveBeenCalledWith(
+        { _id: 'event-1', seatsTaken: { $exists: false } },
+        { $set: { seatsTaken: 10 } }
+      );
+    });
+  });
+});
@@ -0,0 +1,327 @@
+const mockTransporter = {
+  sendMail: jest.fn()
+};
+
+jest.mock('../config/communicationConfig', () => ({
+  getEmailTransporter: () => mockTransporter,
+  isEmailConfigured: () => true
+}));
+jest.mock('../models/order', () => ({
+  findOne: jest.fn(),
+  create: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../models/event', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../models/checkIn', () => ({
+  findOne: jest.fn()
+}));
+jest.mock('../models/user', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../models/promoRedemption', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../models/stripeWebhookEvent', () => ({
+  updateOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  findById: jest.fn()
+}));
+jest.mock('../services/reservationService', () => ({
+  confirm: jest.fn(),
+  releaseBySession: jest.fn()
+}));
+jest.mock('../services/refundService', () => ({
+  reconcileChargeRefund: jest.fn()
+}));
+jest.mock('../services/promoCodeService', () => ({
+  redeem: jest.fn(),
+  release: jest.fn()
+}));
+jest.mock('../services/ticketService', () => ({
+  issueTickets: jest.fn(),
+  getConfirmationCode: jest.fn()
+}));
+jest.mock('../services/walletPassService', () => ({
+  getWalletLinks: jest.fn(),
+  getApplePassAttachment: jest.fn()
+}));
+jest.mock('../services/invoiceService', () => ({
+  issueForOrder: jest.fn(),
+  renderPdf: jest.fn()
+}));
+jest.mock('../services/notificationService', () => ({
+  sendNotification: jest.fn()
+}));
+jest.mock('../services/eventAnalyticsService', () => ({
+  trackRevenue: jest.fn()
+}));
+jest.mock('../services/emailTrackingService', () => ({
+  prepare: jest.fn(),
+  markSent: jest.fn(),
+  markFailed: jest.fn()
+}));
+
+const Order = require('../models/order');
+const Event = require('../models/event');
+const CheckIn = require('../models/checkIn');
+const User = require('../models/user');
+const StripeWebhookEvent = require('../models/stripeWebhookEvent');
+const reservationService = require('../services/reservationService');
+const promoCodeService = require('../services/promoCodeService');
+const ticketService = require('../services/ticketService');
+const walletPassService = require('../services/walletPassService');
+const invoiceService = require('../services/invoiceService');
+const notificationService = require('../services/notificationService');
+const EventAnalyticsService = require('../services/eventAnalyticsService');
+const emailTrackingService = require('../services/emailTrackingService');
+const stripeWebhookService = require('../services/stripeWebhookService');
+
+// Mock data
+const mockSession = {
+  id: 'cs_test_1',
+  amount_total: 5000,
+  currency: 'usd',
+  payment_intent: 'pi_test_1',
+  metadata: { eventId: 'event-1', buyerId: 'user-1', quantity: '2', reservationId: 'reservation-1' }
+};
+
+const mockStripeEvent = {
+  id: 'evt_test_1',
+  type: 'checkout.session.expired',
+  livemode: false,
+  created: 1700000000,
+  data: { object: mockSession }
+};
+
+const mockRecord = {
+  _id: 'ledger-1',
+  stripeEventId: 'evt_test_1',
+  type: 'checkout.session.expired',
+  status: 'processing',
+  payload: mockStripeEvent
+};
+
+const mockOrder = {
+  _id: 'order-1',
+  event: 'event-1',
+  buyer: 'user-1',
+  totalAmount: 50,
+  quantity: 2,
+  stripeId: 'cs_test_1'
+};
+
+describe('Stripe webhooks', () => {
+  describe('Ledger', () => {
+    it('should record the event and process it once', async () => {
+      const record = { ...mockRecord, save: jest.fn() };
+      StripeWebhookEvent.findOneAndUpdate.mockResolvedValue(record);
+
+      const result = await stripeWebhookService.process(mockStripeEvent);
+
+      expect(result).toEqual({ status: 'processed' });
+      expect(StripeWebhookEvent.updateOne).toHaveBeenCalledWith(
+        { stripeEventId: 'evt_test_1' },
+        { $setOnInsert: expect.objectContaining({ type: 'checkout.session.expired', objectId: 'cs_test_1' }) },
+        { upsert: true }
+      );
+      expect(reservationService.releaseBySession).toHaveBeenCalledWith('cs_test_1');
+      expect(record.status).toBe('processed');
+      expect(record.save).toHaveBeenCalled();
+    });
+
+    it('should skip a delivery that was already processed', async () => {
+      StripeWebhookEvent.findOneAndUpdate.mockResolvedValue(null);
+
+      const result = await stripeWebhookService.process(mockStripeEvent);
+
+      expect(result).toEqual({ duplicate: true });
+      expect(reservationService.releaseBySession).not.toHaveBeenCalled();
+    });
+
+    it('should process an event whose ledger entry a concurrent delivery inserted', async () => {
+      const duplicateKey = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      StripeWebhookEvent.updateOne.mockRejectedValue(duplicateKey);
+      StripeWebhookEvent.findOneAndUpdate.mockResolvedValue({ ...mockRecord, save: jest.fn() });
+
+      const result = await stripeWebhookService.process(mockStripeEvent);
+
+      expect(result).toEqual({ status: 'processed' });
+    });
+
+    it('should mark the delivery as failed when its handler throws', async () => {
+      const record = { ...mockRecord, save: jest.fn() };
+      StripeWebhookEvent.findOneAndUpdate.mockResolvedValue(record);
+      reservationService.releaseBySession.mockRejectedValue(new Error('connection lost'));
+
+      await expect(stripeWebhookService.process(mockStripeEvent)).rejects.toThrow('connection lost');
+      expect(record.status).toBe('failed');
+      expect(record.lastError).toBe('connection lost');
+    });
+
+    it('should only pick up deliveries that are new, failed or stuck', async () => {
+      StripeWebhookEvent.findOneAndUpdate.mockResolvedValue(null);
+
+      await stripeWebhookService.process(mockStripeEvent);
+
+      const [filter, update] = StripeWebhookEvent.findOneAndUpdate.mock.calls[0];
+      expect(filter.stripeEventId).toBe('evt_test_1');
+      expect(filter.$or[0]).toEqual({ status: { $in: ['received', 'failed'] } });
+      expect(filter.$or[1].status).toBe('processing');
+      expect(update).toEqual(expect.objectContaining({ status: 'processing', $inc: { attempts: 1 } }));
+    });
+
+    it('should record an event type without a handler as ignored', async () => {
+      const record = { ...mockRecord, type: 'customer.created', save: jest.fn() };
+      StripeWebhookEvent.findOneAndUpdate.mockResolvedValue(record);
+
+      const result = await stripeWebhookService.process({ ...mockStripeEvent, type: 'customer.created' });
+
+      expect(result).toEqual({ status: 'ignored' });
+      expect(record.status).toBe('ignored');
+    });
+  });
+
+  describe('Replay', () => {
+    it('should run a failed delivery again from its stored payload', async () => {
+      StripeWebhookEvent.findById
+        .mockResolvedValueOnce({ ...mockRecord, status: 'failed' })
+        .mockReturnValueOnce({ select: async () => ({ ...mockRecord, status: 'processed' }) });
+      StripeWebhookEvent.findOneAndUpdate.mockResolvedValue({ ...mockRecord, save: jest.fn() });
+
+      const record = await stripeWebhookService.replay('ledger-1');
+
+      expect(record.status).toBe('processed');
+      expect(reservationService.releaseBySession).toHaveBeenCalledWith('cs_test_1');
+    });
+
+    it('should refuse to replay a delivery that did not fail', async () => {
+      StripeWebhookEvent.findById.mockResolvedValue({ ...mockRecord, status: 'processed' });
+
+      await expect(stripeWebhookService.replay('ledger-1')).rejects.toMatchObject({ statusCode: 400 });
+      expect(StripeWebhookEvent.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Handlers', () => {
+    beforeEach(() => {
+      emailTrackingService.prepare.mockImplementation(async ({ html }) => ({ message: { _id: 'email-1' }, html, suppressed: false }));
+    });
+
+    it('should not create the order or email the buyer twice', async () => {
+      Order.findOne.mockResolvedValue({ ...mockOrder, confirmationSentAt: new Date() });
+
+      await stripeWebhookService.handleCheckoutCompleted(mockSession);
+
+      expect(Order.create).not.toHaveBeenCalled();
+      expect(reservationService.confirm).toHaveBeenCalledWith('reservation-1', 'order-1');
+      expect(ticketService.issueTickets).toHaveBeenCalledWith(expect.objectContaining({ _id: 'order-1' }));
+      expect(mockTransporter.sendMail).not.toHaveBeenCalled();
+    });
+
+    it('should email the confirmation once with the invoice attached', async () => {
+      Order.findOne.mockResolvedValue(mockOrder);
+      User.findById.mockResolvedValue({ email: 'test@example.com', firstName: 'Test' });
+      Event.findById.mockReturnValue({ select: async () => ({ title: 'Test Event', startDateTime: new Date() }) });
+      invoiceService.issueForOrder.mockResolvedValue({ number: 'INV-2026-000001' });
+      invoiceService.renderPdf.mockResolvedValue(Buffer.from('%PDF'));
+      mockTransporter.sendMail.mockResolvedValue({ messageId: 'message-1' });
+
+      await stripeWebhookService.handleCheckoutCompleted(mockSession);
+
+      expect(mockTransporter.sendMail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'test@example.com',
+        attachments: [expect.objectContaining({ filename: 'INV-2026-000001.pdf', contentType: 'application/pdf' })]
+      }));
+      expect(Order.updateOne).toHaveBeenCalledWith({ _id: 'order-1' }, { confirmationSentAt: expect.any(Date) });
+      expect(emailTrackingService.prepare).toHaveBeenCalledWith(expect.objectContaining({ track: false }));
+    });
+
+    it('should attach the buyer\'s wallet pass to the confirmation', async () => {
+      Order.findOne.mockResolvedValue(mockOrder);
+      User.findById.mockResolvedValue({ email: 'test@example.com', firstName: 'Test' });
+      Event.findById.mockReturnValue({ select: async () => ({ title: 'Test Event', startDateTime: new Date() }) });
+      CheckIn.findOne.mockResolvedValue({ _id: 'ticket-1', ticketNumber: 'TKT-A1B2C3D4-1' });
+      invoiceService.issueForOrder.mockResolvedValue({ number: 'INV-2026-000001' });
+      invoiceService.renderPdf.mockResolvedValue(Buffer.from('%PDF'));
+      walletPassService.getApplePassAttachment.mockResolvedValue({ filename: 'TKT-A1B2C3D4-1.pkpass', content: Buffer.from('pass') });
+      mockTransporter.sendMail.mockResolvedValue({ messageId: 'message-1' });
+
+      await stripeWebhookService.handleCheckoutCompleted(mockSession);
+
+      expect(CheckIn.findOne).toHaveBeenCalledWith({ order: 'order-1', attendee: 'user-1' });
+      expect(mockTransporter.sendMail.mock.calls[0][0].attachments.map((file) => file.filename))
+        .toEqual(['INV-2026-000001.pdf', 'TKT-A1B2C3D4-1.pkpass']);
+    });
+
+    it('should send the confirmation without the wallet pass when it cannot be signed', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      Order.findOne.mockResolvedValue(mockOrder);
+      User.findById.mockResolvedValue({ email: 'test@example.com', firstName: 'Test' });
+      Event.findById.mockReturnValue({ select: async () => ({ title: 'Test Event', startDateTime: new Date() }) });
+      CheckIn.findOne.mockResolvedValue({ _id: 'ticket-1', ticketNumber: 'TKT-A1B2C3D4-1' });
+      invoiceService.issueForOrder.mockResolvedValue({ number: 'INV-2026-000001' });
+      invoiceService.renderPdf.mockResolvedValue(Buffer.from('%PDF'));
+      walletPassService.getApplePassAttachment.mockRejectedValue(new Error('Pass certificate expired'));
+      mockTransporter.sendMail.mockResolvedValue({ messageId: 'message-1' });
+
+      await stripeWebhookService.handleCheckoutCompleted(mockSession);
+
+      expect(mockTransporter.sendMail.mock.calls[0][0].attachments).toHaveLength(1);
+      expect(Order.updateOne).toHaveBeenCalledWith({ _id: 'order-1' }, { confirmationSentAt: expect.any(Date) });
+    });
+
+    it('should use the order a concurrent delivery created', async () => {
+      Order.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce({ ...mockOrder, confirmationSentAt: new Date() });
+      Event.findById.mockResolvedValue({ _id: 'event-1', getTicketTier: () => null });
+      Order.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+      await stripeWebhookService.handleCheckoutCompleted(mockSession);
+
+      expect(Order.findOne).toHaveBeenCalledTimes(2);
+      expect(reservationService.confirm).toHaveBeenCalledWith('reservation-1', 'order-1');
+    });
+
+    it('should create the order in the session\'s currency', async () => {
+      Order.findOne.mockResolvedValue(null);
+      Event.findById.mockResolvedValue({ _id: 'event-1', getTicketTier: () => null });
+      Order.create.mockImplementation(async (data) => ({ _id: 'order-1', confirmationSentAt: new Date(), ...data }));
+
+      await stripeWebhookService.handleCheckoutCompleted({ ...mockSession, currency: 'jpy', amount_total: 3000 });
+
+      expect(Order.create).toHaveBeenCalledWith(expect.objectContaining({ currency: 'JPY', totalAmount: 3000, unitPrice: 1500 }));
+      expect(EventAnalyticsService.trackRevenue).toHaveBeenCalledWith('event-1', expect.objectContaining({ totalAmount: 3000 }));
+    });
+
+    it('should redeem the promo code use of a completed checkout', async () => {
+      Order.findOne.mockResolvedValue({ ...mockOrder, confirmationSentAt: new Date() });
+
+      await stripeWebhookService.handleCheckoutCompleted({
+        ...mockSession,
+        metadata: { ...mockSession.metadata, redemptionId: 'redemption-1' }
+      });
+
+      expect(promoCodeService.redeem).toHaveBeenCalledWith('redemption-1', 'order-1');
+    });
+
+    it('should give back the promo code use of an expired checkout', async () => {
+      await stripeWebhookService.handleCheckoutExpired({
+        ...mockSession,
+        metadata: { ...mockSession.metadata, redemptionId: 'redemption-1' }
+      });
+
+      expect(reservationService.releaseBySession).toHaveBeenCalledWith('cs_test_1');
+      expect(promoCodeService.release).toHaveBeenCalledWith('redemption-1');
+    });
+
+    it('should not fail the delivery when the payment failure email cannot be sent', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      User.findById.mockResolvedValue({ email: 'test@example.com' });
+      notificationService.sendNotification.mockRejectedValue(new Error('SMTP down'));
+
+      await expect(stripeWebhookService.handlePaymentFailed({ metadata: { buyerId: 'user-1' } })).resolves.toBeUndefined();
+      expect(console.error).toHaveBeenCalledWith('Payment failure notification error:', expect.any(Error));
+    });
+  });
+});
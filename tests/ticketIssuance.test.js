@@ -0,0 +1,240 @@
+process.env.ORDER_CODE_SECRET = 'test-order-code-secret';
+
+jest.mock('../models/checkIn', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  exists: jest.fn(),
+  create: jest.fn()
+}));
+jest.mock('../models/ticketTransfer', () => ({
+  create: jest.fn(),
+  updateMany: jest.fn()
+}));
+jest.mock('../models/order', () => ({
+  findOne: jest.fn()
+}));
+jest.mock('../models/event', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../models/user', () => ({
+  findById: jest.fn(),
+  findOne: jest.fn()
+}));
+jest.mock('../services/qrService', () => ({
+  generateTicketToken: jest.fn(),
+  renderQRCode: jest.fn()
+}));
+jest.mock('../services/emailTemplateService', () => ({
+  generateTicketAssignedEmail: jest.fn(),
+  sendEmail: jest.fn()
+}));
+jest.mock('../services/walletPassService', () => ({
+  getWalletLinks: jest.fn(),
+  notifyTicketChanged: jest.fn()
+}));
+
+const CheckIn = require('../models/checkIn');
+const TicketTransfer = require('../models/ticketTransfer');
+const Order = require('../models/order');
+const Event = require('../models/event');
+const User = require('../models/user');
+const qrService = require('../services/qrService');
+const walletPassService = require('../services/walletPassService');
+const ticketService = require('../services/ticketService');
+
+// Mock data
+const mockOrder = {
+  _id: '64b7f0c2a1b2c3d4e5f6a7b8',
+  event: { _id: 'event-1', title: 'Test Event' },
+  buyer: 'buyer-1',
+  status: 'completed',
+  quantity: 3,
+  ticketTierName: 'VIP',
+  ticketTier: 'tier-1'
+};
+
+const mockTicket = {
+  _id: 'ticket-2',
+  order: mockOrder._id,
+  seq: 2,
+  status: 'pending',
+  ticketNumber: 'TKT-E5F6A7B8-2',
+  ticketToken: 'token-ticket-2'
+};
+
+const duplicateKeyError = (keyPattern) => Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern });
+
+describe('Ticket issuance', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = [];
+    CheckIn.find.mockImplementation(() => ({ sort: async () => [...stored] }));
+    CheckIn.exists.mockResolvedValue(null);
+    CheckIn.create.mockImplementation(async (data) => {
+      stored.push(data);
+      return data;
+    });
+    Event.findById.mockReturnValue({ select: async () => ({ organizationId: 'org-1' }) });
+    qrService.generateTicketToken.mockImplementation(({ ticketId, attendeeId }) => `token-${ticketId}-${attendeeId}`);
+    qrService.renderQRCode.mockResolvedValue({ dataUrl: 'data:image/png;base64,', buffer: Buffer.from('') });
+  });
+
+  describe('Issuing', () => {
+    it('should issue one ticket per seat, the first one to the buyer', async () => {
+      const tickets = await ticketService.issueTickets(mockOrder);
+
+      expect(tickets).toHaveLength(3);
+      expect(tickets.map((ticket) => ticket.seq)).toEqual([1, 2, 3]);
+      expect(tickets.map((ticket) => ticket.attendee)).toEqual(['buyer-1', undefined, undefined]);
+      expect(tickets.map((ticket) => ticket.ticketNumber)).toEqual(['TKT-E5F6A7B8-1', 'TKT-E5F6A7B8-2', 'TKT-E5F6A7B8-3']);
+      expect(tickets[0]).toMatchObject({
+        event: 'event-1',
+        ticketType: 'VIP',
+        ticketTier: 'tier-1',
+        organizationId: 'org-1',
+        ticketToken: `token-${tickets[0]._id}-buyer-1`
+      });
+    });
+
+    it('should give the first ticket of a guest order to the guest', async () => {
+      const holder = { user: null, email: 'speaker@example.com', name: 'Grace Hopper', organization: 'Navy' };
+
+      const tickets = await ticketService.issueTickets({ ...mockOrder, quantity: 2 }, { holder });
+
+      expect(CheckIn.exists).not.toHaveBeenCalled();
+      expect(tickets[0]).toMatchObject({
+        attendee: null,
+        attendeeEmail: 'speaker@example.com',
+        attendeeName: 'Grace Hopper',
+        attendeeOrganization: 'Navy',
+        assignedAt: expect.any(Date)
+      });
+      expect(tickets[1]).toMatchObject({ attendee: undefined, attendeeEmail: undefined, assignedAt: undefined });
+    });
+
+    it('should keep the historical ticket number for single-ticket orders', async () => {
+      const tickets = await ticketService.issueTickets({ ...mockOrder, quantity: 1 });
+
+      expect(tickets[0].ticketNumber).toBe('TKT-E5F6A7B8');
+    });
+
+    it('should not issue tickets again', async () => {
+      await ticketService.issueTickets(mockOrder);
+      CheckIn.create.mockClear();
+
+      const tickets = await ticketService.issueTickets(mockOrder);
+
+      expect(tickets).toHaveLength(3);
+      expect(CheckIn.create).not.toHaveBeenCalled();
+    });
+
+    it('should only issue the missing seats', async () => {
+      // Issued before group orders: no seq, counts as the first ticket
+      stored.push({ _id: 'legacy-ticket', attendee: 'buyer-1' });
+      CheckIn.exists.mockResolvedValue({ _id: 'legacy-ticket' });
+
+      await ticketService.issueTickets(mockOrder);
+
+      expect(CheckIn.create).toHaveBeenCalledTimes(2);
+      expect(CheckIn.create.mock.calls.map(([data]) => [data.seq, data.attendee])).toEqual([[2, undefined], [3, undefined]]);
+    });
+
+    it('should leave the tickets unassigned when the buyer already has one for the event', async () => {
+      CheckIn.exists.mockResolvedValue({ _id: 'other-order-ticket' });
+
+      const tickets = await ticketService.issueTickets(mockOrder);
+
+      expect(tickets.every((ticket) => ticket.attendee === undefined)).toBe(true);
+    });
+
+    it('should issue the seat unassigned when the buyer got a ticket concurrently', async () => {
+      CheckIn.create.mockRejectedValueOnce(duplicateKeyError({ event: 1, attendee: 1 }));
+
+      const tickets = await ticketService.issueTickets(mockOrder);
+
+      expect(CheckIn.create).toHaveBeenCalledTimes(4);
+      expect(tickets.map((ticket) => [ticket.seq, ticket.attendee])).toEqual([[1, undefined], [2, undefined], [3, undefined]]);
+    });
+
+    it('should accept a seat issued by a concurrent request', async () => {
+      CheckIn.create.mockImplementationOnce(async (data) => {
+        stored.push({ ...data, _id: 'concurrent-ticket' });
+        throw duplicateKeyError({ order: 1, seq: 1 });
+      });
+
+      const tickets = await ticketService.issueTickets(mockOrder);
+
+      expect(tickets).toHaveLength(3);
+      expect(tickets[0]._id).toBe('concurrent-ticket');
+    });
+
+    it('should fail when the order ends up with fewer tickets than seats', async () => {
+      // A duplicate key on another index leaves the seat without a ticket
+      CheckIn.create.mockRejectedValueOnce(duplicateKeyError({ event: 1, attendee: 1 }));
+      CheckIn.create.mockRejectedValueOnce(duplicateKeyError({ ticketToken: 1 }));
+
+      await expect(ticketService.issueTickets(mockOrder)).rejects.toMatchObject({
+        statusCode: 500,
+        message: 'Only 2 of 3 tickets could be issued for order 64b7f0c2a1b2c3d4e5f6a7b8'
+      });
+    });
+  });
+
+  describe('Assigning', () => {
+    beforeEach(() => {
+      stored = [{ _id: 'ticket-1' }, { _id: 'ticket-2' }, { _id: 'ticket-3' }];
+      walletPassService.notifyTicketChanged.mockResolvedValue();
+      Order.findOne.mockReturnValue({ populate: async () => mockOrder });
+      User.findById.mockReturnValue({ select: async () => ({ firstName: 'Buyer', lastName: 'User' }) });
+    });
+
+    it('should assign a ticket by email with a new QR code', async () => {
+      const ticket = { ...mockTicket, save: jest.fn() };
+      CheckIn.findOne.mockResolvedValue(ticket);
+      User.findOne.mockReturnValue({ select: async () => null });
+
+      const view = await ticketService.assign(mockOrder._id, 'ticket-2', 'buyer-1', { email: 'Guest@Example.com', name: 'Guest' });
+
+      expect(User.findOne).toHaveBeenCalledWith({ email: 'guest@example.com' });
+      expect(ticket.attendeeEmail).toBe('Guest@Example.com');
+      expect(ticket.ticketToken).toBe('token-ticket-2-undefined');
+      expect(ticket.save).toHaveBeenCalled();
+      expect(view.assigned).toBe(true);
+    });
+
+    it('should record the assignment in the ticket\'s holder history', async () => {
+      CheckIn.findOne.mockResolvedValue({ ...mockTicket, attendee: 'buyer-1', save: jest.fn() });
+      User.findOne.mockReturnValue({ select: async () => ({ _id: 'user-2', email: 'guest@example.com', firstName: 'Guest', lastName: 'User' }) });
+
+      await ticketService.assign(mockOrder._id, 'ticket-2', 'buyer-1', { email: 'guest@example.com' });
+
+      expect(TicketTransfer.updateMany).toHaveBeenCalledWith(
+        { ticket: 'ticket-2', status: 'pending' },
+        expect.objectContaining({ status: 'cancelled' })
+      );
+      expect(TicketTransfer.create).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'assignment',
+        fromUser: 'buyer-1',
+        toUser: 'user-2',
+        revokedTokenHash: ticketService.hashToken('token-ticket-2')
+      }));
+      expect(walletPassService.notifyTicketChanged).toHaveBeenCalledWith('ticket-2', expect.objectContaining({ attendee: 'buyer-1' }));
+    });
+
+    it('should refuse an attendee who already holds a ticket for the event', async () => {
+      CheckIn.findOne.mockResolvedValue({ ...mockTicket, save: jest.fn().mockRejectedValue(duplicateKeyError({ event: 1, attendee: 1 })) });
+      User.findOne.mockReturnValue({ select: async () => ({ _id: 'user-2', email: 'guest@example.com', firstName: 'Guest', lastName: 'User' }) });
+
+      await expect(ticketService.assign(mockOrder._id, 'ticket-2', 'buyer-1', { email: 'guest@example.com' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should refuse to reassign a ticket that was used', async () => {
+      CheckIn.findOne.mockResolvedValue({ ...mockTicket, status: 'checked_in' });
+
+      await expect(ticketService.assign(mockOrder._id, 'ticket-2', 'buyer-1', { email: 'guest@example.com' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const Event = require('../models/event');
+
+// Mock data
+const mockEvent = {
+  title: 'Test Event',
+  description: 'This is a test event description',
+  location: 'Test Location',
+  startDateTime: new Date(Date.now() + 24 * 60 * 60 * 1000), // Tomorrow
+  endDateTime: new Date(Date.now() + 25 * 60 * 60 * 1000), // Tomorrow + 1 hour
+  organizer: new mongoose.Types.ObjectId(),
+  category: new mongoose.Types.ObjectId(),
+  capacity: 100
+};
+
+const mockTier = {
+  name: 'VIP',
+  type: 'vip',
+  price: 150,
+  quantity: 20,
+  sold: 0,
+  minPerOrder: 1,
+  maxPerOrder: 4
+};
+
+describe('Ticket tiers', () => {
+  describe('Availability', () => {
+    it('should be available when the tier is on sale and has seats left', () => {
+      const event = new Event({ ...mockEvent, ticketTiers: [mockTier] });
+
+      expect(event.ticketTiers[0].checkAvailability(2)).toEqual({ available: true });
+    });
+
+    it('should refuse an inactive tier', () => {
+      const event = new Event({ ...mockEvent, ticketTiers: [{ ...mockTier, isActive: false }] });
+
+      expect(event.ticketTiers[0].checkAvailability(1)).toEqual({
+        available: false,
+        reason: 'This ticket type is not on sale'
+      });
+    });
+
+    it('should refuse a tier outside its sales window', () => {
+      const now = new Date();
+      const event = new Event({
+        ...mockEvent,
+        ticketTiers: [
+          { ...mockTier, salesStart: new Date(now.getTime() + 60 * 60 * 1000) },
+          { ...mockTier, name: 'Early Bird', salesEnd: new Date(now.getTime() - 60 * 60 * 1000) }
+        ]
+      });
+
+      expect(event.ticketTiers[0].checkAvailability(1, now).reason).toBe('Ticket sales for this tier have not started yet');
+      expect(event.ticketTiers[1].checkAvailability(1, now).reason).toBe('Ticket sales for this tier have ended');
+    });
+
+    it('should enforce the per-order limits', () => {
+      const event = new Event({ ...mockEvent, ticketTiers: [{ ...mockTier, minPerOrder: 2 }] });
+      const tier = event.ticketTiers[0];
+
+      expect(tier.checkAvailability(1).reason).toBe('A minimum of 2 tickets is required for this tier');
+      expect(tier.checkAvailability(5).reason).toBe('A maximum of 4 tickets is allowed per order for this tier');
+    });
+
+    it('should refuse more tickets than the tier has left', () => {
+      const event = new Event({ ...mockEvent, ticketTiers: [{ ...mockTier, sold: 18 }] });
+      const tier = event.ticketTiers[0];
+
+      expect(tier.checkAvailability(2)).toEqual({ available: true });
+      expect(tier.checkAvailability(3)).toEqual({ available: false, reason: 'Not enough tickets left for this tier' });
+    });
+
+    it('should not limit a tier without a quantity', () => {
+      const event = new Event({ ...mockEvent, ticketTiers: [{ ...mockTier, quantity: 0, sold: 500 }] });
+
+      expect(event.ticketTiers[0].checkAvailability(4)).toEqual({ available: true });
+    });
+  });
+
+  describe('Inventory', () => {
+    it('should report the seats left in the tier', () => {
+      const event = new Event({ ...mockEvent, ticketTiers: [{ ...mockTier, sold: 5 }] });
+
+      expect(event.ticketTiers[0].remaining).toBe(15);
+    });
+
+    it('should report unlimited tiers as having no limit', () => {
+      const event = new Event({ ...mockEvent, ticketTiers: [{ ...mockTier, quantity: 0 }] });
+
+      expect(event.ticketTiers[0].remaining).toBeNull();
+    });
+
+    it('should find a tier by its id', () => {
+      const event = new Event({ ...mockEvent, ticketTiers: [mockTier, { ...mockTier, name: 'Student', type: 'student' }] });
+      const student = event.ticketTiers[1];
+
+      expect(event.getTicketTier(student._id.toString()).name).toBe('Student');
+      expect(event.getTicketTier(new mongoose.Types.ObjectId())).toBeNull();
+      expect(event.getTicketTier(undefined)).toBeNull();
+    });
+  });
+});
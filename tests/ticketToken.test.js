@@ -0,0 +1,216 @@
+process.env.QR_SECRET = 'test-qr-secret';
+process.env.ORDER_CODE_SECRET = 'test-order-code-secret';
+
+jest.mock('../models/checkIn', () => ({
+  findById: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('../models/order', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../models/event', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../models/ticketTransfer', () => ({
+  create: jest.fn(),
+  findOne: jest.fn()
+}));
+jest.mock('../services/eventCollaborationService', () => ({
+  hasPermission: jest.fn()
+}));
+jest.mock('../services/walletPassService', () => ({
+  getWalletLinks: jest.fn(),
+  notifyTicketChanged: jest.fn()
+}));
+
+const jwt = require('jsonwebtoken');
+const CheckIn = require('../models/checkIn');
+const Order = require('../models/order');
+const Event = require('../models/event');
+const TicketTransfer = require('../models/ticketTransfer');
+const EventCollaborationService = require('../services/eventCollaborationService');
+const walletPassService = require('../services/walletPassService');
+const qrService = require('../services/qrService');
+const ticketService = require('../services/ticketService');
+const ticketTokenService = require('../services/ticketTokenService');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Mock data
+const mockEvent = {
+  _id: 'event-1',
+  title: 'Test Event',
+  startDateTime: new Date(Date.now() - HOUR),
+  endDateTime: new Date(Date.now() + 3 * HOUR),
+  getTicketsValidUntil() {
+    return new Date(this.endDateTime.getTime() + 12 * HOUR);
+  }
+};
+
+const mockOrder = {
+  _id: 'order-1',
+  buyer: 'user-1',
+  event: 'event-1',
+  ticketTierName: 'VIP'
+};
+
+const ticketToken = qrService.generateTicketToken({ eventId: 'event-1', orderId: 'order-1', ticketId: 'ticket-1', attendeeId: 'user-2' });
+
+const mockTicket = {
+  _id: 'ticket-1',
+  event: 'event-1',
+  order: 'order-1',
+  attendee: 'user-2',
+  attendeeEmail: 'holder@example.com',
+  ticketNumber: 'TKT-A1B2C3D4-1',
+  status: 'pending',
+  ticketToken
+};
+
+describe('Ticket QR codes', () => {
+  beforeEach(() => {
+    Event.findById.mockReturnValue({ select: async () => mockEvent });
+    Order.findById.mockReturnValue({ select: async () => mockOrder });
+    CheckIn.findOne.mockResolvedValue(mockTicket);
+  });
+
+  describe('Validity', () => {
+    it('should accept a ticket until shortly after the event ends', async () => {
+      const resolved = await ticketTokenService.resolveScan(ticketToken);
+
+      expect(resolved).toMatchObject({ eventId: 'event-1', ticket: mockTicket });
+      expect(ticketTokenService.isValidAt(mockEvent, new Date(mockEvent.endDateTime.getTime() + 11 * HOUR))).toBe(true);
+      expect(ticketTokenService.isValidAt(mockEvent, new Date(mockEvent.endDateTime.getTime() + 13 * HOUR))).toBe(false);
+    });
+
+    it('should follow the event\'s current dates', async () => {
+      Event.findById.mockReturnValue({ select: async () => ({ ...mockEvent, startDateTime: new Date(Date.now() - 3 * DAY), endDateTime: new Date(Date.now() - 2 * DAY) }) });
+
+      const resolved = await ticketTokenService.resolveScan(ticketToken);
+
+      expect(resolved.error).toMatchObject({ reason: 'expired', message: 'Ticket has expired: the event is over' });
+    });
+
+    it('should accept a ticket issued with the former 30-day expiry', async () => {
+      const issuedAt = Math.floor((Date.now() - 40 * DAY) / 1000);
+      const legacyToken = jwt.sign({ eventId: 'event-1', orderId: 'order-1', ticketId: 'ticket-1', iat: issuedAt }, 'test-qr-secret', { expiresIn: '30d' });
+      CheckIn.findOne.mockResolvedValue({ ...mockTicket, ticketToken: legacyToken });
+
+      const resolved = await ticketTokenService.resolveScan(legacyToken);
+
+      expect(resolved.error).toBeUndefined();
+      expect(resolved.eventId).toBe('event-1');
+    });
+
+    it('should refuse an expired legacy ticket with a forged signature', () => {
+      const issuedAt = Math.floor((Date.now() - 40 * DAY) / 1000);
+      const forged = jwt.sign({ eventId: 'event-1', ticketId: 'ticket-1', iat: issuedAt }, 'another-secret', { expiresIn: '30d' });
+
+      expect(qrService.verifyTicketToken(forged)).toEqual({ valid: false, error: 'Invalid ticket' });
+    });
+
+    it('should refuse the static code at events with rotating codes', async () => {
+      Event.findById.mockReturnValue({ select: async () => ({ ...mockEvent, ticketSecurity: { rotatingQr: true, rotationSeconds: 60 } }) });
+
+      const resolved = await ticketTokenService.resolveScan(ticketToken);
+
+      expect(resolved.error.reason).toBe('rotation_required');
+    });
+
+    it('should report a reissued code as revoked', async () => {
+      CheckIn.findOne.mockResolvedValue(null);
+      TicketTransfer.findOne.mockReturnValue({ sort: async () => ({ type: 'reissue', ticket: 'ticket-1', respondedAt: new Date() }) });
+      CheckIn.findById.mockReturnValue({ select: async () => ({ ticketNumber: 'TKT-A1B2C3D4-1' }) });
+
+      const resolved = await ticketTokenService.resolveScan(ticketToken);
+
+      expect(resolved.error).toMatchObject({ reason: 'revoked', message: 'This QR code was revoked and replaced by a new one' });
+      expect(TicketTransfer.findOne).toHaveBeenCalledWith({ revokedTokenHash: ticketService.hashToken(ticketToken) });
+    });
+  });
+
+  describe('Rotating codes', () => {
+    const rotatingEvent = { ...mockEvent, ticketSecurity: { rotatingQr: true, rotationSeconds: 60 } };
+
+    beforeEach(() => {
+      Event.findById.mockReturnValue({ select: async () => rotatingEvent });
+      CheckIn.findById.mockResolvedValue(mockTicket);
+    });
+
+    it('should give the holder a short-lived code that is refreshed ahead of expiry', async () => {
+      const code = await ticketTokenService.getLiveCode('ticket-1', { _id: 'user-2' });
+
+      expect(code.refreshInSeconds).toBe(45);
+      expect(code.expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + 60 * 1000);
+      await expect(ticketTokenService.resolveScan(code.token)).resolves.toMatchObject({ eventId: 'event-1', ticket: mockTicket });
+    });
+
+    it('should only show the code to the ticket holder', async () => {
+      await expect(ticketTokenService.getLiveCode('ticket-1', { _id: 'user-1' })).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('should refuse a code once it has expired', async () => {
+      const { token } = qrService.generateRotatingToken({ eventId: 'event-1', ticketId: 'ticket-1', tokenHash: ticketService.hashToken(ticketToken) }, 60);
+
+      const resolved = await ticketTokenService.resolveScan(token, { at: new Date(Date.now() + 2 * 60 * 1000) });
+
+      expect(resolved.error).toEqual({ reason: 'invalid', message: 'QR code has expired. Refresh the ticket in the app.' });
+    });
+
+    it('should refuse codes derived from a token that was reissued since', async () => {
+      const { token } = qrService.generateRotatingToken({ eventId: 'event-1', ticketId: 'ticket-1', tokenHash: ticketService.hashToken('old-token') }, 60);
+
+      const resolved = await ticketTokenService.resolveScan(token);
+
+      expect(resolved.error.reason).toBe('revoked');
+    });
+  });
+
+  describe('Reissue', () => {
+    beforeEach(() => {
+      walletPassService.notifyTicketChanged.mockResolvedValue();
+      CheckIn.findById.mockResolvedValue(mockTicket);
+      CheckIn.findOneAndUpdate.mockImplementation(async (filter, update) => ({ ...mockTicket, ...update }));
+    });
+
+    it('should replace the token and record the old one as revoked', async () => {
+      const ticket = await ticketTokenService.revoke('ticket-1', { _id: 'user-2' }, { reason: 'Shared by mistake' });
+
+      const [filter, update] = CheckIn.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: 'ticket-1', ticketToken });
+      expect(update.ticketToken).not.toBe(ticketToken);
+      expect(TicketTransfer.create).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'reissue',
+        message: 'Shared by mistake',
+        initiatedBy: 'user-2',
+        revokedTokenHash: ticketService.hashToken(ticketToken)
+      }));
+      expect(ticket.qrCode).toMatch(/^data:image\/png;base64,/);
+      expect(walletPassService.notifyTicketChanged).toHaveBeenCalledWith('ticket-1', undefined);
+    });
+
+    it('should let an organizer reissue an attendee\'s code', async () => {
+      EventCollaborationService.hasPermission.mockResolvedValue(true);
+
+      await ticketTokenService.revoke('ticket-1', { _id: 'organizer-1' });
+
+      expect(EventCollaborationService.hasPermission).toHaveBeenCalledWith('event-1', 'organizer-1', 'manage_attendees');
+    });
+
+    it('should refuse other users', async () => {
+      EventCollaborationService.hasPermission.mockResolvedValue(false);
+
+      await expect(ticketTokenService.revoke('ticket-1', { _id: 'user-3' })).rejects.toMatchObject({ statusCode: 403 });
+      expect(CheckIn.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should not reissue a token that changed meanwhile', async () => {
+      CheckIn.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(ticketTokenService.revoke('ticket-1', { _id: 'user-2' })).rejects.toMatchObject({ statusCode: 409 });
+      expect(TicketTransfer.create).not.toHaveBeenCalled();
+    });
+  });
+});
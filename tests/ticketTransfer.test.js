@@ -0,0 +1,220 @@
+jest.mock('../models/checkIn', () => ({
+  findById: jest.fn(),
+  exists: jest.fn()
+}));
+jest.mock('../models/order', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../models/user', () => ({
+  findOne: jest.fn()
+}));
+jest.mock('../models/ticketTransfer', () => ({
+  create: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../services/ticketService', () => ({
+  hashToken: jest.fn(),
+  createToken: jest.fn(),
+  toTicketView: jest.fn(),
+  refreshWalletPasses: jest.fn()
+}));
+jest.mock('../services/notificationService', () => ({
+  sendNotification: jest.fn()
+}));
+jest.mock('../services/eventCollaborationService', () => ({
+  hasPermission: jest.fn()
+}));
+
+const CheckIn = require('../models/checkIn');
+const Order = require('../models/order');
+const User = require('../models/user');
+const TicketTransfer = require('../models/ticketTransfer');
+const ticketService = require('../services/ticketService');
+const notificationService = require('../services/notificationService');
+const ticketTransferService = require('../services/ticketTransferService');
+
+const HOUR = 60 * 60 * 1000;
+
+// Mock data
+const mockHolder = {
+  _id: 'user-1',
+  email: 'holder@example.com',
+  firstName: 'Holder',
+  lastName: 'User'
+};
+
+const mockRecipient = {
+  _id: 'user-2',
+  email: 'friend@example.com',
+  firstName: 'Friend',
+  lastName: 'User'
+};
+
+const mockEvent = {
+  _id: 'event-1',
+  title: 'Test Event',
+  startDateTime: new Date(Date.now() + 7 * 24 * HOUR), // Next week
+  transferPolicy: { allowTransfers: true, transferDeadlineHours: 24, maxTransfersPerTicket: 2 }
+};
+
+const mockOrder = {
+  _id: 'order-1',
+  buyer: 'user-1',
+  status: 'completed',
+  event: mockEvent
+};
+
+const mockTicket = {
+  _id: 'ticket-1',
+  event: 'event-1',
+  order: 'order-1',
+  attendee: 'user-1',
+  status: 'pending',
+  transferCount: 0,
+  ticketToken: 'old-token'
+};
+
+const mockTransfer = {
+  _id: 'transfer-1',
+  ticket: 'ticket-1',
+  order: 'order-1',
+  type: 'transfer',
+  status: 'pending',
+  fromEmail: 'holder@example.com',
+  toEmail: 'friend@example.com',
+  expiresAt: new Date(Date.now() + 24 * HOUR)
+};
+
+// Order.findById(...).populate(...) resolves to the order
+const mockPopulatedOrder = (order) => Order.findById.mockReturnValue({ populate: async () => order });
+
+describe('Ticket transfers', () => {
+  describe('Offering a ticket', () => {
+    beforeEach(() => {
+      CheckIn.findById.mockResolvedValue(mockTicket);
+      mockPopulatedOrder(mockOrder);
+      User.findOne.mockReturnValue({ select: async () => null });
+      TicketTransfer.create.mockImplementation(async (data) => ({ _id: 'transfer-1', ...data }));
+    });
+
+    it('should create a pending transfer and tell the recipient', async () => {
+      const transfer = await ticketTransferService.initiate('ticket-1', mockHolder, { email: 'Friend@Example.com', name: 'Friend' });
+
+      expect(transfer).toMatchObject({ ticket: 'ticket-1', fromUser: 'user-1', toEmail: 'friend@example.com' });
+      expect(transfer.expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + 72 * HOUR);
+      expect(notificationService.sendNotification).toHaveBeenCalledWith(expect.objectContaining({ recipients: ['friend@example.com'] }));
+    });
+
+    it('should not let the offer outlive the transfer deadline', async () => {
+      const event = { ...mockEvent, startDateTime: new Date(Date.now() + 48 * HOUR) };
+      mockPopulatedOrder({ ...mockOrder, event });
+
+      const transfer = await ticketTransferService.initiate('ticket-1', mockHolder, { email: 'friend@example.com' });
+
+      expect(transfer.expiresAt.getTime()).toBe(event.startDateTime.getTime() - 24 * HOUR);
+    });
+
+    it('should refuse a transfer after the deadline', async () => {
+      mockPopulatedOrder({ ...mockOrder, event: { ...mockEvent, startDateTime: new Date(Date.now() + 12 * HOUR) } });
+
+      await expect(ticketTransferService.initiate('ticket-1', mockHolder, { email: 'friend@example.com' }))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(TicketTransfer.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a ticket that reached the transfer limit', async () => {
+      CheckIn.findById.mockResolvedValue({ ...mockTicket, transferCount: 2 });
+
+      await expect(ticketTransferService.initiate('ticket-1', mockHolder, { email: 'friend@example.com' }))
+        .rejects.toMatchObject({ statusCode: 403, message: 'This ticket has reached the transfer limit of 2' });
+    });
+
+    it('should refuse a recipient who already has a ticket for the event', async () => {
+      User.findOne.mockReturnValue({ select: async () => ({ _id: 'user-2' }) });
+      CheckIn.exists.mockResolvedValue({ _id: 'ticket-9' });
+
+      await expect(ticketTransferService.initiate('ticket-1', mockHolder, { email: 'friend@example.com' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should refuse a ticket the user does not hold', async () => {
+      await expect(ticketTransferService.initiate('ticket-1', mockRecipient, { email: 'other@example.com' }))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('should refuse a second pending transfer of the ticket', async () => {
+      TicketTransfer.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+      await expect(ticketTransferService.initiate('ticket-1', mockHolder, { email: 'friend@example.com' }))
+        .rejects.toMatchObject({ statusCode: 409, message: 'This ticket already has a pending transfer' });
+    });
+  });
+
+  describe('Accepting', () => {
+    beforeEach(() => {
+      TicketTransfer.findOne.mockResolvedValue({ ...mockTransfer, save: jest.fn() });
+      mockPopulatedOrder(mockOrder);
+      ticketService.hashToken.mockReturnValue('old-token-hash');
+      ticketService.createToken.mockReturnValue('new-token');
+    });
+
+    it('should move the ticket to the recipient with a new QR code', async () => {
+      const ticket = { ...mockTicket, save: jest.fn() };
+      CheckIn.findById.mockResolvedValue(ticket);
+      TicketTransfer.findOneAndUpdate.mockResolvedValue({ ...mockTransfer, status: 'accepted' });
+
+      const result = await ticketTransferService.accept('transfer-1', mockRecipient);
+
+      expect(TicketTransfer.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'transfer-1', status: 'pending' },
+        expect.objectContaining({ status: 'accepted', toUser: 'user-2', revokedTokenHash: 'old-token-hash' }),
+        { new: true }
+      );
+      expect(ticket).toMatchObject({ attendee: 'user-2', attendeeEmail: 'friend@example.com', transferCount: 1, ticketToken: 'new-token' });
+      expect(result.revoked).toBe(true);
+      expect(ticketService.refreshWalletPasses).toHaveBeenCalledWith(ticket, { attendee: 'user-1', attendeeEmail: undefined });
+    });
+
+    it('should not move the ticket twice on a double submit', async () => {
+      const ticket = { ...mockTicket, save: jest.fn() };
+      CheckIn.findById.mockResolvedValue(ticket);
+      TicketTransfer.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(ticketTransferService.accept('transfer-1', mockRecipient)).rejects.toMatchObject({ statusCode: 409 });
+      expect(ticket.save).not.toHaveBeenCalled();
+    });
+
+    it('should give the transfer back when the recipient got a ticket meanwhile', async () => {
+      CheckIn.findById.mockResolvedValue({
+        ...mockTicket,
+        save: jest.fn().mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }))
+      });
+      TicketTransfer.findOneAndUpdate.mockResolvedValue({ ...mockTransfer, status: 'accepted' });
+
+      await expect(ticketTransferService.accept('transfer-1', mockRecipient)).rejects.toMatchObject({ statusCode: 409 });
+      expect(TicketTransfer.updateOne).toHaveBeenCalledWith(
+        { _id: 'transfer-1' },
+        { status: 'pending', $unset: { respondedAt: 1, revokedTokenHash: 1 } }
+      );
+    });
+
+    it('should expire a transfer that was not accepted in time', async () => {
+      const transfer = { ...mockTransfer, expiresAt: new Date(Date.now() - 1000), save: jest.fn() };
+      TicketTransfer.findOne.mockResolvedValue(transfer);
+
+      await expect(ticketTransferService.accept('transfer-1', mockRecipient)).rejects.toMatchObject({ statusCode: 410 });
+      expect(transfer.status).toBe('expired');
+    });
+
+    it('should cancel the transfer of a ticket that was used meanwhile', async () => {
+      const transfer = { ...mockTransfer, save: jest.fn() };
+      TicketTransfer.findOne.mockResolvedValue(transfer);
+      CheckIn.findById.mockResolvedValue({ ...mockTicket, status: 'checked_in' });
+
+      await expect(ticketTransferService.accept('transfer-1', mockRecipient)).rejects.toMatchObject({ statusCode: 410 });
+      expect(transfer.status).toBe('cancelled');
+    });
+  });
+});
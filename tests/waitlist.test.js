@@ -0,0 +1,217 @@
+jest.mock('../models/event', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../models/user', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../models/waitlistEntry', () => ({
+  create: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  countDocuments: jest.fn()
+}));
+jest.mock('../services/reservationService', () => ({
+  reserve: jest.fn(),
+  release: jest.fn(),
+  claimHold: jest.fn()
+}));
+jest.mock('../services/notificationService', () => ({
+  sendNotification: jest.fn()
+}));
+
+const Event = require('../models/event');
+const User = require('../models/user');
+const WaitlistEntry = require('../models/waitlistEntry');
+const reservationService = require('../services/reservationService');
+const notificationService = require('../services/notificationService');
+const waitlistService = require('../services/waitlistService');
+const { AppError } = require('../middlewares/errorHandler');
+
+// Mock data
+const mockEvent = {
+  _id: 'event-1',
+  title: 'Test Event',
+  capacity: 10,
+  seatsTaken: 10,
+  attendees: [],
+  ticketTiers: [],
+  getTicketTier: () => null
+};
+
+const mockEntry = {
+  _id: 'entry-1',
+  event: 'event-1',
+  user: 'user-1',
+  quantity: 1,
+  position: 1,
+  status: 'waiting'
+};
+
+const mockReservation = {
+  _id: 'reservation-1',
+  event: 'event-1',
+  user: 'user-1',
+  quantity: 1,
+  source: 'waitlist',
+  expiresAt: new Date(Date.now() + 2 * 60 * 60 * 1000)
+};
+
+describe('Waitlist', () => {
+  describe('Joining', () => {
+    it('should queue the user behind the last entry', async () => {
+      Event.findById.mockResolvedValue(mockEvent);
+      WaitlistEntry.findOne
+        .mockResolvedValueOnce(null)
+        .mockReturnValueOnce({ sort: () => ({ select: async () => ({ position: 3 }) }) });
+      WaitlistEntry.create.mockImplementation(async (data) => ({ _id: 'entry-4', status: 'waiting', ...data }));
+      WaitlistEntry.countDocuments.mockResolvedValue(3);
+
+      const { entry, position } = await waitlistService.join('event-1', 'user-1');
+
+      expect(entry.position).toBe(4);
+      expect(position).toBe(4);
+    });
+
+    it('should refuse to queue for an event that still has seats', async () => {
+      Event.findById.mockResolvedValue({ ...mockEvent, seatsTaken: 6 });
+
+      await expect(waitlistService.join('event-1', 'user-1'))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Seats are still available for this event' });
+      expect(WaitlistEntry.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a user who is already waiting', async () => {
+      Event.findById.mockResolvedValue(mockEvent);
+      WaitlistEntry.findOne.mockResolvedValueOnce(mockEntry);
+
+      await expect(waitlistService.join('event-1', 'user-1')).rejects.toMatchObject({ statusCode: 409 });
+      expect(WaitlistEntry.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Promotion', () => {
+    beforeEach(() => {
+      Event.findById.mockReturnValue({ select: async () => mockEvent });
+      User.findById.mockReturnValue({ select: async () => ({ email: 'user@example.com', firstName: 'Test' }) });
+    });
+
+    it('should hold a seat for the next user in line and tell them', async () => {
+      const entry = { ...mockEntry, status: 'offered', save: jest.fn() };
+      WaitlistEntry.findOneAndUpdate.mockResolvedValueOnce(entry).mockResolvedValueOnce(null);
+      reservationService.reserve.mockResolvedValue(mockReservation);
+
+      const offered = await waitlistService.promote('event-1');
+
+      expect(offered).toEqual([entry]);
+      expect(reservationService.reserve).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user-1',
+        source: 'waitlist',
+        hold: true,
+        holdMinutes: waitlistService.claimMinutes
+      }));
+      expect(entry.reservation).toBe('reservation-1');
+      expect(entry.offerExpiresAt).toBe(mockReservation.expiresAt);
+      expect(notificationService.sendNotification).toHaveBeenCalledWith(expect.objectContaining({
+        recipients: ['user@example.com'],
+        template: 'waitlist_offer'
+      }));
+    });
+
+    it('should put the entry back at the head of the queue when no seat is left', async () => {
+      WaitlistEntry.findOneAndUpdate.mockResolvedValueOnce({ ...mockEntry, status: 'offered' });
+      reservationService.reserve.mockRejectedValue(new AppError('Event is full', 409));
+
+      const offered = await waitlistService.promote('event-1');
+
+      expect(offered).toEqual([]);
+      expect(WaitlistEntry.updateOne).toHaveBeenCalledWith(
+        { _id: 'entry-1' },
+        { status: 'waiting', $unset: { offeredAt: 1 } }
+      );
+      expect(WaitlistEntry.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    });
+
+    it('should drop an entry that can never be served and move on', async () => {
+      const next = { ...mockEntry, _id: 'entry-2', user: 'user-2', status: 'offered', save: jest.fn() };
+      WaitlistEntry.findOneAndUpdate
+        .mockResolvedValueOnce({ ...mockEntry, status: 'offered' })
+        .mockResolvedValueOnce(next)
+        .mockResolvedValueOnce(null);
+      reservationService.reserve
+        .mockRejectedValueOnce(new AppError('Already registered', 400))
+        .mockResolvedValueOnce({ ...mockReservation, user: 'user-2' });
+
+      const offered = await waitlistService.promote('event-1');
+
+      expect(WaitlistEntry.updateOne).toHaveBeenCalledWith({ _id: 'entry-1' }, { status: 'cancelled' });
+      expect(offered).toEqual([next]);
+    });
+
+    it('should still make the offer when the notification fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const entry = { ...mockEntry, status: 'offered', save: jest.fn() };
+      WaitlistEntry.findOneAndUpdate.mockResolvedValueOnce(entry).mockResolvedValueOnce(null);
+      reservationService.reserve.mockResolvedValue(mockReservation);
+      notificationService.sendNotification.mockRejectedValue(new Error('SMTP down'));
+
+      const offered = await waitlistService.promote('event-1');
+
+      expect(offered).toEqual([entry]);
+      expect(entry.save).toHaveBeenCalled();
+    });
+
+    it('should expire an unclaimed offer and serve the queue again', async () => {
+      WaitlistEntry.findOneAndUpdate.mockResolvedValue(null);
+
+      await waitlistService.handleSeatsReleased(mockReservation);
+
+      expect(WaitlistEntry.updateOne).toHaveBeenCalledWith(
+        { reservation: 'reservation-1', status: 'offered' },
+        { status: 'expired' }
+      );
+      expect(WaitlistEntry.findOneAndUpdate).toHaveBeenCalled();
+    });
+  });
+
+  describe('Claiming', () => {
+    it('should hand the held seat over to the user', async () => {
+      const entry = {
+        ...mockEntry,
+        status: 'offered',
+        reservation: 'reservation-1',
+        offerExpiresAt: mockReservation.expiresAt,
+        save: jest.fn()
+      };
+      WaitlistEntry.findOne.mockResolvedValue(entry);
+      reservationService.claimHold.mockResolvedValue({ ...mockReservation, status: 'confirmed' });
+
+      const result = await waitlistService.claim('entry-1', 'user-1', { eventId: 'event-1', source: 'registration' });
+
+      expect(reservationService.claimHold).toHaveBeenCalledWith('reservation-1', 'user-1', { source: 'registration' });
+      expect(result.entry.status).toBe('claimed');
+      expect(entry.save).toHaveBeenCalled();
+    });
+
+    it('should refuse an offer whose claim window ran out', async () => {
+      WaitlistEntry.findOne.mockResolvedValue({
+        ...mockEntry,
+        status: 'offered',
+        reservation: 'reservation-1',
+        offerExpiresAt: new Date(Date.now() - 1000)
+      });
+
+      await expect(waitlistService.claim('entry-1', 'user-1', { eventId: 'event-1', source: 'registration' }))
+        .rejects.toMatchObject({ statusCode: 410 });
+      expect(reservationService.claimHold).not.toHaveBeenCalled();
+    });
+
+    it('should give an offer that is left to the next in line', async () => {
+      WaitlistEntry.findOneAndUpdate.mockResolvedValue({ ...mockEntry, status: 'cancelled', reservation: 'reservation-1' });
+
+      await waitlistService.leave('event-1', 'user-1');
+
+      expect(reservationService.release).toHaveBeenCalledWith('reservation-1', 'waitlist_left');
+    });
+  });
+});
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const forge = require('node-forge');
+const JSZip = require('jszip');
+const jwt = require('jsonwebtoken');
+
+process.env.WALLET_AUTH_SECRET = 'wallet-test-secret';
+
+const walletPassService = require('../services/walletPassService');
+
+// Mock data
+const mockEvent = {
+  _id: '64b7f0c2a1b2c3d4e5f60001',
+  title: 'Test Event',
+  location: 'Test Location',
+  startDateTime: new Date('2030-05-01T18:00:00Z'),
+  endDateTime: new Date('2030-05-01T22:00:00Z'),
+  ticketSecurity: {},
+  getTicketsValidUntil: () => new Date('2030-05-02T00:00:00Z')
+};
+
+const mockTicket = {
+  _id: '64b7f0c2a1b2c3d4e5f60002',
+  ticketTier: '64b7f0c2a1b2c3d4e5f60003',
+  ticketType: 'VIP',
+  ticketNumber: 'TKT-E5F60004-1',
+  ticketToken: 'signed-ticket-token',
+  attendeeName: 'Test User',
+  attendeeEmail: 'test@example.com',
+  status: 'pending'
+};
+
+const readPass = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const files = {};
+  for (const name of Object.keys(zip.files)) {
+    files[name] = await zip.file(name).async('nodebuffer');
+  }
+  return files;
+};
+
+describe('Wallet passes', () => {
+  let certDir;
+
+  beforeAll(() => {
+    certDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wallet-test-certs-'));
+    execFileSync(process.execPath, [path.join(__dirname, '../scripts/createWalletTestCertificate.js'), certDir], {
+      env: { ...process.env, APPLE_PASS_TYPE_ID: 'pass.com.eazyevent.test', APPLE_TEAM_ID: 'TESTTEAM01' }
+    });
+
+    process.env.APPLE_PASS_TYPE_ID = 'pass.com.eazyevent.test';
+    process.env.APPLE_TEAM_ID = 'TESTTEAM01';
+    process.env.APPLE_PASS_CERT_PATH = path.join(certDir, 'pass.pem');
+    process.env.APPLE_PASS_KEY_PATH = path.join(certDir, 'pass.key');
+    process.env.APPLE_WWDR_CERT_PATH = path.join(certDir, 'wwdr.pem');
+  });
+
+  afterAll(() => {
+    fs.rmSync(certDir, { recursive: true, force: true });
+  });
+
+  describe('Apple Wallet', () => {
+    it('should build a signed pass with the ticket QR code and type', async () => {
+      const serial = walletPassService.serialFor(mockTicket);
+      const files = await readPass(await walletPassService.buildApplePass(mockTicket, mockEvent, serial));
+
+      expect(Object.keys(files)).toEqual(expect.arrayContaining(['pass.json', 'icon.png', 'manifest.json', 'signature']));
+
+      const pass = JSON.parse(files['pass.json']);
+      expect(pass.serialNumber).toBe(serial);
+      expect(pass.passTypeIdentifier).toBe('pass.com.eazyevent.test');
+      expect(pass.voided).toBe(false);
+      expect(pass.barcodes[0].message).toBe(mockTicket.ticketToken);
+      expect(pass.eventTicket.primaryFields[0].value).toBe(mockEvent.title);
+      expect(pass.eventTicket.auxiliaryFields).toContainEqual(
+        expect.objectContaining({ key: 'tier', value: 'VIP' })
+      );
+      expect(pass.expirationDate).toBe('2030-05-02T00:00:00.000Z');
+    });
+
+    it('should list every file of the pass in a signed manifest', async () => {
+      const serial = walletPassService.serialFor(mockTicket);
+      const files = await readPass(await walletPassService.buildApplePass(mockTicket, mockEvent, serial));
+
+      const manifest = JSON.parse(files['manifest.json']);
+      Object.entries(files)
+        .filter(([name]) => name !== 'manifest.json' && name !== 'signature')
+        .forEach(([name, content]) => {
+          expect(manifest[name]).toBe(crypto.createHash('sha1').update(content).digest('hex'));
+        });
+
+      const signature = forge.pkcs7.messageFromAsn1(forge.asn1.fromDer(files.signature.toString('binary')));
+      expect(signature.certificates).toHaveLength(2);
+      expect(signature.certificates[0].subject.getField('CN').value).toBe('Pass Type ID: pass.com.eazyevent.test');
+    });
+
+    it('should mark the pass as voided', async () => {
+      const serial = walletPassService.serialFor(mockTicket);
+      const files = await readPass(await walletPassService.buildApplePass(mockTicket, mockEvent, serial, { voided: true }));
+
+      expect(JSON.parse(files['pass.json']).voided).toBe(true);
+    });
+
+    it('should give a new holder a new serial number', () => {
+      const serial = walletPassService.serialFor(mockTicket);
+
+      expect(walletPassService.serialFor({ ...mockTicket, attendeeEmail: 'other@example.com' })).not.toBe(serial);
+      expect(walletPassService.serialFor({ ...mockTicket, attendeeEmail: 'TEST@example.com' })).toBe(serial);
+    });
+
+    it('should refuse a wrong authentication token', () => {
+      const serial = walletPassService.serialFor(mockTicket);
+
+      expect(() => walletPassService.assertAuthorized(serial, walletPassService.authTokenFor(serial))).not.toThrow();
+      expect(() => walletPassService.assertAuthorized(serial, 'wrong-token'))
+        .toThrow(expect.objectContaining({ statusCode: 401 }));
+    });
+  });
+
+  describe('Google Wallet', () => {
+    let publicKey;
+
+    beforeAll(() => {
+      const keys = crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+      });
+      publicKey = keys.publicKey;
+
+      process.env.GOOGLE_WALLET_ISSUER_ID = '3388000000000000000';
+      process.env.GOOGLE_WALLET_CLIENT_EMAIL = 'wallet@test.iam.gserviceaccount.com';
+      process.env.GOOGLE_WALLET_PRIVATE_KEY = keys.privateKey;
+    });
+
+    it('should sign a save link carrying the event class and ticket object', () => {
+      const url = walletPassService.getGoogleSaveUrl(mockTicket, mockEvent);
+      const token = url.replace('https://pay.google.com/gp/v/save/', '');
+      const claims = jwt.verify(token, publicKey, { algorithms: ['RS256'] });
+
+      expect(claims.typ).toBe('savetowallet');
+      expect(claims.payload.eventTicketClasses[0].eventName.defaultValue.value).toBe(mockEvent.title);
+
+      const ticketObject = claims.payload.eventTicketObjects[0];
+      expect(ticketObject.barcode).toEqual({ type: 'QR_CODE', value: mockTicket.ticketToken, alternateText: mockTicket.ticketNumber });
+      expect(ticketObject.ticketType.defaultValue.value).toBe('VIP');
+      expect(ticketObject.classId).toBe(claims.payload.eventTicketClasses[0].id);
+    });
+  });
+
+  describe('Wallet links', () => {
+    it('should not offer passes for events with rotating QR codes', () => {
+      const event = { ...mockEvent, ticketSecurity: { rotatingQr: true } };
+
+      expect(walletPassService.getWalletLinks(mockTicket, event)).toBeNull();
+    });
+
+    it('should not offer passes for cancelled tickets', () => {
+      expect(walletPassService.getWalletLinks({ ...mockTicket, status: 'cancelled' }, mockEvent)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * CSV helpers
+ * RFC 4180 parsing of small uploads (quoted fields, escaped quotes, CRLF or LF line
+ * endings, a leading byte order mark) as produced by spreadsheets, and formatting of
+ * rows for exports.
+ */
+
+// Spreadsheets run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Split CSV text into rows of fields
+ * @param {String} text - CSV content
+ * @param {String} delimiter - Field separator
+ * @returns {Array<Array<String>>} Rows, including blank ones
+ */
+const parseRows = (text, delimiter = ',') => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+const isBlank = (fields) => fields.every((value) => value.trim() === '');
+
+/**
+ * Parse CSV with a header row into records
+ * @param {String} text - CSV content
+ * @param {Object} options - `{ delimiter }`; `;` is detected from the header when not given
+ * @returns {Array<Object>} One record per row keyed by the normalized header
+ *   (lower case, spaces and dashes as underscores), with its 1-based `line` number
+ */
+const parseCsv = (text, { delimiter } = {}) => {
+  const content = String(text || '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const separator = delimiter || (firstLine.split(';').length > firstLine.split(',').length ? ';' : ',');
+
+  const [header, ...rows] = parseRows(content, separator);
+  if (!header) return [];
+
+  const keys = header.map((name) => name.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+
+  return rows
+    .map((fields, index) => ({ fields, line: index + 2 }))
+    .filter(({ fields }) => !isBlank(fields))
+    .map(({ fields, line }) => keys.reduce((record, key, column) => {
+      if (key) record[key] = (fields[column] || '').trim();
+      return record;
+    }, { line }));
+};
+
+/**
+ * Format one row of values as a CSV line (with CRLF)
+ * @param {Array} values - Cell values; null and undefined are empty, dates are ISO 8601
+ * @param {String} delimiter - Field separator
+ * @returns {String} The CSV line
+ */
+const formatCsvRow = (values, delimiter = ',') => values.map((value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Text from attendees must not be run as a formula when the file is opened
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+
+  return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(delimiter) + '\r\n';
+
+module.exports = {
+  parseRows,
+  parseCsv,
+  formatCsvRow
+};
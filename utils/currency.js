@@ -0,0 +1,97 @@
+/**
+ * Currency helpers
+ * Amounts are stored in major units (e.g. 12.50 USD, 1500 JPY). Stripe expects the
+ * smallest currency unit, which depends on the currency's number of decimals.
+ */
+
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'INR').toUpperCase();
+
+// https://docs.stripe.com/currencies#zero-decimal
+const ZERO_DECIMAL_CURRENCIES = new Set([
+  'BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG', 'RWF',
+  'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'
+]);
+
+// https://docs.stripe.com/currencies#three-decimal
+const THREE_DECIMAL_CURRENCIES = new Set(['BHD', 'JOD', 'KWD', 'OMR', 'TND']);
+
+/**
+ * Upper-case ISO 4217 code, falling back to the platform default
+ * @param {String} currency - Currency code in any case
+ */
+const normalizeCurrency = (currency) => (currency ? String(currency).toUpperCase() : DEFAULT_CURRENCY);
+
+/**
+ * Number of decimals used by a currency's minor unit
+ * @param {String} currency - Currency code
+ */
+const getDecimals = (currency) => {
+  const code = normalizeCurrency(currency);
+  if (ZERO_DECIMAL_CURRENCIES.has(code)) return 0;
+  if (THREE_DECIMAL_CURRENCIES.has(code)) return 3;
+  return 2;
+};
+
+const isZeroDecimal = (currency) => getDecimals(currency) === 0;
+
+/**
+ * Major units to the integer amount Stripe expects (12.5 USD -> 1250, 1500 JPY -> 1500)
+ * @param {Number} amount - Amount in major units
+ * @param {String} currency - Currency code
+ */
+const toMinorUnits = (amount, currency) => {
+  const decimals = getDecimals(currency);
+  const minor = Math.round(Number(amount || 0) * 10 ** decimals);
+
+  // Stripe only accepts three-decimal amounts rounded to the nearest ten
+  return decimals === 3 ? Math.round(minor / 10) * 10 : minor;
+};
+
+/**
+ * Stripe integer amount back to major units
+ * @param {Number} minor - Amount in the smallest currency unit
+ * @param {String} currency - Currency code
+ */
+const fromMinorUnits = (minor, currency) => Number(minor || 0) / 10 ** getDecimals(currency);
+
+/**
+ * Round an amount to what the currency can represent
+ * @param {Number} amount - Amount in major units
+ * @param {String} currency - Currency code
+ */
+const roundAmount = (amount, currency) => fromMinorUnits(toMinorUnits(amount, currency), currency);
+
+/**
+ * Human readable amount for emails and reports (e.g. "₹1,200.00", "¥1,500")
+ * @param {Number} amount - Amount in major units
+ * @param {String} currency - Currency code
+ * @param {String} locale - BCP 47 locale (defaults to en-US)
+ * @param {Object} options - `{ display: 'code' }` prints "INR 1,200.00" (for PDF fonts without currency symbols)
+ */
+const formatAmount = (amount, currency, locale = 'en-US', options = {}) => {
+  const code = normalizeCurrency(currency);
+  const decimals = getDecimals(code);
+
+  try {
+    return new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency: code,
+      currencyDisplay: options.display || 'symbol',
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals
+    }).format(Number(amount || 0));
+  } catch (error) {
+    return `${Number(amount || 0).toFixed(decimals)} ${code}`;
+  }
+};
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  normalizeCurrency,
+  getDecimals,
+  isZeroDecimal,
+  toMinorUnits,
+  fromMinorUnits,
+  roundAmount,
+  formatAmount
+};
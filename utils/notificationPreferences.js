@@ -0,0 +1,69 @@
+/**
+ * Notification preference helpers
+ * Users choose, per notification type, which channels they are notified on. Types a user
+ * never changed use the defaults below; SMS is opt-in everywhere.
+ */
+
+const CHANNELS = ['email', 'sms', 'push', 'inApp'];
+
+const on = (overrides = {}) => ({ email: true, sms: false, push: true, inApp: true, ...overrides });
+
+// Default channels per notification type (the types of the Notification model)
+const NOTIFICATION_TYPES = {
+  event_reminder: on(),
+  event_update: on(),
+  event_cancelled: on(),
+  event_announcement: on(),
+  event_registration: on({ push: false }),
+  order_confirmed: on({ push: false }),
+  order_cancelled: on(),
+  refund_issued: on({ push: false }),
+  payment_failed: on(),
+  ticket_transfer: on(),
+  waitlist_offer: on(),
+  task_assigned: on(),
+  task_updated: on(),
+  task_due_soon: on(),
+  organization_invite: on(),
+  organization_role_changed: on({ push: false }),
+  new_message: on({ email: false }),
+  support_reply: on(),
+  system_announcement: on(),
+  marketing: on({ email: false, push: false })
+};
+
+/**
+ * Channels a user gets a type of notification on: their own choices over the defaults
+ * @param {Object} user - User with `notificationPreferences` (missing for guests)
+ * @param {String} type - Notification type
+ * @returns {Object} `{ email, sms, push, inApp }`
+ */
+const getChannelPreferences = (user, type) => {
+  const defaults = NOTIFICATION_TYPES[type] || NOTIFICATION_TYPES.system_announcement;
+  const preferences = user && user.notificationPreferences;
+  const chosen = preferences && (typeof preferences.get === 'function' ? preferences.get(type) : preferences[type]);
+
+  const resolved = { ...defaults };
+  if (chosen) {
+    CHANNELS.forEach((channel) => {
+      if (typeof chosen[channel] === 'boolean') resolved[channel] = chosen[channel];
+    });
+  }
+  return resolved;
+};
+
+/**
+ * Every type with the channels a user gets it on
+ * @param {Object} user - User with `notificationPreferences`
+ * @returns {Object} `{ [type]: { email, sms, push, inApp } }`
+ */
+const getAllChannelPreferences = (user) => Object.fromEntries(
+  Object.keys(NOTIFICATION_TYPES).map((type) => [type, getChannelPreferences(user, type)])
+);
+
+module.exports = {
+  CHANNELS,
+  NOTIFICATION_TYPES,
+  getChannelPreferences,
+  getAllChannelPreferences
+};
@@ -0,0 +1,111 @@
+/**
+ * XLSX helpers
+ * Writes a single-sheet workbook as a stream, so large exports never sit in memory.
+ * Cells are inline strings, numbers or dates; the first row is a bold header.
+ */
+
+const { Readable } = require('stream');
+const JSZip = require('jszip');
+
+// Days between the spreadsheet epoch (1899-12-30) and the Unix epoch
+const EXCEL_EPOCH_OFFSET_DAYS = 25569;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Characters XML 1.0 does not allow, even escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`;
+
+const ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`;
+
+const WORKBOOK_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+// Style 0: default, 1: date and time (built-in format 22), 2: bold header
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="22" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+const escapeXml = (text) => String(text)
+  .replace(INVALID_XML_CHARS, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatCell = (value, style) => {
+  if (value === null || value === undefined || value === '') return '<c/>';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c><v>${value}</v></c>`;
+  if (value instanceof Date && !Number.isNaN(value.getTime())) {
+    return `<c s="1"><v>${value.getTime() / MS_PER_DAY + EXCEL_EPOCH_OFFSET_DAYS}</v></c>`;
+  }
+
+  const styleAttribute = style ? ` s="${style}"` : '';
+  return `<c t="inlineStr"${styleAttribute}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const formatRow = (values, style) => `<row>${values.map((value) => formatCell(value, style)).join('')}</row>`;
+
+/**
+ * Stream a workbook with one sheet
+ * @param {Object} options - Workbook options
+ * @param {String} options.sheetName - Sheet name (at most 31 characters are kept)
+ * @param {Array<String>} options.headers - Header row
+ * @param {AsyncIterable<Array>} options.rows - Rows of cell values (strings, numbers, dates)
+ * @returns {Readable} The .xlsx file
+ */
+const createXlsxStream = ({ sheetName = 'Sheet1', headers, rows }) => {
+  async function* sheet() {
+    yield '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+      + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+      + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+      + `<sheetData>${formatRow(headers, 2)}`;
+
+    for await (const values of rows) {
+      yield formatRow(values);
+    }
+
+    yield '</sheetData></worksheet>';
+  }
+
+  const name = escapeXml(String(sheetName).replace(/[\\/?*[\]:]/g, ' ').slice(0, 31));
+  const workbook = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets>
+</workbook>`;
+
+  // Package parts only; the format has no directory entries
+  const zip = new JSZip();
+  const options = { createFolders: false };
+  zip.file('[Content_Types].xml', CONTENT_TYPES, options);
+  zip.file('_rels/.rels', ROOT_RELS, options);
+  zip.file('xl/workbook.xml', workbook, options);
+  zip.file('xl/_rels/workbook.xml.rels', WORKBOOK_RELS, options);
+  zip.file('xl/styles.xml', STYLES, options);
+  zip.file('xl/worksheets/sheet1.xml', Readable.from(sheet()), options);
+
+  return zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'DEFLATE' });
+};
+
+module.exports = {
+  createXlsxStream
+};